@@ -0,0 +1,345 @@
+/* ==========================================================================
+   AIRSENSE - AUTENTICACIÓN
+   ==========================================================================
+ * - Contraseñas: scrypt con sal aleatoria (crypto de Node, sin dependencias).
+ *   Se guardan como "scrypt$N$r$p$sal$hash" para poder subir el costo más
+ *   adelante sin invalidar las existentes.
+ * - Sesión: JWT HS256 firmado con AUTH_SECRET, enviado por el frontend en
+ *   "Authorization: Bearer <token>". Incluye la version_sesion del usuario:
+ *   al cambiar la contraseña todas las sesiones anteriores dejan de valer.
+ * - Middlewares para las rutas: requiereSesion, sesionOpcional,
+ *   requiereCorreoVerificado, requiereRol(...roles) y limitarIntentos(...).
+ */
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const usuarios = require("./usuarios");
+
+const scrypt = promisify(crypto.scrypt);
+
+const PARAMETROS_SCRYPT = { N: 16384, r: 8, p: 1 };
+const LONGITUD_HASH = 64;
+
+const DURACION_SESION_S = 7 * 24 * 60 * 60;                 // 7 días
+const VIGENCIA_VERIFICACION_MS = 24 * 60 * 60 * 1000;       // 24 horas
+const VIGENCIA_RESTABLECIMIENTO_MS = 60 * 60 * 1000;        // 1 hora
+
+const CONTRASENA_MIN = 8;
+
+// Con más claves que esto, limitarIntentos descarta las de ventanas vencidas
+const MAX_CLAVES_LIMITE = 10000;
+
+let SECRETO = process.env.AUTH_SECRET;
+if (!SECRETO) {
+  // Sirve para desarrollo, pero las sesiones se pierden al reiniciar el servidor
+  SECRETO = crypto.randomBytes(32).toString("hex");
+  console.warn("⚠️ AUTH_SECRET no está definido: se usa un secreto temporal");
+}
+
+// ==========================================================================
+// CONTRASEÑAS
+// ==========================================================================
+
+/**
+ * Calcula el hash de una contraseña
+ * @param {string} contrasena
+ * @returns {Promise<string>} "scrypt$N$r$p$sal$hash" (sal y hash en base64)
+ */
+async function hashearContrasena(contrasena) {
+  const { N, r, p } = PARAMETROS_SCRYPT;
+  const sal = crypto.randomBytes(16);
+  const hash = await scrypt(contrasena, sal, LONGITUD_HASH, { N, r, p });
+  return ["scrypt", N, r, p, sal.toString("base64"), hash.toString("base64")].join("$");
+}
+
+/**
+ * Comprueba una contraseña contra su hash (comparación en tiempo constante)
+ * @param {string} contrasena
+ * @param {string} almacenado - Resultado de hashearContrasena
+ * @returns {Promise<boolean>}
+ */
+async function verificarContrasena(contrasena, almacenado) {
+  const [algoritmo, N, r, p, sal, hash] = String(almacenado).split("$");
+  if (algoritmo !== "scrypt" || !hash) return false;
+
+  const esperado = Buffer.from(hash, "base64");
+  const calculado = await scrypt(contrasena, Buffer.from(sal, "base64"), esperado.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(esperado, calculado);
+}
+
+let hashDeRelleno = null;
+
+/**
+ * Hace el mismo trabajo que verificarContrasena cuando el correo no existe,
+ * para que el login tarde lo mismo y no revele qué correos están registrados
+ * @param {string} contrasena
+ * @returns {Promise<false>}
+ */
+async function verificarSinUsuario(contrasena) {
+  hashDeRelleno = hashDeRelleno || hashearContrasena(crypto.randomBytes(16).toString("base64"));
+  await verificarContrasena(contrasena, await hashDeRelleno);
+  return false;
+}
+
+// ==========================================================================
+// TOKENS
+// ==========================================================================
+
+const base64url = (texto) => Buffer.from(texto).toString("base64url");
+
+/**
+ * Firma un JWT HS256
+ * @param {Object} datos - Se agregan iat y exp.
+ * @returns {string}
+ */
+function firmarToken(datos) {
+  const ahora = Math.floor(Date.now() / 1000);
+  const encabezado = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const cuerpo = base64url(JSON.stringify({ ...datos, iat: ahora, exp: ahora + DURACION_SESION_S }));
+  const firma = crypto.createHmac("sha256", SECRETO).update(`${encabezado}.${cuerpo}`).digest("base64url");
+  return `${encabezado}.${cuerpo}.${firma}`;
+}
+
+/**
+ * Verifica la firma y la vigencia de un JWT
+ * @param {string} token
+ * @returns {Object|null} El contenido, o null si no es válido o venció
+ */
+function verificarToken(token) {
+  const partes = String(token || "").split(".");
+  if (partes.length !== 3) return null;
+
+  const [encabezado, cuerpo, firma] = partes;
+  const esperada = crypto.createHmac("sha256", SECRETO).update(`${encabezado}.${cuerpo}`).digest();
+  const recibida = Buffer.from(firma, "base64url");
+  if (recibida.length !== esperada.length || !crypto.timingSafeEqual(recibida, esperada)) {
+    return null;
+  }
+
+  try {
+    const datos = JSON.parse(Buffer.from(cuerpo, "base64url").toString("utf8"));
+    return datos.exp > Math.floor(Date.now() / 1000) ? datos : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Crea la sesión de un usuario
+ * @param {{id_usuario: number, version_sesion: number}} usuario
+ */
+function crearSesion(usuario) {
+  return firmarToken({ sub: usuario.id_usuario, v: usuario.version_sesion || 0 });
+}
+
+/**
+ * Genera un token aleatorio de un solo uso (verificación, restablecimiento)
+ * @returns {{token: string, hash: string}} El token va en el enlace; el hash, a la BD
+ */
+function generarTokenUnUso() {
+  const token = crypto.randomBytes(32).toString("base64url");
+  return { token, hash: hashToken(token) };
+}
+
+/**
+ * SHA-256 en hexadecimal de un token de un solo uso
+ * @param {string} token
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// ==========================================================================
+// VALIDACIONES
+// ==========================================================================
+
+/**
+ * Normaliza un correo (sin espacios, en minúsculas)
+ * @param {string} correo
+ */
+function normalizarCorreo(correo) {
+  return String(correo || "").trim().toLowerCase();
+}
+
+/**
+ * @param {string} correo - Ya normalizado.
+ * @returns {string|null} Mensaje de error, o null si es válido
+ */
+function validarCorreo(correo) {
+  if (!correo || correo.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(correo)) {
+    return "El correo electrónico no es válido";
+  }
+  return null;
+}
+
+/**
+ * @param {string} contrasena
+ * @returns {string|null} Mensaje de error, o null si es válida
+ */
+function validarContrasena(contrasena) {
+  if (typeof contrasena !== "string" || contrasena.length < CONTRASENA_MIN) {
+    return `La contraseña debe tener al menos ${CONTRASENA_MIN} caracteres`;
+  }
+  if (contrasena.length > 128) {
+    return "La contraseña no puede superar 128 caracteres";
+  }
+  return null;
+}
+
+// ==========================================================================
+// MIDDLEWARES
+// ==========================================================================
+
+/**
+ * Lee la sesión de la cabecera Authorization
+ * @returns {Promise<{usuario: Object|null, error: string|null}>} El usuario se lee
+ *          de la BD para tener su rol actual
+ */
+async function leerSesion(req) {
+  const [tipo, token] = (req.get("Authorization") || "").split(" ");
+  const datos = tipo === "Bearer" ? verificarToken(token) : null;
+
+  if (!datos) {
+    return { usuario: null, error: "Debe iniciar sesión" };
+  }
+
+  const usuario = await usuarios.getUsuarioPorId(datos.sub);
+  if (!usuario || usuario.version_sesion !== datos.v) {
+    return { usuario: null, error: "La sesión expiró: inicie sesión de nuevo" };
+  }
+
+  delete usuario.version_sesion;
+  return { usuario, error: null };
+}
+
+/**
+ * Exige una sesión válida y deja el usuario en req.usuario
+ */
+async function requiereSesion(req, res, next) {
+  try {
+    const { usuario, error } = await leerSesion(req);
+    if (error) {
+      return res.status(401).json({ error });
+    }
+
+    req.usuario = usuario;
+    next();
+  } catch (error) {
+    console.error("❌ Error al validar la sesión:", error.message);
+    res.status(500).json({ error: "Error interno del servidor al validar la sesión" });
+  }
+}
+
+/**
+ * Como requiereSesion, pero sin sesión (o con una vencida) sigue adelante
+ * con req.usuario = null. Para rutas públicas que muestran algo más al autor.
+ */
+async function sesionOpcional(req, res, next) {
+  try {
+    req.usuario = (await leerSesion(req)).usuario;
+  } catch (error) {
+    console.error("❌ Error al leer la sesión:", error.message);
+    req.usuario = null;
+  }
+  next();
+}
+
+/**
+ * Exige que el usuario haya verificado su correo (usar después de requiereSesion)
+ */
+function requiereCorreoVerificado(req, res, next) {
+  if (!req.usuario.correo_verificado) {
+    return res.status(403).json({ error: "Debe verificar su correo electrónico" });
+  }
+  next();
+}
+
+/**
+ * Exige uno de los roles indicados (usar después de requiereSesion)
+ * @param {...string} roles - Ver usuarios.ROLES
+ */
+function requiereRol(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.usuario.rol)) {
+      return res.status(403).json({ error: "No tiene permiso para esta acción" });
+    }
+    next();
+  };
+}
+
+// ==========================================================================
+// LÍMITE DE INTENTOS
+// ==========================================================================
+
+/**
+ * Limita las peticiones por IP y por correo en una ventana fija. El correo es el
+ * del usuario de la sesión (si va después de requiereSesion) o req.body.correo.
+ * Los contadores viven en memoria: se reinician con el servidor y no se comparten
+ * entre instancias, suficiente para frenar la fuerza bruta en una sola instancia.
+ * @param {Object} opciones
+ * @param {number} opciones.ventanaMs
+ * @param {number} opciones.maximoPorIp
+ * @param {number} opciones.maximoPorCorreo
+ * @returns {function} Middleware que responde 429 (con Retry-After) al superar el límite
+ */
+function limitarIntentos({ ventanaMs, maximoPorIp, maximoPorCorreo }) {
+  const contadores = new Map(); // clave -> { total, vence }
+
+  return (req, res, next) => {
+    const ahora = Date.now();
+    if (contadores.size > MAX_CLAVES_LIMITE) {
+      for (const [clave, contador] of contadores) {
+        if (contador.vence <= ahora) contadores.delete(clave);
+      }
+    }
+
+    const correo = normalizarCorreo(req.usuario ? req.usuario.correo : req.body && req.body.correo);
+    const limites = [[`ip:${req.ip}`, maximoPorIp]];
+    if (correo) limites.push([`correo:${correo}`, maximoPorCorreo]);
+
+    let esperaMs = 0;
+    for (const [clave, maximo] of limites) {
+      let contador = contadores.get(clave);
+      if (!contador || contador.vence <= ahora) {
+        contador = { total: 0, vence: ahora + ventanaMs };
+        contadores.set(clave, contador);
+      }
+      contador.total += 1;
+      if (contador.total > maximo) {
+        esperaMs = Math.max(esperaMs, contador.vence - ahora);
+      }
+    }
+
+    if (esperaMs > 0) {
+      res.set("Retry-After", String(Math.ceil(esperaMs / 1000)));
+      return res.status(429).json({
+        error: `Demasiados intentos. Intente de nuevo en ${Math.ceil(esperaMs / 60000)} minuto(s)`
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  VIGENCIA_VERIFICACION_MS,
+  VIGENCIA_RESTABLECIMIENTO_MS,
+  hashearContrasena,
+  verificarContrasena,
+  verificarSinUsuario,
+  crearSesion,
+  verificarToken,
+  generarTokenUnUso,
+  hashToken,
+  normalizarCorreo,
+  validarCorreo,
+  validarContrasena,
+  requiereSesion,
+  sesionOpcional,
+  requiereCorreoVerificado,
+  requiereRol,
+  limitarIntentos
+};
@@ -12,6 +12,10 @@
 require("dotenv").config(); 
 const { Pool } = require("pg"); 
 const fs = require("fs"); 
+const normas = require("./normas"); // Estándares de calidad del aire (OMS, Res. 2254...)
+const { calcularICA } = require("./ica"); // Índice de Calidad del Aire colombiano
+const { distanciaHaversineKm } = require("./geografia"); // Distancias entre coordenadas
+const { evaluarCalidadDato, esValido } = require("./calidadDatos"); // Regla del 75 % de representatividad
 
 // Verificación del entorno y variables de configuración
 console.log("📁 Ruta actual:", __dirname);
@@ -70,7 +74,7 @@ async function conectarPostgres() {
   }
 }
 
-conectarPostgres(); //ejecutar conexion al cargar el modulo
+const conexionLista = conectarPostgres(); //ejecutar conexion al cargar el modulo
 
 // ==========================================================================
 // FUNCIÓN GENÉRICA DE CONSULTA
@@ -93,6 +97,24 @@ const query = async (text, params) => {
   }
 };
 
+/**
+ * Entrega un cliente dedicado del pool (para transacciones).
+ * Quien lo pide debe llamar a client.release() al terminar.
+ * @returns {Promise<import("pg").PoolClient>}
+ */
+const obtenerCliente = async () => {
+  await conexionLista;
+  return pool.connect();
+};
+
+/**
+ * Cierra el pool (scripts de línea de comandos que deben terminar)
+ */
+const cerrarConexion = async () => {
+  await conexionLista;
+  if (pool) await pool.end();
+};
+
 // ==========================================================================
 // CONSULTAS DE NEGOCIO
 // ==========================================================================
@@ -194,8 +216,11 @@ const getAniosPorMunicipio = async (idMunicipio) => {
 
 /**
  * Obtiene estaciones activas en un municipio para un año específico
+ * Cada estación incluye su estado general: la peor clasificación entre todos
+ * sus contaminantes de ese año y el contaminante que la determina (dominante)
+ * @param {string} [idNorma] - Norma con la que se clasifica
  */
-const getEstacionesPorMunicipioYAnio = async (idMunicipio, anio) => {
+const getEstacionesPorMunicipioYAnio = async (idMunicipio, anio, idNorma = normas.NORMA_POR_DEFECTO) => {
   try {
     const sql = `
       WITH estaciones_con_mediciones AS (
@@ -238,8 +263,65 @@ const getEstacionesPorMunicipioYAnio = async (idMunicipio, anio) => {
     `;
     
     const resultado = await pool.query(sql, [idMunicipio, anio]);
-    
-    return resultado.rows;
+
+    if (resultado.rows.length === 0) {
+      return resultado.rows;
+    }
+
+    // Promedios del año de cada estación para todos sus contaminantes
+    const sqlMediciones = `
+      SELECT DISTINCT ON (med.id_estacion, med.id_exposicion)
+        med.id_estacion,
+        med.promedio,
+        va.nombre_variable AS simbolo_contaminante,
+        va.unidades,
+        te.id_exposicion,
+        te.tiempo_horas
+      FROM mediciones med
+      INNER JOIN tiempos_exposicion te ON med.id_exposicion = te.id_exposicion
+      INNER JOIN variables_ambientales va ON te.id_variable_ambiental = va.id_variable_ambiental
+      WHERE med.id_estacion = ANY($1)
+        AND med.anio = $2
+        AND va.es_contaminante = true
+      ORDER BY med.id_estacion, med.id_exposicion, med.id_medicion;
+    `;
+
+    const mediciones = await pool.query(sqlMediciones, [resultado.rows.map(e => e.id_estacion), anio]);
+
+    const porEstacion = {};
+    mediciones.rows.forEach(fila => {
+      if (!porEstacion[fila.id_estacion]) porEstacion[fila.id_estacion] = [];
+
+      const promedio = parseFloat(fila.promedio);
+      porEstacion[fila.id_estacion].push({
+        simbolo: fila.simbolo_contaminante,
+        unidades: fila.unidades,
+        id_exposicion: fila.id_exposicion,
+        tiempo_horas: fila.tiempo_horas,
+        promedio: isNaN(promedio) ? null : promedio,
+        clasificacion: clasificarCalidadAire(fila.simbolo_contaminante, promedio, fila.tiempo_horas, idNorma)
+      });
+    });
+
+    return resultado.rows.map(est => {
+      const contaminantes = porEstacion[est.id_estacion] || [];
+      const dominante = peorClasificacion(contaminantes);
+
+      return {
+        ...est,
+        total_contaminantes: contaminantes.length,
+        clasificacion_general: dominante ? dominante.clasificacion : null,
+        contaminante_dominante: dominante
+          ? {
+              simbolo: dominante.simbolo,
+              unidades: dominante.unidades,
+              id_exposicion: dominante.id_exposicion,
+              tiempo_horas: dominante.tiempo_horas,
+              promedio: dominante.promedio
+            }
+          : null
+      };
+    });
     
   } catch (error) {
     console.error('Error al obtener estaciones por municipio y año:', error);
@@ -311,24 +393,18 @@ const getContaminantesPorEstacionYAnio = async (idEstacion, anio) => {
 
 /**
  * Evalúa la calidad del aire (Buena, Regular, Mala)
- * Clasifica los niveles de contaminantes basándose en las Guías de Calidad del Aire (AQG) de la OMS 2021.
+ * Clasifica los niveles de contaminantes según la norma indicada (por defecto,
+ * las Guías de Calidad del Aire (AQG) de la OMS 2021). Ver normas.js.
  *
  * @param {string} contaminante - Símbolo del contaminante ('PM2.5', 'O3', 'NO2', etc.).
  * @param {number} valor - Valor de la concentración del contaminante.
  * @param {number} tiempoHoras - Tiempo de exposición para el límite (1, 8, 24, etc.).
- * @returns {{nivel: string, color: string, descripcion: string, limites_oms: Object}} Objeto con la clasificación.
- */
-function clasificarCalidadAire(contaminante, valor, tiempoHoras) {
-  // 🆕 DEBUG: Ver qué está recibiendo la función
-  console.log("═══════════════════════════════════════");
-  console.log("🔬 ENTRADA clasificarCalidadAire:");
-  console.log("   Contaminante recibido:", `"${contaminante}"`);
-  console.log("   Tipo:", typeof contaminante);
-  console.log("   Valor:", valor);
-  console.log("   Tiempo horas:", tiempoHoras);
-  
+ * @param {string} [idNorma="oms2021"] - Identificador de la norma a aplicar.
+ * @returns {{nivel: string, color: string, descripcion: string, limites: Object, limites_oms: Object}}
+ *          Objeto con la clasificación (limites_oms es un alias obsoleto de limites).
+ */
+function clasificarCalidadAire(contaminante, valor, tiempoHoras, idNorma = normas.NORMA_POR_DEFECTO) {
   if (valor === null || valor === undefined || isNaN(valor)) {
-    console.log("❌ Valor inválido, retornando 'Sin datos'");
     return {
       nivel: "Sin datos",
       color: "#9E9E9E",
@@ -336,106 +412,82 @@ function clasificarCalidadAire(contaminante, valor, tiempoHoras) {
     };
   }
 
-  // Límites OMS 2021
-  const limites = {
-    'O3': {
-      1: [100, 160],
-      8: [60, 100]
-    },
-    'PM10': {
-      1: [50, 100],
-      24: [45, 75]
-    },
-    'PM2.5': {
-      1: [15, 25],
-      24: [15, 25]
-    },
-    'SO2': {
-      1: [100, 196],
-      3: [100, 250],
-      24: [40, 125]
-    },
-    'NO2': {
-      1: [200, 360],
-      24: [25, 50]
-    },
-    'CO': {
-      1: [4000, 10000],
-      8: [7000, 10000]
-    },
-    'NO': {
-      1: [100, 200]
-    }
-  };
-
-  // DEBUG: Ver si encuentra el contaminante
-  console.log("   ¿Existe en límites?", contaminante in limites);
-  console.log("   Límites disponibles:", Object.keys(limites));
+  // Límites de la norma seleccionada
+  const norma = normas.obtenerNorma(idNorma);
+  const rangos = normas.obtenerLimites(idNorma, contaminante, tiempoHoras);
 
-  const rangosContaminante = limites[contaminante];
-  if (!rangosContaminante) {
-    console.log("❌ No se encontró el contaminante en los límites");
-    return {
-      nivel: "Sin datos",
-      color: "#9E9E9E",
-      descripcion: `No hay parámetros de referencia para ${contaminante}`
-    };
-  }
-
-  const rangos = rangosContaminante[tiempoHoras];
   if (!rangos) {
-    console.log("❌ No se encontró el tiempo de exposición");
     return {
       nivel: "Sin datos",
       color: "#9E9E9E",
-      descripcion: `No hay parámetros para ${contaminante} con ${tiempoHoras}h de exposición`
+      descripcion: `No hay parámetros para ${contaminante} con ${tiempoHoras}h de exposición en ${norma.fuente}`
     };
   }
 
   const [limiteBuena, limiteRegular] = rangos;
 
-  // DEBUG: Ver la comparación
-  console.log("   Límites encontrados: [", limiteBuena, ",", limiteRegular, "]");
-  console.log("   Comparación:");
-  console.log("     ¿", valor, "<=", limiteBuena, "?", valor <= limiteBuena);
-  console.log("     ¿", valor, "<=", limiteRegular, "?", valor <= limiteRegular);
-
   // Clasificar según los límites
   let resultado;
   if (valor <= limiteBuena) {
     resultado = {
       nivel: "Buena",
       color: "#00E400",
-      descripcion: "La calidad del aire cumple con los estándares de la OMS y no representa riesgo para la salud"
+      descripcion: norma.descripciones.Buena
     };
   } else if (valor <= limiteRegular) {
     resultado = {
       nivel: "Regular",
       color: "#FFFF00",
-      descripcion: "La calidad del aire supera las recomendaciones de la OMS. Puede afectar a personas sensibles (niños, ancianos, personas con enfermedades respiratorias)"
+      descripcion: norma.descripciones.Regular
     };
   } else {
     resultado = {
       nivel: "Mala",
       color: "#FF0000",
-      descripcion: "La calidad del aire supera significativamente los límites seguros de la OMS y puede afectar la salud de toda la población"
+      descripcion: norma.descripciones.Mala
     };
   }
   
-  // 🆕 Agregamos la referencia de límites OMS
-  resultado.limites_oms = {
+  // Referencia de los límites de la norma aplicada
+  resultado.limites = {
     buena: limiteBuena,
     regular: limiteRegular,
     tiempo_horas: tiempoHoras,
-    fuente: "OMS 2021"
+    fuente: norma.fuente
   };
+  // Obsoleto: nombre anterior de "limites" (cuando solo existía la norma OMS).
+  // Se mantiene para los clientes que aún lo leen.
+  resultado.limites_oms = resultado.limites;
 
-  console.log("✅ RESULTADO:", resultado.nivel, "-", resultado.color);
-  console.log("═══════════════════════════════════════\n");
-  
   return resultado;
 }
 
+/**
+ * Identifica la norma aplicada en una respuesta (sin su tabla de límites)
+ * @param {string} idNorma
+ */
+function resumenNorma(idNorma) {
+  const norma = normas.obtenerNorma(idNorma);
+  return { id: norma.id, nombre: norma.nombre, fuente: norma.fuente, descripcion: norma.descripcion };
+}
+
+// Orden de gravedad de los niveles (para elegir el peor entre varios contaminantes)
+const ORDEN_NIVELES = { 'Sin datos': 0, 'Buena': 1, 'Regular': 2, 'Mala': 3 };
+
+/**
+ * Devuelve el elemento con la peor clasificación de una lista
+ * @param {Array<{clasificacion: Object}>} elementos - Objetos que tienen una propiedad "clasificacion"
+ * @returns {Object|null} El elemento más grave (o null si la lista está vacía)
+ */
+function peorClasificacion(elementos) {
+  return elementos.reduce((peor, actual) => {
+    if (!peor) return actual;
+    return ORDEN_NIVELES[actual.clasificacion.nivel] > ORDEN_NIVELES[peor.clasificacion.nivel]
+      ? actual
+      : peor;
+  }, null);
+}
+
 /**
  * Provee descripciones de los niveles de calidad del aire
  */
@@ -449,10 +501,62 @@ function obtenerDescripcionNivel(nivel) {
   return descripciones[nivel] || 'Sin descripción disponible';
 }
 
+/**
+ * Da forma a una fila de medición (con los datos del contaminante y la exposición):
+ * estadísticas, excedencias, calidad del dato, clasificación según la norma e ICA
+ * @param {Object} datos - Fila de la consulta
+ * @param {string} idNorma - Norma con la que se clasifica
+ */
+function detalleMedicion(datos, idNorma) {
+  return {
+    contaminante: {
+      id_variable: datos.id_variable_ambiental,
+      simbolo: datos.simbolo_contaminante,
+      unidades: datos.unidades,
+      tiempo_exposicion: {
+        id: datos.id_exposicion,
+        horas: datos.tiempo_horas,
+        texto: datos.tiempo_exposicion_texto
+      }
+    },
+    estadisticas: {
+      promedio: parseFloat(datos.promedio),
+      mediana: parseFloat(datos.mediana),
+      percentil_98: parseFloat(datos.percentil_98),
+      maximo: parseFloat(datos.maximo),
+      minimo: parseFloat(datos.minimo),
+      fecha_hora_maximo: datos.fecha_hora_maximo,
+      fecha_hora_minimo: datos.fecha_hora_minimo
+    },
+    excedencias: {
+      dias_excendecias: datos.dias_excendecias,
+      excedencias_limite_actual: datos.excedencias_limite_actual,
+      porcentaje_excedencias: parseFloat(datos.porcentaje_excedencias)
+    },
+    calidad_datos: {
+      representatividad_temporal: parseFloat(datos.representatividad_temporal),
+      no_datos: datos.no_datos,
+      bandera: evaluarCalidadDato(parseFloat(datos.representatividad_temporal), datos.no_datos)
+    },
+    norma: resumenNorma(idNorma),
+    clasificacion: clasificarCalidadAire(
+      datos.simbolo_contaminante,
+      parseFloat(datos.promedio),
+      datos.tiempo_horas,
+      idNorma
+    ),
+    ica: calcularICA(
+      datos.simbolo_contaminante,
+      parseFloat(datos.promedio),
+      datos.tiempo_horas
+    )
+  };
+}
+
 /**
  * Obtiene el histórico completo de mediciones para un contaminante
  */
-const getDatosHistoricosPorContaminante = async (idEstacion, anio, idExposicion) => {
+const getDatosHistoricosPorContaminante = async (idEstacion, anio, idExposicion, idNorma = normas.NORMA_POR_DEFECTO) => {
   try {
     const sql = `
       SELECT 
@@ -516,57 +620,1043 @@ const getDatosHistoricosPorContaminante = async (idEstacion, anio, idExposicion)
     
     const datos = resultado.rows[0];
     
-    // Clasificar calidad del aire
-    const clasificacion = clasificarCalidadAire(
-      datos.simbolo_contaminante, 
-      parseFloat(datos.promedio),
-      datos.tiempo_horas
-    );
-    
     // Estructurar respuesta
     return {
       estacion: {
+        id: datos.id_estacion,
         nombre: datos.nombre_estacion,
         tipo: datos.tipo_estacion,
         municipio: datos.nombre_municipio,
       },
       anio: datos.anio,
+      ...detalleMedicion(datos, idNorma)
+    };
+    
+  } catch (error) {
+    console.error('Error al obtener datos históricos:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene en una sola consulta todos los contaminantes medidos en una estación
+ * durante un año, con sus estadísticas y clasificación ("boletín" de la estación)
+ * @param {number} idEstacion
+ * @param {number} anio
+ * @param {string} [idNorma] - Norma con la que se clasifica
+ * @returns {Object|null} null si la estación no tiene mediciones ese año
+ */
+const getReporteEstacion = async (idEstacion, anio, idNorma = normas.NORMA_POR_DEFECTO) => {
+  try {
+    const sql = `
+      SELECT DISTINCT ON (te.id_exposicion)
+        m.anio,
+        m.promedio,
+        m.mediana,
+        m.percentil_98,
+        m.maximo,
+        m.minimo,
+        m.excedencias_limite_actual,
+        m.porcentaje_excedencias,
+        m.dias_excendecias,
+        m.no_datos,
+        m.representatividad_temporal,
+        m.fecha_hora_maximo,
+        m.fecha_hora_minimo,
+        e.id_estacion,
+        e.nombre_estacion,
+        e.tipo_estacion,
+        mun.id_municipio,
+        mun.nombre_municipio,
+        va.id_variable_ambiental,
+        va.nombre_variable AS simbolo_contaminante,
+        va.unidades,
+        te.id_exposicion,
+        te.tiempo_horas,
+        CASE
+          WHEN te.tiempo_horas = 1 THEN '1 hora'
+          WHEN te.tiempo_horas = 3 THEN '3 horas'
+          WHEN te.tiempo_horas = 8 THEN '8 horas'
+          WHEN te.tiempo_horas = 24 THEN '24 horas'
+          ELSE te.tiempo_horas || ' horas'
+        END AS tiempo_exposicion_texto
+      FROM mediciones m
+      INNER JOIN estaciones e ON m.id_estacion = e.id_estacion
+      INNER JOIN municipios mun ON e.id_municipio = mun.id_municipio
+      INNER JOIN tiempos_exposicion te ON m.id_exposicion = te.id_exposicion
+      INNER JOIN variables_ambientales va ON te.id_variable_ambiental = va.id_variable_ambiental
+      WHERE m.id_estacion = $1
+        AND m.anio = $2
+        AND va.es_contaminante = true
+      ORDER BY te.id_exposicion, m.id_medicion;
+    `;
+
+    const resultado = await pool.query(sql, [idEstacion, anio]);
+
+    if (resultado.rows.length === 0) {
+      return null;
+    }
+
+    const primera = resultado.rows[0];
+
+    // La norma se informa una sola vez, no en cada contaminante
+    const contaminantes = resultado.rows
+      .map(fila => {
+        const { norma, ...detalle } = detalleMedicion(fila, idNorma);
+        return detalle;
+      })
+      .sort((a, b) =>
+        a.contaminante.simbolo.localeCompare(b.contaminante.simbolo) ||
+        a.contaminante.tiempo_exposicion.horas - b.contaminante.tiempo_exposicion.horas
+      );
+
+    const peorContaminante = peorClasificacion(contaminantes);
+
+    return {
+      estacion: {
+        id: primera.id_estacion,
+        nombre: primera.nombre_estacion,
+        tipo: primera.tipo_estacion,
+        id_municipio: primera.id_municipio,
+        municipio: primera.nombre_municipio
+      },
+      anio: primera.anio,
+      norma: resumenNorma(idNorma),
+      total_contaminantes: contaminantes.length,
+      clasificacion_general: peorContaminante ? peorContaminante.clasificacion : null,
+      contaminante_dominante: peorContaminante ? peorContaminante.contaminante.simbolo : null,
+      contaminantes: contaminantes
+    };
+
+  } catch (error) {
+    console.error('Error al obtener el reporte de la estación:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene la serie anual de un contaminante en una estación (todos los años)
+ * Devuelve una fila por año con sus estadísticas, su clasificación y su bandera de calidad
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.soloValidos=false] - Omitir los años que no cumplen la regla del 75 %
+ */
+const getSerieHistoricaPorContaminante = async (idEstacion, idExposicion, idNorma = normas.NORMA_POR_DEFECTO, { soloValidos = false } = {}) => {
+  try {
+    const sql = `
+      SELECT DISTINCT ON (m.anio)
+        m.anio,
+        m.promedio,
+        m.mediana,
+        m.percentil_98,
+        m.maximo,
+        m.dias_excendecias,
+        m.representatividad_temporal,
+        m.no_datos,
+        e.id_estacion,
+        e.nombre_estacion,
+        e.tipo_estacion,
+        mun.nombre_municipio,
+        va.id_variable_ambiental,
+        va.nombre_variable AS simbolo_contaminante,
+        va.unidades,
+        te.id_exposicion,
+        te.tiempo_horas,
+        CASE
+          WHEN te.tiempo_horas = 1 THEN '1 hora'
+          WHEN te.tiempo_horas = 3 THEN '3 horas'
+          WHEN te.tiempo_horas = 8 THEN '8 horas'
+          WHEN te.tiempo_horas = 24 THEN '24 horas'
+          ELSE te.tiempo_horas || ' horas'
+        END AS tiempo_exposicion_texto
+      FROM mediciones m
+      INNER JOIN estaciones e ON m.id_estacion = e.id_estacion
+      INNER JOIN municipios mun ON e.id_municipio = mun.id_municipio
+      INNER JOIN tiempos_exposicion te ON m.id_exposicion = te.id_exposicion
+      INNER JOIN variables_ambientales va ON te.id_variable_ambiental = va.id_variable_ambiental
+      WHERE m.id_estacion = $1
+        AND m.id_exposicion = $2
+      ORDER BY m.anio, m.id_medicion;
+    `;
+
+    const resultado = await pool.query(sql, [idEstacion, idExposicion]);
+
+    if (resultado.rows.length === 0) {
+      return null;
+    }
+
+    const primera = resultado.rows[0];
+
+    // Una entrada por año, clasificada igual que en /api/datos
+    const serieCompleta = resultado.rows.map(fila => ({
+      anio: fila.anio,
+      promedio: parseFloat(fila.promedio),
+      mediana: parseFloat(fila.mediana),
+      percentil_98: parseFloat(fila.percentil_98),
+      maximo: parseFloat(fila.maximo),
+      excedencias: fila.dias_excendecias,
+      representatividad_temporal: parseFloat(fila.representatividad_temporal),
+      clasificacion: clasificarCalidadAire(
+        fila.simbolo_contaminante,
+        parseFloat(fila.promedio),
+        fila.tiempo_horas,
+        idNorma
+      ),
+      ica: calcularICA(
+        fila.simbolo_contaminante,
+        parseFloat(fila.promedio),
+        fila.tiempo_horas
+      ),
+      calidad: evaluarCalidadDato(parseFloat(fila.representatividad_temporal), fila.no_datos)
+    }));
+
+    const serie = soloValidos ? serieCompleta.filter(p => esValido(p.calidad)) : serieCompleta;
+
+    return {
+      estacion: {
+        id: primera.id_estacion,
+        nombre: primera.nombre_estacion,
+        tipo: primera.tipo_estacion,
+        municipio: primera.nombre_municipio,
+      },
       contaminante: {
-        id_variable: datos.id_variable_ambiental,
-        simbolo: datos.simbolo_contaminante,
-        unidades: datos.unidades,
+        id_variable: primera.id_variable_ambiental,
+        simbolo: primera.simbolo_contaminante,
+        unidades: primera.unidades,
         tiempo_exposicion: {
-          id: datos.id_exposicion,
-          horas: datos.tiempo_horas,
-          texto: datos.tiempo_exposicion_texto
+          id: primera.id_exposicion,
+          horas: primera.tiempo_horas,
+          texto: primera.tiempo_exposicion_texto
         }
       },
-      estadisticas: {
-        promedio: parseFloat(datos.promedio),
-        mediana: parseFloat(datos.mediana),
-        percentil_98: parseFloat(datos.percentil_98),
-        maximo: parseFloat(datos.maximo),
-        minimo: parseFloat(datos.minimo),
-        fecha_hora_maximo: datos.fecha_hora_maximo,
-        fecha_hora_minimo: datos.fecha_hora_minimo
+      norma: resumenNorma(idNorma),
+      total_anios: serie.length,
+      anios_ocultos: serieCompleta.length - serie.length,
+      serie: serie
+    };
+
+  } catch (error) {
+    console.error('Error al obtener serie histórica:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene las estaciones con su ubicación y su última clasificación (para GeoJSON)
+ * Con año: estaciones con mediciones ese año, ubicación vigente y clasificación de ese año.
+ * Sin año: todas las estaciones, su ubicación más reciente y su último año con datos.
+ * @param {number|null} anio - Año a consultar (opcional)
+ * @param {string} [idNorma] - Norma con la que se clasifica
+ */
+const getEstacionesGeo = async (anio = null, idNorma = normas.NORMA_POR_DEFECTO) => {
+  try {
+    const sql = `
+      WITH ubicaciones AS (
+        -- Ubicación vigente: la más reciente con año <= solicitado
+        SELECT DISTINCT ON (ue.id_estacion)
+          ue.id_estacion, ue.latitud, ue.longitud, ue.anio
+        FROM ubicaciones_estaciones ue
+        WHERE $1::int IS NULL OR ue.anio <= $1
+        ORDER BY ue.id_estacion, ue.anio DESC
+      ),
+      ultimo_anio AS (
+        -- Último año con mediciones (o el año solicitado)
+        SELECT med.id_estacion, MAX(med.anio) AS anio
+        FROM mediciones med
+        WHERE $1::int IS NULL OR med.anio <= $1
+        GROUP BY med.id_estacion
+      )
+      SELECT
+        e.id_estacion,
+        e.nombre_estacion,
+        e.tipo_estacion,
+        mun.id_municipio,
+        mun.nombre_municipio,
+        u.latitud,
+        u.longitud,
+        u.anio AS anio_ubicacion,
+        ua.anio AS anio_datos,
+        va.nombre_variable AS simbolo,
+        te.tiempo_horas,
+        m.promedio
+      FROM estaciones e
+      INNER JOIN municipios mun ON e.id_municipio = mun.id_municipio
+      INNER JOIN ubicaciones u ON e.id_estacion = u.id_estacion
+      INNER JOIN ultimo_anio ua ON e.id_estacion = ua.id_estacion
+      INNER JOIN mediciones m ON m.id_estacion = e.id_estacion AND m.anio = ua.anio
+      INNER JOIN tiempos_exposicion te ON m.id_exposicion = te.id_exposicion
+      INNER JOIN variables_ambientales va ON te.id_variable_ambiental = va.id_variable_ambiental
+      WHERE va.es_contaminante = true
+        AND ($1::int IS NULL OR ua.anio = $1)
+      ORDER BY e.nombre_estacion, va.nombre_variable, te.tiempo_horas;
+    `;
+
+    const resultado = await pool.query(sql, [anio]);
+
+    // Agrupar filas (una por contaminante/exposición) por estación
+    const estaciones = {};
+
+    resultado.rows.forEach(fila => {
+      if (!estaciones[fila.id_estacion]) {
+        estaciones[fila.id_estacion] = {
+          id_estacion: fila.id_estacion,
+          nombre_estacion: fila.nombre_estacion,
+          tipo_estacion: fila.tipo_estacion,
+          id_municipio: fila.id_municipio,
+          nombre_municipio: fila.nombre_municipio,
+          latitud: fila.latitud,
+          longitud: fila.longitud,
+          anio_ubicacion: fila.anio_ubicacion,
+          anio_datos: fila.anio_datos,
+          mediciones: []
+        };
+      }
+
+      estaciones[fila.id_estacion].mediciones.push({
+        contaminante: fila.simbolo,
+        tiempo_horas: fila.tiempo_horas,
+        promedio: parseFloat(fila.promedio),
+        clasificacion: clasificarCalidadAire(fila.simbolo, parseFloat(fila.promedio), fila.tiempo_horas, idNorma)
+      });
+    });
+
+    return Object.values(estaciones).map(est => {
+      const peor = peorClasificacion(est.mediciones);
+      return {
+        ...est,
+        contaminantes: [...new Set(est.mediciones.map(m => m.contaminante))],
+        clasificacion: peor ? peor.clasificacion : null,
+        contaminante_dominante: peor ? peor.contaminante : null
+      };
+    });
+
+  } catch (error) {
+    console.error('Error al obtener estaciones para GeoJSON:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene los municipios con su número de estaciones y rango de años con datos
+ */
+const getMunicipiosGeo = async () => {
+  try {
+    const sql = `
+      SELECT
+        m.id_municipio,
+        m.nombre_municipio,
+        m.latitud,
+        m.longitud,
+        COUNT(DISTINCT e.id_estacion) AS total_estaciones,
+        MIN(med.anio) AS anio_inicio,
+        MAX(med.anio) AS anio_fin
+      FROM municipios m
+      LEFT JOIN estaciones e ON m.id_municipio = e.id_municipio
+      LEFT JOIN mediciones med ON e.id_estacion = med.id_estacion
+      GROUP BY m.id_municipio, m.nombre_municipio, m.latitud, m.longitud
+      ORDER BY m.nombre_municipio;
+    `;
+
+    const resultado = await pool.query(sql);
+    return resultado.rows;
+
+  } catch (error) {
+    console.error('Error al obtener municipios para GeoJSON:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene el historial completo de ubicaciones de una estación
+ * Además de las filas por año, agrupa los años consecutivos en el mismo punto
+ * ("trayecto") para saber cuándo y cuánto se movió la estación.
+ * @param {number} idEstacion - ID de la estación
+ */
+const getUbicacionesPorEstacion = async (idEstacion) => {
+  try {
+    const sql = `
+      SELECT
+        e.id_estacion,
+        e.nombre_estacion,
+        mun.nombre_municipio,
+        ue.id_ubicacion,
+        ue.anio,
+        ue.latitud,
+        ue.longitud
+      FROM estaciones e
+      INNER JOIN municipios mun ON e.id_municipio = mun.id_municipio
+      INNER JOIN ubicaciones_estaciones ue ON e.id_estacion = ue.id_estacion
+      WHERE e.id_estacion = $1
+      ORDER BY ue.anio;
+    `;
+
+    const resultado = await pool.query(sql, [idEstacion]);
+
+    if (resultado.rows.length === 0) {
+      return null;
+    }
+
+    const ubicaciones = resultado.rows.map(fila => ({
+      id_ubicacion: fila.id_ubicacion,
+      anio: fila.anio,
+      latitud: parseFloat(fila.latitud),
+      longitud: parseFloat(fila.longitud)
+    }));
+
+    // Agrupar años consecutivos con las mismas coordenadas
+    const trayecto = [];
+    ubicaciones.forEach(ub => {
+      const ultimo = trayecto[trayecto.length - 1];
+      if (ultimo && ultimo.latitud === ub.latitud && ultimo.longitud === ub.longitud) {
+        ultimo.anio_fin = ub.anio;
+        return;
+      }
+      trayecto.push({
+        latitud: ub.latitud,
+        longitud: ub.longitud,
+        anio_inicio: ub.anio,
+        anio_fin: ub.anio,
+        distancia_km_desde_anterior: ultimo
+          ? parseFloat(distanciaHaversineKm(ultimo.latitud, ultimo.longitud, ub.latitud, ub.longitud).toFixed(3))
+          : null
+      });
+    });
+
+    const primera = resultado.rows[0];
+
+    return {
+      estacion: {
+        id: primera.id_estacion,
+        nombre: primera.nombre_estacion,
+        municipio: primera.nombre_municipio
       },
-      excedencias: {
-        dias_excendecias: datos.dias_excendecias,
-        excedencias_limite_actual: datos.excedencias_limite_actual,
-        porcentaje_excedencias: parseFloat(datos.porcentaje_excedencias)
+      se_ha_movido: trayecto.length > 1,
+      total_reubicaciones: trayecto.length - 1,
+      trayecto: trayecto,
+      ubicaciones: ubicaciones
+    };
+
+  } catch (error) {
+    console.error('Error al obtener ubicaciones de la estación:', error);
+    throw error;
+  }
+};
+
+/**
+ * Busca las estaciones más cercanas a un punto (distancia de haversine)
+ * Usa la ubicación vigente de cada estación en el año indicado; con año solo
+ * considera estaciones con mediciones ese año.
+ * @param {number} lat - Latitud del punto de búsqueda
+ * @param {number} lon - Longitud del punto de búsqueda
+ * @param {Object} opciones
+ * @param {number|null} [opciones.radioKm] - Radio máximo de búsqueda
+ * @param {number|null} [opciones.anio] - Año de referencia
+ * @param {number|null} [opciones.limite] - Máximo de estaciones a devolver
+ */
+const getEstacionesCercanas = async (lat, lon, { radioKm = null, anio = null, limite = null } = {}) => {
+  try {
+    const sql = `
+      WITH ubicaciones AS (
+        SELECT DISTINCT ON (ue.id_estacion)
+          ue.id_estacion, ue.id_ubicacion, ue.latitud, ue.longitud, ue.anio
+        FROM ubicaciones_estaciones ue
+        WHERE $1::int IS NULL OR ue.anio <= $1
+        ORDER BY ue.id_estacion, ue.anio DESC
+      )
+      SELECT
+        e.id_estacion,
+        e.nombre_estacion,
+        e.tipo_estacion,
+        mun.id_municipio,
+        mun.nombre_municipio,
+        u.id_ubicacion,
+        u.latitud,
+        u.longitud,
+        u.anio AS anio_ubicacion
+      FROM estaciones e
+      INNER JOIN municipios mun ON e.id_municipio = mun.id_municipio
+      INNER JOIN ubicaciones u ON e.id_estacion = u.id_estacion
+      WHERE $1::int IS NULL OR EXISTS (
+        SELECT 1 FROM mediciones med
+        WHERE med.id_estacion = e.id_estacion AND med.anio = $1
+      );
+    `;
+
+    const resultado = await pool.query(sql, [anio]);
+
+    let estaciones = resultado.rows
+      .map(est => ({
+        ...est,
+        distancia_km: parseFloat(
+          distanciaHaversineKm(lat, lon, parseFloat(est.latitud), parseFloat(est.longitud)).toFixed(3)
+        )
+      }))
+      .filter(est => radioKm === null || est.distancia_km <= radioKm)
+      .sort((a, b) => a.distancia_km - b.distancia_km);
+
+    if (limite !== null) {
+      estaciones = estaciones.slice(0, limite);
+    }
+
+    return estaciones;
+
+  } catch (error) {
+    console.error('Error al buscar estaciones cercanas:', error);
+    throw error;
+  }
+};
+
+/**
+ * Obtiene la medición de un contaminante en todas las estaciones para un año
+ * Incluye la ubicación vigente de cada estación en ese año (puede ser null).
+ * @param {string} simbolo - Símbolo del contaminante ('PM2.5', 'O3', ...)
+ * @param {number} tiempoHoras - Tiempo de exposición en horas
+ * @param {number} anio - Año a consultar
+ */
+const getMedicionesPorContaminanteYAnio = async (simbolo, tiempoHoras, anio) => {
+  try {
+    const sql = `
+      WITH ubicaciones_validas AS (
+        SELECT DISTINCT ON (ue.id_estacion)
+          ue.id_estacion, ue.latitud, ue.longitud, ue.anio
+        FROM ubicaciones_estaciones ue
+        WHERE ue.anio <= $3
+        ORDER BY ue.id_estacion, ue.anio DESC
+      )
+      SELECT DISTINCT ON (m.id_estacion)
+        m.id_medicion,
+        m.anio,
+        m.promedio,
+        m.mediana,
+        m.percentil_98,
+        m.maximo,
+        m.dias_excendecias,
+        m.no_datos,
+        m.representatividad_temporal,
+        e.id_estacion,
+        e.nombre_estacion,
+        e.tipo_estacion,
+        mun.id_municipio,
+        mun.nombre_municipio,
+        uv.latitud,
+        uv.longitud,
+        va.nombre_variable AS simbolo_contaminante,
+        va.unidades,
+        te.id_exposicion,
+        te.tiempo_horas
+      FROM mediciones m
+      INNER JOIN estaciones e ON m.id_estacion = e.id_estacion
+      INNER JOIN municipios mun ON e.id_municipio = mun.id_municipio
+      INNER JOIN tiempos_exposicion te ON m.id_exposicion = te.id_exposicion
+      INNER JOIN variables_ambientales va ON te.id_variable_ambiental = va.id_variable_ambiental
+      LEFT JOIN ubicaciones_validas uv ON e.id_estacion = uv.id_estacion
+      WHERE va.nombre_variable = $1
+        AND te.tiempo_horas = $2
+        AND m.anio = $3
+      ORDER BY m.id_estacion, m.id_medicion;
+    `;
+
+    const resultado = await pool.query(sql, [simbolo, tiempoHoras, anio]);
+
+    return resultado.rows.map(fila => ({
+      id_estacion: fila.id_estacion,
+      nombre_estacion: fila.nombre_estacion,
+      tipo_estacion: fila.tipo_estacion,
+      id_municipio: fila.id_municipio,
+      nombre_municipio: fila.nombre_municipio,
+      latitud: fila.latitud === null ? null : parseFloat(fila.latitud),
+      longitud: fila.longitud === null ? null : parseFloat(fila.longitud),
+      simbolo: fila.simbolo_contaminante,
+      unidades: fila.unidades,
+      id_exposicion: fila.id_exposicion,
+      tiempo_horas: fila.tiempo_horas,
+      anio: fila.anio,
+      promedio: parseFloat(fila.promedio),
+      mediana: parseFloat(fila.mediana),
+      percentil_98: parseFloat(fila.percentil_98),
+      maximo: parseFloat(fila.maximo),
+      dias_excendecias: fila.dias_excendecias,
+      no_datos: fila.no_datos,
+      representatividad_temporal: parseFloat(fila.representatividad_temporal),
+      calidad: evaluarCalidadDato(parseFloat(fila.representatividad_temporal), fila.no_datos)
+    }));
+
+  } catch (error) {
+    console.error('Error al obtener mediciones por contaminante y año:', error);
+    throw error;
+  }
+};
+
+/**
+ * Agrega por municipio el promedio anual de un contaminante (media de sus estaciones)
+ * @param {string} simbolo - Símbolo del contaminante
+ * @param {number} tiempoHoras - Tiempo de exposición en horas
+ * @param {number} anio - Año a consultar
+ * @param {string} [idNorma] - Norma con la que se clasifica el valor agregado
+ * @returns {Object} id_municipio -> { valor, maximo, total_estaciones, unidades, clasificacion }
+ */
+const getAgregadoMunicipal = async (simbolo, tiempoHoras, anio, idNorma = normas.NORMA_POR_DEFECTO) => {
+  const mediciones = await getMedicionesPorContaminanteYAnio(simbolo, tiempoHoras, anio);
+
+  const grupos = {};
+  mediciones
+    .filter(m => !isNaN(m.promedio))
+    .forEach(m => {
+      if (!grupos[m.id_municipio]) grupos[m.id_municipio] = [];
+      grupos[m.id_municipio].push(m);
+    });
+
+  const agregado = {};
+  Object.entries(grupos).forEach(([idMunicipio, estaciones]) => {
+    const promedios = estaciones.map(e => e.promedio);
+    const valor = promedios.reduce((suma, v) => suma + v, 0) / promedios.length;
+
+    agregado[idMunicipio] = {
+      valor: parseFloat(valor.toFixed(2)),
+      maximo: Math.max(...promedios),
+      total_estaciones: estaciones.length,
+      unidades: estaciones[0].unidades,
+      clasificacion: clasificarCalidadAire(simbolo, valor, tiempoHoras, idNorma)
+    };
+  });
+
+  return agregado;
+};
+
+/**
+ * Resumen de un municipio en un año: por cada contaminante y tiempo de exposición
+ * medido, número de estaciones, media de sus promedios, peor estación, total de
+ * días de excedencia y clasificación general.
+ * @param {number} idMunicipio - ID del municipio
+ * @param {number} anio - Año a consultar
+ * @param {string} [idNorma] - Norma de clasificación
+ * @returns {Object|null} null si el municipio no tiene mediciones ese año
+ */
+const getResumenMunicipio = async (idMunicipio, anio, idNorma = normas.NORMA_POR_DEFECTO) => {
+  try {
+    const sql = `
+      SELECT DISTINCT ON (med.id_estacion, med.id_exposicion)
+        m.id_municipio,
+        m.nombre_municipio,
+        e.id_estacion,
+        e.nombre_estacion,
+        med.promedio,
+        med.dias_excendecias,
+        med.representatividad_temporal,
+        va.nombre_variable AS simbolo_contaminante,
+        va.unidades,
+        te.id_exposicion,
+        te.tiempo_horas
+      FROM municipios m
+      INNER JOIN estaciones e ON m.id_municipio = e.id_municipio
+      INNER JOIN mediciones med ON e.id_estacion = med.id_estacion
+      INNER JOIN tiempos_exposicion te ON med.id_exposicion = te.id_exposicion
+      INNER JOIN variables_ambientales va ON te.id_variable_ambiental = va.id_variable_ambiental
+      WHERE m.id_municipio = $1
+        AND med.anio = $2
+        AND va.es_contaminante = true
+      ORDER BY med.id_estacion, med.id_exposicion, med.id_medicion;
+    `;
+
+    const resultado = await pool.query(sql, [idMunicipio, anio]);
+
+    if (resultado.rows.length === 0) {
+      return null;
+    }
+
+    // Agrupar las estaciones por contaminante/exposición
+    const grupos = {};
+    resultado.rows.forEach(fila => {
+      if (!grupos[fila.id_exposicion]) {
+        grupos[fila.id_exposicion] = {
+          simbolo: fila.simbolo_contaminante,
+          unidades: fila.unidades,
+          id_exposicion: fila.id_exposicion,
+          tiempo_horas: fila.tiempo_horas,
+          estaciones: []
+        };
+      }
+
+      const promedio = parseFloat(fila.promedio);
+      grupos[fila.id_exposicion].estaciones.push({
+        id_estacion: fila.id_estacion,
+        nombre_estacion: fila.nombre_estacion,
+        promedio: promedio,
+        dias_excendecias: fila.dias_excendecias,
+        calidad: evaluarCalidadDato(parseFloat(fila.representatividad_temporal)).estado,
+        clasificacion: clasificarCalidadAire(fila.simbolo_contaminante, promedio, fila.tiempo_horas, idNorma)
+      });
+    });
+
+    const contaminantes = Object.values(grupos)
+      .map(g => {
+        const conValor = g.estaciones.filter(e => !isNaN(e.promedio));
+        const media = conValor.length > 0
+          ? conValor.reduce((suma, e) => suma + e.promedio, 0) / conValor.length
+          : NaN;
+        const peor = conValor.reduce((max, e) => (!max || e.promedio > max.promedio ? e : max), null);
+
+        return {
+          contaminante: {
+            simbolo: g.simbolo,
+            unidades: g.unidades,
+            tiempo_exposicion: { id: g.id_exposicion, horas: g.tiempo_horas }
+          },
+          total_estaciones: g.estaciones.length,
+          promedio_estaciones: isNaN(media) ? null : parseFloat(media.toFixed(2)),
+          peor_estacion: peor,
+          dias_excendecias_total: g.estaciones.reduce((suma, e) => suma + (e.dias_excendecias || 0), 0),
+          clasificacion: clasificarCalidadAire(g.simbolo, media, g.tiempo_horas, idNorma)
+        };
+      })
+      .sort((a, b) =>
+        a.contaminante.simbolo.localeCompare(b.contaminante.simbolo) ||
+        a.contaminante.tiempo_exposicion.horas - b.contaminante.tiempo_exposicion.horas
+      );
+
+    const peorContaminante = peorClasificacion(contaminantes);
+
+    return {
+      municipio: {
+        id: resultado.rows[0].id_municipio,
+        nombre: resultado.rows[0].nombre_municipio
       },
-      calidad_datos: {
-        representatividad_temporal: parseFloat(datos.representatividad_temporal),
+      anio: anio,
+      norma: resumenNorma(idNorma),
+      total_estaciones: new Set(resultado.rows.map(f => f.id_estacion)).size,
+      total_contaminantes: contaminantes.length,
+      clasificacion_general: peorContaminante ? peorContaminante.clasificacion : null,
+      contaminante_dominante: peorContaminante ? peorContaminante.contaminante.simbolo : null,
+      contaminantes: contaminantes
+    };
+
+  } catch (error) {
+    console.error('Error al obtener el resumen del municipio:', error);
+    throw error;
+  }
+};
+
+/**
+ * Matriz de disponibilidad de datos: estación × año × contaminante, con la
+ * representatividad temporal de cada combinación que tiene medición.
+ * @param {number|null} [idMunicipio=null] - Limita a un municipio (null = todos)
+ * @returns {Object|null} null si no hay mediciones
+ */
+const getCoberturaDatos = async (idMunicipio = null) => {
+  try {
+    const sql = `
+      SELECT DISTINCT ON (med.id_estacion, med.anio, med.id_exposicion)
+        e.id_estacion,
+        e.nombre_estacion,
+        mun.id_municipio,
+        mun.nombre_municipio,
+        med.anio,
+        med.representatividad_temporal,
+        va.nombre_variable AS simbolo_contaminante,
+        te.id_exposicion,
+        te.tiempo_horas
+      FROM mediciones med
+      INNER JOIN estaciones e ON med.id_estacion = e.id_estacion
+      INNER JOIN municipios mun ON e.id_municipio = mun.id_municipio
+      INNER JOIN tiempos_exposicion te ON med.id_exposicion = te.id_exposicion
+      INNER JOIN variables_ambientales va ON te.id_variable_ambiental = va.id_variable_ambiental
+      WHERE ($1::int IS NULL OR e.id_municipio = $1)
+        AND va.es_contaminante = true
+      ORDER BY med.id_estacion, med.anio, med.id_exposicion, med.id_medicion;
+    `;
+
+    const resultado = await pool.query(sql, [idMunicipio]);
+
+    if (resultado.rows.length === 0) {
+      return null;
+    }
+
+    const anios = new Set();
+    const contaminantes = {};
+    const estaciones = {};
+
+    const celdas = resultado.rows.map(fila => {
+      anios.add(fila.anio);
+
+      if (!contaminantes[fila.id_exposicion]) {
+        contaminantes[fila.id_exposicion] = {
+          id_exposicion: fila.id_exposicion,
+          simbolo: fila.simbolo_contaminante,
+          tiempo_horas: fila.tiempo_horas
+        };
+      }
+
+      if (!estaciones[fila.id_estacion]) {
+        estaciones[fila.id_estacion] = {
+          id_estacion: fila.id_estacion,
+          nombre_estacion: fila.nombre_estacion,
+          id_municipio: fila.id_municipio,
+          nombre_municipio: fila.nombre_municipio
+        };
+      }
+
+      return {
+        id_estacion: fila.id_estacion,
+        anio: fila.anio,
+        id_exposicion: fila.id_exposicion,
+        representatividad_temporal: parseFloat(fila.representatividad_temporal),
+        calidad: evaluarCalidadDato(parseFloat(fila.representatividad_temporal)).estado
+      };
+    });
+
+    return {
+      municipio: idMunicipio === null ? null : {
+        id: resultado.rows[0].id_municipio,
+        nombre: resultado.rows[0].nombre_municipio
       },
-      clasificacion: clasificacion
+      anios: [...anios].sort((a, b) => a - b),
+      contaminantes: Object.values(contaminantes).sort((a, b) =>
+        a.simbolo.localeCompare(b.simbolo) || a.tiempo_horas - b.tiempo_horas
+      ),
+      estaciones: Object.values(estaciones).sort((a, b) =>
+        a.nombre_estacion.localeCompare(b.nombre_estacion)
+      ),
+      total_celdas: celdas.length,
+      celdas: celdas
     };
-    
+
   } catch (error) {
-    console.error('Error al obtener datos históricos:', error);
+    console.error('Error al obtener la cobertura de datos:', error);
     throw error;
   }
 };
 
+// Métricas por las que se puede ordenar el ranking -> campo de la medición
+const METRICAS_RANKING = {
+  promedio: 'promedio',
+  p98: 'percentil_98',
+  excedencias: 'dias_excendecias'
+};
+
+/**
+ * Indica si una métrica de ranking existe (sin aceptar claves heredadas como "constructor")
+ * @param {string} metrica
+ * @returns {boolean}
+ */
+const esMetricaRanking = (metrica) => Object.prototype.hasOwnProperty.call(METRICAS_RANKING, metrica);
+
+/**
+ * Ordena todas las estaciones (de todos los municipios) según una métrica
+ * de un contaminante en un año.
+ * @param {string} simbolo - Símbolo del contaminante
+ * @param {number} tiempoHoras - Tiempo de exposición en horas
+ * @param {number} anio - Año a consultar
+ * @param {Object} [opciones]
+ * @param {string} [opciones.metrica='promedio'] - Clave de METRICAS_RANKING
+ * @param {string} [opciones.orden='desc'] - 'desc' (peores primero) o 'asc' (mejores primero)
+ * @param {number|null} [opciones.limite=null] - Máximo de estaciones a devolver
+ * @param {string} [opciones.idNorma] - Norma con la que se clasifica el promedio
+ * @param {boolean} [opciones.soloValidos=false] - Omitir mediciones que no cumplen la regla del 75 %
+ * @returns {Object|null} null si ninguna estación midió el contaminante ese año
+ */
+const getRankingEstaciones = async (simbolo, tiempoHoras, anio, {
+  metrica = 'promedio', orden = 'desc', limite = null, idNorma = normas.NORMA_POR_DEFECTO, soloValidos = false
+} = {}) => {
+  const todas = await getMedicionesPorContaminanteYAnio(simbolo, tiempoHoras, anio);
+
+  if (todas.length === 0) {
+    return null;
+  }
+
+  const mediciones = soloValidos ? todas.filter(m => esValido(m.calidad)) : todas;
+
+  if (!esMetricaRanking(metrica)) {
+    throw new Error(`Métrica de ranking desconocida: ${metrica}`);
+  }
+  const campo = METRICAS_RANKING[metrica];
+  const signo = orden === 'asc' ? 1 : -1;
+
+  // Las estaciones sin valor en la métrica van siempre al final
+  const ordenadas = mediciones.slice().sort((a, b) => {
+    const va = a[campo];
+    const vb = b[campo];
+    const vacioA = va === null || isNaN(va);
+    const vacioB = vb === null || isNaN(vb);
+    if (vacioA && vacioB) return 0;
+    if (vacioA) return 1;
+    if (vacioB) return -1;
+    return signo * (va - vb);
+  });
+
+  const seleccion = limite ? ordenadas.slice(0, limite) : ordenadas;
+
+  return {
+    contaminante: simbolo,
+    unidades: todas[0].unidades,
+    tiempo_horas: tiempoHoras,
+    anio: anio,
+    metrica: metrica,
+    orden: orden,
+    norma: resumenNorma(idNorma),
+    total_estaciones: mediciones.length,
+    estaciones_ocultas: todas.length - mediciones.length,
+    ranking: seleccion.map((m, i) => ({
+      posicion: i + 1,
+      id_estacion: m.id_estacion,
+      nombre_estacion: m.nombre_estacion,
+      tipo_estacion: m.tipo_estacion,
+      id_municipio: m.id_municipio,
+      nombre_municipio: m.nombre_municipio,
+      latitud: m.latitud,
+      longitud: m.longitud,
+      valor: m[campo],
+      promedio: m.promedio,
+      percentil_98: m.percentil_98,
+      maximo: m.maximo,
+      dias_excendecias: m.dias_excendecias,
+      representatividad_temporal: m.representatividad_temporal,
+      calidad: m.calidad,
+      clasificacion: clasificarCalidadAire(simbolo, m.promedio, tiempoHoras, idNorma),
+      ica: calcularICA(simbolo, m.promedio, tiempoHoras)
+    }))
+  };
+};
+
+/**
+ * Obtiene en una sola consulta la clasificación de todas las estaciones para
+ * un contaminante en todos los años (para la línea de tiempo del mapa).
+ * Una estación aparece en un año solo si midió el contaminante ese año, con
+ * la ubicación vigente en ese momento.
+ * @param {string} simbolo - Símbolo del contaminante
+ * @param {number} tiempoHoras - Tiempo de exposición en horas
+ * @param {string} [idNorma] - Norma de clasificación
+ * @returns {Object|null} null si el contaminante no tiene mediciones
+ */
+const getLineaTiempoContaminante = async (simbolo, tiempoHoras, idNorma = normas.NORMA_POR_DEFECTO) => {
+  try {
+    const sql = `
+      WITH med AS (
+        SELECT DISTINCT ON (m.id_estacion, m.anio)
+          m.id_estacion, m.anio, m.promedio, m.representatividad_temporal, va.unidades
+        FROM mediciones m
+        INNER JOIN tiempos_exposicion te ON m.id_exposicion = te.id_exposicion
+        INNER JOIN variables_ambientales va ON te.id_variable_ambiental = va.id_variable_ambiental
+        WHERE va.nombre_variable = $1
+          AND te.tiempo_horas = $2
+        ORDER BY m.id_estacion, m.anio, m.id_medicion
+      )
+      SELECT
+        med.anio,
+        med.promedio,
+        med.representatividad_temporal,
+        med.unidades,
+        e.id_estacion,
+        e.nombre_estacion,
+        e.tipo_estacion,
+        mun.id_municipio,
+        mun.nombre_municipio,
+        u.latitud,
+        u.longitud
+      FROM med
+      INNER JOIN estaciones e ON med.id_estacion = e.id_estacion
+      INNER JOIN municipios mun ON e.id_municipio = mun.id_municipio
+      -- Ubicación vigente en el año de la medición
+      INNER JOIN LATERAL (
+        SELECT ue.latitud, ue.longitud
+        FROM ubicaciones_estaciones ue
+        WHERE ue.id_estacion = med.id_estacion
+          AND ue.anio <= med.anio
+        ORDER BY ue.anio DESC
+        LIMIT 1
+      ) u ON true
+      ORDER BY med.anio, e.nombre_estacion;
+    `;
+
+    const resultado = await pool.query(sql, [simbolo, tiempoHoras]);
+
+    if (resultado.rows.length === 0) {
+      return null;
+    }
+
+    const estaciones = {};
+    const porAnio = {};
+
+    resultado.rows.forEach(fila => {
+      if (!estaciones[fila.id_estacion]) {
+        estaciones[fila.id_estacion] = {
+          id_estacion: fila.id_estacion,
+          nombre_estacion: fila.nombre_estacion,
+          tipo_estacion: fila.tipo_estacion,
+          id_municipio: fila.id_municipio,
+          nombre_municipio: fila.nombre_municipio,
+          anio_inicio: fila.anio,
+          anio_fin: fila.anio
+        };
+      }
+      // Las filas vienen ordenadas por año: la última vista es la más reciente
+      estaciones[fila.id_estacion].anio_fin = fila.anio;
+
+      const promedio = parseFloat(fila.promedio);
+      const { nivel, color } = clasificarCalidadAire(simbolo, promedio, tiempoHoras, idNorma);
+
+      if (!porAnio[fila.anio]) porAnio[fila.anio] = [];
+      porAnio[fila.anio].push({
+        id_estacion: fila.id_estacion,
+        latitud: parseFloat(fila.latitud),
+        longitud: parseFloat(fila.longitud),
+        promedio: promedio,
+        clasificacion: { nivel, color },
+        calidad: evaluarCalidadDato(parseFloat(fila.representatividad_temporal)).estado
+      });
+    });
+
+    return {
+      contaminante: simbolo,
+      unidades: resultado.rows[0].unidades,
+      tiempo_horas: tiempoHoras,
+      norma: resumenNorma(idNorma),
+      anios: Object.keys(porAnio).map(Number),
+      estaciones: Object.values(estaciones),
+      por_anio: porAnio
+    };
+
+  } catch (error) {
+    console.error('Error al obtener la línea de tiempo:', error);
+    throw error;
+  }
+};
+
+/**
+ * Calcula la diferencia entre dos valores (B - A) y su cambio porcentual respecto a A
+ * @param {number} valorA
+ * @param {number} valorB
+ * @returns {{a: number|null, b: number|null, diferencia: number|null, cambio_porcentual: number|null}}
+ */
+function diferenciaEntre(valorA, valorB) {
+  const a = valorA === null || valorA === undefined || isNaN(valorA) ? null : Number(valorA);
+  const b = valorB === null || valorB === undefined || isNaN(valorB) ? null : Number(valorB);
+
+  if (a === null || b === null) {
+    return { a, b, diferencia: null, cambio_porcentual: null };
+  }
+
+  return {
+    a,
+    b,
+    diferencia: parseFloat((b - a).toFixed(2)),
+    // Sin base (A = 0) el porcentaje no está definido
+    cambio_porcentual: a === 0 ? null : parseFloat((((b - a) / a) * 100).toFixed(1))
+  };
+}
+
+/**
+ * Compara dos respuestas de getDatosHistoricosPorContaminante (A como referencia)
+ * @param {Object} datosA
+ * @param {Object} datosB
+ * @returns {Object} Diferencias de promedio, percentil 98 y días de excedencia
+ */
+function compararDatosHistoricos(datosA, datosB) {
+  return {
+    promedio: diferenciaEntre(datosA.estadisticas.promedio, datosB.estadisticas.promedio),
+    percentil_98: diferenciaEntre(datosA.estadisticas.percentil_98, datosB.estadisticas.percentil_98),
+    dias_excendecias: diferenciaEntre(datosA.excedencias.dias_excendecias, datosB.excedencias.dias_excendecias)
+  };
+}
+
 // ==========================================================================
 // EXPORTACIÓN DEL MÓDULO
 // ==========================================================================
@@ -574,11 +1664,29 @@ const getDatosHistoricosPorContaminante = async (idEstacion, anio, idExposicion)
 //Interfaz pública del módulo de base de datos, usada en otros archivos
 module.exports = {
   query,
+  obtenerCliente,
+  cerrarConexion,
   getMunicipios,
   getEstacionesPorMunicipio,
   getDiccionario,
   getAniosPorMunicipio,
   getEstacionesPorMunicipioYAnio,
   getContaminantesPorEstacionYAnio,
-  getDatosHistoricosPorContaminante
+  getDatosHistoricosPorContaminante,
+  getReporteEstacion,
+  getSerieHistoricaPorContaminante,
+  getEstacionesGeo,
+  getMunicipiosGeo,
+  getUbicacionesPorEstacion,
+  getEstacionesCercanas,
+  getMedicionesPorContaminanteYAnio,
+  METRICAS_RANKING,
+  esMetricaRanking,
+  getRankingEstaciones,
+  compararDatosHistoricos,
+  getLineaTiempoContaminante,
+  getAgregadoMunicipal,
+  getResumenMunicipio,
+  getCoberturaDatos,
+  clasificarCalidadAire
 };
@@ -0,0 +1,73 @@
+/* ==========================================================================
+   AIRSENSE - BANDERAS DE CALIDAD DE LOS DATOS
+   ==========================================================================
+ * Marca cada medición anual según su representatividad temporal, siguiendo
+ * la regla del 75 % del Protocolo para el Monitoreo y Seguimiento de la
+ * Calidad del Aire (MAVDT, 2010): un estadístico anual solo es válido para
+ * compararlo con la norma si cubre al menos el 75 % del periodo.
+ *
+ *   >= 75 %        -> valido
+ *   50 % a < 75 %  -> baja_representatividad (solo indicativo)
+ *   < 50 % o vacío -> insuficiente
+ */
+
+const UMBRAL_VALIDO = 75;
+const UMBRAL_INSUFICIENTE = 50;
+
+const FUENTE = "Protocolo de Monitoreo y Seguimiento de la Calidad del Aire (MAVDT, 2010)";
+
+const ESTADOS = {
+  valido: {
+    etiqueta: "Válido",
+    descripcion: `Cubre al menos el ${UMBRAL_VALIDO} % del periodo: comparable con la norma`
+  },
+  baja_representatividad: {
+    etiqueta: "Baja representatividad",
+    descripcion: `Cubre menos del ${UMBRAL_VALIDO} % del periodo: úselo solo como referencia`
+  },
+  insuficiente: {
+    etiqueta: "Insuficiente",
+    descripcion: `Cubre menos del ${UMBRAL_INSUFICIENTE} % del periodo o no reporta representatividad`
+  }
+};
+
+/**
+ * Evalúa la calidad de una medición anual
+ * @param {number} representatividad - Representatividad temporal (%)
+ * @param {number|null} [noDatos] - Registros sin dato reportados por la estación
+ * @returns {{estado: string, etiqueta: string, descripcion: string, representatividad_temporal: number|null,
+ *            no_datos: number|null, umbral_valido: number, fuente: string}}
+ */
+function evaluarCalidadDato(representatividad, noDatos = null) {
+  const rep = representatividad === null || representatividad === undefined || isNaN(representatividad)
+    ? null
+    : Number(representatividad);
+
+  let estado = "insuficiente";
+  if (rep !== null && rep >= UMBRAL_VALIDO) estado = "valido";
+  else if (rep !== null && rep >= UMBRAL_INSUFICIENTE) estado = "baja_representatividad";
+
+  return {
+    estado,
+    ...ESTADOS[estado],
+    representatividad_temporal: rep,
+    no_datos: noDatos === undefined ? null : noDatos,
+    umbral_valido: UMBRAL_VALIDO,
+    fuente: FUENTE
+  };
+}
+
+/**
+ * Indica si una medición cumple la regla del 75 %
+ * @param {{estado: string}} calidad - Resultado de evaluarCalidadDato
+ */
+function esValido(calidad) {
+  return Boolean(calidad) && calidad.estado === "valido";
+}
+
+module.exports = {
+  UMBRAL_VALIDO,
+  UMBRAL_INSUFICIENTE,
+  evaluarCalidadDato,
+  esValido
+};
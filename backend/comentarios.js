@@ -0,0 +1,225 @@
+/* ==========================================================================
+   AIRSENSE - COMENTARIOS SOBRE LAS ESTACIONES (ACCESO A DATOS)
+   ==========================================================================
+ * Observaciones de los usuarios que ayudan a interpretar los datos ("abrieron
+ * una fábrica cerca en 2018", "había una obra al lado de la estación").
+ * Cada comentario va ligado a una estación y, si se quiere, a un año y a un
+ * contaminante; sin año o sin contaminante aplica a todos.
+ *
+ * Ciclo de moderación:
+ *   pendiente -> aprobado | rechazado
+ * Solo los aprobados son públicos; el autor ve también los suyos pendientes
+ * o rechazados. Lo que publica un moderador o admin se aprueba de una vez.
+ */
+
+const db = require("./basedatos");
+const usuarios = require("./usuarios");
+
+const ESTADOS = ["pendiente", "aprobado", "rechazado"];
+const TEXTO_MIN = 3;
+const TEXTO_MAX = 1000;
+
+// Código de PostgreSQL para una clave foránea inexistente
+const ERROR_CLAVE_FORANEA = "23503";
+
+let tablaLista = null;
+
+/**
+ * Crea la tabla si no existe (una sola vez por proceso)
+ */
+function prepararTabla() {
+  if (!tablaLista) {
+    tablaLista = usuarios.prepararTablas()
+      .then(() => db.query(`
+        CREATE TABLE IF NOT EXISTS comentarios (
+          id_comentario SERIAL PRIMARY KEY,
+          id_estacion INTEGER NOT NULL REFERENCES estaciones (id_estacion) ON DELETE CASCADE,
+          anio INTEGER,
+          contaminante VARCHAR(30),
+          id_usuario INTEGER NOT NULL REFERENCES usuarios (id_usuario) ON DELETE CASCADE,
+          texto TEXT NOT NULL,
+          estado VARCHAR(20) NOT NULL DEFAULT 'pendiente'
+            CHECK (estado IN (${ESTADOS.map(e => `'${e}'`).join(", ")})),
+          motivo_moderacion TEXT,
+          moderado_por INTEGER REFERENCES usuarios (id_usuario) ON DELETE SET NULL,
+          moderado_en TIMESTAMPTZ,
+          creado_en TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_comentarios_estacion ON comentarios (id_estacion, estado);
+        CREATE INDEX IF NOT EXISTS idx_comentarios_estado ON comentarios (estado, creado_en);
+      `))
+      .catch(error => {
+        tablaLista = null; // se reintenta en la próxima consulta
+        throw error;
+      });
+  }
+  return tablaLista;
+}
+
+// Columnas comunes de las consultas (alias c = comentarios, u = autor)
+const COLUMNAS = `
+  c.id_comentario, c.id_estacion, c.anio, c.contaminante, c.texto, c.estado,
+  c.motivo_moderacion, c.creado_en, c.moderado_en,
+  c.id_usuario, u.nombre AS nombre_autor
+`;
+
+/**
+ * Da la forma de la respuesta de la API a una fila
+ */
+function formatearComentario(fila) {
+  const { id_usuario, nombre_autor, ...comentario } = fila;
+  return { ...comentario, autor: { id_usuario, nombre: nombre_autor } };
+}
+
+// ==========================================================================
+// CONSULTAS
+// ==========================================================================
+
+/**
+ * Comentarios de una estación que aplican a un año y contaminante
+ * (incluye los generales, sin año o sin contaminante)
+ * @param {number} idEstacion
+ * @param {Object} [filtros]
+ * @param {number|null} [filtros.anio]
+ * @param {string|null} [filtros.contaminante]
+ * @param {number|null} [filtros.idUsuario] - Si se indica, agrega los no aprobados de ese autor
+ * @returns {Promise<Array<Object>>} Del más antiguo al más reciente
+ */
+async function getComentariosEstacion(idEstacion, { anio = null, contaminante = null, idUsuario = null } = {}) {
+  await prepararTabla();
+  const resultado = await db.query(
+    `SELECT ${COLUMNAS}
+     FROM comentarios c
+     INNER JOIN usuarios u ON u.id_usuario = c.id_usuario
+     WHERE c.id_estacion = $1
+       AND ($2::int IS NULL OR c.anio IS NULL OR c.anio = $2)
+       AND ($3::text IS NULL OR c.contaminante IS NULL OR UPPER(c.contaminante) = UPPER($3))
+       AND (c.estado = 'aprobado' OR c.id_usuario = $4)
+     ORDER BY c.creado_en, c.id_comentario`,
+    [idEstacion, anio, contaminante, idUsuario]
+  );
+  return resultado.rows.map(formatearComentario);
+}
+
+/**
+ * Un comentario por id
+ * @param {number} idComentario
+ * @returns {Promise<Object|null>}
+ */
+async function getComentario(idComentario) {
+  await prepararTabla();
+  const resultado = await db.query(
+    `SELECT ${COLUMNAS}
+     FROM comentarios c
+     INNER JOIN usuarios u ON u.id_usuario = c.id_usuario
+     WHERE c.id_comentario = $1`,
+    [idComentario]
+  );
+  return resultado.rows.length ? formatearComentario(resultado.rows[0]) : null;
+}
+
+/**
+ * Cola de moderación: comentarios en un estado, con la estación y el correo del autor
+ * @param {string} [estado="pendiente"] - Uno de ESTADOS
+ * @param {number} [limite=50]
+ * @returns {Promise<Array<Object>>} Los más antiguos primero (orden de llegada)
+ */
+async function getComentariosPorEstado(estado = "pendiente", limite = 50) {
+  await prepararTabla();
+  const resultado = await db.query(
+    `SELECT ${COLUMNAS}, u.correo AS correo_autor, e.nombre_estacion
+     FROM comentarios c
+     INNER JOIN usuarios u ON u.id_usuario = c.id_usuario
+     INNER JOIN estaciones e ON e.id_estacion = c.id_estacion
+     WHERE c.estado = $1
+     ORDER BY c.creado_en, c.id_comentario
+     LIMIT $2`,
+    [estado, limite]
+  );
+  return resultado.rows.map(({ correo_autor, ...fila }) => {
+    const comentario = formatearComentario(fila);
+    comentario.autor.correo = correo_autor;
+    return comentario;
+  });
+}
+
+// ==========================================================================
+// ESCRITURA
+// ==========================================================================
+
+/**
+ * Guarda un comentario
+ * @param {Object} datos
+ * @param {number} datos.idEstacion
+ * @param {number|null} datos.anio
+ * @param {string|null} datos.contaminante
+ * @param {number} datos.idUsuario
+ * @param {string} datos.texto
+ * @param {boolean} [datos.aprobado=false] - true para publicarlo sin pasar por la cola
+ * @returns {Promise<Object|null>} null si la estación no existe
+ */
+async function crearComentario({ idEstacion, anio, contaminante, idUsuario, texto, aprobado = false }) {
+  await prepararTabla();
+
+  try {
+    const resultado = await db.query(
+      `INSERT INTO comentarios (id_estacion, anio, contaminante, id_usuario, texto, estado, moderado_por, moderado_en)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id_comentario`,
+      [
+        idEstacion, anio, contaminante, idUsuario, texto,
+        aprobado ? "aprobado" : "pendiente",
+        aprobado ? idUsuario : null,
+        aprobado ? new Date() : null
+      ]
+    );
+    return getComentario(resultado.rows[0].id_comentario);
+  } catch (error) {
+    if (error.code === ERROR_CLAVE_FORANEA) return null;
+    throw error;
+  }
+}
+
+/**
+ * Aprueba o rechaza un comentario
+ * @param {number} idComentario
+ * @param {"aprobado"|"rechazado"} estado
+ * @param {string|null} motivo - Se muestra al autor si se rechaza
+ * @param {number} idModerador
+ * @returns {Promise<Object|null>} null si no existe
+ */
+async function moderarComentario(idComentario, estado, motivo, idModerador) {
+  await prepararTabla();
+  const resultado = await db.query(
+    `UPDATE comentarios
+     SET estado = $2, motivo_moderacion = $3, moderado_por = $4, moderado_en = NOW()
+     WHERE id_comentario = $1
+     RETURNING id_comentario`,
+    [idComentario, estado, motivo, idModerador]
+  );
+  return resultado.rows.length ? getComentario(idComentario) : null;
+}
+
+/**
+ * Borra un comentario
+ * @param {number} idComentario
+ * @returns {Promise<boolean>} false si no existía
+ */
+async function eliminarComentario(idComentario) {
+  await prepararTabla();
+  const resultado = await db.query("DELETE FROM comentarios WHERE id_comentario = $1", [idComentario]);
+  return resultado.rowCount > 0;
+}
+
+module.exports = {
+  ESTADOS,
+  TEXTO_MIN,
+  TEXTO_MAX,
+  getComentariosEstacion,
+  getComentario,
+  getComentariosPorEstado,
+  crearComentario,
+  moderarComentario,
+  eliminarComentario
+};
@@ -0,0 +1,120 @@
+/* ==========================================================================
+   AIRSENSE - ENVÍO DE CORREOS
+   ==========================================================================
+ * Los correos (verificación de cuenta, restablecer contraseña) se entregan
+ * a través de un "transporte" intercambiable, elegido con CORREO_TRANSPORTE:
+ *
+ *   archivo  (por defecto fuera de producción) agrega cada mensaje a
+ *            CORREO_ARCHIVO, para desarrollo: los enlaces se copian de ahí.
+ *   consola  imprime el mensaje en la terminal del servidor.
+ *
+ * Para producción se registra otro transporte (SMTP, API de un proveedor...)
+ * con registrarTransporte("smtp", async (mensaje) => {...}) y se activa con
+ * CORREO_TRANSPORTE=smtp. Con NODE_ENV=production no hay transporte por
+ * defecto: sin CORREO_TRANSPORTE no se envía ningún correo (enviarCorreo
+ * falla), para que los enlaces no terminen en un archivo del servidor.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const RUTA_BUZON = process.env.CORREO_ARCHIVO || path.join(__dirname, "datos", "correos_enviados.log");
+const REMITENTE = process.env.CORREO_REMITENTE || "AirSense <no-responder@airsense.local>";
+
+/**
+ * Da formato de texto plano a un mensaje
+ * @param {{de: string, para: string, asunto: string, texto: string, fecha: Date}} mensaje
+ */
+function formatearMensaje({ de, para, asunto, texto, fecha }) {
+  return [
+    `Fecha: ${fecha.toISOString()}`,
+    `De: ${de}`,
+    `Para: ${para}`,
+    `Asunto: ${asunto}`,
+    "",
+    texto,
+    "",
+    "=".repeat(74),
+    ""
+  ].join("\n");
+}
+
+// ==========================================================================
+// TRANSPORTES
+// ==========================================================================
+
+const TRANSPORTES = {
+  archivo: async (mensaje) => {
+    await fs.promises.mkdir(path.dirname(RUTA_BUZON), { recursive: true });
+    await fs.promises.appendFile(RUTA_BUZON, formatearMensaje(mensaje), "utf8");
+    console.log(`✉️ Correo para ${mensaje.para} guardado en ${RUTA_BUZON}`);
+  },
+
+  consola: async (mensaje) => {
+    console.log(`✉️ Correo (no enviado, solo consola):\n${formatearMensaje(mensaje)}`);
+  }
+};
+
+// null = ninguno configurado (producción sin CORREO_TRANSPORTE)
+let transporteActivo = process.env.CORREO_TRANSPORTE ||
+  (process.env.NODE_ENV === "production" ? null : "archivo");
+
+/**
+ * Indica si hay un transporte elegido para enviar correos
+ * @returns {boolean}
+ */
+function hayTransporte() {
+  return transporteActivo !== null;
+}
+
+/**
+ * Agrega un transporte (o reemplaza uno existente)
+ * @param {string} nombre
+ * @param {function(Object): Promise<void>} enviar - Recibe {de, para, asunto, texto, fecha}
+ */
+function registrarTransporte(nombre, enviar) {
+  TRANSPORTES[nombre] = enviar;
+}
+
+/**
+ * Cambia el transporte con el que se envían los correos
+ * @param {string} nombre
+ */
+function usarTransporte(nombre) {
+  if (!TRANSPORTES[nombre]) {
+    throw new Error(`Transporte de correo desconocido: ${nombre}`);
+  }
+  transporteActivo = nombre;
+}
+
+// ==========================================================================
+// ENVÍO
+// ==========================================================================
+
+/**
+ * Envía un correo con el transporte activo
+ * @param {Object} datos
+ * @param {string} datos.para - Dirección del destinatario.
+ * @param {string} datos.asunto
+ * @param {string} datos.texto - Cuerpo en texto plano.
+ */
+async function enviarCorreo({ para, asunto, texto }) {
+  if (!hayTransporte()) {
+    throw new Error("No hay transporte de correo: defina CORREO_TRANSPORTE (obligatorio con NODE_ENV=production)");
+  }
+
+  const enviar = TRANSPORTES[transporteActivo];
+  if (!enviar) {
+    throw new Error(`Transporte de correo desconocido: ${transporteActivo}`);
+  }
+
+  await enviar({ de: REMITENTE, para, asunto, texto, fecha: new Date() });
+}
+
+module.exports = {
+  RUTA_BUZON,
+  registrarTransporte,
+  usarTransporte,
+  hayTransporte,
+  enviarCorreo
+};
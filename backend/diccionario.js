@@ -0,0 +1,336 @@
+/* ==========================================================================
+   AIRSENSE - ADMINISTRACIÓN DEL DICCIONARIO DE CONTAMINANTES
+   ==========================================================================
+ * Alta, edición, orden y desactivación de las fichas de la tabla
+ * diccionario_contaminantes (el panel público solo lee las activas con
+ * db.getDiccionario). No se borran fichas: se desactivan con activo = false.
+ *
+ * Cada cambio queda en diccionario_historial con quién lo hizo y, por
+ * campo, el valor anterior y el nuevo: { campo: { antes, despues } }.
+ */
+
+const db = require("./basedatos");
+const usuarios = require("./usuarios");
+
+// Campos de texto editables y su longitud máxima
+const CAMPOS_TEXTO = {
+  simbolo: 30,
+  nombre: 120,
+  que_es: 3000,
+  causas: 3000,
+  consecuencias: 3000
+};
+
+const ACCIONES = ["creacion", "edicion", "orden"];
+
+// #RGB o #RRGGBB
+const PATRON_COLOR_HEX = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+let tablaLista = null;
+
+/**
+ * Crea la tabla del historial si no existe (una sola vez por proceso)
+ */
+function prepararTabla() {
+  if (!tablaLista) {
+    tablaLista = usuarios.prepararTablas()
+      .then(() => db.query(`
+        CREATE TABLE IF NOT EXISTS diccionario_historial (
+          id_historial SERIAL PRIMARY KEY,
+          id_contaminante INTEGER NOT NULL
+            REFERENCES diccionario_contaminantes (id_contaminante) ON DELETE CASCADE,
+          id_usuario INTEGER REFERENCES usuarios (id_usuario) ON DELETE SET NULL,
+          accion VARCHAR(20) NOT NULL
+            CHECK (accion IN (${ACCIONES.map(a => `'${a}'`).join(", ")})),
+          cambios JSONB NOT NULL,
+          creado_en TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_diccionario_historial
+          ON diccionario_historial (id_contaminante, creado_en);
+      `))
+      .catch(error => {
+        tablaLista = null; // se reintenta en la próxima consulta
+        throw error;
+      });
+  }
+  return tablaLista;
+}
+
+const COLUMNAS = `
+  id_contaminante AS id, simbolo, nombre, que_es, causas, consecuencias,
+  color_hex, orden_visualizacion, activo
+`;
+
+// ==========================================================================
+// VALIDACIÓN
+// ==========================================================================
+
+/**
+ * Normaliza un color a "#RRGGBB" en mayúsculas
+ * @param {string} color
+ * @returns {string|null} null si no es un color hexadecimal válido
+ */
+function normalizarColor(color) {
+  const texto = String(color || "").trim();
+  if (!PATRON_COLOR_HEX.test(texto)) return null;
+
+  const digitos = texto.slice(1);
+  const completo = digitos.length === 3
+    ? digitos.split("").map(d => d + d).join("")
+    : digitos;
+  return `#${completo.toUpperCase()}`;
+}
+
+/**
+ * Valida el cuerpo de una petición de alta o edición
+ * @param {Object} cuerpo
+ * @param {boolean} [parcial=false] - true en ediciones: solo se revisan los campos enviados
+ * @returns {{datos: Object|null, error: string|null}} Campos normalizados listos para guardar
+ */
+function validarEntrada(cuerpo, parcial = false) {
+  const datos = {};
+  cuerpo = cuerpo || {};
+
+  for (const [campo, maximo] of Object.entries(CAMPOS_TEXTO)) {
+    if (cuerpo[campo] === undefined && parcial) continue;
+
+    const valor = typeof cuerpo[campo] === "string" ? cuerpo[campo].trim() : "";
+    if (!valor) {
+      return { datos: null, error: `El campo "${campo}" es obligatorio` };
+    }
+    if (valor.length > maximo) {
+      return { datos: null, error: `El campo "${campo}" no puede superar ${maximo} caracteres` };
+    }
+    datos[campo] = valor;
+  }
+
+  if (cuerpo.color_hex !== undefined || !parcial) {
+    const color = normalizarColor(cuerpo.color_hex);
+    if (!color) {
+      return { datos: null, error: 'El color debe ser hexadecimal, como "#1B5649"' };
+    }
+    datos.color_hex = color;
+  }
+
+  if (cuerpo.activo !== undefined) {
+    if (typeof cuerpo.activo !== "boolean") {
+      return { datos: null, error: 'El campo "activo" debe ser true o false' };
+    }
+    datos.activo = cuerpo.activo;
+  }
+
+  if (parcial && Object.keys(datos).length === 0) {
+    return { datos: null, error: "No se envió ningún campo para modificar" };
+  }
+
+  return { datos, error: null };
+}
+
+// ==========================================================================
+// CONSULTAS
+// ==========================================================================
+
+/**
+ * Todas las fichas, incluidas las inactivas, en el orden de visualización
+ * @returns {Promise<Array<Object>>}
+ */
+async function getEntradas() {
+  const resultado = await db.query(
+    `SELECT ${COLUMNAS} FROM diccionario_contaminantes
+     ORDER BY orden_visualizacion, id_contaminante`
+  );
+  return resultado.rows;
+}
+
+/**
+ * Una ficha por id
+ * @param {number} idContaminante
+ * @returns {Promise<Object|null>}
+ */
+async function getEntrada(idContaminante) {
+  const resultado = await db.query(
+    `SELECT ${COLUMNAS} FROM diccionario_contaminantes WHERE id_contaminante = $1`,
+    [idContaminante]
+  );
+  return resultado.rows[0] || null;
+}
+
+/**
+ * Indica si otro contaminante ya usa un símbolo (sin distinguir mayúsculas)
+ * @param {string} simbolo
+ * @param {number|null} [excluirId] - La ficha que se está editando
+ * @returns {Promise<boolean>}
+ */
+async function existeSimbolo(simbolo, excluirId = null) {
+  const resultado = await db.query(
+    `SELECT 1 FROM diccionario_contaminantes
+     WHERE UPPER(simbolo) = UPPER($1) AND ($2::int IS NULL OR id_contaminante <> $2)`,
+    [simbolo, excluirId]
+  );
+  return resultado.rows.length > 0;
+}
+
+/**
+ * Historial de cambios de una ficha, del más reciente al más antiguo
+ * @param {number} idContaminante
+ * @param {number} [limite=50]
+ * @returns {Promise<Array<Object>>} Con el nombre de quien hizo el cambio (null si se borró su cuenta)
+ */
+async function getHistorial(idContaminante, limite = 50) {
+  await prepararTabla();
+  const resultado = await db.query(
+    `SELECT h.id_historial, h.accion, h.cambios, h.creado_en, u.nombre AS nombre_usuario
+     FROM diccionario_historial h
+     LEFT JOIN usuarios u ON u.id_usuario = h.id_usuario
+     WHERE h.id_contaminante = $1
+     ORDER BY h.creado_en DESC, h.id_historial DESC
+     LIMIT $2`,
+    [idContaminante, limite]
+  );
+  return resultado.rows;
+}
+
+// ==========================================================================
+// ESCRITURA (cada operación en una transacción junto con su historial)
+// ==========================================================================
+
+/**
+ * Ejecuta una función dentro de una transacción
+ * @param {function(import("pg").PoolClient): Promise<*>} accion
+ */
+async function enTransaccion(accion) {
+  await prepararTabla();
+  const cliente = await db.obtenerCliente();
+
+  try {
+    await cliente.query("BEGIN");
+    const resultado = await accion(cliente);
+    await cliente.query("COMMIT");
+    return resultado;
+  } catch (error) {
+    await cliente.query("ROLLBACK").catch(() => {});
+    throw error;
+  } finally {
+    cliente.release();
+  }
+}
+
+function registrarHistorial(cliente, idContaminante, idUsuario, accion, cambios) {
+  return cliente.query(
+    `INSERT INTO diccionario_historial (id_contaminante, id_usuario, accion, cambios)
+     VALUES ($1, $2, $3, $4)`,
+    [idContaminante, idUsuario, accion, JSON.stringify(cambios)]
+  );
+}
+
+/**
+ * Crea una ficha al final del orden de visualización
+ * @param {Object} datos - Resultado de validarEntrada
+ * @param {number} idUsuario - Quién la crea
+ * @returns {Promise<Object>} La ficha creada
+ */
+async function crearEntrada(datos, idUsuario) {
+  return enTransaccion(async (cliente) => {
+    const { simbolo, nombre, que_es, causas, consecuencias, color_hex, activo = true } = datos;
+    const resultado = await cliente.query(
+      `INSERT INTO diccionario_contaminantes
+         (simbolo, nombre, que_es, causas, consecuencias, color_hex, activo, orden_visualizacion)
+       VALUES ($1, $2, $3, $4, $5, $6, $7,
+         (SELECT COALESCE(MAX(orden_visualizacion), 0) + 1 FROM diccionario_contaminantes))
+       RETURNING ${COLUMNAS}`,
+      [simbolo, nombre, que_es, causas, consecuencias, color_hex, activo]
+    );
+    const entrada = resultado.rows[0];
+
+    const cambios = {};
+    for (const campo of [...Object.keys(CAMPOS_TEXTO), "color_hex", "activo", "orden_visualizacion"]) {
+      cambios[campo] = { antes: null, despues: entrada[campo] };
+    }
+    await registrarHistorial(cliente, entrada.id, idUsuario, "creacion", cambios);
+
+    return entrada;
+  });
+}
+
+/**
+ * Modifica una ficha (también sirve para desactivarla o reactivarla).
+ * Solo se guardan y registran los campos que cambiaron de verdad.
+ * @param {number} idContaminante
+ * @param {Object} datos - Resultado de validarEntrada(cuerpo, true)
+ * @param {number} idUsuario
+ * @returns {Promise<Object|null>} La ficha actualizada, o null si no existe
+ */
+async function actualizarEntrada(idContaminante, datos, idUsuario) {
+  return enTransaccion(async (cliente) => {
+    const actual = await cliente.query(
+      `SELECT ${COLUMNAS} FROM diccionario_contaminantes WHERE id_contaminante = $1 FOR UPDATE`,
+      [idContaminante]
+    );
+    if (!actual.rows.length) return null;
+
+    const anterior = actual.rows[0];
+    const cambios = {};
+    for (const [campo, valor] of Object.entries(datos)) {
+      if (anterior[campo] !== valor) {
+        cambios[campo] = { antes: anterior[campo], despues: valor };
+      }
+    }
+
+    const campos = Object.keys(cambios);
+    if (campos.length === 0) return anterior;
+
+    const resultado = await cliente.query(
+      `UPDATE diccionario_contaminantes
+       SET ${campos.map((campo, i) => `${campo} = $${i + 2}`).join(", ")}
+       WHERE id_contaminante = $1
+       RETURNING ${COLUMNAS}`,
+      [idContaminante, ...campos.map(campo => cambios[campo].despues)]
+    );
+    await registrarHistorial(cliente, idContaminante, idUsuario, "edicion", cambios);
+
+    return resultado.rows[0];
+  });
+}
+
+/**
+ * Cambia el orden de visualización
+ * @param {Array<number>} ids - Todos los id_contaminante, en el orden deseado
+ * @param {number} idUsuario
+ * @returns {Promise<Array<Object>>} Las fichas en el nuevo orden
+ */
+async function reordenarEntradas(ids, idUsuario) {
+  await enTransaccion(async (cliente) => {
+    const actual = await cliente.query(
+      `SELECT id_contaminante, orden_visualizacion FROM diccionario_contaminantes FOR UPDATE`
+    );
+    const ordenAnterior = new Map(actual.rows.map(f => [f.id_contaminante, f.orden_visualizacion]));
+
+    for (const [indice, id] of ids.entries()) {
+      const orden = indice + 1;
+      if (ordenAnterior.get(id) === orden) continue;
+
+      await cliente.query(
+        "UPDATE diccionario_contaminantes SET orden_visualizacion = $2 WHERE id_contaminante = $1",
+        [id, orden]
+      );
+      await registrarHistorial(cliente, id, idUsuario, "orden", {
+        orden_visualizacion: { antes: ordenAnterior.get(id), despues: orden }
+      });
+    }
+  });
+  return getEntradas();
+}
+
+module.exports = {
+  CAMPOS_TEXTO,
+  normalizarColor,
+  validarEntrada,
+  getEntradas,
+  getEntrada,
+  existeSimbolo,
+  getHistorial,
+  crearEntrada,
+  actualizarEntrada,
+  reordenarEntradas
+};
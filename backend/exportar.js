@@ -0,0 +1,200 @@
+/* ==========================================================================
+   AIRSENSE - EXPORTACIÓN DE RESULTADOS (CSV, XLSX, JSON)
+   ==========================================================================
+ * Permite que los endpoints de datos respondan como archivo descargable
+ * cuando la petición incluye ?formato=csv|xlsx|json. Sin ese parámetro la
+ * respuesta sigue siendo el JSON habitual.
+ */
+
+const ExcelJS = require("exceljs");
+
+// ==========================================================================
+// CONFIGURACIÓN DE FORMATOS
+// ==========================================================================
+
+const FORMATOS = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  json: "application/json; charset=utf-8"
+};
+
+// ==========================================================================
+// UTILIDADES
+// ==========================================================================
+
+/**
+ * Convierte un texto en un fragmento seguro para nombres de archivo
+ * (sin tildes, minúsculas, solo letras, números y guiones).
+ * @param {string|number} texto
+ */
+function normalizarNombre(texto) {
+  return String(texto)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Construye el nombre base del archivo: airsense_<parte1>_<parte2>_...
+ * @param {...(string|number)} partes
+ */
+function nombreArchivo(...partes) {
+  return ["airsense", ...partes.map(normalizarNombre)].join("_");
+}
+
+/**
+ * Aplana un objeto anidado en una fila de columnas "padre.hijo".
+ * Los arreglos de valores simples se unen con " - ".
+ * @param {Object} objeto
+ * @param {string} [prefijo=""]
+ * @returns {Object} Fila plana
+ */
+function aplanar(objeto, prefijo = "") {
+  const fila = {};
+
+  Object.entries(objeto || {}).forEach(([clave, valor]) => {
+    const columna = prefijo ? `${prefijo}.${clave}` : clave;
+
+    if (valor instanceof Date) {
+      fila[columna] = valor.toISOString();
+    } else if (Array.isArray(valor)) {
+      fila[columna] = valor.join(" - ");
+    } else if (valor !== null && typeof valor === "object") {
+      Object.assign(fila, aplanar(valor, columna));
+    } else {
+      fila[columna] = valor;
+    }
+  });
+
+  return fila;
+}
+
+/**
+ * Reúne todas las columnas presentes en un conjunto de filas (en orden de aparición)
+ * @param {Array<Object>} filas
+ */
+function columnasDe(filas) {
+  const columnas = [];
+  filas.forEach(fila => {
+    Object.keys(fila).forEach(col => {
+      if (!columnas.includes(col)) columnas.push(col);
+    });
+  });
+  return columnas;
+}
+
+/**
+ * Escapa un valor para CSV (RFC 4180)
+ * @param {*} valor
+ */
+function celdaCSV(valor) {
+  if (valor === null || valor === undefined || (typeof valor === "number" && isNaN(valor))) {
+    return "";
+  }
+  const texto = String(valor);
+  return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * Genera el contenido CSV (con BOM para que Excel reconozca UTF-8)
+ * @param {Array<Object>} filas
+ */
+function generarCSV(filas) {
+  const columnas = columnasDe(filas);
+  const lineas = [
+    columnas.map(celdaCSV).join(","),
+    ...filas.map(fila => columnas.map(col => celdaCSV(fila[col])).join(","))
+  ];
+  return "\uFEFF" + lineas.join("\r\n") + "\r\n";
+}
+
+/**
+ * Genera un libro XLSX con una hoja "Datos"
+ * @param {Array<Object>} filas
+ * @returns {Promise<Buffer>}
+ */
+async function generarXLSX(filas) {
+  const libro = new ExcelJS.Workbook();
+  libro.creator = "AirSense";
+  const hoja = libro.addWorksheet("Datos");
+
+  hoja.columns = columnasDe(filas).map(col => ({
+    header: col,
+    key: col,
+    width: Math.max(12, col.length + 2)
+  }));
+  filas.forEach(fila => {
+    const limpia = {};
+    Object.entries(fila).forEach(([col, valor]) => {
+      limpia[col] = typeof valor === "number" && isNaN(valor) ? null : valor;
+    });
+    hoja.addRow(limpia);
+  });
+  hoja.getRow(1).font = { bold: true };
+
+  return Buffer.from(await libro.xlsx.writeBuffer());
+}
+
+// ==========================================================================
+// MIDDLEWARE Y RESPUESTA
+// ==========================================================================
+
+/**
+ * Middleware: rechaza con 400 un ?formato= desconocido antes de consultar la BD
+ */
+function validarFormato(req, res, next) {
+  const formato = req.query.formato;
+  // hasOwnProperty: claves heredadas como "constructor" no son formatos
+  if (formato && !Object.prototype.hasOwnProperty.call(FORMATOS, formato)) {
+    return res.status(400).json({
+      error: `Formato no soportado: ${formato}`,
+      formatos_disponibles: Object.keys(FORMATOS)
+    });
+  }
+  next();
+}
+
+/**
+ * Envía la respuesta de un endpoint de datos en el formato solicitado.
+ * Sin ?formato= responde el JSON de siempre.
+ *
+ * @param {object} req - Petición de Express.
+ * @param {object} res - Respuesta de Express.
+ * @param {Object|Array} datos - Respuesta JSON del endpoint.
+ * @param {Object} opciones
+ * @param {string} opciones.archivo - Nombre base del archivo (ver nombreArchivo).
+ * @param {Array<Object>} [opciones.filas] - Filas a exportar; por defecto se aplana "datos".
+ */
+async function responder(req, res, datos, { archivo, filas }) {
+  const formato = req.query.formato;
+
+  if (!formato) {
+    return res.status(200).json(datos);
+  }
+
+  res.setHeader("Content-Type", FORMATOS[formato]);
+  res.setHeader("Content-Disposition", `attachment; filename="${archivo}.${formato}"`);
+
+  if (formato === "json") {
+    return res.status(200).send(JSON.stringify(datos, null, 2));
+  }
+
+  const filasPlanas = (filas || (Array.isArray(datos) ? datos : [datos])).map(f => aplanar(f));
+
+  if (formato === "csv") {
+    return res.status(200).send(generarCSV(filasPlanas));
+  }
+
+  res.status(200).send(await generarXLSX(filasPlanas));
+}
+
+module.exports = {
+  FORMATOS,
+  nombreArchivo,
+  aplanar,
+  generarCSV,
+  validarFormato,
+  responder
+};
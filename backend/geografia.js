@@ -0,0 +1,40 @@
+/* ==========================================================================
+   AIRSENSE - CÁLCULOS GEOGRÁFICOS
+   ==========================================================================
+ * Funciones de distancia sobre la superficie terrestre usadas por los
+ * endpoints que trabajan con ubicaciones de estaciones.
+ */
+
+const RADIO_TIERRA_KM = 6371;
+
+/**
+ * Convierte grados a radianes
+ * @param {number} grados
+ */
+function aRadianes(grados) {
+  return (grados * Math.PI) / 180;
+}
+
+/**
+ * Distancia en kilómetros entre dos puntos (fórmula de haversine)
+ * @param {number} lat1
+ * @param {number} lon1
+ * @param {number} lat2
+ * @param {number} lon2
+ * @returns {number}
+ */
+function distanciaHaversineKm(lat1, lon1, lat2, lon2) {
+  const dLat = aRadianes(lat2 - lat1);
+  const dLon = aRadianes(lon2 - lon1);
+
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(aRadianes(lat1)) * Math.cos(aRadianes(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * RADIO_TIERRA_KM * Math.asin(Math.sqrt(a));
+}
+
+module.exports = {
+  RADIO_TIERRA_KM,
+  distanciaHaversineKm
+};
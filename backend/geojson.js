@@ -0,0 +1,54 @@
+/* ==========================================================================
+   AIRSENSE - UTILIDADES GEOJSON (RFC 7946)
+   ==========================================================================
+ * Construye Features y FeatureCollections a partir de las filas de la BD.
+ * Las coordenadas siempre van en orden [longitud, latitud] y como números.
+ */
+
+const TIPO_CONTENIDO = "application/geo+json; charset=utf-8";
+
+/**
+ * Crea un Feature de tipo Point
+ * @param {number|string} longitud
+ * @param {number|string} latitud
+ * @param {Object} propiedades
+ * @param {number|string} [id]
+ */
+function puntoFeature(longitud, latitud, propiedades, id) {
+  const feature = {
+    type: "Feature",
+    geometry: {
+      type: "Point",
+      coordinates: [parseFloat(longitud), parseFloat(latitud)]
+    },
+    properties: propiedades
+  };
+  if (id !== undefined) feature.id = id;
+  return feature;
+}
+
+/**
+ * Envuelve una lista de Features en una FeatureCollection
+ * @param {Array<Object>} features
+ */
+function featureCollection(features) {
+  return {
+    type: "FeatureCollection",
+    features: features
+  };
+}
+
+/**
+ * Envía una FeatureCollection con el Content-Type de GeoJSON
+ * @param {object} res - Respuesta de Express
+ * @param {Object} coleccion
+ */
+function enviarGeoJSON(res, coleccion) {
+  res.status(200).type(TIPO_CONTENIDO).send(JSON.stringify(coleccion));
+}
+
+module.exports = {
+  puntoFeature,
+  featureCollection,
+  enviarGeoJSON
+};
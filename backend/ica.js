@@ -0,0 +1,229 @@
+/* ==========================================================================
+   AIRSENSE - ÍNDICE DE CALIDAD DEL AIRE (ICA) DE COLOMBIA
+   ==========================================================================
+ * Calcula el ICA definido en la Resolución 2254 de 2017 (Tabla 6):
+ * seis categorías con puntos de corte fijos por contaminante y tiempo de
+ * exposición. El índice se obtiene por interpolación lineal:
+ *
+ *   ICA = (I_alto - I_bajo) / (PC_alto - PC_bajo) * (C - PC_bajo) + I_bajo
+ */
+
+// ==========================================================================
+// CATEGORÍAS DEL ICA
+// ==========================================================================
+
+const CATEGORIAS_ICA = [
+  { nombre: "Buena", indice: [0, 50], color: "#00E400" },
+  { nombre: "Aceptable", indice: [51, 100], color: "#FFFF00" },
+  { nombre: "Dañina a la salud de grupos sensibles", indice: [101, 150], color: "#FF7E00" },
+  { nombre: "Dañina a la salud", indice: [151, 200], color: "#FF0000" },
+  { nombre: "Muy dañina a la salud", indice: [201, 300], color: "#8F3F97" },
+  { nombre: "Peligrosa", indice: [301, 500], color: "#7E0023" }
+];
+
+// ==========================================================================
+// PUNTOS DE CORTE (µg/m³)
+// ==========================================================================
+// Un rango por categoría, en el mismo orden que CATEGORIAS_ICA.
+// null = la norma no define ese rango para ese tiempo de exposición.
+// "decimales" indica a cuántos decimales se trunca la concentración.
+
+const PUNTOS_CORTE = {
+  'PM10': {
+    decimales: 0,
+    tiempos: {
+      24: [[0, 54], [55, 154], [155, 254], [255, 354], [355, 424], [425, 604]]
+    }
+  },
+  'PM2.5': {
+    decimales: 1,
+    tiempos: {
+      24: [[0, 12], [12.1, 37], [37.1, 55], [55.1, 150], [150.1, 250], [250.1, 500]]
+    }
+  },
+  'CO': {
+    decimales: 0,
+    tiempos: {
+      8: [[0, 5094], [5095, 10819], [10820, 14254], [14255, 17688], [17689, 34862], [34863, 57703]]
+    }
+  },
+  'SO2': {
+    decimales: 0,
+    tiempos: {
+      1: [[0, 93], [94, 197], [198, 486], [487, 797], [798, 1583], [1584, 2629]]
+    }
+  },
+  'NO2': {
+    decimales: 0,
+    tiempos: {
+      1: [[0, 100], [101, 189], [190, 677], [678, 1221], [1222, 2349], [2350, 3853]]
+    }
+  },
+  'O3': {
+    decimales: 0,
+    tiempos: {
+      8: [[0, 106], [107, 138], [139, 167], [168, 207], [208, 393], null],
+      1: [null, null, [245, 323], [324, 401], [402, 794], [795, 1185]]
+    }
+  }
+};
+
+// Contaminantes sin puntos de corte propios que se evalúan como equivalentes
+// de otro. El NO se expresa como NO2 (convención de los NOx: µg/m³ de NO
+// por la razón de masas molares 46,01 / 30,01).
+const EQUIVALENCIAS = {
+  'NO': { simbolo: 'NO2', factor: 46.01 / 30.01 }
+};
+
+const SIN_ICA_COLOR = "#9E9E9E";
+const FUENTE = "ICA - Res. 2254/2017";
+
+// ==========================================================================
+// CÁLCULO
+// ==========================================================================
+
+/**
+ * Trunca una concentración a la precisión de los puntos de corte
+ * @param {number} valor
+ * @param {number} decimales
+ */
+function truncar(valor, decimales) {
+  const factor = Math.pow(10, decimales);
+  return Math.floor(valor * factor) / factor;
+}
+
+/**
+ * Resultado sin índice ("Sin datos" o "No aplica")
+ */
+function sinIndice(categoria, descripcion) {
+  return { valor: null, categoria, color: SIN_ICA_COLOR, fuente: FUENTE, descripcion };
+}
+
+/**
+ * Busca la categoría de una concentración en una tabla de rangos
+ * @returns {number} Índice de la categoría; -1 si está por debajo del primer
+ *                   rango definido. Si supera el último rango definido devuelve
+ *                   la posición siguiente, que puede ser un rango null (la
+ *                   tabla no cubre ese nivel) o CATEGORIAS_ICA.length (fuera
+ *                   de la escala).
+ */
+function buscarCategoria(rangos, concentracion) {
+  const definidos = rangos
+    .map((rango, i) => ({ rango, i }))
+    .filter(r => r.rango !== null);
+
+  if (concentracion < definidos[0].rango[0]) return -1;
+
+  const encontrado = definidos.find(r => concentracion <= r.rango[1]);
+  return encontrado ? encontrado.i : definidos[definidos.length - 1].i + 1;
+}
+
+/**
+ * Calcula el ICA de una concentración
+ *
+ * Cuando la tabla del tiempo de exposición no define el nivel en que cae la
+ * concentración se usa la otra tabla del mismo contaminante, como indica el
+ * método de la norma para el O3: por encima de 393 µg/m³ (8h) se usan los
+ * puntos de corte de 1h, y por debajo de 245 µg/m³ (1h) los de 8h. En esos
+ * casos el resultado lleva aproximado = true.
+ *
+ * @param {string} contaminante - Símbolo del contaminante ('PM2.5', 'O3', ...).
+ * @param {number} valor - Concentración en µg/m³.
+ * @param {number} tiempoHoras - Tiempo de exposición de la medición.
+ * @returns {{valor: number|null, categoria: string, color: string, rango_indice?: Array<number>,
+ *            tiempo_referencia_horas?: number, aproximado?: boolean, fuera_de_escala?: boolean,
+ *            equivalente?: string, fuente: string, descripcion?: string}}
+ */
+function calcularICA(contaminante, valor, tiempoHoras) {
+  if (valor === null || valor === undefined || isNaN(valor)) {
+    return sinIndice("Sin datos", "No hay información disponible para esta medición");
+  }
+
+  const equivalencia = EQUIVALENCIAS[contaminante];
+  if (equivalencia) {
+    const resultado = calcularICA(equivalencia.simbolo, valor * equivalencia.factor, tiempoHoras);
+    if (resultado.valor === null) {
+      return { ...resultado, descripcion: `${contaminante} se evalúa como ${equivalencia.simbolo}: ${resultado.descripcion}` };
+    }
+
+    return {
+      ...resultado,
+      equivalente: equivalencia.simbolo,
+      aproximado: true,
+      descripcion: `${contaminante} evaluado como ${equivalencia.simbolo} equivalente ` +
+        `(la norma no define puntos de corte para ${contaminante})`
+    };
+  }
+
+  const definicion = PUNTOS_CORTE[contaminante];
+  if (!definicion) {
+    return sinIndice(
+      "No aplica",
+      `La Resolución 2254 de 2017 no define puntos de corte del ICA para ${contaminante}`
+    );
+  }
+
+  const tiempos = Object.keys(definicion.tiempos).map(Number);
+  if (!tiempos.includes(Number(tiempoHoras))) {
+    return sinIndice(
+      "No aplica",
+      `El ICA de ${contaminante} se define solo para ${tiempos.map(t => `${t}h`).join(" y ")}`
+    );
+  }
+
+  const concentracion = truncar(valor, definicion.decimales);
+  let horas = Number(tiempoHoras);
+  let rangos = definicion.tiempos[horas];
+  let posicion = buscarCategoria(rangos, concentracion);
+
+  // Nivel no definido en esta tabla: se evalúa con la otra del contaminante
+  if (posicion === -1 || (posicion < CATEGORIAS_ICA.length && rangos[posicion] === null)) {
+    const alternativa = tiempos.find(t => t !== horas);
+    if (alternativa === undefined) {
+      return sinIndice("No aplica", `La norma no define este nivel del ICA para ${contaminante}`);
+    }
+    horas = alternativa;
+    rangos = definicion.tiempos[alternativa];
+    posicion = buscarCategoria(rangos, concentracion);
+  }
+
+  const aproximado = horas !== Number(tiempoHoras);
+
+  // Por encima de la escala: se reporta el máximo del índice
+  if (posicion >= CATEGORIAS_ICA.length) {
+    const peor = CATEGORIAS_ICA[CATEGORIAS_ICA.length - 1];
+    return {
+      valor: peor.indice[1],
+      categoria: peor.nombre,
+      color: peor.color,
+      rango_indice: peor.indice,
+      tiempo_referencia_horas: horas,
+      aproximado,
+      fuera_de_escala: true,
+      fuente: FUENTE
+    };
+  }
+
+  const categoria = CATEGORIAS_ICA[posicion];
+  const [corteBajo, corteAlto] = rangos[posicion];
+  const [indiceBajo, indiceAlto] = categoria.indice;
+
+  const indice = Math.round(
+    ((indiceAlto - indiceBajo) / (corteAlto - corteBajo)) * (concentracion - corteBajo) + indiceBajo
+  );
+
+  return {
+    valor: indice,
+    categoria: categoria.nombre,
+    color: categoria.color,
+    rango_indice: categoria.indice,
+    tiempo_referencia_horas: horas,
+    aproximado,
+    fuente: FUENTE
+  };
+}
+
+module.exports = {
+  CATEGORIAS_ICA,
+  calcularICA
+};
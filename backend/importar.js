@@ -0,0 +1,989 @@
+/* ==========================================================================
+   AIRSENSE - IMPORTACIÓN DE ARCHIVOS ANUALES (CVC / DAGMA)
+   ==========================================================================
+ * Carga en la BD un CSV con los estadísticos anuales por estación y
+ * contaminante (una fila = estación + año + contaminante + exposición).
+ *
+ *   node backend/importar.js archivo.csv --fuente=CVC [--dry-run] [--si] [--rechazados=ruta.csv] [--anio-minimo=AAAA]
+ *
+ *   --fuente       CVC o DAGMA (define alias de encabezados y valores por defecto)
+ *   --dry-run      muestra los cambios y no guarda nada
+ *   --si           guarda sin pedir confirmación
+ *   --rechazados   dónde escribir las filas rechazadas (por defecto <archivo>.rechazados.csv)
+ *   --anio-minimo  acepta años anteriores al primero que ya hay en la BD
+ *
+ * Los años válidos van del primero que hay en mediciones (o --anio-minimo)
+ * al actual. Los cambios se aplican en una transacción para calcular la
+ * diferencia contra la BD y se deshacen (ROLLBACK) antes de preguntar, para no
+ * dejar bloqueos abiertos mientras se espera la respuesta. Si el usuario acepta
+ * se aplican de nuevo y se confirman (COMMIT), salvo que la BD haya cambiado
+ * entretanto. Volver a importar el mismo archivo no cambia nada: cada registro
+ * se busca por su clave natural antes de insertarlo o actualizarlo.
+ *
+ *   variables_ambientales   nombre_variable
+ *   tiempos_exposicion      id_variable_ambiental + tiempo_horas
+ *   estaciones              id_estacion (código de la estación)
+ *   ubicaciones_estaciones  solo se agrega una fila si la estación cambió de sitio
+ *   mediciones              id_estacion + id_exposicion + anio
+ *
+ * Cada importación confirmada queda registrada en la tabla importaciones.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { generarCSV } = require("./exportar");
+const { claveNombre } = require("./texto");
+
+// ==========================================================================
+// CONFIGURACIÓN
+// ==========================================================================
+
+// Columna canónica -> encabezados aceptados (ya normalizados, ver normalizarEncabezado)
+const COLUMNAS = {
+  id_estacion: ["id_estacion", "codigo_estacion", "cod_estacion", "codigo_de_la_estacion", "codigo"],
+  nombre_estacion: ["nombre_estacion", "estacion", "nombre_de_la_estacion"],
+  tipo_estacion: ["tipo_estacion", "tipo", "tipo_de_estacion"],
+  municipio: ["municipio", "id_municipio", "codigo_municipio", "cod_municipio", "nombre_municipio"],
+  latitud: ["latitud", "lat"],
+  longitud: ["longitud", "lon", "lng"],
+  anio: ["anio", "ano", "year"],
+  contaminante: ["contaminante", "variable", "simbolo", "nombre_variable", "parametro"],
+  es_contaminante: ["es_contaminante"],
+  unidades: ["unidades", "unidad"],
+  tiempo_horas: ["tiempo_horas", "tiempo_exposicion", "tiempo_de_exposicion_h", "tiempo_de_exposicion", "exposicion_horas", "horas"],
+  promedio: ["promedio", "media"],
+  mediana: ["mediana"],
+  percentil_98: ["percentil_98", "percentil98", "p98"],
+  maximo: ["maximo", "max"],
+  minimo: ["minimo", "min"],
+  excedencias_limite_actual: ["excedencias_limite_actual", "excedencias", "numero_de_excedencias"],
+  porcentaje_excedencias: ["porcentaje_excedencias", "%_excedencias", "porcentaje_de_excedencias"],
+  dias_excendecias: ["dias_excendecias", "dias_excedencias", "dias_de_excedencias", "dias_con_excedencias"],
+  no_datos: ["no_datos", "datos_faltantes", "numero_de_datos_faltantes"],
+  representatividad_temporal: ["representatividad_temporal", "representatividad", "representatividad_temporal_%", "%_representatividad"],
+  fecha_hora_maximo: ["fecha_hora_maximo", "fecha_maximo", "fecha_del_maximo"],
+  fecha_hora_minimo: ["fecha_hora_minimo", "fecha_minimo", "fecha_del_minimo"]
+};
+
+// Particularidades de cada autoridad ambiental
+const FUENTES = {
+  CVC: {
+    nombre: "Corporación Autónoma Regional del Valle del Cauca",
+    alias: { estacion_cvc: "nombre_estacion" },
+    municipioPorDefecto: []
+  },
+  DAGMA: {
+    nombre: "Departamento Administrativo de Gestión del Medio Ambiente (Cali)",
+    alias: { estacion_dagma: "nombre_estacion" },
+    // La red del DAGMA solo opera en Cali: el archivo puede omitir el municipio.
+    // Se busca en la tabla municipios igual que los valores del archivo.
+    municipioPorDefecto: ["76001", "Cali", "Santiago de Cali"]
+  }
+};
+
+const OBLIGATORIAS = ["id_estacion", "anio", "contaminante", "tiempo_horas", "promedio"];
+
+// Columnas de la tabla mediciones y su tipo
+const CAMPOS_MEDICION = {
+  promedio: "decimal",
+  mediana: "decimal",
+  percentil_98: "decimal",
+  maximo: "decimal",
+  minimo: "decimal",
+  excedencias_limite_actual: "entero",
+  porcentaje_excedencias: "porcentaje",
+  dias_excendecias: "entero",
+  no_datos: "entero",
+  representatividad_temporal: "porcentaje",
+  fecha_hora_maximo: "fecha",
+  fecha_hora_minimo: "fecha"
+};
+
+// Extensión aproximada de Colombia, para detectar coordenadas invertidas o en otro formato
+const LIMITES_COORDENADAS = { latMin: -5, latMax: 14, lonMin: -82, lonMax: -66 };
+
+// ==========================================================================
+// LECTURA DEL CSV
+// ==========================================================================
+
+/**
+ * Normaliza un encabezado: minúsculas, sin tildes y con "_" entre palabras
+ * @param {string} encabezado
+ */
+function normalizarEncabezado(encabezado) {
+  return String(encabezado)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/ñ/g, "n")
+    .replace(/[()]/g, " ")
+    .trim()
+    .replace(/[\s\-./]+/g, "_")
+    .replace(/[^a-z0-9_%]/g, "")
+    .replace(/_+$/, "");
+}
+
+/**
+ * Elige el separador con más apariciones en la primera línea (",", ";" o tabulador)
+ * @param {string} primeraLinea
+ */
+function detectarSeparador(primeraLinea) {
+  const candidatos = [",", ";", "\t"];
+  return candidatos.reduce((mejor, sep) =>
+    primeraLinea.split(sep).length > primeraLinea.split(mejor).length ? sep : mejor
+  );
+}
+
+/**
+ * Parser CSV (RFC 4180): comillas dobles, comillas escapadas y saltos de línea dentro de campos
+ * @param {string} texto
+ * @param {string} separador
+ * @returns {Array<Array<string>>}
+ */
+function parsearCSV(texto, separador) {
+  const filas = [];
+  let fila = [];
+  let campo = "";
+  let entreComillas = false;
+
+  const contenido = texto.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < contenido.length; i++) {
+    const c = contenido[i];
+
+    if (entreComillas) {
+      if (c === '"' && contenido[i + 1] === '"') {
+        campo += '"';
+        i++;
+      } else if (c === '"') {
+        entreComillas = false;
+      } else {
+        campo += c;
+      }
+    } else if (c === '"') {
+      entreComillas = true;
+    } else if (c === separador) {
+      fila.push(campo);
+      campo = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && contenido[i + 1] === "\n") i++;
+      fila.push(campo);
+      filas.push(fila);
+      fila = [];
+      campo = "";
+    } else {
+      campo += c;
+    }
+  }
+
+  if (campo !== "" || fila.length > 0) {
+    fila.push(campo);
+    filas.push(fila);
+  }
+
+  // Se descartan las líneas en blanco
+  return filas.filter(f => f.some(celda => celda.trim() !== ""));
+}
+
+/**
+ * Asocia cada encabezado del archivo con su columna canónica
+ * @param {Array<string>} encabezados
+ * @param {Object} fuente - Elemento de FUENTES
+ * @returns {{indices: Object<string, number>, desconocidas: Array<string>}}
+ */
+function mapearEncabezados(encabezados, fuente) {
+  const indices = {};
+  const desconocidas = [];
+
+  encabezados.forEach((encabezado, i) => {
+    const normalizado = normalizarEncabezado(encabezado);
+    const canonica = fuente.alias[normalizado] ||
+      Object.keys(COLUMNAS).find(col => COLUMNAS[col].includes(normalizado));
+
+    if (canonica && indices[canonica] === undefined) {
+      indices[canonica] = i;
+    } else if (!canonica) {
+      desconocidas.push(encabezado);
+    }
+  });
+
+  return { indices, desconocidas };
+}
+
+// ==========================================================================
+// VALIDACIÓN DE FILAS
+// ==========================================================================
+
+/**
+ * Convierte un texto en número. Con separador ";" se admite coma decimal (12,5 o 1.234,5).
+ * @param {string} texto
+ * @param {boolean} comaDecimal
+ * @returns {number|null} null si está vacío, NaN si no es un número
+ */
+function leerNumero(texto, comaDecimal) {
+  const limpio = String(texto).trim().replace(/%$/, "").trim();
+  if (limpio === "" || /^(na|n\/a|nd|-)$/i.test(limpio)) return null;
+
+  const normal = comaDecimal && limpio.includes(",")
+    ? limpio.replace(/\./g, "").replace(",", ".")
+    : limpio;
+
+  return /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(normal) ? Number(normal) : NaN;
+}
+
+/**
+ * Convierte un texto en fecha. Acepta ISO (2024-03-05 14:00) y dd/mm/aaaa [hh:mm]
+ * @param {string} texto
+ * @returns {Date|null|undefined} null si está vacío, undefined si no es válida
+ */
+function leerFecha(texto) {
+  const limpio = String(texto).trim();
+  if (limpio === "") return null;
+
+  const latino = limpio.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/);
+  const fecha = latino
+    ? new Date(Number(latino[3]), Number(latino[2]) - 1, Number(latino[1]), Number(latino[4] || 0), Number(latino[5] || 0))
+    : new Date(limpio.replace(" ", "T"));
+
+  // new Date() desborda los valores fuera de rango (31/31 -> julio): se descartan
+  if (latino && (fecha.getMonth() !== Number(latino[2]) - 1 || fecha.getDate() !== Number(latino[1]))) {
+    return undefined;
+  }
+
+  return isNaN(fecha.getTime()) ? undefined : fecha;
+}
+
+/**
+ * Busca un municipio por código DIVIPOLA o por nombre. El código se compara
+ * completo ("76001abc" no es 76001) y como número (pg devuelve bigint como texto).
+ * @param {string} texto
+ * @param {Array<Object>} municipios - Filas de getMunicipios()
+ * @returns {Object|undefined}
+ */
+function buscarMunicipio(texto, municipios) {
+  const codigo = Number(texto);
+  return municipios.find(m => Number(m.id_municipio) === codigo) ||
+    municipios.find(m => claveNombre(m.nombre_municipio) === claveNombre(texto));
+}
+
+/**
+ * Valida una fila y la convierte en un objeto con tipos
+ * @param {Array<string>} celdas
+ * @param {Object<string, number>} indices - Resultado de mapearEncabezados
+ * @param {Object} contexto
+ * @param {Array<Object>} contexto.municipios - Filas de getMunicipios()
+ * @param {number|null} contexto.municipioPorDefecto - Para las filas sin municipio
+ * @param {boolean} contexto.comaDecimal
+ * @param {number|null} contexto.anioMinimo - null = sin límite inferior
+ * @returns {{fila: Object|null, errores: Array<string>}}
+ */
+function validarFila(celdas, indices, { municipios, municipioPorDefecto, comaDecimal, anioMinimo }) {
+  const errores = [];
+  const celda = col => (indices[col] === undefined ? undefined : (celdas[indices[col]] || "").trim());
+  const fila = {};
+
+  OBLIGATORIAS.forEach(col => {
+    if (!celda(col)) errores.push(`Falta "${col}"`);
+  });
+
+  // Estación
+  const idEstacion = leerNumero(celda("id_estacion") || "", false);
+  if (celda("id_estacion") && (!Number.isInteger(idEstacion) || idEstacion <= 0)) {
+    errores.push(`Código de estación inválido: "${celda("id_estacion")}"`);
+  }
+  fila.id_estacion = idEstacion;
+  fila.nombre_estacion = celda("nombre_estacion") || null;
+  fila.tipo_estacion = celda("tipo_estacion") || null;
+
+  // Municipio: por código DIVIPOLA o por nombre
+  const textoMunicipio = celda("municipio");
+  if (textoMunicipio) {
+    const municipio = buscarMunicipio(textoMunicipio, municipios);
+    if (municipio) fila.id_municipio = municipio.id_municipio;
+    else errores.push(`Municipio desconocido: "${textoMunicipio}"`);
+  } else {
+    fila.id_municipio = municipioPorDefecto;
+  }
+
+  // Ubicación (opcional si la estación ya tiene una registrada)
+  const lat = leerNumero(celda("latitud") || "", comaDecimal);
+  const lon = leerNumero(celda("longitud") || "", comaDecimal);
+  if ((lat === null) !== (lon === null)) {
+    errores.push("Latitud y longitud deben venir juntas");
+  } else if (lat !== null) {
+    const { latMin, latMax, lonMin, lonMax } = LIMITES_COORDENADAS;
+    if (isNaN(lat) || isNaN(lon) || lat < latMin || lat > latMax || lon < lonMin || lon > lonMax) {
+      errores.push(`Coordenadas fuera de Colombia: ${celda("latitud")}, ${celda("longitud")}`);
+    }
+  }
+  fila.latitud = lat;
+  fila.longitud = lon;
+
+  // Año
+  const anio = leerNumero(celda("anio") || "", false);
+  const anioActual = new Date().getFullYear();
+  if (celda("anio") && (!Number.isInteger(anio) || (anioMinimo && anio < anioMinimo) || anio > anioActual)) {
+    const rango = anioMinimo ? `${anioMinimo}-${anioActual}` : `hasta ${anioActual}`;
+    errores.push(`Año fuera de rango (${rango}): "${celda("anio")}"`);
+  }
+  fila.anio = anio;
+
+  // Contaminante y exposición
+  fila.contaminante = celda("contaminante") || null;
+  fila.unidades = celda("unidades") || null;
+  fila.es_contaminante = celda("es_contaminante") === undefined || celda("es_contaminante") === ""
+    ? true
+    : !/^(no|false|0|f|n)$/i.test(celda("es_contaminante"));
+
+  const horas = leerNumero((celda("tiempo_horas") || "").replace(/\s*h(oras?)?$/i, ""), false);
+  if (celda("tiempo_horas") && (!Number.isInteger(horas) || horas <= 0)) {
+    errores.push(`Tiempo de exposición inválido: "${celda("tiempo_horas")}"`);
+  }
+  fila.tiempo_horas = horas;
+
+  // Estadísticos: solo los que vienen en el archivo (undefined = columna ausente)
+  fila.medicion = {};
+  Object.entries(CAMPOS_MEDICION).forEach(([campo, tipo]) => {
+    const texto = celda(campo);
+    if (texto === undefined) return;
+
+    if (tipo === "fecha") {
+      const fecha = leerFecha(texto);
+      if (fecha === undefined) errores.push(`Fecha inválida en "${campo}": "${texto}"`);
+      fila.medicion[campo] = fecha === undefined ? null : fecha;
+      return;
+    }
+
+    const valor = leerNumero(texto, comaDecimal);
+    if (Number.isNaN(valor)) {
+      errores.push(`"${campo}" no es un número: "${texto}"`);
+    } else if (valor !== null && valor < 0) {
+      errores.push(`"${campo}" no puede ser negativo`);
+    } else if (valor !== null && tipo === "entero" && !Number.isInteger(valor)) {
+      errores.push(`"${campo}" debe ser un número entero`);
+    } else if (valor !== null && tipo === "porcentaje" && valor > 100) {
+      errores.push(`"${campo}" es un porcentaje y no puede superar 100`);
+    }
+    fila.medicion[campo] = Number.isNaN(valor) ? null : valor;
+  });
+
+  const { minimo, maximo } = fila.medicion;
+  if (minimo != null && maximo != null && minimo > maximo) {
+    errores.push(`El mínimo (${minimo}) es mayor que el máximo (${maximo})`);
+  }
+
+  return { fila: errores.length ? null : fila, errores };
+}
+
+/**
+ * Lee y valida el archivo completo
+ * @param {string} texto - Contenido del CSV.
+ * @param {Object} fuente - Elemento de FUENTES.
+ * @param {Array<Object>} municipios - Filas de getMunicipios().
+ * @param {number|null} [anioMinimo=null] - Primer año aceptado (null = sin límite inferior)
+ * @returns {{validas: Array<Object>, rechazadas: Array<Object>, desconocidas: Array<string>, faltantes: Array<string>}}
+ */
+function validarArchivo(texto, fuente, municipios, anioMinimo = null) {
+  const separador = detectarSeparador(texto.replace(/^\uFEFF/, "").split(/\r?\n/)[0]);
+  const [encabezados = [], ...filas] = parsearCSV(texto, separador);
+  const { indices, desconocidas } = mapearEncabezados(encabezados, fuente);
+
+  const faltantes = OBLIGATORIAS.filter(col => indices[col] === undefined);
+  // Primer candidato de la fuente que exista en la BD (sin él, el municipio es obligatorio)
+  const porDefecto = fuente.municipioPorDefecto
+    .map(candidato => buscarMunicipio(candidato, municipios))
+    .find(Boolean);
+  const municipioPorDefecto = porDefecto ? porDefecto.id_municipio : null;
+  if (indices.municipio === undefined && municipioPorDefecto === null) {
+    faltantes.push("municipio");
+  }
+
+  const validas = [];
+  const rechazadas = [];
+  const vistas = new Map(); // clave natural -> línea donde apareció primero
+
+  if (faltantes.length > 0) {
+    return { validas, rechazadas, desconocidas, faltantes };
+  }
+
+  filas.forEach((celdas, i) => {
+    const linea = i + 2; // +1 por el encabezado, +1 porque las líneas empiezan en 1
+    const { fila, errores } = validarFila(celdas, indices, {
+      municipios,
+      municipioPorDefecto,
+      comaDecimal: separador === ";",
+      anioMinimo
+    });
+
+    if (fila) {
+      const clave = `${fila.id_estacion}|${fila.anio}|${claveNombre(fila.contaminante)}|${fila.tiempo_horas}`;
+      if (vistas.has(clave)) {
+        errores.push(`Duplicada: misma estación, año, contaminante y exposición que la línea ${vistas.get(clave)}`);
+      } else {
+        vistas.set(clave, linea);
+      }
+    }
+
+    if (errores.length > 0) {
+      rechazadas.push({ linea, errores, celdas: Object.fromEntries(encabezados.map((e, j) => [e, celdas[j]])) });
+    } else {
+      validas.push({ linea, ...fila });
+    }
+  });
+
+  return { validas, rechazadas, desconocidas, faltantes };
+}
+
+// ==========================================================================
+// APLICACIÓN EN LA BD (DENTRO DE UNA TRANSACCIÓN)
+// ==========================================================================
+
+/**
+ * Compara un valor de la BD con uno del archivo
+ */
+function mismoValor(actual, nuevo) {
+  if (actual === null || actual === undefined) return nuevo === null || nuevo === undefined;
+  if (nuevo === null || nuevo === undefined) return false;
+  if (actual instanceof Date || nuevo instanceof Date) {
+    return new Date(actual).getTime() === new Date(nuevo).getTime();
+  }
+  if (typeof nuevo === "number") return Math.abs(Number(actual) - nuevo) < 1e-6;
+  return String(actual) === String(nuevo);
+}
+
+/**
+ * Campos que cambian entre el registro actual y los valores nuevos
+ * (los valores undefined no se tocan)
+ * @returns {Object<string, Array>} campo -> [antes, después]
+ */
+function diferencias(actual, nuevos) {
+  const cambios = {};
+  Object.entries(nuevos).forEach(([campo, valor]) => {
+    if (valor !== undefined && !mismoValor(actual[campo], valor)) {
+      cambios[campo] = [actual[campo], valor];
+    }
+  });
+  return cambios;
+}
+
+/**
+ * Registro de cambios por tabla (lo que se mostrará como diff)
+ */
+function crearRegistro() {
+  const tablas = ["variables_ambientales", "tiempos_exposicion", "estaciones", "ubicaciones_estaciones", "mediciones"];
+  return Object.fromEntries(tablas.map(t => [t, { nuevas: [], actualizadas: [], sin_cambios: 0 }]));
+}
+
+/**
+ * Contaminantes registrados indexados por claveNombre, la misma clave que
+ * usa validarArchivo para detectar duplicados ("PM 2.5" = "PM2.5")
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function cargarVariables(cliente) {
+  const { rows } = await cliente.query(
+    `SELECT id_variable_ambiental, nombre_variable, unidades
+     FROM variables_ambientales ORDER BY id_variable_ambiental`
+  );
+  const variables = new Map();
+  rows.forEach(v => {
+    const clave = claveNombre(v.nombre_variable);
+    if (!variables.has(clave)) variables.set(clave, v);
+  });
+  return variables;
+}
+
+/**
+ * Busca o crea el contaminante
+ * @param {Map<string, Object>} variables - Resultado de cargarVariables (se le agregan las nuevas)
+ * @returns {Promise<number>} id_variable_ambiental
+ */
+async function upsertVariable(cliente, fila, registro, variables) {
+  const variable = variables.get(claveNombre(fila.contaminante));
+
+  if (variable) {
+    // Cambiar las unidades alteraría todas las mediciones históricas
+    if (fila.unidades && variable.unidades && claveNombre(fila.unidades) !== claveNombre(variable.unidades)) {
+      throw new Error(`Unidades "${fila.unidades}" distintas a las registradas para ${variable.nombre_variable} ("${variable.unidades}")`);
+    }
+    registro.variables_ambientales.sin_cambios++;
+    return variable.id_variable_ambiental;
+  }
+
+  if (!fila.unidades) {
+    throw new Error(`"${fila.contaminante}" no existe en la BD y la fila no trae "unidades" para crearlo`);
+  }
+
+  const nueva = await cliente.query(
+    `INSERT INTO variables_ambientales (nombre_variable, unidades, es_contaminante)
+     VALUES ($1, $2, $3) RETURNING id_variable_ambiental`,
+    [fila.contaminante, fila.unidades, fila.es_contaminante]
+  );
+  const idVariable = nueva.rows[0].id_variable_ambiental;
+  variables.set(claveNombre(fila.contaminante), {
+    id_variable_ambiental: idVariable,
+    nombre_variable: fila.contaminante,
+    unidades: fila.unidades
+  });
+  registro.variables_ambientales.nuevas.push(`${fila.contaminante} (${fila.unidades})`);
+  return idVariable;
+}
+
+/**
+ * Busca o crea el tiempo de exposición del contaminante
+ * @returns {Promise<number>} id_exposicion
+ */
+async function upsertExposicion(cliente, idVariable, fila, registro) {
+  const existente = await cliente.query(
+    `SELECT id_exposicion FROM tiempos_exposicion
+     WHERE id_variable_ambiental = $1 AND tiempo_horas = $2
+     ORDER BY id_exposicion LIMIT 1`,
+    [idVariable, fila.tiempo_horas]
+  );
+
+  if (existente.rows.length > 0) {
+    registro.tiempos_exposicion.sin_cambios++;
+    return existente.rows[0].id_exposicion;
+  }
+
+  const nueva = await cliente.query(
+    `INSERT INTO tiempos_exposicion (id_variable_ambiental, tiempo_horas)
+     VALUES ($1, $2) RETURNING id_exposicion`,
+    [idVariable, fila.tiempo_horas]
+  );
+  registro.tiempos_exposicion.nuevas.push(`${fila.contaminante} ${fila.tiempo_horas}h`);
+  return nueva.rows[0].id_exposicion;
+}
+
+/**
+ * Crea la estación o actualiza su nombre, tipo y municipio
+ */
+async function upsertEstacion(cliente, fila, registro) {
+  const existente = await cliente.query(
+    `SELECT id_estacion, nombre_estacion, tipo_estacion, id_municipio
+     FROM estaciones WHERE id_estacion = $1`,
+    [fila.id_estacion]
+  );
+
+  const nuevos = {
+    nombre_estacion: fila.nombre_estacion || undefined,
+    tipo_estacion: fila.tipo_estacion || undefined,
+    id_municipio: fila.id_municipio || undefined
+  };
+
+  if (existente.rows.length === 0) {
+    if (!fila.nombre_estacion || !fila.id_municipio) {
+      throw new Error(`La estación ${fila.id_estacion} no existe: se necesitan "nombre_estacion" y "municipio" para crearla`);
+    }
+    await cliente.query(
+      `INSERT INTO estaciones (id_estacion, nombre_estacion, tipo_estacion, id_municipio)
+       VALUES ($1, $2, $3, $4)`,
+      [fila.id_estacion, fila.nombre_estacion, fila.tipo_estacion, fila.id_municipio]
+    );
+    registro.estaciones.nuevas.push(`${fila.id_estacion} ${fila.nombre_estacion}`);
+    return;
+  }
+
+  const cambios = diferencias(existente.rows[0], nuevos);
+  if (Object.keys(cambios).length === 0) {
+    registro.estaciones.sin_cambios++;
+    return;
+  }
+
+  await cliente.query(
+    `UPDATE estaciones
+     SET nombre_estacion = COALESCE($2, nombre_estacion),
+         tipo_estacion = COALESCE($3, tipo_estacion),
+         id_municipio = COALESCE($4, id_municipio)
+     WHERE id_estacion = $1`,
+    [fila.id_estacion, fila.nombre_estacion, fila.tipo_estacion, fila.id_municipio]
+  );
+  registro.estaciones.actualizadas.push({ clave: `${fila.id_estacion}`, cambios });
+}
+
+/**
+ * Registra la ubicación del año si la estación cambió de sitio.
+ * Las ubicaciones valen desde su año hasta la siguiente reubicación.
+ */
+async function upsertUbicacion(cliente, fila, registro) {
+  const vigente = await cliente.query(
+    `SELECT id_ubicacion, latitud, longitud, anio
+     FROM ubicaciones_estaciones
+     WHERE id_estacion = $1 AND anio <= $2
+     ORDER BY anio DESC LIMIT 1`,
+    [fila.id_estacion, fila.anio]
+  );
+
+  if (fila.latitud === null) {
+    if (vigente.rows.length === 0) {
+      const alguna = await cliente.query(
+        "SELECT 1 FROM ubicaciones_estaciones WHERE id_estacion = $1 LIMIT 1",
+        [fila.id_estacion]
+      );
+      if (alguna.rows.length === 0) {
+        throw new Error(`La estación ${fila.id_estacion} no tiene ubicación registrada: incluya latitud y longitud`);
+      }
+    }
+    return;
+  }
+
+  const clave = `${fila.id_estacion} desde ${fila.anio}`;
+  const actual = vigente.rows[0];
+
+  if (actual && mismoValor(actual.latitud, fila.latitud) && mismoValor(actual.longitud, fila.longitud)) {
+    registro.ubicaciones_estaciones.sin_cambios++;
+    return;
+  }
+
+  if (actual && actual.anio === fila.anio) {
+    await cliente.query(
+      "UPDATE ubicaciones_estaciones SET latitud = $2, longitud = $3 WHERE id_ubicacion = $1",
+      [actual.id_ubicacion, fila.latitud, fila.longitud]
+    );
+    registro.ubicaciones_estaciones.actualizadas.push({
+      clave,
+      cambios: diferencias(actual, { latitud: fila.latitud, longitud: fila.longitud })
+    });
+    return;
+  }
+
+  await cliente.query(
+    `INSERT INTO ubicaciones_estaciones (id_estacion, latitud, longitud, anio)
+     VALUES ($1, $2, $3, $4)`,
+    [fila.id_estacion, fila.latitud, fila.longitud, fila.anio]
+  );
+  registro.ubicaciones_estaciones.nuevas.push(`${clave}: ${fila.latitud}, ${fila.longitud}`);
+}
+
+/**
+ * Crea la medición anual o actualiza los estadísticos que traiga el archivo
+ */
+async function upsertMedicion(cliente, idExposicion, fila, registro) {
+  const clave = `${fila.id_estacion} ${fila.contaminante} ${fila.tiempo_horas}h ${fila.anio}`;
+  const campos = Object.keys(fila.medicion);
+
+  const existente = await cliente.query(
+    `SELECT id_medicion, ${Object.keys(CAMPOS_MEDICION).join(", ")}
+     FROM mediciones
+     WHERE id_estacion = $1 AND id_exposicion = $2 AND anio = $3
+     ORDER BY id_medicion LIMIT 1`,
+    [fila.id_estacion, idExposicion, fila.anio]
+  );
+
+  if (existente.rows.length === 0) {
+    const columnas = ["id_estacion", "id_exposicion", "anio", ...campos];
+    const valores = [fila.id_estacion, idExposicion, fila.anio, ...campos.map(c => fila.medicion[c])];
+    await cliente.query(
+      `INSERT INTO mediciones (${columnas.join(", ")})
+       VALUES (${columnas.map((_, i) => `$${i + 1}`).join(", ")})`,
+      valores
+    );
+    registro.mediciones.nuevas.push(`${clave}: promedio ${fila.medicion.promedio}`);
+    return;
+  }
+
+  const actual = existente.rows[0];
+  const cambios = diferencias(actual, fila.medicion);
+  const cambiados = Object.keys(cambios);
+
+  if (cambiados.length === 0) {
+    registro.mediciones.sin_cambios++;
+    return;
+  }
+
+  await cliente.query(
+    `UPDATE mediciones
+     SET ${cambiados.map((c, i) => `${c} = $${i + 2}`).join(", ")}
+     WHERE id_medicion = $1`,
+    [actual.id_medicion, ...cambiados.map(c => fila.medicion[c])]
+  );
+  registro.mediciones.actualizadas.push({ clave, cambios });
+}
+
+/**
+ * Aplica las filas válidas. Cada fila va en su propio SAVEPOINT: si falla
+ * (p. ej. un contaminante nuevo sin unidades) se deshace solo esa fila y
+ * se agrega a las rechazadas.
+ * @param {import("pg").PoolClient} cliente - Con la transacción ya abierta.
+ * @param {Array<Object>} filas
+ * @returns {Promise<{registro: Object, rechazadas: Array<Object>}>}
+ */
+async function aplicarFilas(cliente, filas) {
+  const registro = crearRegistro();
+  const rechazadas = [];
+  const variables = await cargarVariables(cliente);
+
+  for (const fila of filas) {
+    // Los cambios de la fila se registran aparte hasta saber que se aplicó completa
+    const registroFila = crearRegistro();
+    const claveVariable = claveNombre(fila.contaminante);
+    const variableExistia = variables.has(claveVariable);
+
+    await cliente.query("SAVEPOINT fila");
+    try {
+      const idVariable = await upsertVariable(cliente, fila, registroFila, variables);
+      const idExposicion = await upsertExposicion(cliente, idVariable, fila, registroFila);
+      await upsertEstacion(cliente, fila, registroFila);
+      await upsertUbicacion(cliente, fila, registroFila);
+      await upsertMedicion(cliente, idExposicion, fila, registroFila);
+      await cliente.query("RELEASE SAVEPOINT fila");
+
+      Object.entries(registroFila).forEach(([tabla, r]) => {
+        registro[tabla].nuevas.push(...r.nuevas);
+        registro[tabla].actualizadas.push(...r.actualizadas);
+        registro[tabla].sin_cambios += r.sin_cambios;
+      });
+    } catch (error) {
+      await cliente.query("ROLLBACK TO SAVEPOINT fila");
+      // El INSERT del contaminante se deshizo con la fila
+      if (!variableExistia) variables.delete(claveVariable);
+      rechazadas.push({ linea: fila.linea, errores: [error.message], celdas: null });
+    }
+  }
+
+  return { registro, rechazadas };
+}
+
+/**
+ * Deja constancia de la importación (la consulta /api/meta para mostrar la
+ * fecha de la última carga). La tabla se crea la primera vez.
+ * @param {import("pg").PoolClient} cliente - Dentro de la misma transacción.
+ * @param {Object} opciones - Resultado de leerArgumentos
+ * @param {Object} registro - Resultado de aplicarFilas
+ * @param {number} rechazadas - Total de filas rechazadas
+ */
+async function registrarImportacion(cliente, opciones, registro, rechazadas) {
+  await cliente.query(`
+    CREATE TABLE IF NOT EXISTS importaciones (
+      id_importacion SERIAL PRIMARY KEY,
+      fecha TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      fuente VARCHAR(20) NOT NULL,
+      archivo TEXT NOT NULL,
+      registros_nuevos INTEGER NOT NULL,
+      registros_actualizados INTEGER NOT NULL,
+      filas_rechazadas INTEGER NOT NULL
+    )
+  `);
+
+  const tablas = Object.values(registro);
+  await cliente.query(
+    `INSERT INTO importaciones (fuente, archivo, registros_nuevos, registros_actualizados, filas_rechazadas)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [
+      opciones.fuente,
+      path.basename(opciones.archivo),
+      tablas.reduce((suma, t) => suma + t.nuevas.length, 0),
+      tablas.reduce((suma, t) => suma + t.actualizadas.length, 0),
+      rechazadas
+    ]
+  );
+}
+
+// ==========================================================================
+// REPORTES
+// ==========================================================================
+
+/**
+ * Texto corto de un valor para el diff
+ */
+function mostrarValor(valor) {
+  if (valor === null || valor === undefined) return "∅";
+  if (valor instanceof Date) return valor.toISOString().replace("T", " ").slice(0, 16);
+  return String(valor);
+}
+
+/**
+ * Imprime la diferencia contra la BD
+ * @param {Object} registro - Resultado de aplicarFilas
+ * @returns {number} Total de registros nuevos o modificados
+ */
+function imprimirDiff(registro) {
+  let total = 0;
+  console.log("\n📋 Cambios respecto a la base de datos:");
+
+  Object.entries(registro).forEach(([tabla, r]) => {
+    total += r.nuevas.length + r.actualizadas.length;
+    console.log(`\n  ${tabla}: +${r.nuevas.length} nuevas, ~${r.actualizadas.length} actualizadas, =${r.sin_cambios} sin cambios`);
+
+    r.nuevas.forEach(texto => console.log(`    + ${texto}`));
+    r.actualizadas.forEach(({ clave, cambios }) => {
+      const detalle = Object.entries(cambios)
+        .map(([campo, [antes, despues]]) => `${campo}: ${mostrarValor(antes)} → ${mostrarValor(despues)}`)
+        .join("; ");
+      console.log(`    ~ ${clave}: ${detalle}`);
+    });
+  });
+
+  return total;
+}
+
+/**
+ * Imprime las filas rechazadas y las guarda en un CSV para corregirlas
+ * @param {Array<Object>} rechazadas
+ * @param {string} ruta
+ */
+function reportarRechazadas(rechazadas, ruta) {
+  if (rechazadas.length === 0) return;
+
+  const ordenadas = [...rechazadas].sort((a, b) => a.linea - b.linea);
+
+  console.log(`\n⛔ ${ordenadas.length} fila(s) rechazada(s):`);
+  ordenadas.forEach(r => console.log(`  línea ${r.linea}: ${r.errores.join(" | ")}`));
+
+  fs.writeFileSync(ruta, generarCSV(ordenadas.map(r => ({
+    linea: r.linea,
+    motivos: r.errores.join(" | "),
+    ...(r.celdas || {})
+  }))));
+  console.log(`\n  Detalle guardado en ${ruta}`);
+}
+
+// ==========================================================================
+// PROGRAMA PRINCIPAL
+// ==========================================================================
+
+/**
+ * Lee los argumentos de la línea de comandos
+ * @param {Array<string>} argv - process.argv.slice(2)
+ */
+function leerArgumentos(argv) {
+  const opciones = { archivo: null, fuente: null, dryRun: false, si: false, rechazados: null, anioMinimo: null };
+
+  argv.forEach(arg => {
+    if (arg === "--dry-run") opciones.dryRun = true;
+    else if (arg === "--si") opciones.si = true;
+    else if (arg.startsWith("--fuente=")) opciones.fuente = arg.slice("--fuente=".length).toUpperCase();
+    else if (arg.startsWith("--rechazados=")) opciones.rechazados = arg.slice("--rechazados=".length);
+    else if (arg.startsWith("--anio-minimo=")) opciones.anioMinimo = Number(arg.slice("--anio-minimo=".length));
+    else if (!arg.startsWith("--")) opciones.archivo = arg;
+    else throw new Error(`Opción desconocida: ${arg}`);
+  });
+
+  if (!opciones.archivo) throw new Error("Indique el archivo CSV a importar");
+  if (!FUENTES[opciones.fuente]) {
+    throw new Error(`Indique --fuente=${Object.keys(FUENTES).join("|")}`);
+  }
+  if (opciones.anioMinimo !== null && (!Number.isInteger(opciones.anioMinimo) || opciones.anioMinimo <= 0)) {
+    throw new Error("--anio-minimo debe ser un año, por ejemplo --anio-minimo=1995");
+  }
+
+  opciones.rechazados = opciones.rechazados ||
+    path.join(path.dirname(opciones.archivo), `${path.basename(opciones.archivo, path.extname(opciones.archivo))}.rechazados.csv`);
+
+  return opciones;
+}
+
+/**
+ * Pregunta sí/no en la terminal
+ * @param {string} pregunta
+ * @returns {Promise<boolean>}
+ */
+function confirmar(pregunta) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question(pregunta, respuesta => {
+      rl.close();
+      resolve(/^s(i|í)?$/i.test(respuesta.trim()));
+    });
+  });
+}
+
+async function main() {
+  let opciones;
+  try {
+    opciones = leerArgumentos(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error("Uso: node backend/importar.js archivo.csv --fuente=CVC|DAGMA [--dry-run] [--si] [--rechazados=ruta.csv] [--anio-minimo=AAAA]");
+    process.exitCode = 1;
+    return;
+  }
+
+  const fuente = FUENTES[opciones.fuente];
+  const texto = fs.readFileSync(opciones.archivo, "utf8");
+
+  // La BD se carga aquí para que validarArchivo pueda usarse sin conexión
+  const db = require("./basedatos");
+  const cliente = await db.obtenerCliente();
+
+  try {
+    const municipios = (await cliente.query("SELECT id_municipio, nombre_municipio FROM municipios")).rows;
+    // El mismo límite inferior que usa la API (metadatos.js): el primer año con mediciones
+    const primerAnio = (await cliente.query("SELECT MIN(anio) AS anio FROM mediciones")).rows[0].anio;
+    const anioMinimo = opciones.anioMinimo || primerAnio;
+    const { validas, rechazadas, desconocidas, faltantes } = validarArchivo(texto, fuente, municipios, anioMinimo);
+
+    console.log(`📥 ${opciones.archivo} · fuente: ${opciones.fuente} (${fuente.nombre})`);
+    if (desconocidas.length > 0) {
+      console.log(`ℹ️ Columnas ignoradas: ${desconocidas.join(", ")}`);
+    }
+    if (faltantes.length > 0) {
+      console.error(`❌ Faltan columnas obligatorias: ${faltantes.join(", ")}`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`✅ ${validas.length} fila(s) válidas · ⛔ ${rechazadas.length} rechazada(s) en la validación`);
+
+    await cliente.query("BEGIN");
+    let aplicado = await aplicarFilas(cliente, validas);
+
+    const total = imprimirDiff(aplicado.registro);
+    reportarRechazadas([...rechazadas, ...aplicado.rechazadas], opciones.rechazados);
+
+    if (total === 0) {
+      await cliente.query("ROLLBACK");
+      console.log("\n✔️ La base de datos ya está al día: no hay nada que importar.");
+      return;
+    }
+
+    if (opciones.dryRun) {
+      await cliente.query("ROLLBACK");
+      console.log("\n🔍 Simulación (--dry-run): no se guardó ningún cambio.");
+      return;
+    }
+
+    if (!opciones.si) {
+      // La transacción no queda abierta (con sus bloqueos) mientras se espera la respuesta
+      await cliente.query("ROLLBACK");
+
+      if (!await confirmar(`\n¿Guardar estos ${total} cambio(s)? (s/N) `)) {
+        console.log("↩️ Importación cancelada: no se guardó ningún cambio.");
+        return;
+      }
+
+      await cliente.query("BEGIN");
+      const reaplicado = await aplicarFilas(cliente, validas);
+      if (JSON.stringify(reaplicado) !== JSON.stringify(aplicado)) {
+        await cliente.query("ROLLBACK");
+        console.error("❌ La base de datos cambió mientras se esperaba la confirmación: no se guardó nada. Vuelva a ejecutar la importación.");
+        process.exitCode = 1;
+        return;
+      }
+      aplicado = reaplicado;
+    }
+
+    await registrarImportacion(cliente, opciones, aplicado.registro, rechazadas.length + aplicado.rechazadas.length);
+    await cliente.query("COMMIT");
+    console.log(`\n💾 Importación completada: ${total} cambio(s) guardado(s).`);
+  } catch (error) {
+    await cliente.query("ROLLBACK").catch(() => {});
+    console.error("❌ Error durante la importación:", error.message);
+    process.exitCode = 1;
+  } finally {
+    cliente.release();
+    await db.cerrarConexion();
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error("❌ No se pudo importar:", error.message);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  FUENTES,
+  parsearCSV,
+  validarArchivo
+};
@@ -13,6 +13,18 @@ const express = require("express");
 const cors = require("cors");
 const path = require("path");
 const db = require("./basedatos"); // Módulo de conexión a base de datos
+const normas = require("./normas"); // Normas de calidad del aire disponibles
+const exportar = require("./exportar"); // Respuestas descargables (?formato=csv|xlsx|json)
+const geojson = require("./geojson"); // Construcción de FeatureCollections (RFC 7946)
+const interpolacion = require("./interpolacion"); // Malla IDW entre estaciones
+const limitesMunicipios = require("./limitesMunicipios"); // Polígonos municipales (DANE)
+const tendencia = require("./tendencia"); // Mann-Kendall y pendiente de Sen
+const metadatos = require("./metadatos"); // Rango de años y resumen del conjunto de datos
+const usuarios = require("./usuarios"); // Cuentas de usuario (tablas usuarios y tokens)
+const autenticacion = require("./autenticacion"); // Contraseñas, sesiones JWT y middlewares
+const correo = require("./correo"); // Envío de correos (transporte intercambiable)
+const comentarios = require("./comentarios"); // Comentarios de usuarios sobre las estaciones
+const diccionario = require("./diccionario"); // Administración del diccionario de contaminantes
 
 /*Instancia principal de la aplicación Express
   Maneja todas las rutas y middlewares del servidor*/
@@ -23,6 +35,12 @@ const PORT = process.env.PORT || 3000; //Usa variable de entorno PORT (producci
 // ==========================================================================
 // CONFIGURACIÓN DE MIDDLEWARES
 // ==========================================================================
+// Detrás de un proxy (Render, Nginx) req.ip debe ser la del cliente y no la del proxy:
+// TRUST_PROXY=1 confía en un salto de X-Forwarded-For (usado por el límite de intentos)
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 app.use(cors());                                            //permite que el fronted haga peticiones al backend desde diferente origen
 app.use(express.json());                                    //habilita el procesamiento de peticiones en formato JSON
 app.use(express.static(path.join(__dirname, "../public"))); //sirve archivos al fronted desde la carpeta public
@@ -65,15 +83,142 @@ const apiHandler = (controller, endpointName = "la ruta") => {
 /**
  * @route GET /api/municipios
  * @description Obtiene la lista completa de municipios.
+ * @param {string} [req.query.formato] - csv | xlsx | json para descargar como archivo
  */
-app.get("/api/municipios", apiHandler(
+app.get("/api/municipios", exportar.validarFormato, apiHandler(
   async (req, res) => {
     const municipios = await db.getMunicipios();
-    res.json(municipios);
+    await exportar.responder(req, res, municipios, {
+      archivo: exportar.nombreArchivo("municipios")
+    });
   }, 
   "Error al obtener municipios"
 ));
 
+/**
+ * @route GET /api/municipios/:id_municipio/resumen
+ * @description Estadísticas agregadas de un municipio en un año, por contaminante y exposición
+ * @param {string} req.params.id_municipio
+ * @param {string} req.query.anio
+ * @param {string} [req.query.norma] - Norma de clasificación (ver /api/normas)
+ * @param {string} [req.query.formato] - csv | xlsx | json para descargar como archivo
+ * @returns {object} 200 - JSON con el resumen por contaminante y la clasificación general
+ * @returns {object} 400 - Error de validación
+ * @returns {object} 404 - El municipio no tiene mediciones ese año
+ */
+app.get('/api/municipios/:id_municipio/resumen', normas.validarNorma, exportar.validarFormato, apiHandler(
+  async (req, res) => {
+    const idMunicipio = parseInt(req.params.id_municipio);
+    const anio = parseInt(req.query.anio);
+
+    if (isNaN(idMunicipio) || idMunicipio <= 0) {
+      return res.status(400).json({
+        error: 'El ID del municipio debe ser un número entero positivo'
+      });
+    }
+
+    if (!req.query.anio) {
+      return res.status(400).json({
+        error: 'Falta el parámetro anio',
+        ejemplo: `/api/municipios/${idMunicipio}/resumen?anio=2019`
+      });
+    }
+
+    const errorAnio = await metadatos.validarAnio(anio);
+    if (errorAnio) {
+      return res.status(400).json({
+        error: errorAnio
+      });
+    }
+
+    const { idNorma } = req; // Validada por normas.validarNorma
+
+    const resumen = await db.getResumenMunicipio(idMunicipio, anio, idNorma);
+
+    if (!resumen) {
+      return res.status(404).json({
+        mensaje: `No hay mediciones para el municipio ${idMunicipio} en ${anio}.`
+      });
+    }
+
+    await exportar.responder(req, res, resumen, {
+      archivo: exportar.nombreArchivo('resumen', resumen.municipio.nombre, anio),
+      filas: resumen.contaminantes
+    });
+  },
+  "/api/municipios/:id_municipio/resumen"
+));
+
+/**
+ * @route GET /api/estaciones/cercanas
+ * @description Estaciones ordenadas por distancia (haversine) a un punto
+ * NOTA: Debe registrarse antes de /api/estaciones/:id_municipio para no ser capturada por ella.
+ * @param {string} req.query.lat - Latitud del punto
+ * @param {string} req.query.lon - Longitud del punto
+ * @param {string} [req.query.radio_km] - Radio máximo en km (sin él se devuelven las más cercanas)
+ * @param {string} [req.query.anio] - Año: usa la ubicación vigente ese año y solo estaciones operativas
+ * @param {string} [req.query.limite] - Máximo de resultados (por defecto 10 si no hay radio)
+ */
+app.get("/api/estaciones/cercanas", apiHandler(
+  async (req, res) => {
+    const lat = parseFloat(req.query.lat);
+    const lon = parseFloat(req.query.lon);
+
+    // Validar coordenadas
+    if (isNaN(lat) || lat < -90 || lat > 90 || isNaN(lon) || lon < -180 || lon > 180) {
+      return res.status(400).json({
+        error: 'Se requieren coordenadas válidas: lat entre -90 y 90, lon entre -180 y 180',
+        ejemplo: '/api/estaciones/cercanas?lat=3.4516&lon=-76.532&radio_km=5&anio=2019'
+      });
+    }
+
+    // Validar radio (opcional)
+    let radioKm = null;
+    if (req.query.radio_km !== undefined) {
+      radioKm = parseFloat(req.query.radio_km);
+      if (isNaN(radioKm) || radioKm <= 0) {
+        return res.status(400).json({
+          error: 'El radio debe ser un número positivo (km)'
+        });
+      }
+    }
+
+    // Validar año (opcional)
+    let anio = null;
+    if (req.query.anio !== undefined) {
+      anio = parseInt(req.query.anio);
+      const errorAnio = await metadatos.validarAnio(anio);
+      if (errorAnio) {
+        return res.status(400).json({
+          error: errorAnio
+        });
+      }
+    }
+
+    // Validar límite (opcional)
+    let limite = radioKm === null ? 10 : null;
+    if (req.query.limite !== undefined) {
+      limite = parseInt(req.query.limite);
+      if (isNaN(limite) || limite <= 0) {
+        return res.status(400).json({
+          error: 'El límite debe ser un número entero positivo'
+        });
+      }
+    }
+
+    const estaciones = await db.getEstacionesCercanas(lat, lon, { radioKm, anio, limite });
+
+    res.status(200).json({
+      punto: { lat, lon },
+      radio_km: radioKm,
+      anio_consultado: anio,
+      total_estaciones: estaciones.length,
+      estaciones: estaciones
+    });
+  },
+  "/api/estaciones/cercanas"
+));
+
 /**
  * @route GET /api/estaciones/:id_municipio
  * @description Obtiene todas las estaciones de un municipio específico.
@@ -93,10 +238,31 @@ app.get("/api/estaciones/:id_municipio", apiHandler(
  * @returns {Array<Object>} Lista de objetos del diccionario de contaminantes.
  */
 app.get("/api/diccionario", apiHandler(async (req, res) => {
-  const diccionario = await db.obtenerDiccionarioContaminantes();
+  const diccionario = await db.getDiccionario();
+  // Sin caché: los cambios del panel de administración se ven de inmediato
+  res.set("Cache-Control", "no-cache");
   res.json(diccionario);
 }, "/api/diccionario"));
 
+/**
+ * @route GET /api/normas
+ * @description Lista las normas de calidad del aire con las que se puede clasificar (?norma=)
+ */
+app.get("/api/normas", apiHandler(async (req, res) => {
+  res.json(normas.listarNormas());
+}, "/api/normas"));
+
+/**
+ * @route GET /api/meta
+ * @description Resumen del conjunto de datos: rango de años, contaminantes medidos,
+ * número de estaciones y última importación. Es la referencia que usan los
+ * validadores de la API y el frontend.
+ * @returns {object} 200 - JSON con anios, contaminantes, estaciones, ultima_importacion y actualizado_en
+ */
+app.get("/api/meta", apiHandler(async (req, res) => {
+  res.json(await metadatos.obtenerMetadatos());
+}, "/api/meta"));
+
 /**
  * @route GET /api/anios/:id_municipio
  * @description Obtener años con datos disponibles por municipio
@@ -134,12 +300,166 @@ app.get('/api/anios/:id_municipio', apiHandler(
   "/api/anios"
 ));
 
+/**
+ * @route GET /api/estaciones/:id_estacion/ubicaciones
+ * @description Historial de ubicaciones (reubicaciones) de una estación
+ * NOTA: Debe registrarse antes de /api/estaciones/:id_municipio/:anio para no ser capturada por ella.
+ * @returns {object} 200 - JSON con la ubicación de cada año y el trayecto agrupado
+ * @returns {object} 400 - Error de validación
+ * @returns {object} 404 - La estación no tiene ubicaciones registradas
+ */
+app.get('/api/estaciones/:id_estacion/ubicaciones', apiHandler(
+  async (req, res) => {
+    const idEstacion = parseInt(req.params.id_estacion);
+
+    if (isNaN(idEstacion) || idEstacion <= 0) {
+      return res.status(400).json({
+        error: 'El ID de la estación debe ser un número entero positivo'
+      });
+    }
+
+    const historial = await db.getUbicacionesPorEstacion(idEstacion);
+
+    if (!historial) {
+      return res.status(404).json({
+        mensaje: 'No hay ubicaciones registradas para esta estación.'
+      });
+    }
+
+    res.status(200).json(historial);
+  },
+  "/api/estaciones/:id_estacion/ubicaciones"
+));
+
+/**
+ * Valida el alcance opcional de un comentario (año y contaminante)
+ * @param {string} [anioTexto]
+ * @param {string} [contaminanteTexto] - Símbolo, ej. PM2.5
+ * @returns {Promise<{error: string|null, anio: number|null, contaminante: string|null}>}
+ */
+async function validarAlcanceComentario(anioTexto, contaminanteTexto) {
+  let anio = null;
+  if (anioTexto !== undefined && anioTexto !== null && anioTexto !== "") {
+    anio = parseInt(anioTexto);
+    const errorAnio = await metadatos.validarAnio(anio);
+    if (errorAnio) return { error: errorAnio };
+  }
+
+  let contaminante = null;
+  if (contaminanteTexto) {
+    const { contaminantes } = await metadatos.obtenerMetadatos();
+    const encontrado = contaminantes.find(
+      c => c.simbolo.toUpperCase() === String(contaminanteTexto).trim().toUpperCase()
+    );
+    if (!encontrado) {
+      return { error: `Contaminante desconocido: ${contaminanteTexto}` };
+    }
+    contaminante = encontrado.simbolo;
+  }
+
+  return { error: null, anio, contaminante };
+}
+
+/**
+ * @route GET /api/estaciones/:id_estacion/comentarios
+ * @description Comentarios aprobados de una estación que aplican al año y contaminante
+ * indicados (incluye los generales). Con sesión, agrega los pendientes o rechazados del usuario.
+ * Va antes de /api/estaciones/:id_municipio/:anio para que "comentarios" no se tome como año.
+ * @param {string} [req.query.anio]
+ * @param {string} [req.query.contaminante] - Símbolo, ej. PM2.5
+ * @returns {object} 200 - { id_estacion, total, comentarios }
+ */
+app.get('/api/estaciones/:id_estacion/comentarios', autenticacion.sesionOpcional, apiHandler(
+  async (req, res) => {
+    const idEstacion = parseInt(req.params.id_estacion);
+
+    if (isNaN(idEstacion) || idEstacion <= 0) {
+      return res.status(400).json({
+        error: 'El ID de la estación debe ser un número entero positivo'
+      });
+    }
+
+    const { error, anio, contaminante } = await validarAlcanceComentario(req.query.anio, req.query.contaminante);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const lista = await comentarios.getComentariosEstacion(idEstacion, {
+      anio,
+      contaminante,
+      idUsuario: req.usuario ? req.usuario.id_usuario : null
+    });
+
+    res.json({ id_estacion: idEstacion, total: lista.length, comentarios: lista });
+  },
+  "/api/estaciones/:id_estacion/comentarios"
+));
+
+/**
+ * @route POST /api/estaciones/:id_estacion/comentarios
+ * @description Publica un comentario (requiere sesión con correo verificado).
+ * Queda pendiente de moderación salvo que el autor sea moderador o admin.
+ * @param {string} req.body.texto
+ * @param {number} [req.body.anio] - Sin año aplica a todos los años
+ * @param {string} [req.body.contaminante] - Sin contaminante aplica a todos
+ * @returns {object} 201 - El comentario creado
+ * @returns {object} 400 - Error de validación
+ * @returns {object} 404 - La estación no existe
+ */
+app.post('/api/estaciones/:id_estacion/comentarios',
+  autenticacion.requiereSesion,
+  autenticacion.requiereCorreoVerificado,
+  apiHandler(
+    async (req, res) => {
+      const idEstacion = parseInt(req.params.id_estacion);
+      const texto = String((req.body && req.body.texto) || "").trim();
+
+      if (isNaN(idEstacion) || idEstacion <= 0) {
+        return res.status(400).json({
+          error: 'El ID de la estación debe ser un número entero positivo'
+        });
+      }
+
+      if (texto.length < comentarios.TEXTO_MIN || texto.length > comentarios.TEXTO_MAX) {
+        return res.status(400).json({
+          error: `El comentario debe tener entre ${comentarios.TEXTO_MIN} y ${comentarios.TEXTO_MAX} caracteres`
+        });
+      }
+
+      const { error, anio, contaminante } = await validarAlcanceComentario(req.body.anio, req.body.contaminante);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const comentario = await comentarios.crearComentario({
+        idEstacion,
+        anio,
+        contaminante,
+        idUsuario: req.usuario.id_usuario,
+        texto,
+        aprobado: ["moderador", "admin"].includes(req.usuario.rol)
+      });
+
+      if (!comentario) {
+        return res.status(404).json({
+          mensaje: 'La estación no existe.'
+        });
+      }
+
+      res.status(201).json(comentario);
+    },
+    "POST /api/estaciones/:id_estacion/comentarios"
+  )
+);
+
 /**
  * Endpoint: Obtener estaciones por municipio y año con ubicaciones temporales
  * Ruta: GET /api/estaciones/:id_municipio/:anio
  * * NOTA: Esta ruta ha sido refactorizada para usar apiHandler.
+ * Cada estación trae su clasificación general (peor contaminante del año) según ?norma=.
+ * Admite ?formato=csv|xlsx|json para descargar el resultado.
  */
-app.get('/api/estaciones/:id_municipio/:anio', apiHandler(
+app.get('/api/estaciones/:id_municipio/:anio', normas.validarNorma, exportar.validarFormato, apiHandler(
   async (req, res) => {
     // Parsear y validar parámetros
     const idMunicipio = parseInt(req.params.id_municipio);
@@ -152,16 +472,18 @@ app.get('/api/estaciones/:id_municipio/:anio', apiHandler(
       });
     }
 
-    // Validación de año (rango razonable según tus datos)
-    // Se mantiene la validación de rango 2011-2023 por contexto del proyecto
-    if (isNaN(anio) || anio < 2011 || anio > 2023) {
+    // Validación de año (rango con datos en la BD, ver /api/meta)
+    const errorAnio = await metadatos.validarAnio(anio);
+    if (errorAnio) {
       return res.status(400).json({
-        error: 'El año debe ser un número entre 2011 y 2023'
+        error: errorAnio
       });
     }
 
+    const { idNorma } = req; // Validada por normas.validarNorma
+
     // Llamar a la función de base de datos
-    const estaciones = await db.getEstacionesPorMunicipioYAnio(idMunicipio, anio);
+    const estaciones = await db.getEstacionesPorMunicipioYAnio(idMunicipio, anio, idNorma);
 
     // Si no hay estaciones operativas en ese año
     if (estaciones.length === 0) {
@@ -172,22 +494,82 @@ app.get('/api/estaciones/:id_municipio/:anio', apiHandler(
     }
 
     // Respuesta exitosa con metadata
-    res.status(200).json({
+    await exportar.responder(req, res, {
       municipio_id: idMunicipio,
       anio_consultado: anio,
       total_estaciones: estaciones.length,
       estaciones: estaciones
+    }, {
+      archivo: exportar.nombreArchivo(`municipio-${idMunicipio}`, "estaciones", anio),
+      filas: estaciones.map(est => ({ anio: anio, ...est }))
     });
   },
   "/api/estaciones/:id_municipio/:anio" // Nombre del endpoint para el log
 ));
 
+/**
+ * @route GET /api/estaciones/:id_estacion/:anio/completo
+ * @description Todos los contaminantes medidos en una estación durante un año, con
+ * estadísticas, clasificación e ICA, en una sola respuesta (boletín de la estación)
+ * @param {string} req.params.id_estacion
+ * @param {string} req.params.anio
+ * @param {string} [req.query.norma] - Norma de clasificación (ver /api/normas)
+ * @param {string} [req.query.formato] - csv | xlsx | json para descargar como archivo
+ * @returns {object} 200 - JSON con la estación, la clasificación general y un elemento por contaminante/exposición
+ * @returns {object} 400 - Error de validación
+ * @returns {object} 404 - La estación no tiene mediciones ese año
+ */
+app.get('/api/estaciones/:id_estacion/:anio/completo', normas.validarNorma, exportar.validarFormato, apiHandler(
+  async (req, res) => {
+    const idEstacion = parseInt(req.params.id_estacion);
+    const anio = parseInt(req.params.anio);
+
+    if (isNaN(idEstacion) || idEstacion <= 0) {
+      return res.status(400).json({
+        error: 'El ID de la estación debe ser un número entero positivo'
+      });
+    }
+
+    const errorAnio = await metadatos.validarAnio(anio);
+    if (errorAnio) {
+      return res.status(400).json({
+        error: errorAnio
+      });
+    }
+
+    const { idNorma } = req; // Validada por normas.validarNorma
+
+    const reporte = await db.getReporteEstacion(idEstacion, anio, idNorma);
+
+    if (!reporte) {
+      return res.status(404).json({
+        mensaje: `No hay datos de contaminantes para esta estación en el año ${anio}.`,
+        sugerencia: 'Verifique que la estación estuviera operativa en ese año'
+      });
+    }
+
+    await exportar.responder(req, res, reporte, {
+      archivo: exportar.nombreArchivo(reporte.estacion.nombre, "reporte", anio),
+      // Una fila por contaminante/exposición, con la estación como contexto
+      filas: reporte.contaminantes.map(cont => ({
+        estacion: reporte.estacion.nombre,
+        municipio: reporte.estacion.municipio,
+        anio: reporte.anio,
+        norma: reporte.norma.fuente,
+        ...cont
+      }))
+    });
+  },
+  "/api/estaciones/:id_estacion/:anio/completo"
+));
+
 /**
  * Endpoint: Obtener contaminantes medidos en una estación durante un año
  * Ruta: GET /api/contaminantes/:id_estacion/:anio
  * * * NOTA: La ruta original ha sido refactorizada para usar el apiHandler.
+ * Admite ?formato=csv|xlsx|json para descargar el resultado.
  */
-app.get('/api/contaminantes/:id_estacion/:anio', apiHandler(
+app.get('/api/contaminantes/:id_estacion/:anio', exportar.validarFormato, apiHandler(
   async (req, res) => {
     // Parsear y validar parámetros
     const idEstacion = parseInt(req.params.id_estacion);
@@ -201,9 +583,10 @@ app.get('/api/contaminantes/:id_estacion/:anio', apiHandler(
     }
     
     // Validación de año (rango razonable según tus datos)
-    if (isNaN(anio) || anio < 2011 || anio > 2023) {
-      return res.status(400).json({ 
-        error: 'El año debe ser un número entre 2011 y 2023' 
+    const errorAnio = await metadatos.validarAnio(anio);
+    if (errorAnio) {
+      return res.status(400).json({
+        error: errorAnio
       });
     }
     
@@ -219,11 +602,29 @@ app.get('/api/contaminantes/:id_estacion/:anio', apiHandler(
     }
     
     // Respuesta exitosa con metadata
-    res.status(200).json({
+    // (al exportar, una fila por contaminante y tiempo de exposición)
+    const filas = [];
+    contaminantes.forEach(cont => {
+      cont.tiempos_exposicion.forEach(tiempo => {
+        filas.push({
+          estacion_id: idEstacion,
+          anio: anio,
+          simbolo: cont.simbolo,
+          unidades: cont.unidades,
+          id_exposicion: tiempo.id_exposicion,
+          tiempo_horas: tiempo.tiempo_horas
+        });
+      });
+    });
+
+    await exportar.responder(req, res, {
       estacion_id: idEstacion,
       anio_consultado: anio,
       total_contaminantes: contaminantes.length,
       contaminantes: contaminantes
+    }, {
+      archivo: exportar.nombreArchivo(`estacion-${idEstacion}`, "contaminantes", anio),
+      filas: filas
     });
     
   },
@@ -236,8 +637,10 @@ app.get('/api/contaminantes/:id_estacion/:anio', apiHandler(
  * @param {string} req.query.estacion
  * @param {string} req.query.anio
  * @param {string} req.query.exposicion
+ * @param {string} [req.query.norma] - Norma de clasificación (ver /api/normas)
+ * @param {string} [req.query.formato] - csv | xlsx | json para descargar como archivo
 */
-app.get('/api/datos', apiHandler(
+app.get('/api/datos', normas.validarNorma, exportar.validarFormato, apiHandler(
   
   // 1er Argumento: El controlador (toda tu lógica interna)
   async (req, res) => {
@@ -252,7 +655,7 @@ app.get('/api/datos', apiHandler(
         error: 'Faltan parámetros requeridos',
         parametros_requeridos: {
           estacion: 'ID de la estación (número)',
-          anio: 'Año a consultar (2011-2023)',
+          anio: 'Año a consultar (rango en /api/meta)',
           exposicion: 'ID de exposición (número)'
         },
         ejemplo: '/api/datos?estacion=8986&anio=2015&exposicion=4'
@@ -272,9 +675,10 @@ app.get('/api/datos', apiHandler(
     }
     
     // Validar año
-    if (isNaN(anio) || anio < 2011 || anio > 2023) {
-      return res.status(400).json({ 
-        error: 'El año debe ser un número entre 2011 y 2023' 
+    const errorAnio = await metadatos.validarAnio(anio);
+    if (errorAnio) {
+      return res.status(400).json({
+        error: errorAnio
       });
     }
     // Validar ID de exposición
@@ -283,8 +687,9 @@ app.get('/api/datos', apiHandler(
         error: 'El ID de exposición debe ser un número entero positivo' 
       });
     }
+    const { idNorma } = req; // Validada por normas.validarNorma
     // Llamar a la función de base de datos
-    const datos = await db.getDatosHistoricosPorContaminante(idEstacion, anio, idExposicion);
+    const datos = await db.getDatosHistoricosPorContaminante(idEstacion, anio, idExposicion, idNorma);
     // Si no hay datos para esa combinación
     if (!datos) {
       return res.status(404).json({ 
@@ -297,36 +702,1436 @@ app.get('/api/datos', apiHandler(
         sugerencia: 'Verifique que existan mediciones para este contaminante en la estación y año seleccionados'
       });
     }
-    // Respuesta exitosa
-    res.status(200).json(datos);
+    // Respuesta exitosa (JSON o archivo descargable)
+    await exportar.responder(req, res, datos, {
+      archivo: exportar.nombreArchivo(datos.estacion.nombre, datos.contaminante.simbolo, datos.anio)
+    });
   }, 
   // 2do Argumento: Nombre del endpoint para el log de errores
   "/api/datos"
 ));
 
-// ==========================================================================
-// RUTA DE PÁGINA PRINCIPAL
-// ==========================================================================
+/**
+ * @route GET /api/series
+ * @description Serie anual (todos los años con datos) de un contaminante en una estación
+ * @param {string} req.query.estacion
+ * @param {string} req.query.exposicion
+ * @param {string} [req.query.norma] - Norma de clasificación (ver /api/normas)
+ * @param {string} [req.query.solo_validos] - "true" para omitir los años con menos del 75 % de representatividad
+ * @param {string} [req.query.formato] - csv | xlsx | json para descargar como archivo
+ * @returns {object} 200 - JSON con estación, contaminante y un elemento por año
+ * @returns {object} 400 - Error de validación
+ * @returns {object} 404 - No se encontraron registros
+ */
+app.get('/api/series', normas.validarNorma, exportar.validarFormato, apiHandler(
+  async (req, res) => {
+    const estacionParam = req.query.estacion;
+    const exposicionParam = req.query.exposicion;
 
-// Sirve el archivo HTML principal (punto de entrada del frontend)
-app.get("/", (req, res) => {
-  res.sendFile(path.join(__dirname, "../public/index.html"));
-});
+    // Validar que todos los parámetros estén presentes
+    if (!estacionParam || !exposicionParam) {
+      return res.status(400).json({
+        error: 'Faltan parámetros requeridos',
+        parametros_requeridos: {
+          estacion: 'ID de la estación (número)',
+          exposicion: 'ID de exposición (número)'
+        },
+        ejemplo: '/api/series?estacion=8986&exposicion=4'
+      });
+    }
 
-// ==========================================================================
-// MANEJO DE ERRORES GLOBALES
-// ==========================================================================
+    const idEstacion = parseInt(estacionParam);
+    const idExposicion = parseInt(exposicionParam);
 
-// Previene que el servidor se caiga por errores asíncronos no capturados (ej: fallo DB)
-process.on("unhandledRejection", (reason) => {
-  console.error("⚠️ Promesa rechazada sin capturar:", reason);
-});
+    // Validar ID de estación
+    if (isNaN(idEstacion) || idEstacion <= 0) {
+      return res.status(400).json({
+        error: 'El ID de la estación debe ser un número entero positivo'
+      });
+    }
+    // Validar ID de exposición
+    if (isNaN(idExposicion) || idExposicion <= 0) {
+      return res.status(400).json({
+        error: 'El ID de exposición debe ser un número entero positivo'
+      });
+    }
+    const { idNorma } = req; // Validada por normas.validarNorma
 
-// ==========================================================================
-// INICIALIZACIÓN DEL SERVIDOR
-// ==========================================================================
+    const serie = await db.getSerieHistoricaPorContaminante(idEstacion, idExposicion, idNorma, {
+      soloValidos: req.query.solo_validos === 'true'
+    });
 
-// Inicia el servidor HTTP
-app.listen(PORT, () => {
-  console.log(`🚀 Servidor backend iniciado en: http://localhost:${PORT}`);
+    if (!serie) {
+      return res.status(404).json({
+        mensaje: 'No se encontraron mediciones para la combinación especificada',
+        parametros_consultados: {
+          estacion: idEstacion,
+          exposicion: idExposicion
+        }
+      });
+    }
+
+    await exportar.responder(req, res, serie, {
+      archivo: exportar.nombreArchivo(serie.estacion.nombre, serie.contaminante.simbolo, "serie"),
+      // Una fila por año, con la estación y el contaminante repetidos como contexto
+      filas: serie.serie.map(punto => ({
+        estacion: serie.estacion.nombre,
+        contaminante: serie.contaminante.simbolo,
+        unidades: serie.contaminante.unidades,
+        tiempo_horas: serie.contaminante.tiempo_exposicion.horas,
+        norma: serie.norma.fuente,
+        ...punto
+      }))
+    });
+  },
+  "/api/series"
+));
+
+/**
+ * @route GET /api/tendencia
+ * @description Tendencia del promedio anual de un contaminante en una estación
+ * (prueba de Mann-Kendall y pendiente de Sen)
+ * @param {string} req.query.estacion
+ * @param {string} req.query.exposicion
+ * @param {string} [req.query.alfa] - Nivel de significancia, entre 0 y 0.5 (por defecto 0.05)
+ * @param {string} [req.query.solo_validos] - "true" para usar solo los años que cumplen la regla del 75 %
+ * @param {string} [req.query.formato] - csv | xlsx | json para descargar como archivo
+ * @returns {object} 200 - JSON con la pendiente (unidades/año), el p-valor y el veredicto
+ * @returns {object} 400 - Error de validación
+ * @returns {object} 404 - No se encontraron registros
+ */
+app.get('/api/tendencia', exportar.validarFormato, apiHandler(
+  async (req, res) => {
+    const estacionParam = req.query.estacion;
+    const exposicionParam = req.query.exposicion;
+
+    if (!estacionParam || !exposicionParam) {
+      return res.status(400).json({
+        error: 'Faltan parámetros requeridos',
+        parametros_requeridos: {
+          estacion: 'ID de la estación (número)',
+          exposicion: 'ID de exposición (número)'
+        },
+        ejemplo: '/api/tendencia?estacion=8986&exposicion=4'
+      });
+    }
+
+    const idEstacion = parseInt(estacionParam);
+    const idExposicion = parseInt(exposicionParam);
+
+    if (isNaN(idEstacion) || idEstacion <= 0) {
+      return res.status(400).json({
+        error: 'El ID de la estación debe ser un número entero positivo'
+      });
+    }
+    if (isNaN(idExposicion) || idExposicion <= 0) {
+      return res.status(400).json({
+        error: 'El ID de exposición debe ser un número entero positivo'
+      });
+    }
+
+    const alfa = req.query.alfa !== undefined ? parseFloat(req.query.alfa) : tendencia.ALFA_POR_DEFECTO;
+    if (isNaN(alfa) || alfa <= 0 || alfa > 0.5) {
+      return res.status(400).json({
+        error: 'El nivel de significancia (alfa) debe ser un número mayor que 0 y hasta 0.5'
+      });
+    }
+
+    const serie = await db.getSerieHistoricaPorContaminante(idEstacion, idExposicion, normas.NORMA_POR_DEFECTO, {
+      soloValidos: req.query.solo_validos === 'true'
+    });
+
+    if (!serie) {
+      return res.status(404).json({
+        mensaje: 'No se encontraron mediciones para la combinación especificada',
+        parametros_consultados: {
+          estacion: idEstacion,
+          exposicion: idExposicion
+        }
+      });
+    }
+
+    const analisis = tendencia.analizarTendencia(
+      serie.serie.map(punto => ({ anio: punto.anio, valor: punto.promedio })),
+      { alfa, simbolo: serie.contaminante.simbolo, unidades: serie.contaminante.unidades }
+    );
+
+    const resumen = {
+      estacion: serie.estacion,
+      contaminante: serie.contaminante,
+      metodo: 'Mann-Kendall (bilateral) y pendiente de Sen sobre el promedio anual',
+      anios_ocultos: serie.anios_ocultos,
+      ...analisis,
+      unidades_pendiente: `${serie.contaminante.unidades}/año`
+    };
+
+    const datos = {
+      ...resumen,
+      serie: serie.serie.map(punto => ({ anio: punto.anio, promedio: punto.promedio }))
+    };
+
+    await exportar.responder(req, res, datos, {
+      archivo: exportar.nombreArchivo(serie.estacion.nombre, serie.contaminante.simbolo, "tendencia"),
+      // Una sola fila con el resultado (la serie ya está en /api/series)
+      filas: [resumen]
+    });
+  },
+  "/api/tendencia"
+));
+
+/**
+ * @route GET /api/geo/estaciones
+ * @description Estaciones como FeatureCollection GeoJSON (RFC 7946), lista para QGIS o L.geoJSON
+ * @param {string} [req.query.anio] - Año: estaciones operativas ese año con su ubicación vigente
+ * @param {string} [req.query.norma] - Norma de clasificación (ver /api/normas)
+ * @returns {object} 200 - FeatureCollection de puntos
+ * @returns {object} 400 - Error de validación
+ */
+app.get('/api/geo/estaciones', normas.validarNorma, apiHandler(
+  async (req, res) => {
+    let anio = null;
+
+    // El año es opcional; si viene debe ser válido
+    if (req.query.anio !== undefined) {
+      anio = parseInt(req.query.anio);
+      const errorAnio = await metadatos.validarAnio(anio);
+      if (errorAnio) {
+        return res.status(400).json({
+          error: errorAnio
+        });
+      }
+    }
+
+    const { idNorma } = req; // Validada por normas.validarNorma
+
+    const estaciones = await db.getEstacionesGeo(anio, idNorma);
+
+    const features = estaciones.map(est => geojson.puntoFeature(
+      est.longitud,
+      est.latitud,
+      {
+        id_estacion: est.id_estacion,
+        nombre_estacion: est.nombre_estacion,
+        tipo_estacion: est.tipo_estacion,
+        id_municipio: est.id_municipio,
+        nombre_municipio: est.nombre_municipio,
+        anio_ubicacion: est.anio_ubicacion,
+        anio_datos: est.anio_datos,
+        contaminantes: est.contaminantes,
+        clasificacion: est.clasificacion ? est.clasificacion.nivel : null,
+        color: est.clasificacion ? est.clasificacion.color : null,
+        contaminante_dominante: est.contaminante_dominante,
+        norma: normas.obtenerNorma(idNorma).fuente
+      },
+      est.id_estacion
+    ));
+
+    geojson.enviarGeoJSON(res, geojson.featureCollection(features));
+  },
+  "/api/geo/estaciones"
+));
+
+/**
+ * @route GET /api/geo/municipios
+ * @description Municipios como FeatureCollection GeoJSON (RFC 7946)
+ * @returns {object} 200 - FeatureCollection de puntos
+ */
+app.get('/api/geo/municipios', apiHandler(
+  async (req, res) => {
+    const municipios = await db.getMunicipiosGeo();
+
+    const features = municipios
+      .filter(m => m.latitud && m.longitud)
+      .map(m => geojson.puntoFeature(
+        m.longitud,
+        m.latitud,
+        {
+          id_municipio: m.id_municipio,
+          nombre_municipio: m.nombre_municipio,
+          total_estaciones: parseInt(m.total_estaciones),
+          anio_inicio: m.anio_inicio,
+          anio_fin: m.anio_fin
+        },
+        m.id_municipio
+      ));
+
+    geojson.enviarGeoJSON(res, geojson.featureCollection(features));
+  },
+  "/api/geo/municipios"
+));
+
+/**
+ * @route GET /api/geo/municipios/limites
+ * @description Polígonos de los municipios (FeatureCollection GeoJSON). Si se indican
+ *              contaminante, exposición y año, cada polígono incluye la media de sus estaciones
+ *              y su clasificación (para el mapa coroplético).
+ * @param {string} [req.query.contaminante] - Símbolo (ej. PM2.5)
+ * @param {string} [req.query.exposicion_horas] - Tiempo de exposición (ej. 24)
+ * @param {string} [req.query.anio]
+ * @param {string} [req.query.norma] - Norma de clasificación (ver /api/normas)
+ * @returns {object} 200 - FeatureCollection de polígonos
+ * @returns {object} 400 - Error de validación
+ * @returns {object} 503 - No se pudo leer el archivo de límites (backend/datos)
+ */
+app.get('/api/geo/municipios/limites', normas.validarNorma, apiHandler(
+  async (req, res) => {
+    const { contaminante } = req.query;
+    const conAgregado = Boolean(contaminante || req.query.exposicion_horas || req.query.anio);
+    const tiempoHoras = parseInt(req.query.exposicion_horas);
+    const anio = parseInt(req.query.anio);
+
+    if (conAgregado) {
+      if (!contaminante || isNaN(tiempoHoras) || tiempoHoras <= 0) {
+        return res.status(400).json({
+          error: 'Para colorear los municipios se requieren contaminante, exposicion_horas y anio',
+          ejemplo: '/api/geo/municipios/limites?contaminante=PM2.5&exposicion_horas=24&anio=2019'
+        });
+      }
+      const errorAnio = await metadatos.validarAnio(anio);
+      if (errorAnio) {
+        return res.status(400).json({
+          error: errorAnio
+        });
+      }
+    }
+
+    const { idNorma } = req; // Validada por normas.validarNorma
+
+    const limites = limitesMunicipios.cargarLimites();
+    if (!limites) {
+      return res.status(503).json({
+        mensaje: 'No se pudieron leer los límites municipales en el servidor',
+        archivo_esperado: limitesMunicipios.RUTA_LIMITES
+      });
+    }
+
+    const [municipios, agregado] = await Promise.all([
+      db.getMunicipios(),
+      conAgregado ? db.getAgregadoMunicipal(contaminante, tiempoHoras, anio, idNorma) : {}
+    ]);
+
+    const features = limites.features.map(feature => {
+      const municipio = limitesMunicipios.buscarMunicipio(feature.properties, municipios);
+      const datos = municipio ? agregado[municipio.id_municipio] : null;
+
+      return {
+        type: 'Feature',
+        id: municipio ? municipio.id_municipio : undefined,
+        geometry: feature.geometry,
+        properties: {
+          id_municipio: municipio ? municipio.id_municipio : null,
+          nombre_municipio: municipio ? municipio.nombre_municipio : feature.properties.MPIO_CNMBR,
+          valor: datos ? datos.valor : null,
+          maximo: datos ? datos.maximo : null,
+          unidades: datos ? datos.unidades : null,
+          total_estaciones: datos ? datos.total_estaciones : 0,
+          clasificacion: datos ? datos.clasificacion.nivel : null,
+          color: datos ? datos.clasificacion.color : null
+        }
+      };
+    });
+
+    geojson.enviarGeoJSON(res, geojson.featureCollection(features));
+  },
+  "/api/geo/municipios/limites"
+));
+
+/**
+ * @route GET /api/interpolacion
+ * @description Malla interpolada (IDW) de un contaminante sobre el Valle del Cauca para un año,
+ *              a partir del promedio de todas las estaciones. Son valores estimados, no medidos.
+ * @param {string} req.query.contaminante - Símbolo (ej. PM2.5)
+ * @param {string} req.query.exposicion_horas - Tiempo de exposición (ej. 24)
+ * @param {string} req.query.anio
+ * @param {string} [req.query.resolucion] - Tamaño de celda en grados (0.005 a 0.1, por defecto 0.02)
+ * @param {string} [req.query.potencia] - Exponente IDW (1 a 5, por defecto 2)
+ * @param {string} [req.query.norma] - Norma para los límites de la leyenda (ver /api/normas)
+ * @returns {object} 200 - JSON con la malla, las estaciones usadas y el aviso de interpolación
+ * @returns {object} 400 - Error de validación
+ * @returns {object} 404 - Ninguna estación con ubicación midió ese contaminante ese año
+ */
+app.get('/api/interpolacion', normas.validarNorma, apiHandler(
+  async (req, res) => {
+    const simbolo = req.query.contaminante;
+    const tiempoHoras = parseInt(req.query.exposicion_horas);
+    const anio = parseInt(req.query.anio);
+
+    if (!simbolo || !req.query.exposicion_horas || !req.query.anio) {
+      return res.status(400).json({
+        error: 'Faltan parámetros requeridos',
+        parametros_requeridos: {
+          contaminante: 'Símbolo del contaminante (ej. PM2.5)',
+          exposicion_horas: 'Tiempo de exposición en horas (ej. 24)',
+          anio: 'Año a consultar (rango en /api/meta)'
+        },
+        ejemplo: '/api/interpolacion?contaminante=PM2.5&exposicion_horas=24&anio=2019'
+      });
+    }
+
+    if (isNaN(tiempoHoras) || tiempoHoras <= 0) {
+      return res.status(400).json({
+        error: 'El tiempo de exposición debe ser un número entero positivo (horas)'
+      });
+    }
+
+    const errorAnio = await metadatos.validarAnio(anio);
+    if (errorAnio) {
+      return res.status(400).json({
+        error: errorAnio
+      });
+    }
+
+    // Parámetros opcionales del método
+    const resolucion = req.query.resolucion !== undefined
+      ? parseFloat(req.query.resolucion)
+      : interpolacion.OPCIONES_POR_DEFECTO.resolucion;
+    if (isNaN(resolucion) || resolucion < 0.005 || resolucion > 0.1) {
+      return res.status(400).json({
+        error: 'La resolución debe estar entre 0.005 y 0.1 grados'
+      });
+    }
+
+    const potencia = req.query.potencia !== undefined
+      ? parseFloat(req.query.potencia)
+      : interpolacion.OPCIONES_POR_DEFECTO.potencia;
+    if (isNaN(potencia) || potencia < 1 || potencia > 5) {
+      return res.status(400).json({
+        error: 'La potencia debe estar entre 1 y 5'
+      });
+    }
+
+    const { idNorma } = req; // Validada por normas.validarNorma
+
+    const mediciones = await db.getMedicionesPorContaminanteYAnio(simbolo, tiempoHoras, anio);
+    const estaciones = mediciones.filter(m =>
+      m.latitud !== null && m.longitud !== null && !isNaN(m.promedio)
+    );
+
+    if (estaciones.length === 0) {
+      return res.status(404).json({
+        mensaje: `No hay estaciones con mediciones de ${simbolo} (${tiempoHoras}h) en ${anio}.`
+      });
+    }
+
+    const malla = interpolacion.interpolarIDW(
+      estaciones.map(est => ({ lat: est.latitud, lon: est.longitud, valor: est.promedio })),
+      { resolucion, potencia }
+    );
+
+    // Límites de la norma para que la leyenda use los mismos cortes que la clasificación
+    const rangos = normas.obtenerLimites(idNorma, simbolo, tiempoHoras);
+    const limites = rangos && {
+      buena: rangos[0],
+      regular: rangos[1],
+      tiempo_horas: tiempoHoras,
+      fuente: normas.obtenerNorma(idNorma).fuente
+    };
+
+    res.status(200).json({
+      contaminante: simbolo,
+      unidades: estaciones[0].unidades,
+      tiempo_horas: tiempoHoras,
+      anio: anio,
+      metodo: {
+        nombre: 'IDW (inverso de la distancia ponderado)',
+        potencia: potencia,
+        radio_max_km: interpolacion.OPCIONES_POR_DEFECTO.radioMaxKm
+      },
+      aviso: `Valores interpolados a partir de ${estaciones.length} estación(es); no son mediciones. ` +
+        'Lejos de las estaciones la estimación es poco confiable.',
+      limites: limites || null,
+      estaciones_usadas: estaciones.map(est => ({
+        id_estacion: est.id_estacion,
+        nombre_estacion: est.nombre_estacion,
+        latitud: est.latitud,
+        longitud: est.longitud,
+        promedio: est.promedio
+      })),
+      malla: malla
+    });
+  },
+  "/api/interpolacion"
+));
+
+/**
+ * @route GET /api/ranking
+ * @description Ranking de todas las estaciones (todos los municipios) para un contaminante y año
+ * @param {string} req.query.contaminante - Símbolo (ej. PM2.5)
+ * @param {string} req.query.exposicion_horas - Tiempo de exposición (ej. 24)
+ * @param {string} req.query.anio
+ * @param {string} [req.query.metrica] - promedio | p98 | excedencias (por defecto promedio)
+ * @param {string} [req.query.orden] - desc (peores primero, por defecto) | asc (mejores primero)
+ * @param {string} [req.query.limite] - Número máximo de estaciones
+ * @param {string} [req.query.norma] - Norma de clasificación (ver /api/normas)
+ * @param {string} [req.query.solo_validos] - "true" para omitir mediciones con menos del 75 % de representatividad
+ * @param {string} [req.query.formato] - csv | xlsx | json para descargar como archivo
+ * @returns {object} 200 - JSON con las estaciones ordenadas y su clasificación
+ * @returns {object} 400 - Error de validación
+ * @returns {object} 404 - Ninguna estación midió ese contaminante ese año
+ */
+app.get('/api/ranking', normas.validarNorma, exportar.validarFormato, apiHandler(
+  async (req, res) => {
+    const simbolo = req.query.contaminante;
+    const tiempoHoras = parseInt(req.query.exposicion_horas);
+    const anio = parseInt(req.query.anio);
+    const metrica = req.query.metrica || 'promedio';
+    const orden = req.query.orden || 'desc';
+
+    if (!simbolo || !req.query.exposicion_horas || !req.query.anio) {
+      return res.status(400).json({
+        error: 'Faltan parámetros requeridos',
+        parametros_requeridos: {
+          contaminante: 'Símbolo del contaminante (ej. PM2.5)',
+          exposicion_horas: 'Tiempo de exposición en horas (ej. 24)',
+          anio: 'Año a consultar (rango en /api/meta)'
+        },
+        ejemplo: '/api/ranking?contaminante=PM2.5&exposicion_horas=24&anio=2019&metrica=promedio'
+      });
+    }
+
+    if (isNaN(tiempoHoras) || tiempoHoras <= 0) {
+      return res.status(400).json({
+        error: 'El tiempo de exposición debe ser un número entero positivo (horas)'
+      });
+    }
+
+    const errorAnio = await metadatos.validarAnio(anio);
+    if (errorAnio) {
+      return res.status(400).json({
+        error: errorAnio
+      });
+    }
+
+    if (!db.esMetricaRanking(metrica)) {
+      return res.status(400).json({
+        error: `Métrica no soportada: ${metrica}`,
+        metricas_disponibles: Object.keys(db.METRICAS_RANKING)
+      });
+    }
+
+    if (orden !== 'asc' && orden !== 'desc') {
+      return res.status(400).json({
+        error: 'El orden debe ser "asc" o "desc"'
+      });
+    }
+
+    let limite = null;
+    if (req.query.limite !== undefined) {
+      limite = parseInt(req.query.limite);
+      if (isNaN(limite) || limite <= 0) {
+        return res.status(400).json({
+          error: 'El límite debe ser un número entero positivo'
+        });
+      }
+    }
+
+    const { idNorma } = req; // Validada por normas.validarNorma
+
+    const datos = await db.getRankingEstaciones(simbolo, tiempoHoras, anio, {
+      metrica, orden, limite, idNorma,
+      soloValidos: req.query.solo_validos === 'true'
+    });
+
+    if (!datos) {
+      return res.status(404).json({
+        mensaje: `No hay estaciones con mediciones de ${simbolo} (${tiempoHoras}h) en ${anio}.`
+      });
+    }
+
+    await exportar.responder(req, res, datos, {
+      archivo: exportar.nombreArchivo('ranking', simbolo, `${tiempoHoras}h`, anio, metrica),
+      filas: datos.ranking
+    });
+  },
+  "/api/ranking"
+));
+
+/**
+ * @route GET /api/cobertura
+ * @description Matriz estación × año × contaminante con la representatividad temporal de cada
+ *              combinación con datos (para saber de antemano qué selecciones tienen mediciones)
+ * @param {string} [req.query.municipio] - ID del municipio (sin él, todas las estaciones)
+ * @param {string} [req.query.formato] - csv | xlsx | json para descargar como archivo
+ * @returns {object} 200 - JSON con años, contaminantes, estaciones y celdas
+ * @returns {object} 400 - Error de validación
+ * @returns {object} 404 - No hay mediciones
+ */
+app.get('/api/cobertura', exportar.validarFormato, apiHandler(
+  async (req, res) => {
+    let idMunicipio = null;
+
+    if (req.query.municipio !== undefined) {
+      idMunicipio = parseInt(req.query.municipio);
+      if (isNaN(idMunicipio) || idMunicipio <= 0) {
+        return res.status(400).json({
+          error: 'El ID del municipio debe ser un número entero positivo'
+        });
+      }
+    }
+
+    const cobertura = await db.getCoberturaDatos(idMunicipio);
+
+    if (!cobertura) {
+      return res.status(404).json({
+        mensaje: idMunicipio
+          ? 'No existen registros de calidad del aire para este municipio.'
+          : 'No existen registros de calidad del aire.'
+      });
+    }
+
+    await exportar.responder(req, res, cobertura, {
+      archivo: exportar.nombreArchivo('cobertura', cobertura.municipio ? cobertura.municipio.nombre : 'valle'),
+      filas: cobertura.celdas
+    });
+  },
+  "/api/cobertura"
+));
+
+/**
+ * @route GET /api/linea-tiempo
+ * @description Clasificación de todas las estaciones para un contaminante en todos los años,
+ *              en una sola respuesta (para la animación año a año del mapa)
+ * @param {string} req.query.contaminante - Símbolo (ej. PM2.5)
+ * @param {string} req.query.exposicion_horas - Tiempo de exposición (ej. 24)
+ * @param {string} [req.query.norma] - Norma de clasificación (ver /api/normas)
+ * @returns {object} 200 - JSON con los años, las estaciones y las clasificaciones por año
+ * @returns {object} 400 - Error de validación
+ * @returns {object} 404 - El contaminante no tiene mediciones
+ */
+app.get('/api/linea-tiempo', normas.validarNorma, apiHandler(
+  async (req, res) => {
+    const simbolo = req.query.contaminante;
+    const tiempoHoras = parseInt(req.query.exposicion_horas);
+
+    if (!simbolo || !req.query.exposicion_horas) {
+      return res.status(400).json({
+        error: 'Faltan parámetros requeridos',
+        parametros_requeridos: {
+          contaminante: 'Símbolo del contaminante (ej. PM2.5)',
+          exposicion_horas: 'Tiempo de exposición en horas (ej. 24)'
+        },
+        ejemplo: '/api/linea-tiempo?contaminante=PM2.5&exposicion_horas=24'
+      });
+    }
+
+    if (isNaN(tiempoHoras) || tiempoHoras <= 0) {
+      return res.status(400).json({
+        error: 'El tiempo de exposición debe ser un número entero positivo (horas)'
+      });
+    }
+
+    const { idNorma } = req; // Validada por normas.validarNorma
+
+    const datos = await db.getLineaTiempoContaminante(simbolo, tiempoHoras, idNorma);
+
+    if (!datos) {
+      return res.status(404).json({
+        mensaje: `No hay mediciones de ${simbolo} (${tiempoHoras}h).`
+      });
+    }
+
+    res.status(200).json(datos);
+  },
+  "/api/linea-tiempo"
+));
+
+/**
+ * @route GET /api/comparar
+ * @description Compara un contaminante entre dos estaciones o entre dos años de la misma estación.
+ *              Las diferencias se expresan como B - A y como cambio porcentual respecto a A.
+ * @param {string} req.query.exposicion - ID de exposición (define contaminante y tiempo)
+ * @param {string} req.query.estacion_a
+ * @param {string} req.query.anio_a
+ * @param {string} [req.query.estacion_b] - Por defecto la misma estación A
+ * @param {string} [req.query.anio_b] - Por defecto el mismo año A
+ * @param {string} [req.query.norma] - Norma de clasificación (ver /api/normas)
+ * @param {string} [req.query.formato] - csv | xlsx | json para descargar como archivo
+ * @returns {object} 200 - JSON con los datos de A y B y sus diferencias
+ * @returns {object} 400 - Error de validación
+ * @returns {object} 404 - Alguno de los dos lados no tiene datos
+ */
+app.get('/api/comparar', normas.validarNorma, exportar.validarFormato, apiHandler(
+  async (req, res) => {
+    const { exposicion, estacion_a, anio_a } = req.query;
+
+    if (!exposicion || !estacion_a || !anio_a || (!req.query.estacion_b && !req.query.anio_b)) {
+      return res.status(400).json({
+        error: 'Faltan parámetros requeridos',
+        parametros_requeridos: {
+          exposicion: 'ID de exposición (número)',
+          estacion_a: 'ID de la estación A (número)',
+          anio_a: 'Año de A (rango en /api/meta)',
+          estacion_b: 'ID de la estación B (opcional si se indica anio_b)',
+          anio_b: 'Año de B (opcional si se indica estacion_b)'
+        },
+        ejemplos: [
+          '/api/comparar?exposicion=4&estacion_a=8986&anio_a=2019&estacion_b=8990',
+          '/api/comparar?exposicion=4&estacion_a=8986&anio_a=2015&anio_b=2022'
+        ]
+      });
+    }
+
+    const idExposicion = parseInt(exposicion);
+    const lados = {
+      a: { idEstacion: parseInt(estacion_a), anio: parseInt(anio_a) },
+      b: {
+        idEstacion: parseInt(req.query.estacion_b || estacion_a),
+        anio: parseInt(req.query.anio_b || anio_a)
+      }
+    };
+
+    if (isNaN(idExposicion) || idExposicion <= 0) {
+      return res.status(400).json({
+        error: 'El ID de exposición debe ser un número entero positivo'
+      });
+    }
+
+    for (const [nombre, lado] of Object.entries(lados)) {
+      if (isNaN(lado.idEstacion) || lado.idEstacion <= 0) {
+        return res.status(400).json({
+          error: `El ID de la estación ${nombre.toUpperCase()} debe ser un número entero positivo`
+        });
+      }
+      const errorAnio = await metadatos.validarAnio(lado.anio, `El año ${nombre.toUpperCase()}`);
+      if (errorAnio) {
+        return res.status(400).json({
+          error: errorAnio
+        });
+      }
+    }
+
+    if (lados.a.idEstacion === lados.b.idEstacion && lados.a.anio === lados.b.anio) {
+      return res.status(400).json({
+        error: 'A y B son iguales: cambie la estación o el año de B'
+      });
+    }
+
+    const { idNorma } = req; // Validada por normas.validarNorma
+
+    const [datosA, datosB] = await Promise.all([
+      db.getDatosHistoricosPorContaminante(lados.a.idEstacion, lados.a.anio, idExposicion, idNorma),
+      db.getDatosHistoricosPorContaminante(lados.b.idEstacion, lados.b.anio, idExposicion, idNorma)
+    ]);
+
+    const faltantes = [];
+    if (!datosA) faltantes.push({ lado: 'A', estacion: lados.a.idEstacion, anio: lados.a.anio });
+    if (!datosB) faltantes.push({ lado: 'B', estacion: lados.b.idEstacion, anio: lados.b.anio });
+
+    if (faltantes.length > 0) {
+      return res.status(404).json({
+        mensaje: 'No se encontraron datos para uno o ambos lados de la comparación',
+        sin_datos: faltantes,
+        exposicion: idExposicion
+      });
+    }
+
+    const diferencias = db.compararDatosHistoricos(datosA, datosB);
+    const respuesta = {
+      modo: lados.a.idEstacion === lados.b.idEstacion ? 'anios' : 'estaciones',
+      contaminante: datosA.contaminante,
+      norma: datosA.norma,
+      a: datosA,
+      b: datosB,
+      diferencias: diferencias
+    };
+
+    await exportar.responder(req, res, respuesta, {
+      archivo: exportar.nombreArchivo(
+        'comparacion', datosA.contaminante.simbolo,
+        datosA.estacion.nombre, datosA.anio, datosB.estacion.nombre, datosB.anio
+      ),
+      filas: Object.entries(diferencias).map(([metrica, d]) => ({ metrica, ...d }))
+    });
+  },
+  "/api/comparar"
+));
+
+// ==========================================================================
+// AUTENTICACIÓN DE USUARIOS
+// ==========================================================================
+
+// Correos que reciben el rol admin al verificarse (AUTH_ADMINS=a@x.co,b@y.co)
+const CORREOS_ADMIN = (process.env.AUTH_ADMINS || "")
+  .split(",")
+  .map(autenticacion.normalizarCorreo)
+  .filter(Boolean);
+
+/**
+ * URL pública del frontend para los enlaces de los correos. Nunca se toma de la
+ * cabecera Host: quien la falsee recibiría en su dominio el token de otra cuenta.
+ * @returns {string|null} APP_URL; sin ella, el servidor local fuera de producción
+ *          y null en producción (no se envían enlaces)
+ */
+function urlBaseApp() {
+  if (process.env.APP_URL) {
+    return process.env.APP_URL.replace(/\/+$/, "");
+  }
+  return process.env.NODE_ENV === "production" ? null : `http://localhost:${PORT}`;
+}
+
+if (!urlBaseApp()) {
+  console.warn("⚠️ APP_URL no está definido: no se enviarán correos de verificación ni de restablecimiento");
+}
+if (!correo.hayTransporte()) {
+  console.warn("⚠️ CORREO_TRANSPORTE no está definido (obligatorio en producción): no se enviará ningún correo");
+}
+
+/**
+ * Da el rol admin a un correo de AUTH_ADMINS cuando demuestra que es suyo
+ * (al verificarlo o al restablecer la contraseña con el enlace enviado)
+ * @param {Object} usuario - Con el correo ya verificado
+ * @returns {Promise<Object>} El usuario con su rol actual
+ */
+async function promoverSiEsAdmin(usuario) {
+  if (usuario.rol === "admin" || !CORREOS_ADMIN.includes(usuario.correo)) {
+    return usuario;
+  }
+  return usuarios.cambiarRol(usuario.id_usuario, "admin");
+}
+
+// Frenan la fuerza bruta sobre las contraseñas y el envío masivo de correos
+const limiteLogin = autenticacion.limitarIntentos({
+  ventanaMs: 15 * 60 * 1000,
+  maximoPorIp: 30,
+  maximoPorCorreo: 10
+});
+// Cada ruta que envía un correo tiene su propio contador con estos límites
+const LIMITES_ENVIO_CORREO = {
+  ventanaMs: 60 * 60 * 1000,
+  maximoPorIp: 10,
+  maximoPorCorreo: 3
+};
+const limiteOlvido = autenticacion.limitarIntentos(LIMITES_ENVIO_CORREO);
+const limiteRegistro = autenticacion.limitarIntentos(LIMITES_ENVIO_CORREO);
+const limiteReenvio = autenticacion.limitarIntentos(LIMITES_ENVIO_CORREO);
+
+/**
+ * Genera un token de un solo uso y envía el enlace por correo.
+ * Si el correo falla se registra el error pero no se interrumpe la petición.
+ * @param {Object} usuario
+ * @param {"verificacion"|"restablecimiento"} tipo
+ * @returns {Promise<boolean>} true si el correo se entregó al transporte
+ */
+async function enviarEnlaceCuenta(usuario, tipo) {
+  const urlBase = urlBaseApp();
+  if (!urlBase || !correo.hayTransporte()) {
+    console.error(`❌ No se envió el correo de ${tipo} a ${usuario.correo}: falta ${urlBase ? "CORREO_TRANSPORTE" : "APP_URL"}`);
+    return false;
+  }
+
+  const { token, hash } = autenticacion.generarTokenUnUso();
+  const esVerificacion = tipo === "verificacion";
+  const vigenciaMs = esVerificacion
+    ? autenticacion.VIGENCIA_VERIFICACION_MS
+    : autenticacion.VIGENCIA_RESTABLECIMIENTO_MS;
+
+  await usuarios.guardarToken(usuario.id_usuario, tipo, hash, new Date(Date.now() + vigenciaMs));
+
+  const enlace = `${urlBase}/?${esVerificacion ? "verificar" : "restablecer"}=${token}`;
+  const horas = vigenciaMs / (60 * 60 * 1000);
+
+  try {
+    await correo.enviarCorreo({
+      para: usuario.correo,
+      asunto: esVerificacion ? "AirSense: confirma tu correo" : "AirSense: restablece tu contraseña",
+      texto: esVerificacion
+        ? `Hola ${usuario.nombre}:\n\nPara activar tu cuenta abre este enlace:\n${enlace}\n\nEl enlace vence en ${horas} horas.`
+        : `Hola ${usuario.nombre}:\n\nPara elegir una contraseña nueva abre este enlace:\n${enlace}\n\n` +
+          `El enlace vence en ${horas} hora(s). Si no lo pediste, ignora este mensaje.`
+    });
+    return true;
+  } catch (error) {
+    console.error(`❌ No se pudo enviar el correo de ${tipo} a ${usuario.correo}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Avisa al dueño de una cuenta que alguien intentó registrarse con su correo
+ * (el registro responde igual que con un correo nuevo)
+ * @param {string} correoUsuario - Ya normalizado
+ */
+async function avisarCuentaExistente(correoUsuario) {
+  const urlBase = urlBaseApp();
+  const usuario = await usuarios.getUsuarioPorCorreo(correoUsuario);
+  if (!usuario || !urlBase || !correo.hayTransporte()) return;
+
+  await correo.enviarCorreo({
+    para: usuario.correo,
+    asunto: "AirSense: ya tienes una cuenta",
+    texto: `Hola ${usuario.nombre}:\n\nAlguien (quizá tú) intentó crear una cuenta en AirSense con este correo, ` +
+      `pero ya tienes una. Inicia sesión en ${urlBase}/ y, si olvidaste la contraseña, usa "¿Olvidaste tu contraseña?".\n\n` +
+      `Si no fuiste tú, ignora este mensaje: tu cuenta no cambió.`
+  });
+}
+
+/**
+ * @route POST /api/auth/registro
+ * @description Crea una cuenta y envía el correo de verificación.
+ * Responde igual (y en el mismo tiempo) si el correo ya tenía cuenta: en ese
+ * caso al dueño le llega un aviso en vez del enlace, y no se revela qué
+ * correos están registrados. La sesión se abre después con /api/auth/login.
+ * @param {string} req.body.correo
+ * @param {string} req.body.nombre
+ * @param {string} req.body.contrasena - Mínimo 8 caracteres
+ * @returns {object} 201 - { mensaje }
+ * @returns {object} 400 - Error de validación
+ * @returns {object} 429 - Demasiados registros desde la IP o para el correo
+ */
+app.post('/api/auth/registro', limiteRegistro, apiHandler(
+  async (req, res) => {
+    const { nombre, contrasena } = req.body || {};
+    const correoUsuario = autenticacion.normalizarCorreo(req.body && req.body.correo);
+    const nombreLimpio = String(nombre || "").trim();
+
+    const errorCorreo = autenticacion.validarCorreo(correoUsuario);
+    if (errorCorreo) {
+      return res.status(400).json({ error: errorCorreo });
+    }
+
+    if (nombreLimpio.length < 2 || nombreLimpio.length > 80) {
+      return res.status(400).json({
+        error: 'El nombre debe tener entre 2 y 80 caracteres'
+      });
+    }
+
+    const errorContrasena = autenticacion.validarContrasena(contrasena);
+    if (errorContrasena) {
+      return res.status(400).json({ error: errorContrasena });
+    }
+
+    const usuario = await usuarios.crearUsuario({
+      correo: correoUsuario,
+      nombre: nombreLimpio,
+      contrasenaHash: await autenticacion.hashearContrasena(contrasena)
+    });
+
+    // Sin await: el envío no debe alargar la respuesta en ninguno de los dos casos
+    const envio = usuario
+      ? enviarEnlaceCuenta(usuario, "verificacion")
+      : avisarCuentaExistente(correoUsuario);
+    envio.catch(error => {
+      console.error(`❌ No se pudo enviar el correo de registro a ${correoUsuario}:`, error.message);
+    });
+
+    res.status(201).json({
+      mensaje: `Revisa ${correoUsuario} para activar la cuenta y luego inicia sesión`
+    });
+  },
+  "/api/auth/registro"
+));
+
+/**
+ * @route POST /api/auth/login
+ * @description Inicia sesión con correo y contraseña
+ * @returns {object} 200 - { token, usuario }
+ * @returns {object} 401 - Credenciales incorrectas (sin indicar cuál de las dos)
+ * @returns {object} 429 - Demasiados intentos desde la IP o para el correo
+ */
+app.post('/api/auth/login', limiteLogin, apiHandler(
+  async (req, res) => {
+    const { contrasena } = req.body || {};
+    const correoUsuario = autenticacion.normalizarCorreo(req.body && req.body.correo);
+
+    if (!correoUsuario || typeof contrasena !== "string") {
+      return res.status(400).json({
+        error: 'Faltan el correo o la contraseña'
+      });
+    }
+
+    const usuario = await usuarios.getUsuarioPorCorreo(correoUsuario);
+    const valida = usuario
+      ? await autenticacion.verificarContrasena(contrasena, usuario.contrasena_hash)
+      : await autenticacion.verificarSinUsuario(contrasena);
+
+    if (!valida) {
+      return res.status(401).json({
+        error: 'Correo o contraseña incorrectos'
+      });
+    }
+
+    const token = autenticacion.crearSesion(usuario);
+    delete usuario.contrasena_hash;
+    delete usuario.version_sesion;
+
+    res.json({ token, usuario });
+  },
+  "/api/auth/login"
+));
+
+/**
+ * @route GET /api/auth/yo
+ * @description Usuario de la sesión actual
+ * @returns {object} 200 - Datos públicos del usuario
+ * @returns {object} 401 - Sin sesión o sesión vencida
+ */
+app.get('/api/auth/yo', autenticacion.requiereSesion, (req, res) => {
+  res.json(req.usuario);
+});
+
+/**
+ * @route POST /api/auth/verificar
+ * @description Confirma el correo con el token del enlace enviado
+ * (los correos de AUTH_ADMINS reciben aquí el rol admin)
+ * @param {string} req.body.token
+ * @returns {object} 200 - { mensaje, usuario }
+ * @returns {object} 400 - Token inválido, usado o vencido
+ */
+app.post('/api/auth/verificar', apiHandler(
+  async (req, res) => {
+    const token = req.body && req.body.token;
+    const idUsuario = token
+      ? await usuarios.consumirToken(autenticacion.hashToken(token), "verificacion")
+      : null;
+
+    if (!idUsuario) {
+      return res.status(400).json({
+        error: 'El enlace de verificación no es válido o ya venció'
+      });
+    }
+
+    const usuario = await promoverSiEsAdmin(await usuarios.marcarCorreoVerificado(idUsuario));
+    res.json({ mensaje: 'Correo verificado', usuario });
+  },
+  "/api/auth/verificar"
+));
+
+/**
+ * @route POST /api/auth/verificacion/reenviar
+ * @description Envía de nuevo el correo de verificación al usuario de la sesión
+ * @returns {object} 200 - { mensaje }
+ * @returns {object} 429 - Demasiados reenvíos desde la IP o para la cuenta
+ */
+app.post('/api/auth/verificacion/reenviar', autenticacion.requiereSesion, limiteReenvio, apiHandler(
+  async (req, res) => {
+    if (req.usuario.correo_verificado) {
+      return res.json({ mensaje: 'El correo ya está verificado' });
+    }
+
+    const enviado = await enviarEnlaceCuenta(req.usuario, "verificacion");
+    if (!enviado) {
+      return res.status(503).json({
+        error: 'No se pudo enviar el correo. Intente más tarde'
+      });
+    }
+
+    res.json({ mensaje: `Enviamos un enlace de verificación a ${req.usuario.correo}` });
+  },
+  "/api/auth/verificacion/reenviar"
+));
+
+/**
+ * @route POST /api/auth/contrasena/olvido
+ * @description Envía un enlace para restablecer la contraseña.
+ * Responde igual (y en el mismo tiempo) exista o no la cuenta, para no revelar
+ * qué correos están registrados.
+ * @param {string} req.body.correo
+ * @returns {object} 200 - { mensaje }
+ * @returns {object} 429 - Demasiadas solicitudes desde la IP o para el correo
+ */
+app.post('/api/auth/contrasena/olvido', limiteOlvido, apiHandler(
+  async (req, res) => {
+    const correoUsuario = autenticacion.normalizarCorreo(req.body && req.body.correo);
+
+    const errorCorreo = autenticacion.validarCorreo(correoUsuario);
+    if (errorCorreo) {
+      return res.status(400).json({ error: errorCorreo });
+    }
+
+    const usuario = await usuarios.getUsuarioPorCorreo(correoUsuario);
+    if (usuario) {
+      // Sin await: guardar el token y enviar el correo no debe alargar la respuesta
+      enviarEnlaceCuenta(usuario, "restablecimiento").catch(error => {
+        console.error(`❌ No se pudo preparar el restablecimiento de ${usuario.correo}:`, error.message);
+      });
+    }
+
+    res.json({
+      mensaje: 'Si el correo está registrado, recibirá un enlace para restablecer la contraseña'
+    });
+  },
+  "/api/auth/contrasena/olvido"
+));
+
+/**
+ * @route POST /api/auth/contrasena/restablecer
+ * @description Cambia la contraseña con el token del enlace y cierra las demás sesiones
+ * @param {string} req.body.token
+ * @param {string} req.body.contrasena
+ * @returns {object} 200 - { mensaje, token, usuario } (sesión nueva)
+ * @returns {object} 400 - Token inválido o contraseña no válida
+ */
+app.post('/api/auth/contrasena/restablecer', apiHandler(
+  async (req, res) => {
+    const { token, contrasena } = req.body || {};
+
+    const errorContrasena = autenticacion.validarContrasena(contrasena);
+    if (errorContrasena) {
+      return res.status(400).json({ error: errorContrasena });
+    }
+
+    const idUsuario = token
+      ? await usuarios.consumirToken(autenticacion.hashToken(token), "restablecimiento")
+      : null;
+
+    if (!idUsuario) {
+      return res.status(400).json({
+        error: 'El enlace para restablecer la contraseña no es válido o ya venció'
+      });
+    }
+
+    const usuario = await usuarios.actualizarContrasena(
+      idUsuario,
+      await autenticacion.hashearContrasena(contrasena)
+    );
+
+    // Quien recibe el enlace en su correo también demuestra que el correo es suyo
+    const conCorreo = usuario.correo_verificado ? usuario : await usuarios.marcarCorreoVerificado(idUsuario);
+    const verificado = { ...(await promoverSiEsAdmin(conCorreo)), version_sesion: usuario.version_sesion };
+
+    const sesion = autenticacion.crearSesion(verificado);
+    delete verificado.version_sesion;
+
+    res.json({ mensaje: 'Contraseña actualizada', token: sesion, usuario: verificado });
+  },
+  "/api/auth/contrasena/restablecer"
+));
+
+// ==========================================================================
+// MODERACIÓN DE COMENTARIOS Y ROLES
+// ==========================================================================
+
+// Los roles solo valen con el correo verificado (usar después de requiereSesion)
+const puedeModerar = [autenticacion.requiereCorreoVerificado, autenticacion.requiereRol("moderador", "admin")];
+const soloAdmin = [
+  autenticacion.requiereSesion,
+  autenticacion.requiereCorreoVerificado,
+  autenticacion.requiereRol("admin")
+];
+
+/**
+ * @route DELETE /api/comentarios/:id_comentario
+ * @description Borra un comentario (su autor, un moderador o un admin)
+ * @returns {object} 200 - { mensaje }
+ * @returns {object} 403 - El comentario es de otro usuario
+ * @returns {object} 404 - No existe
+ */
+app.delete('/api/comentarios/:id_comentario', autenticacion.requiereSesion, apiHandler(
+  async (req, res) => {
+    const idComentario = parseInt(req.params.id_comentario);
+
+    if (isNaN(idComentario) || idComentario <= 0) {
+      return res.status(400).json({
+        error: 'El ID del comentario debe ser un número entero positivo'
+      });
+    }
+
+    const comentario = await comentarios.getComentario(idComentario);
+    if (!comentario) {
+      return res.status(404).json({ mensaje: 'El comentario no existe.' });
+    }
+
+    const esAutor = comentario.autor.id_usuario === req.usuario.id_usuario;
+    const esModerador = ["moderador", "admin"].includes(req.usuario.rol) && req.usuario.correo_verificado;
+    if (!esAutor && !esModerador) {
+      return res.status(403).json({
+        error: 'Solo el autor o un moderador pueden borrar este comentario'
+      });
+    }
+
+    await comentarios.eliminarComentario(idComentario);
+    res.json({ mensaje: 'Comentario eliminado' });
+  },
+  "DELETE /api/comentarios/:id_comentario"
+));
+
+/**
+ * @route GET /api/moderacion/comentarios
+ * @description Cola de moderación (moderador o admin)
+ * @param {string} [req.query.estado=pendiente] - pendiente | aprobado | rechazado
+ * @returns {object} 200 - { estado, total, comentarios } en orden de llegada
+ */
+app.get('/api/moderacion/comentarios', autenticacion.requiereSesion, puedeModerar, apiHandler(
+  async (req, res) => {
+    const estado = req.query.estado || "pendiente";
+
+    if (!comentarios.ESTADOS.includes(estado)) {
+      return res.status(400).json({
+        error: `Estado desconocido: ${estado}`,
+        estados_disponibles: comentarios.ESTADOS
+      });
+    }
+
+    const lista = await comentarios.getComentariosPorEstado(estado);
+    res.json({ estado, total: lista.length, comentarios: lista });
+  },
+  "/api/moderacion/comentarios"
+));
+
+/**
+ * @route PATCH /api/moderacion/comentarios/:id_comentario
+ * @description Aprueba o rechaza un comentario (moderador o admin)
+ * @param {string} req.body.estado - aprobado | rechazado
+ * @param {string} [req.body.motivo] - Se le muestra al autor
+ * @returns {object} 200 - El comentario actualizado
+ * @returns {object} 404 - No existe
+ */
+app.patch('/api/moderacion/comentarios/:id_comentario', autenticacion.requiereSesion, puedeModerar, apiHandler(
+  async (req, res) => {
+    const idComentario = parseInt(req.params.id_comentario);
+    const { estado } = req.body || {};
+    const motivo = String((req.body && req.body.motivo) || "").trim().slice(0, 300) || null;
+
+    if (isNaN(idComentario) || idComentario <= 0) {
+      return res.status(400).json({
+        error: 'El ID del comentario debe ser un número entero positivo'
+      });
+    }
+
+    if (!["aprobado", "rechazado"].includes(estado)) {
+      return res.status(400).json({
+        error: 'El estado debe ser "aprobado" o "rechazado"'
+      });
+    }
+
+    const comentario = await comentarios.moderarComentario(idComentario, estado, motivo, req.usuario.id_usuario);
+    if (!comentario) {
+      return res.status(404).json({ mensaje: 'El comentario no existe.' });
+    }
+
+    res.json(comentario);
+  },
+  "PATCH /api/moderacion/comentarios/:id_comentario"
+));
+
+/**
+ * @route GET /api/usuarios
+ * @description Busca usuarios por correo o nombre (admin)
+ * @param {string} [req.query.buscar]
+ */
+app.get('/api/usuarios', soloAdmin, apiHandler(
+  async (req, res) => {
+    const lista = await usuarios.buscarUsuarios(String(req.query.buscar || "").trim());
+    res.json({ total: lista.length, usuarios: lista, roles: usuarios.ROLES });
+  },
+  "/api/usuarios"
+));
+
+/**
+ * @route PATCH /api/usuarios/:id_usuario/rol
+ * @description Cambia el rol de un usuario (admin). Un admin no puede cambiar el suyo,
+ * para que siempre quede al menos uno.
+ * @param {string} req.body.rol - usuario | moderador | admin
+ * @returns {object} 200 - El usuario actualizado
+ */
+app.patch('/api/usuarios/:id_usuario/rol', soloAdmin, apiHandler(
+  async (req, res) => {
+    const idUsuario = parseInt(req.params.id_usuario);
+    const { rol } = req.body || {};
+
+    if (isNaN(idUsuario) || idUsuario <= 0) {
+      return res.status(400).json({
+        error: 'El ID del usuario debe ser un número entero positivo'
+      });
+    }
+
+    if (!usuarios.ROLES.includes(rol)) {
+      return res.status(400).json({
+        error: `Rol desconocido: ${rol}`,
+        roles_disponibles: usuarios.ROLES
+      });
+    }
+
+    if (idUsuario === req.usuario.id_usuario) {
+      return res.status(400).json({
+        error: 'No puede cambiar su propio rol'
+      });
+    }
+
+    const usuario = await usuarios.cambiarRol(idUsuario, rol);
+    if (!usuario) {
+      return res.status(404).json({ mensaje: 'El usuario no existe.' });
+    }
+
+    res.json(usuario);
+  },
+  "PATCH /api/usuarios/:id_usuario/rol"
+));
+
+// ==========================================================================
+// ADMINISTRACIÓN DEL DICCIONARIO DE CONTAMINANTES
+// ==========================================================================
+
+/**
+ * @route GET /api/admin/diccionario
+ * @description Todas las fichas, incluidas las inactivas (admin)
+ * @returns {object} 200 - { total, contaminantes } en el orden de visualización
+ */
+app.get('/api/admin/diccionario', soloAdmin, apiHandler(
+  async (req, res) => {
+    const lista = await diccionario.getEntradas();
+    res.json({ total: lista.length, contaminantes: lista });
+  },
+  "/api/admin/diccionario"
+));
+
+/**
+ * @route POST /api/admin/diccionario
+ * @description Crea una ficha al final de la lista (admin)
+ * @param {string} req.body.simbolo
+ * @param {string} req.body.nombre
+ * @param {string} req.body.que_es
+ * @param {string} req.body.causas
+ * @param {string} req.body.consecuencias
+ * @param {string} req.body.color_hex - "#RRGGBB" o "#RGB"
+ * @param {boolean} [req.body.activo=true]
+ * @returns {object} 201 - La ficha creada
+ * @returns {object} 409 - Ya existe un contaminante con ese símbolo
+ */
+app.post('/api/admin/diccionario', soloAdmin, apiHandler(
+  async (req, res) => {
+    const { datos, error } = diccionario.validarEntrada(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (await diccionario.existeSimbolo(datos.simbolo)) {
+      return res.status(409).json({
+        error: `Ya existe un contaminante con el símbolo ${datos.simbolo}`
+      });
+    }
+
+    const entrada = await diccionario.crearEntrada(datos, req.usuario.id_usuario);
+    res.status(201).json(entrada);
+  },
+  "POST /api/admin/diccionario"
+));
+
+/**
+ * @route PUT /api/admin/diccionario/orden
+ * @description Cambia el orden de visualización (admin)
+ * @param {Array<number>} req.body.ids - Todos los ids, en el orden deseado
+ * @returns {object} 200 - { total, contaminantes } en el nuevo orden
+ */
+app.put('/api/admin/diccionario/orden', soloAdmin, apiHandler(
+  async (req, res) => {
+    const ids = (req.body && req.body.ids) || [];
+
+    if (!Array.isArray(ids) || !ids.every(id => Number.isInteger(id) && id > 0)) {
+      return res.status(400).json({
+        error: 'ids debe ser una lista de IDs enteros positivos'
+      });
+    }
+
+    const actuales = (await diccionario.getEntradas()).map(e => e.id);
+    const mismos = ids.length === actuales.length
+      && new Set(ids).size === ids.length
+      && actuales.every(id => ids.includes(id));
+    if (!mismos) {
+      return res.status(400).json({
+        error: 'La lista debe incluir todos los contaminantes del diccionario, una vez cada uno',
+        ids_actuales: actuales
+      });
+    }
+
+    const lista = await diccionario.reordenarEntradas(ids, req.usuario.id_usuario);
+    res.json({ total: lista.length, contaminantes: lista });
+  },
+  "PUT /api/admin/diccionario/orden"
+));
+
+/**
+ * @route PATCH /api/admin/diccionario/:id_contaminante
+ * @description Edita una ficha; con { activo: false } se desactiva (admin)
+ * @param {Object} req.body - Los campos a cambiar (mismos que en POST)
+ * @returns {object} 200 - La ficha actualizada
+ * @returns {object} 404 - No existe
+ * @returns {object} 409 - El nuevo símbolo ya lo usa otro contaminante
+ */
+app.patch('/api/admin/diccionario/:id_contaminante', soloAdmin, apiHandler(
+  async (req, res) => {
+    const idContaminante = parseInt(req.params.id_contaminante);
+
+    if (isNaN(idContaminante) || idContaminante <= 0) {
+      return res.status(400).json({
+        error: 'El ID del contaminante debe ser un número entero positivo'
+      });
+    }
+
+    const { datos, error } = diccionario.validarEntrada(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (datos.simbolo && await diccionario.existeSimbolo(datos.simbolo, idContaminante)) {
+      return res.status(409).json({
+        error: `Ya existe un contaminante con el símbolo ${datos.simbolo}`
+      });
+    }
+
+    const entrada = await diccionario.actualizarEntrada(idContaminante, datos, req.usuario.id_usuario);
+    if (!entrada) {
+      return res.status(404).json({ mensaje: 'El contaminante no existe.' });
+    }
+
+    res.json(entrada);
+  },
+  "PATCH /api/admin/diccionario/:id_contaminante"
+));
+
+/**
+ * @route GET /api/admin/diccionario/:id_contaminante/historial
+ * @description Cambios de una ficha, del más reciente al más antiguo (admin)
+ * @returns {object} 200 - { id_contaminante, total, historial }
+ */
+app.get('/api/admin/diccionario/:id_contaminante/historial', soloAdmin, apiHandler(
+  async (req, res) => {
+    const idContaminante = parseInt(req.params.id_contaminante);
+
+    if (isNaN(idContaminante) || idContaminante <= 0) {
+      return res.status(400).json({
+        error: 'El ID del contaminante debe ser un número entero positivo'
+      });
+    }
+
+    if (!(await diccionario.getEntrada(idContaminante))) {
+      return res.status(404).json({ mensaje: 'El contaminante no existe.' });
+    }
+
+    const historial = await diccionario.getHistorial(idContaminante);
+    res.json({ id_contaminante: idContaminante, total: historial.length, historial });
+  },
+  "/api/admin/diccionario/:id_contaminante/historial"
+));
+
+// ==========================================================================
+// RUTA DE PÁGINA PRINCIPAL
+// ==========================================================================
+
+// Sirve el archivo HTML principal (punto de entrada del frontend)
+app.get("/", (req, res) => {
+  res.sendFile(path.join(__dirname, "../public/index.html"));
+});
+
+// ==========================================================================
+// MANEJO DE ERRORES GLOBALES
+// ==========================================================================
+
+// Previene que el servidor se caiga por errores asíncronos no capturados (ej: fallo DB)
+process.on("unhandledRejection", (reason) => {
+  console.error("⚠️ Promesa rechazada sin capturar:", reason);
+});
+
+// ==========================================================================
+// INICIALIZACIÓN DEL SERVIDOR
+// ==========================================================================
+
+// Inicia el servidor HTTP
+app.listen(PORT, () => {
+  console.log(`🚀 Servidor backend iniciado en: http://localhost:${PORT}`);
+
+  // Primera carga de los metadatos (rango de años para las validaciones)
+  metadatos.obtenerMetadatos()
+    .then(({ anios }) => console.log(`📅 Datos disponibles: ${anios.desde}-${anios.hasta}`))
+    .catch(error => console.error("❌ No se pudieron cargar los metadatos:", error.message));
 });
@@ -0,0 +1,115 @@
+/* ==========================================================================
+   AIRSENSE - INTERPOLACIÓN ESPACIAL (IDW)
+   ==========================================================================
+ * Estima una malla regular de concentraciones sobre el Valle del Cauca a
+ * partir de los promedios de las estaciones, usando ponderación por inverso
+ * de la distancia (Inverse Distance Weighting):
+ *
+ *   valor(celda) = Σ (v_i / d_i^p) / Σ (1 / d_i^p)
+ *
+ * Las celdas más lejos que "radioMaxKm" de toda estación quedan en null para
+ * no extrapolar donde no hay información.
+ */
+
+const { distanciaHaversineKm } = require("./geografia");
+
+// Extensión aproximada del departamento (grados)
+const BBOX_VALLE_DEL_CAUCA = { oeste: -77.6, sur: 3.05, este: -75.7, norte: 5.05 };
+
+const OPCIONES_POR_DEFECTO = {
+  resolucion: 0.02,  // tamaño de celda en grados (~2,2 km)
+  potencia: 2,       // exponente p de la distancia
+  radioMaxKm: 30     // más allá no se estima
+};
+
+/**
+ * Estima el valor de un punto a partir de las estaciones
+ * @param {number} lat
+ * @param {number} lon
+ * @param {Array<{lat: number, lon: number, valor: number}>} puntos
+ * @param {number} potencia
+ * @param {number} radioMaxKm
+ * @returns {number|null}
+ */
+function estimarPunto(lat, lon, puntos, potencia, radioMaxKm) {
+  let sumaPesos = 0;
+  let sumaValores = 0;
+  let hayCercana = false;
+
+  for (const p of puntos) {
+    const d = distanciaHaversineKm(lat, lon, p.lat, p.lon);
+
+    // La celda coincide con una estación: se toma su valor medido
+    if (d < 1e-6) return p.valor;
+
+    if (d <= radioMaxKm) hayCercana = true;
+
+    const peso = 1 / Math.pow(d, potencia);
+    sumaPesos += peso;
+    sumaValores += peso * p.valor;
+  }
+
+  return hayCercana ? sumaValores / sumaPesos : null;
+}
+
+/**
+ * Calcula la malla IDW
+ * @param {Array<{lat: number, lon: number, valor: number}>} puntos - Estaciones con su valor.
+ * @param {Object} [opciones]
+ * @param {number} [opciones.resolucion] - Tamaño de celda en grados.
+ * @param {number} [opciones.potencia] - Exponente de la distancia.
+ * @param {number} [opciones.radioMaxKm] - Distancia máxima a una estación para estimar.
+ * @param {Object} [opciones.bbox] - { oeste, sur, este, norte }
+ * @returns {{oeste: number, sur: number, este: number, norte: number, resolucion: number,
+ *            filas: number, columnas: number, valores: Array<Array<number|null>>,
+ *            minimo: number|null, maximo: number|null}}
+ *          "valores" va de norte a sur (fila 0 = borde norte) y de oeste a este.
+ */
+function interpolarIDW(puntos, opciones = {}) {
+  const { resolucion, potencia, radioMaxKm } = { ...OPCIONES_POR_DEFECTO, ...opciones };
+  const bbox = opciones.bbox || BBOX_VALLE_DEL_CAUCA;
+
+  const columnas = Math.ceil((bbox.este - bbox.oeste) / resolucion);
+  const filas = Math.ceil((bbox.norte - bbox.sur) / resolucion);
+
+  const valores = [];
+  let minimo = null;
+  let maximo = null;
+
+  for (let f = 0; f < filas; f++) {
+    const lat = bbox.norte - (f + 0.5) * resolucion; // centro de la celda
+    const fila = [];
+
+    for (let c = 0; c < columnas; c++) {
+      const lon = bbox.oeste + (c + 0.5) * resolucion;
+      const valor = estimarPunto(lat, lon, puntos, potencia, radioMaxKm);
+
+      if (valor !== null) {
+        minimo = minimo === null ? valor : Math.min(minimo, valor);
+        maximo = maximo === null ? valor : Math.max(maximo, valor);
+      }
+      fila.push(valor === null ? null : parseFloat(valor.toFixed(2)));
+    }
+    valores.push(fila);
+  }
+
+  // Bordes reales de la malla (redondeados para evitar ruido de coma flotante)
+  return {
+    oeste: bbox.oeste,
+    sur: parseFloat((bbox.norte - filas * resolucion).toFixed(6)),
+    este: parseFloat((bbox.oeste + columnas * resolucion).toFixed(6)),
+    norte: bbox.norte,
+    resolucion,
+    filas,
+    columnas,
+    valores,
+    minimo: minimo === null ? null : parseFloat(minimo.toFixed(2)),
+    maximo: maximo === null ? null : parseFloat(maximo.toFixed(2))
+  };
+}
+
+module.exports = {
+  BBOX_VALLE_DEL_CAUCA,
+  OPCIONES_POR_DEFECTO,
+  interpolarIDW
+};
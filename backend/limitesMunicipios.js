@@ -0,0 +1,68 @@
+/* ==========================================================================
+   AIRSENSE - LÍMITES ADMINISTRATIVOS DE LOS MUNICIPIOS
+   ==========================================================================
+ * Lee los polígonos de los 42 municipios del Valle del Cauca desde el GeoJSON
+ * empaquetado en RUTA_LIMITES y los asocia a los municipios de la BD.
+ *
+ * La geometría viene de amCharts 5 Geodata (colombiaMuniHigh, licencia en
+ * datos/LICENCIA_LIMITES_AMCHARTS.txt, que exige citar la fuente en el mapa).
+ * Cada polígono tiene las propiedades del Marco Geoestadístico del DANE:
+ * MPIO_CDPMP (código DIVIPOLA, ej. "76001"), MPIO_CNMBR (nombre oficial) y,
+ * si el municipio se conoce por otro nombre, nombres_alternativos.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { claveNombre } = require("./texto");
+
+const RUTA_LIMITES = path.join(__dirname, "datos", "limites_municipios_valle.geojson");
+
+// Se lee una sola vez; null = todavía no se ha intentado leer
+let limitesEnCache = null;
+
+/**
+ * Carga la FeatureCollection de límites
+ * @returns {Object|null} null si el archivo no está disponible
+ */
+function cargarLimites() {
+  if (limitesEnCache !== null) {
+    return limitesEnCache || null;
+  }
+
+  try {
+    limitesEnCache = JSON.parse(fs.readFileSync(RUTA_LIMITES, "utf8"));
+    console.log(`🗺️ Límites municipales cargados: ${limitesEnCache.features.length} polígonos`);
+  } catch (error) {
+    console.warn(`⚠️ No se pudieron leer los límites municipales (${RUTA_LIMITES}): ${error.message}`);
+    limitesEnCache = false;
+  }
+
+  return limitesEnCache || null;
+}
+
+/**
+ * Busca el municipio de la BD que corresponde a un polígono.
+ * Primero por código DIVIPOLA (si la BD usa esos códigos como id_municipio)
+ * y luego por el nombre oficial o uno de sus nombres alternativos
+ * ("Cali" / "Santiago de Cali", "Buga" / "Guadalajara de Buga").
+ * @param {Object} propiedades - properties del Feature
+ * @param {Array<Object>} municipios - Filas de getMunicipios()
+ * @returns {Object|undefined}
+ */
+function buscarMunicipio(propiedades, municipios) {
+  const codigo = parseInt(propiedades.MPIO_CDPMP, 10);
+  // pg devuelve los enteros grandes como texto: se compara como número
+  const porCodigo = municipios.find(m => Number(m.id_municipio) === codigo);
+  if (porCodigo) return porCodigo;
+
+  const claves = [propiedades.MPIO_CNMBR, ...(propiedades.nombres_alternativos || [])]
+    .map(claveNombre)
+    .filter(Boolean);
+  return municipios.find(m => claves.includes(claveNombre(m.nombre_municipio)));
+}
+
+module.exports = {
+  RUTA_LIMITES,
+  cargarLimites,
+  buscarMunicipio
+};
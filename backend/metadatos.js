@@ -0,0 +1,189 @@
+/* ==========================================================================
+   AIRSENSE - METADATOS DEL CONJUNTO DE DATOS
+   ==========================================================================
+ * Resume lo que hay en la BD (rango de años, contaminantes, estaciones y
+ * última importación) para que los validadores de la API y el frontend
+ * usen los mismos límites en vez de valores fijos.
+ *
+ * Se consulta al arrancar el servidor y se guarda en memoria durante
+ * VIGENCIA_MS. Además, cada VERIFICACION_MS se mira la fecha de la última
+ * fila de importaciones: si backend/importar.js registró una carga nueva,
+ * los metadatos se invalidan y el año importado queda disponible sin
+ * reiniciar y sin esperar a que venza la caché.
+ */
+
+const db = require("./basedatos");
+
+const VIGENCIA_MS = 10 * 60 * 1000;
+const VERIFICACION_MS = 30 * 1000;
+
+let metadatosEnCache = null;
+let cargadoEn = 0;
+let verificadoEn = 0;
+let cargaEnCurso = null;
+
+// ==========================================================================
+// CONSULTAS
+// ==========================================================================
+
+/**
+ * Última importación registrada por backend/importar.js
+ * (la tabla se crea con la primera importación; antes no existe)
+ * @returns {Promise<Object|null>}
+ */
+async function consultarUltimaImportacion() {
+  const tabla = await db.query("SELECT to_regclass('importaciones') IS NOT NULL AS existe");
+  if (!tabla.rows[0].existe) return null;
+
+  const resultado = await db.query(`
+    SELECT fecha, fuente, archivo, registros_nuevos, registros_actualizados, filas_rechazadas
+    FROM importaciones
+    ORDER BY fecha DESC
+    LIMIT 1
+  `);
+  return resultado.rows[0] || null;
+}
+
+/**
+ * Indica si hay una importación más reciente que la de los metadatos en caché
+ * (una consulta sobre la tabla importaciones, que tiene una fila por carga)
+ * @returns {Promise<boolean>}
+ */
+async function hayImportacionNueva() {
+  const tabla = await db.query("SELECT to_regclass('importaciones') IS NOT NULL AS existe");
+  if (!tabla.rows[0].existe) return false;
+
+  const resultado = await db.query("SELECT MAX(fecha) AS fecha FROM importaciones");
+  const ultima = resultado.rows[0].fecha;
+  const conocida = metadatosEnCache.ultima_importacion;
+
+  return Boolean(ultima) && (!conocida || new Date(ultima).getTime() > new Date(conocida.fecha).getTime());
+}
+
+/**
+ * Lee los metadatos directamente de la BD
+ * @returns {Promise<Object>}
+ */
+async function cargarMetadatos() {
+  const [anios, contaminantes, estaciones, ultimaImportacion] = await Promise.all([
+    db.query("SELECT DISTINCT anio FROM mediciones WHERE anio IS NOT NULL ORDER BY anio"),
+    db.query(`
+      SELECT
+        va.nombre_variable AS simbolo,
+        va.unidades,
+        ARRAY_AGG(DISTINCT te.tiempo_horas ORDER BY te.tiempo_horas) AS exposiciones
+      FROM variables_ambientales va
+      INNER JOIN tiempos_exposicion te ON te.id_variable_ambiental = va.id_variable_ambiental
+      INNER JOIN mediciones m ON m.id_exposicion = te.id_exposicion
+      WHERE va.es_contaminante = true
+      GROUP BY va.nombre_variable, va.unidades
+      ORDER BY va.nombre_variable
+    `),
+    db.query(`
+      SELECT
+        COUNT(*)::int AS total,
+        COUNT(*) FILTER (WHERE EXISTS (
+          SELECT 1 FROM mediciones m WHERE m.id_estacion = e.id_estacion
+        ))::int AS con_datos
+      FROM estaciones e
+    `),
+    consultarUltimaImportacion()
+  ]);
+
+  const disponibles = anios.rows.map(f => f.anio);
+
+  return {
+    anios: {
+      desde: disponibles.length ? disponibles[0] : null,
+      hasta: disponibles.length ? disponibles[disponibles.length - 1] : null,
+      disponibles
+    },
+    contaminantes: contaminantes.rows,
+    estaciones: estaciones.rows[0],
+    ultima_importacion: ultimaImportacion,
+    actualizado_en: new Date().toISOString()
+  };
+}
+
+// ==========================================================================
+// INTERFAZ PÚBLICA
+// ==========================================================================
+
+/**
+ * Devuelve los metadatos en caché, recargándolos si vencieron o si hubo una
+ * importación nueva. Las peticiones simultáneas comparten una misma consulta.
+ * @returns {Promise<{anios: {desde: number, hasta: number, disponibles: Array<number>},
+ *            contaminantes: Array<Object>, estaciones: {total: number, con_datos: number},
+ *            ultima_importacion: Object|null, actualizado_en: string}>}
+ */
+async function obtenerMetadatos() {
+  if (metadatosEnCache && Date.now() - cargadoEn < VIGENCIA_MS) {
+    if (Date.now() - verificadoEn < VERIFICACION_MS) {
+      return metadatosEnCache;
+    }
+
+    verificadoEn = Date.now();
+    try {
+      if (!(await hayImportacionNueva())) return metadatosEnCache;
+      invalidarMetadatos();
+    } catch (error) {
+      console.warn("⚠️ No se pudo consultar la última importación:", error.message);
+      return metadatosEnCache;
+    }
+  }
+
+  if (!cargaEnCurso) {
+    cargaEnCurso = cargarMetadatos()
+      .then(metadatos => {
+        metadatosEnCache = metadatos;
+        cargadoEn = verificadoEn = Date.now();
+        return metadatos;
+      })
+      .catch(error => {
+        // Si la BD falla se sigue usando la última versión conocida
+        if (metadatosEnCache) {
+          console.warn("⚠️ No se pudieron actualizar los metadatos:", error.message);
+          return metadatosEnCache;
+        }
+        throw error;
+      })
+      .finally(() => {
+        cargaEnCurso = null;
+      });
+  }
+
+  return cargaEnCurso;
+}
+
+/**
+ * Fuerza a leer de nuevo la BD en la próxima consulta
+ */
+function invalidarMetadatos() {
+  cargadoEn = 0;
+}
+
+/**
+ * Valida un año contra el rango con datos en la BD
+ * @param {number} anio - Ya convertido con parseInt
+ * @param {string} [sujeto="El año"] - Inicio del mensaje de error
+ * @returns {Promise<string|null>} Mensaje de error, o null si el año es válido
+ */
+async function validarAnio(anio, sujeto = "El año") {
+  const { anios } = await obtenerMetadatos();
+
+  if (anios.desde === null) {
+    return "No hay datos cargados: importe mediciones antes de consultar por año";
+  }
+  if (isNaN(anio) || anio < anios.desde || anio > anios.hasta) {
+    return `${sujeto} debe ser un número entre ${anios.desde} y ${anios.hasta}`;
+  }
+  return null;
+}
+
+module.exports = {
+  VIGENCIA_MS,
+  VERIFICACION_MS,
+  obtenerMetadatos,
+  invalidarMetadatos,
+  validarAnio
+};
@@ -0,0 +1,206 @@
+/* ==========================================================================
+   AIRSENSE - NORMAS DE CALIDAD DEL AIRE
+   ==========================================================================
+ * Define los estándares con los que se clasifica una medición en
+ * Buena / Regular / Mala. Cada norma indica, por contaminante y tiempo de
+ * exposición (horas), el par [límite Buena, límite Regular] en µg/m³.
+ * Para añadir una norma basta con agregar una entrada a NORMAS.
+ */
+
+// ==========================================================================
+// DEFINICIÓN DE NORMAS
+// ==========================================================================
+
+const NORMAS = {
+  // Guías de Calidad del Aire (AQG) de la OMS 2021
+  oms2021: {
+    id: "oms2021",
+    nombre: "Guías de Calidad del Aire OMS 2021",
+    fuente: "OMS 2021",
+    descripcion: "Valores guía de la OMS, más estrictos que la normativa colombiana vigente (Resolución 2254 de 2017).",
+    limites: {
+      'O3': {
+        1: [100, 160],
+        8: [60, 100]
+      },
+      'PM10': {
+        1: [50, 100],
+        24: [45, 75]
+      },
+      'PM2.5': {
+        1: [15, 25],
+        24: [15, 25]
+      },
+      'SO2': {
+        1: [100, 196],
+        3: [100, 250],
+        24: [40, 125]
+      },
+      'NO2': {
+        1: [200, 360],
+        24: [25, 50]
+      },
+      'CO': {
+        1: [4000, 10000],
+        8: [7000, 10000]
+      },
+      'NO': {
+        1: [100, 200]
+      }
+    },
+    descripciones: {
+      Buena: "La calidad del aire cumple con los estándares de la OMS y no representa riesgo para la salud",
+      Regular: "La calidad del aire supera las recomendaciones de la OMS. Puede afectar a personas sensibles (niños, ancianos, personas con enfermedades respiratorias)",
+      Mala: "La calidad del aire supera significativamente los límites seguros de la OMS y puede afectar la salud de toda la población"
+    }
+  },
+
+  // Metas intermedias (Interim Targets) de la OMS 2021.
+  // Buena: cumple la meta intermedia más exigente; Regular: cumple la menos exigente (IT-1).
+  oms2021_intermedias: {
+    id: "oms2021_intermedias",
+    nombre: "Metas intermedias OMS 2021",
+    fuente: "OMS 2021 (metas intermedias)",
+    descripcion: "Escalones de reducción progresiva que la OMS propone para países que aún no alcanzan los valores guía.",
+    limites: {
+      'O3': {
+        8: [120, 160]
+      },
+      'PM10': {
+        24: [50, 150]
+      },
+      'PM2.5': {
+        24: [25, 75]
+      },
+      'SO2': {
+        24: [50, 125]
+      },
+      'NO2': {
+        24: [50, 120]
+      },
+      'CO': {
+        24: [4000, 7000]
+      }
+    },
+    descripciones: {
+      Buena: "La concentración cumple la meta intermedia más exigente de la OMS",
+      Regular: "La concentración cumple solo las primeras metas intermedias de la OMS. Puede afectar a personas sensibles",
+      Mala: "La concentración supera incluso la primera meta intermedia de la OMS y puede afectar la salud de toda la población"
+    }
+  },
+
+  // Resolución 2254 de 2017 (MinAmbiente, Colombia): niveles máximos permisibles.
+  // Buena: cumple el objetivo a 2030 (solo PM10 y PM2.5 lo tienen); Regular: cumple el nivel vigente.
+  res2254: {
+    id: "res2254",
+    nombre: "Resolución 2254 de 2017 (Colombia)",
+    fuente: "Res. 2254/2017",
+    descripcion: "Norma de calidad del aire vigente en Colombia. Exceder el nivel máximo permisible es un incumplimiento legal.",
+    limites: {
+      'O3': {
+        8: [100, 100]
+      },
+      'PM10': {
+        24: [50, 75]
+      },
+      'PM2.5': {
+        24: [25, 37]
+      },
+      'SO2': {
+        1: [100, 100],
+        24: [50, 50]
+      },
+      'NO2': {
+        1: [200, 200]
+      },
+      'CO': {
+        1: [35000, 35000],
+        8: [5000, 5000]
+      }
+    },
+    descripciones: {
+      Buena: "La concentración cumple la norma colombiana y su objetivo de largo plazo",
+      Regular: "La concentración cumple el nivel máximo permisible vigente, pero no el objetivo de la norma a 2030",
+      Mala: "La concentración supera el nivel máximo permisible de la Resolución 2254 de 2017"
+    }
+  }
+};
+
+const NORMA_POR_DEFECTO = "oms2021";
+
+// ==========================================================================
+// FUNCIONES DE ACCESO
+// ==========================================================================
+
+/**
+ * Indica si existe una norma con el identificador dado
+ * @param {string} idNorma
+ * @returns {boolean}
+ */
+function esNormaValida(idNorma) {
+  return Object.prototype.hasOwnProperty.call(NORMAS, idNorma);
+}
+
+/**
+ * Devuelve la definición completa de una norma (o la norma por defecto)
+ * @param {string} [idNorma]
+ */
+function obtenerNorma(idNorma = NORMA_POR_DEFECTO) {
+  return NORMAS[idNorma] || NORMAS[NORMA_POR_DEFECTO];
+}
+
+/**
+ * Rango [Buena, Regular] de un contaminante y tiempo de exposición en una norma
+ * @param {string} idNorma
+ * @param {string} contaminante - Símbolo ('PM2.5', 'O3', ...).
+ * @param {number} tiempoHoras
+ * @returns {Array<number>|null} null si la norma no lo define
+ */
+function obtenerLimites(idNorma, contaminante, tiempoHoras) {
+  const limites = obtenerNorma(idNorma).limites;
+  const propio = (objeto, clave) => Object.prototype.hasOwnProperty.call(objeto, clave);
+
+  if (!propio(limites, contaminante) || !propio(limites[contaminante], tiempoHoras)) {
+    return null;
+  }
+  return limites[contaminante][tiempoHoras];
+}
+
+/**
+ * Middleware: valida ?norma= (opcional, por defecto OMS 2021) y deja el
+ * identificador en req.idNorma. Responde 400 si la norma no existe.
+ */
+function validarNorma(req, res, next) {
+  const idNorma = req.query.norma || NORMA_POR_DEFECTO;
+  if (!esNormaValida(idNorma)) {
+    return res.status(400).json({
+      error: `Norma desconocida: ${idNorma}`,
+      normas_disponibles: Object.keys(NORMAS)
+    });
+  }
+  req.idNorma = idNorma;
+  next();
+}
+
+/**
+ * Lista pública de normas (sin tablas de límites) para el frontend
+ * @returns {Array<{id: string, nombre: string, fuente: string, descripcion: string, por_defecto: boolean}>}
+ */
+function listarNormas() {
+  return Object.values(NORMAS).map(norma => ({
+    id: norma.id,
+    nombre: norma.nombre,
+    fuente: norma.fuente,
+    descripcion: norma.descripcion,
+    por_defecto: norma.id === NORMA_POR_DEFECTO
+  }));
+}
+
+module.exports = {
+  NORMA_POR_DEFECTO,
+  esNormaValida,
+  obtenerNorma,
+  obtenerLimites,
+  validarNorma,
+  listarNormas
+};
@@ -0,0 +1,211 @@
+/* ==========================================================================
+   AIRSENSE - ANÁLISIS ESTADÍSTICO DE TENDENCIAS
+   ==========================================================================
+ * Prueba de Mann-Kendall (tendencia monótona, no paramétrica) y pendiente
+ * de Sen (magnitud de la tendencia, robusta a valores atípicos) sobre una
+ * serie anual de promedios:
+ *
+ *   S        = Σ_{i<j} signo(x_j - x_i)
+ *   Var(S)   = [n(n-1)(2n+5) - Σ t(t-1)(2t+5)] / 18   (t = tamaño de cada grupo de empates)
+ *   Z        = (S ∓ 1) / √Var(S)                      (corrección por continuidad)
+ *   p        = 2 · (1 - Φ(|Z|))                       (prueba bilateral)
+ *   pendiente = mediana de (x_j - x_i) / (año_j - año_i)
+ *
+ * Con menos de MIN_ANIOS años no se calcula: la aproximación normal de S no
+ * es fiable con series tan cortas.
+ */
+
+const MIN_ANIOS = 4;
+const ALFA_POR_DEFECTO = 0.05;
+
+// ==========================================================================
+// UTILIDADES
+// ==========================================================================
+
+/**
+ * Función de error (Abramowitz y Stegun 7.1.26, error < 1.5e-7)
+ * @param {number} x
+ */
+function erf(x) {
+  const signo = x < 0 ? -1 : 1;
+  const ax = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * ax);
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-ax * ax);
+  return signo * y;
+}
+
+/**
+ * Función de distribución acumulada de la normal estándar
+ * @param {number} z
+ */
+function normalAcumulada(z) {
+  return 0.5 * (1 + erf(z / Math.SQRT2));
+}
+
+/**
+ * Mediana de una lista de números
+ * @param {Array<number>} valores
+ */
+function mediana(valores) {
+  const ordenados = [...valores].sort((a, b) => a - b);
+  const mitad = Math.floor(ordenados.length / 2);
+  return ordenados.length % 2
+    ? ordenados[mitad]
+    : (ordenados[mitad - 1] + ordenados[mitad]) / 2;
+}
+
+// ==========================================================================
+// PRUEBAS
+// ==========================================================================
+
+/**
+ * Prueba de Mann-Kendall sobre valores ordenados en el tiempo
+ * @param {Array<number>} valores
+ * @returns {{s: number, varianza_s: number, z: number, p_valor: number, tau: number}}
+ */
+function mannKendall(valores) {
+  const n = valores.length;
+  let s = 0;
+
+  for (let i = 0; i < n - 1; i++) {
+    for (let j = i + 1; j < n; j++) {
+      s += Math.sign(valores[j] - valores[i]);
+    }
+  }
+
+  // Corrección de la varianza por grupos de valores empatados
+  const empates = {};
+  valores.forEach(v => { empates[v] = (empates[v] || 0) + 1; });
+  const correccion = Object.values(empates)
+    .filter(t => t > 1)
+    .reduce((suma, t) => suma + t * (t - 1) * (2 * t + 5), 0);
+
+  const varianza = (n * (n - 1) * (2 * n + 5) - correccion) / 18;
+
+  let z = 0;
+  if (varianza > 0 && s > 0) z = (s - 1) / Math.sqrt(varianza);
+  else if (varianza > 0 && s < 0) z = (s + 1) / Math.sqrt(varianza);
+
+  return {
+    s,
+    varianza_s: varianza,
+    z,
+    p_valor: 2 * (1 - normalAcumulada(Math.abs(z))),
+    tau: s / (n * (n - 1) / 2)
+  };
+}
+
+/**
+ * Pendiente de Sen: mediana de las pendientes entre todos los pares de años
+ * (admite años faltantes en la serie)
+ * @param {Array<number>} anios
+ * @param {Array<number>} valores
+ * @returns {number} Unidades del contaminante por año
+ */
+function pendienteSen(anios, valores) {
+  const pendientes = [];
+
+  for (let i = 0; i < valores.length - 1; i++) {
+    for (let j = i + 1; j < valores.length; j++) {
+      pendientes.push((valores[j] - valores[i]) / (anios[j] - anios[i]));
+    }
+  }
+
+  return mediana(pendientes);
+}
+
+// ==========================================================================
+// ANÁLISIS COMPLETO
+// ==========================================================================
+
+/**
+ * Redacta la conclusión en lenguaje sencillo
+ * @param {Object} resultado - Resultado parcial de analizarTendencia
+ * @param {string} simbolo
+ * @param {string} unidades
+ */
+function redactarVeredicto(resultado, simbolo, unidades) {
+  const { direccion, pendiente_por_anio, p_valor, alfa, periodo } = resultado;
+  const rango = `${periodo.desde}–${periodo.hasta}`;
+
+  if (direccion === "datos_insuficientes") {
+    return `Se necesitan al menos ${MIN_ANIOS} años con datos para evaluar la tendencia de ${simbolo} (hay ${resultado.n}).`;
+  }
+
+  const p = p_valor < 0.001 ? "p < 0,001" : `p = ${p_valor.toFixed(3).replace(".", ",")}`;
+
+  if (direccion === "sin_tendencia") {
+    return `No hay evidencia de una tendencia significativa en el promedio anual de ${simbolo} entre ${rango} (${p}, α = ${alfa}).`;
+  }
+
+  const verbo = direccion === "creciente" ? "aumenta" : "disminuye";
+  const magnitud = Math.abs(pendiente_por_anio).toFixed(2).replace(".", ",");
+  return `El promedio anual de ${simbolo} ${verbo} de forma significativa entre ${rango}: ` +
+    `unos ${magnitud} ${unidades} por año (${p}).`;
+}
+
+/**
+ * Analiza la tendencia de una serie anual
+ * @param {Array<{anio: number, valor: number}>} puntos - Un valor por año (los NaN se descartan).
+ * @param {Object} [opciones]
+ * @param {number} [opciones.alfa=0.05] - Nivel de significancia.
+ * @param {string} [opciones.simbolo] - Para el texto del veredicto.
+ * @param {string} [opciones.unidades] - Para el texto del veredicto.
+ * @returns {{n: number, periodo: {desde: number|null, hasta: number|null}, alfa: number,
+ *            mann_kendall: Object|null, pendiente_por_anio: number|null, cambio_en_periodo: number|null,
+ *            p_valor: number|null, significativa: boolean,
+ *            direccion: "creciente"|"decreciente"|"sin_tendencia"|"datos_insuficientes", veredicto: string}}
+ */
+function analizarTendencia(puntos, { alfa = ALFA_POR_DEFECTO, simbolo = "", unidades = "" } = {}) {
+  const validos = puntos
+    .filter(p => p.valor !== null && !isNaN(p.valor))
+    .sort((a, b) => a.anio - b.anio);
+
+  const resultado = {
+    n: validos.length,
+    periodo: {
+      desde: validos.length ? validos[0].anio : null,
+      hasta: validos.length ? validos[validos.length - 1].anio : null
+    },
+    alfa,
+    mann_kendall: null,
+    pendiente_por_anio: null,
+    cambio_en_periodo: null,
+    p_valor: null,
+    significativa: false,
+    direccion: "datos_insuficientes"
+  };
+
+  if (validos.length >= MIN_ANIOS) {
+    const anios = validos.map(p => p.anio);
+    const valores = validos.map(p => p.valor);
+
+    const mk = mannKendall(valores);
+    const pendiente = pendienteSen(anios, valores);
+
+    resultado.mann_kendall = {
+      s: mk.s,
+      varianza_s: parseFloat(mk.varianza_s.toFixed(2)),
+      z: parseFloat(mk.z.toFixed(4)),
+      tau: parseFloat(mk.tau.toFixed(4))
+    };
+    resultado.pendiente_por_anio = parseFloat(pendiente.toFixed(4));
+    resultado.cambio_en_periodo = parseFloat((pendiente * (resultado.periodo.hasta - resultado.periodo.desde)).toFixed(2));
+    resultado.p_valor = parseFloat(mk.p_valor.toFixed(4));
+    resultado.significativa = mk.p_valor < alfa;
+    resultado.direccion = !resultado.significativa
+      ? "sin_tendencia"
+      : (mk.s > 0 ? "creciente" : "decreciente");
+  }
+
+  resultado.veredicto = redactarVeredicto(resultado, simbolo, unidades);
+  return resultado;
+}
+
+module.exports = {
+  MIN_ANIOS,
+  ALFA_POR_DEFECTO,
+  mannKendall,
+  pendienteSen,
+  analizarTendencia
+};
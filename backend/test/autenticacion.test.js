@@ -0,0 +1,123 @@
+/* ==========================================================================
+   AIRSENSE - PRUEBAS DE LA AUTENTICACIÓN (autenticacion.js)
+   ========================================================================== */
+
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const autenticacion = require("../autenticacion");
+
+test("el hash scrypt verifica la contraseña correcta y rechaza las demás", async () => {
+  const hash = await autenticacion.hashearContrasena("correcta-123");
+  assert.match(hash, /^scrypt\$16384\$8\$1\$[^$]+\$[^$]+$/);
+  assert.notEqual(hash, await autenticacion.hashearContrasena("correcta-123"), "la sal debe ser aleatoria");
+
+  assert.equal(await autenticacion.verificarContrasena("correcta-123", hash), true);
+  assert.equal(await autenticacion.verificarContrasena("incorrecta", hash), false);
+  assert.equal(await autenticacion.verificarContrasena("correcta-123", "md5$abc"), false);
+  assert.equal(await autenticacion.verificarContrasena("correcta-123", null), false);
+});
+
+test("sin usuario se hace la misma verificación y siempre falla", async () => {
+  assert.equal(await autenticacion.verificarSinUsuario("cualquiera"), false);
+  assert.equal(await autenticacion.verificarSinUsuario(""), false);
+});
+
+test("la sesión JWT lleva el usuario y la versión, y rechaza firmas alteradas", () => {
+  const token = autenticacion.crearSesion({ id_usuario: 7, version_sesion: 2 });
+  const datos = autenticacion.verificarToken(token);
+  assert.equal(datos.sub, 7);
+  assert.equal(datos.v, 2);
+  assert.ok(datos.exp > datos.iat);
+
+  const [encabezado, , firma] = token.split(".");
+  const cuerpoFalso = Buffer.from(JSON.stringify({ ...datos, sub: 1 })).toString("base64url");
+  assert.equal(autenticacion.verificarToken(`${encabezado}.${cuerpoFalso}.${firma}`), null);
+  assert.equal(autenticacion.verificarToken(`${token}x`), null);
+  assert.equal(autenticacion.verificarToken("no-es-un-jwt"), null);
+  assert.equal(autenticacion.verificarToken(undefined), null);
+});
+
+test("la sesión JWT vence a los 7 días", () => {
+  mock.timers.enable({ apis: ["Date"], now: Date.now() });
+  try {
+    const token = autenticacion.crearSesion({ id_usuario: 7 });
+    mock.timers.tick(7 * 24 * 60 * 60 * 1000 - 1000);
+    assert.ok(autenticacion.verificarToken(token));
+    mock.timers.tick(1000);
+    assert.equal(autenticacion.verificarToken(token), null);
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test("los tokens de un solo uso se guardan como SHA-256", () => {
+  const { token, hash } = autenticacion.generarTokenUnUso();
+  assert.equal(hash, autenticacion.hashToken(token));
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.notEqual(autenticacion.generarTokenUnUso().token, token);
+});
+
+test("validaciones de correo y contraseña", () => {
+  assert.equal(autenticacion.normalizarCorreo("  Ana@Ejemplo.CO "), "ana@ejemplo.co");
+  assert.equal(autenticacion.validarCorreo("ana@ejemplo.co"), null);
+  for (const correo of ["", "ana", "ana@ejemplo", "a na@ejemplo.co", `${"a".repeat(250)}@x.co`]) {
+    assert.ok(autenticacion.validarCorreo(correo), correo);
+  }
+
+  assert.equal(autenticacion.validarContrasena("12345678"), null);
+  assert.ok(autenticacion.validarContrasena("1234567"));
+  assert.ok(autenticacion.validarContrasena("x".repeat(129)));
+  assert.ok(autenticacion.validarContrasena(12345678));
+});
+
+/**
+ * Ejecuta el middleware y devuelve el status (null si dejó pasar)
+ */
+function intentar(middleware, ip, correo) {
+  let status = null;
+  const res = {
+    set() { return this; },
+    status(codigo) {
+      status = codigo;
+      return this;
+    },
+    json() {}
+  };
+  let siguio = false;
+  middleware({ ip, body: { correo } }, res, () => { siguio = true; });
+  return siguio ? null : status;
+}
+
+test("limitarIntentos cuenta por IP y por correo dentro de la ventana", () => {
+  mock.timers.enable({ apis: ["Date"], now: Date.now() });
+  try {
+    const limite = autenticacion.limitarIntentos({ ventanaMs: 60000, maximoPorIp: 5, maximoPorCorreo: 2 });
+
+    assert.equal(intentar(limite, "1.1.1.1", "Ana@x.co"), null);
+    assert.equal(intentar(limite, "2.2.2.2", "ana@x.co"), null);
+    assert.equal(intentar(limite, "3.3.3.3", "ana@x.co"), 429, "el correo ya agotó sus intentos");
+    assert.equal(intentar(limite, "3.3.3.3", "beto@x.co"), null);
+
+    for (let i = 0; i < 4; i++) intentar(limite, "9.9.9.9", `u${i}@x.co`);
+    assert.equal(intentar(limite, "9.9.9.9", "otro@x.co"), null);
+    assert.equal(intentar(limite, "9.9.9.9", "otro2@x.co"), 429, "la IP ya agotó sus intentos");
+
+    mock.timers.tick(60000);
+    assert.equal(intentar(limite, "9.9.9.9", "ana@x.co"), null, "la ventana se reinicia");
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test("limitarIntentos usa el correo de la sesión cuando la hay", () => {
+  const limite = autenticacion.limitarIntentos({ ventanaMs: 60000, maximoPorIp: 10, maximoPorCorreo: 1 });
+  const reenviar = (ip) => {
+    let bloqueado = false;
+    const res = { set() { return this; }, status() { bloqueado = true; return this; }, json() {} };
+    limite({ ip, body: {}, usuario: { correo: "ana@x.co" } }, res, () => {});
+    return bloqueado;
+  };
+
+  assert.equal(reenviar("1.1.1.1"), false);
+  assert.equal(reenviar("2.2.2.2"), true);
+});
@@ -0,0 +1,51 @@
+/* ==========================================================================
+   AIRSENSE - PRUEBAS DEL ENVÍO DE CORREOS (correo.js)
+   ========================================================================== */
+
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const RUTA_MODULO = require.resolve("../correo");
+const ENTORNO_ORIGINAL = { ...process.env };
+
+/**
+ * Carga correo.js de nuevo con las variables de entorno indicadas
+ * (el transporte por defecto se decide al cargar el módulo)
+ */
+function cargarCon(variables) {
+  for (const nombre of ["NODE_ENV", "CORREO_TRANSPORTE"]) delete process.env[nombre];
+  Object.assign(process.env, variables);
+  delete require.cache[RUTA_MODULO];
+  return require("../correo");
+}
+
+afterEach(() => {
+  process.env = { ...ENTORNO_ORIGINAL };
+  delete require.cache[RUTA_MODULO];
+});
+
+test("en producción no hay transporte por defecto y enviarCorreo falla", async () => {
+  const correo = cargarCon({ NODE_ENV: "production" });
+  assert.equal(correo.hayTransporte(), false);
+  await assert.rejects(
+    correo.enviarCorreo({ para: "ana@x.co", asunto: "a", texto: "b" }),
+    /CORREO_TRANSPORTE/
+  );
+});
+
+test("en producción se usa el transporte elegido explícitamente", async () => {
+  const correo = cargarCon({ NODE_ENV: "production", CORREO_TRANSPORTE: "prueba" });
+  const enviados = [];
+  correo.registrarTransporte("prueba", async (mensaje) => { enviados.push(mensaje); });
+
+  assert.equal(correo.hayTransporte(), true);
+  await correo.enviarCorreo({ para: "ana@x.co", asunto: "Hola", texto: "..." });
+  assert.equal(enviados.length, 1);
+  assert.equal(enviados[0].para, "ana@x.co");
+});
+
+test("fuera de producción el transporte por defecto es el archivo", () => {
+  const correo = cargarCon({ NODE_ENV: "development" });
+  assert.equal(correo.hayTransporte(), true);
+  assert.throws(() => correo.usarTransporte("desconocido"), /desconocido/);
+});
@@ -0,0 +1,36 @@
+/* ==========================================================================
+   AIRSENSE - PRUEBAS DE LAS EXPORTACIONES (exportar.js)
+   ========================================================================== */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { validarFormato } = require("../exportar");
+
+/**
+ * Ejecuta el middleware con un ?formato= y devuelve el status (null si dejó pasar)
+ */
+function probarFormato(formato) {
+  let status = null;
+  const res = {
+    status(codigo) {
+      status = codigo;
+      return this;
+    },
+    json() {}
+  };
+  let siguio = false;
+  validarFormato({ query: { formato } }, res, () => { siguio = true; });
+  return siguio ? null : status;
+}
+
+test("validarFormato acepta los formatos conocidos y la ausencia de formato", () => {
+  for (const formato of [undefined, "csv", "xlsx", "json"]) {
+    assert.equal(probarFormato(formato), null, String(formato));
+  }
+});
+
+test("validarFormato rechaza formatos desconocidos y claves heredadas", () => {
+  for (const formato of ["pdf", "constructor", "toString", "__proto__", "hasOwnProperty"]) {
+    assert.equal(probarFormato(formato), 400, formato);
+  }
+});
@@ -0,0 +1,86 @@
+/* ==========================================================================
+   AIRSENSE - PRUEBAS DEL ÍNDICE DE CALIDAD DEL AIRE (ica.js)
+   ========================================================================== */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { calcularICA } = require("../ica");
+
+test("los extremos de cada rango caen en su categoría", () => {
+  assert.equal(calcularICA("PM10", 0, 24).valor, 0);
+  assert.equal(calcularICA("PM10", 54, 24).valor, 50);
+  assert.equal(calcularICA("PM10", 54, 24).categoria, "Buena");
+  assert.equal(calcularICA("PM10", 55, 24).valor, 51);
+  assert.equal(calcularICA("PM10", 55, 24).categoria, "Aceptable");
+  assert.equal(calcularICA("PM10", 604, 24).valor, 500);
+  assert.equal(calcularICA("PM10", 604, 24).fuera_de_escala, undefined);
+});
+
+test("trunca la concentración a los decimales de los puntos de corte", () => {
+  // 12.09 -> 12.0 (PM2.5 usa un decimal): sigue siendo Buena
+  assert.equal(calcularICA("PM2.5", 12.09, 24).categoria, "Buena");
+  assert.equal(calcularICA("PM2.5", 12.1, 24).categoria, "Aceptable");
+  // 54.9 -> 54 (PM10 usa enteros)
+  assert.equal(calcularICA("PM10", 54.9, 24).valor, 50);
+});
+
+test("interpola linealmente dentro del rango", () => {
+  // PM10 24h: [155, 254] -> [101, 150]; 204.5 es el punto medio, truncado a 204
+  const resultado = calcularICA("PM10", 204.5, 24);
+  assert.equal(resultado.valor, Math.round((49 / 99) * (204 - 155) + 101));
+  assert.equal(resultado.categoria, "Dañina a la salud de grupos sensibles");
+});
+
+test("por encima de la escala reporta 500 y fuera_de_escala", () => {
+  const resultado = calcularICA("PM10", 605, 24);
+  assert.equal(resultado.valor, 500);
+  assert.equal(resultado.categoria, "Peligrosa");
+  assert.equal(resultado.fuera_de_escala, true);
+});
+
+test("O3 8h por encima de 393 µg/m³ se evalúa con los puntos de corte de 1h", () => {
+  const limite = calcularICA("O3", 393, 8);
+  assert.equal(limite.tiempo_referencia_horas, 8);
+  assert.equal(limite.valor, 300);
+
+  const encima = calcularICA("O3", 500, 8);
+  assert.equal(encima.tiempo_referencia_horas, 1);
+  assert.equal(encima.aproximado, true);
+  assert.equal(encima.categoria, "Muy dañina a la salud");
+  assert.equal(encima.fuera_de_escala, undefined);
+
+  assert.equal(calcularICA("O3", 1186, 8).fuera_de_escala, true);
+});
+
+test("O3 1h por debajo de 245 µg/m³ se evalúa con los puntos de corte de 8h", () => {
+  const resultado = calcularICA("O3", 100, 1);
+  assert.equal(resultado.tiempo_referencia_horas, 8);
+  assert.equal(resultado.aproximado, true);
+  assert.equal(resultado.categoria, "Buena");
+
+  assert.equal(calcularICA("O3", 245, 1).tiempo_referencia_horas, 1);
+});
+
+test("un tiempo de exposición sin puntos de corte devuelve No aplica", () => {
+  for (const [contaminante, horas] of [["PM10", 1], ["PM2.5", 1], ["SO2", 24], ["NO2", 24], ["CO", 1]]) {
+    const resultado = calcularICA(contaminante, 10, horas);
+    assert.equal(resultado.valor, null, `${contaminante} ${horas}h`);
+    assert.equal(resultado.categoria, "No aplica");
+  }
+});
+
+test("el NO se evalúa como NO2 equivalente", () => {
+  const resultado = calcularICA("NO", 50, 1);
+  const comoNO2 = calcularICA("NO2", 50 * 46.01 / 30.01, 1);
+  assert.equal(resultado.valor, comoNO2.valor);
+  assert.equal(resultado.equivalente, "NO2");
+  assert.equal(resultado.aproximado, true);
+
+  assert.equal(calcularICA("NO", 50, 24).categoria, "No aplica");
+});
+
+test("sin valor o sin puntos de corte no hay índice", () => {
+  assert.equal(calcularICA("PM10", null, 24).categoria, "Sin datos");
+  assert.equal(calcularICA("PM10", NaN, 24).categoria, "Sin datos");
+  assert.equal(calcularICA("H2S", 10, 1).categoria, "No aplica");
+});
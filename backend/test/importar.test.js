@@ -0,0 +1,135 @@
+/* ==========================================================================
+   AIRSENSE - PRUEBAS DE LA IMPORTACIÓN DE ARCHIVOS (importar.js)
+   ========================================================================== */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { FUENTES, parsearCSV, validarArchivo } = require("../importar");
+
+const MUNICIPIOS = [
+  { id_municipio: 76001, nombre_municipio: "Cali" },
+  { id_municipio: 76520, nombre_municipio: "Palmira" }
+];
+
+test("parsearCSV respeta comillas, comillas escapadas y saltos de línea dentro de campos", () => {
+  const texto = '﻿a,b,c\r\n1,"dos, con coma","tres ""citado"""\n4,"cinco\nlíneas",6\n\n';
+  assert.deepEqual(parsearCSV(texto, ","), [
+    ["a", "b", "c"],
+    ["1", "dos, con coma", 'tres "citado"'],
+    ["4", "cinco\nlíneas", "6"]
+  ]);
+  assert.deepEqual(parsearCSV("x;y\n1;2", ";"), [["x", "y"], ["1", "2"]]);
+});
+
+test("validarArchivo reconoce encabezados con tildes y la coma decimal con ';'", () => {
+  const texto = [
+    "Código de la estación;Año;Contaminante;Tiempo de exposición (h);Promedio;Percentil 98;Municipio;Observación",
+    "101;2024;PM2.5;24;12,5;30,1;CALÍ;x",
+    "102;2024;PM10;24 horas;1.234,5;;76520;y"
+  ].join("\n");
+
+  const { validas, rechazadas, desconocidas, faltantes } = validarArchivo(texto, FUENTES.CVC, MUNICIPIOS);
+  assert.deepEqual(faltantes, []);
+  assert.deepEqual(desconocidas, ["Observación"]);
+  assert.deepEqual(rechazadas, []);
+
+  assert.equal(validas[0].id_estacion, 101);
+  assert.equal(validas[0].medicion.promedio, 12.5);
+  assert.equal(validas[0].medicion.percentil_98, 30.1);
+  assert.equal(validas[0].id_municipio, 76001);
+  assert.equal(validas[1].medicion.promedio, 1234.5);
+  assert.equal(validas[1].medicion.percentil_98, null);
+  assert.equal(validas[1].tiempo_horas, 24);
+  assert.equal(validas[1].id_municipio, 76520);
+});
+
+test("validarArchivo informa las columnas obligatorias que faltan", () => {
+  const { validas, faltantes } = validarArchivo("id_estacion,anio,contaminante\n1,2024,PM10", FUENTES.CVC, MUNICIPIOS);
+  assert.deepEqual(validas, []);
+  assert.deepEqual(faltantes, ["tiempo_horas", "promedio", "municipio"]);
+
+  // El DAGMA solo opera en Cali: el municipio es opcional
+  const dagma = validarArchivo("id_estacion,anio,contaminante,tiempo_horas,promedio\n1,2024,PM10,24,20", FUENTES.DAGMA, MUNICIPIOS);
+  assert.deepEqual(dagma.faltantes, []);
+  assert.equal(dagma.validas[0].id_municipio, 76001);
+});
+
+test("validarArchivo rechaza filas inválidas con sus motivos", () => {
+  const anioSiguiente = new Date().getFullYear() + 1;
+  const texto = [
+    "id_estacion,municipio,anio,contaminante,tiempo_horas,promedio,minimo,maximo,representatividad_temporal,latitud,longitud",
+    "1,Cali,2024,PM10,24,20,5,40,90,3.45,-76.53",
+    "x,Cali,2024,PM10,24,20,,,,,",
+    "2,Bogotá,2024,PM10,24,20,,,,,",
+    `3,Cali,${anioSiguiente},PM10,24,20,,,,,`,
+    "4,Cali,2024,PM10,24,-1,,,,,",
+    "5,Cali,2024,PM10,24,20,50,10,,,",
+    "6,Cali,2024,PM10,24,20,,,120,,",
+    "7,Cali,2024,PM10,24,20,,,,76.53,3.45",
+    "8,Cali,2024,PM10,24,20,,,,3.45,"
+  ].join("\n");
+
+  const { validas, rechazadas } = validarArchivo(texto, FUENTES.CVC, MUNICIPIOS);
+  assert.equal(validas.length, 1);
+  assert.equal(validas[0].latitud, 3.45);
+
+  const motivos = Object.fromEntries(rechazadas.map(r => [r.linea, r.errores.join(" | ")]));
+  assert.match(motivos[3], /Código de estación inválido/);
+  assert.match(motivos[4], /Municipio desconocido/);
+  assert.match(motivos[5], /Año fuera de rango/);
+  assert.match(motivos[6], /no puede ser negativo/);
+  assert.match(motivos[7], /mínimo .* mayor que el máximo/);
+  assert.match(motivos[8], /porcentaje/);
+  assert.match(motivos[9], /Coordenadas fuera de Colombia/);
+  assert.match(motivos[10], /deben venir juntas/);
+  assert.equal(rechazadas[0].celdas.id_estacion, "x");
+});
+
+test("el año mínimo lo define quien llama (el primero de la BD)", () => {
+  const texto = "id_estacion,municipio,anio,contaminante,tiempo_horas,promedio\n1,Cali,2009,PM10,24,20";
+  assert.equal(validarArchivo(texto, FUENTES.CVC, MUNICIPIOS).validas.length, 1);
+
+  const { rechazadas } = validarArchivo(texto, FUENTES.CVC, MUNICIPIOS, 2011);
+  assert.match(rechazadas[0].errores[0], /Año fuera de rango \(2011-\d{4}\)/);
+});
+
+test("las filas duplicadas se rechazan sin confundir PM2.5 con PM10", () => {
+  const texto = [
+    "id_estacion,municipio,anio,contaminante,tiempo_horas,promedio",
+    "1,Cali,2024,PM2.5,24,10",
+    "1,Cali,2024,PM10,24,20",
+    "1,Cali,2024,pm 2.5,24,11"
+  ].join("\n");
+
+  const { validas, rechazadas } = validarArchivo(texto, FUENTES.CVC, MUNICIPIOS);
+  assert.deepEqual(validas.map(f => f.contaminante), ["PM2.5", "PM10"]);
+  assert.equal(rechazadas.length, 1);
+  assert.match(rechazadas[0].errores[0], /Duplicada: .* línea 2/);
+});
+
+test("el código del municipio se compara completo y admite ids que pg devuelve como texto", () => {
+  const municipiosBigint = [{ id_municipio: "76001", nombre_municipio: "Cali" }];
+  const texto = [
+    "id_estacion,municipio,anio,contaminante,tiempo_horas,promedio",
+    "1,76001,2024,PM10,24,20",
+    "2,76001abc,2024,PM10,24,20"
+  ].join("\n");
+
+  const { validas, rechazadas } = validarArchivo(texto, FUENTES.CVC, municipiosBigint);
+  assert.equal(validas.length, 1);
+  assert.equal(validas[0].id_municipio, "76001");
+  assert.match(rechazadas[0].errores[0], /Municipio desconocido: "76001abc"/);
+});
+
+test("el municipio por defecto del DAGMA se busca en la BD", () => {
+  const texto = "id_estacion,anio,contaminante,tiempo_horas,promedio\n1,2024,PM10,24,20";
+
+  // Ids seriales: Cali se reconoce por su nombre oficial
+  const seriales = [{ id_municipio: 3, nombre_municipio: "Santiago de Cali" }];
+  assert.equal(validarArchivo(texto, FUENTES.DAGMA, seriales).validas[0].id_municipio, 3);
+
+  // Sin Cali en la BD el archivo debe traer el municipio
+  const sinCali = validarArchivo(texto, FUENTES.DAGMA, [{ id_municipio: 76520, nombre_municipio: "Palmira" }]);
+  assert.deepEqual(sinCali.faltantes, ["municipio"]);
+  assert.deepEqual(sinCali.validas, []);
+});
@@ -0,0 +1,50 @@
+/* ==========================================================================
+   AIRSENSE - PRUEBAS DE LA INTERPOLACIÓN IDW (interpolacion.js)
+   ========================================================================== */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { interpolarIDW } = require("../interpolacion");
+const { distanciaHaversineKm } = require("../geografia");
+
+// Malla de 2 x 2 celdas de 0,25° (centros en lat 3.375 / 3.125 y lon -76.875 / -76.625)
+const BBOX = { oeste: -77, sur: 3, este: -76.5, norte: 3.5 };
+const ESTACIONES = [
+  { lat: 3.375, lon: -76.875, valor: 10 }, // centro de la celda noroeste
+  { lat: 3.125, lon: -76.625, valor: 30 }  // centro de la celda sureste
+];
+
+test("la malla cubre el recuadro de norte a sur y de oeste a este", () => {
+  const malla = interpolarIDW(ESTACIONES, { bbox: BBOX, resolucion: 0.25 });
+  assert.equal(malla.filas, 2);
+  assert.equal(malla.columnas, 2);
+  assert.deepEqual([malla.oeste, malla.sur, malla.este, malla.norte], [-77, 3, -76.5, 3.5]);
+  assert.equal(malla.valores.length, 2);
+  assert.equal(malla.valores[0].length, 2);
+});
+
+test("las celdas con estación toman su valor y las demás el promedio ponderado", () => {
+  const malla = interpolarIDW(ESTACIONES, { bbox: BBOX, resolucion: 0.25, potencia: 2, radioMaxKm: 100 });
+  assert.equal(malla.valores[0][0], 10);
+  assert.equal(malla.valores[1][1], 30);
+
+  // Celda noreste: pesos 1 / d² a cada estación
+  const pesos = ESTACIONES.map(e => 1 / distanciaHaversineKm(3.375, -76.625, e.lat, e.lon) ** 2);
+  const esperado = (pesos[0] * 10 + pesos[1] * 30) / (pesos[0] + pesos[1]);
+  assert.equal(malla.valores[0][1], parseFloat(esperado.toFixed(2)));
+  assert.ok(malla.valores[0][1] > 10 && malla.valores[0][1] < 30);
+
+  assert.equal(malla.minimo, 10);
+  assert.equal(malla.maximo, 30);
+});
+
+test("más allá de radioMaxKm de toda estación la celda queda vacía", () => {
+  // Las celdas sin estación están a ~28 km de la más cercana
+  const malla = interpolarIDW(ESTACIONES, { bbox: BBOX, resolucion: 0.25, radioMaxKm: 20 });
+  assert.deepEqual(malla.valores, [[10, null], [null, 30]]);
+
+  const vacia = interpolarIDW([], { bbox: BBOX, resolucion: 0.25 });
+  assert.deepEqual(vacia.valores, [[null, null], [null, null]]);
+  assert.equal(vacia.minimo, null);
+  assert.equal(vacia.maximo, null);
+});
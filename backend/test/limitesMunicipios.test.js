@@ -0,0 +1,46 @@
+/* ==========================================================================
+   AIRSENSE - PRUEBAS DE LOS LÍMITES MUNICIPALES (limitesMunicipios.js)
+   ========================================================================== */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { cargarLimites, buscarMunicipio } = require("../limitesMunicipios");
+
+test("el archivo empaquetado tiene los 42 municipios del Valle del Cauca", () => {
+  const limites = cargarLimites();
+  assert.ok(limites, "no se pudo leer el archivo de límites");
+  assert.equal(limites.type, "FeatureCollection");
+  assert.equal(limites.features.length, 42);
+
+  const codigos = new Set();
+  for (const { properties, geometry } of limites.features) {
+    assert.equal(properties.DPTO_CCDGO, "76");
+    assert.match(properties.MPIO_CDPMP, /^76\d{3}$/);
+    assert.ok(properties.MPIO_CNMBR);
+    assert.ok(["Polygon", "MultiPolygon"].includes(geometry.type));
+    codigos.add(properties.MPIO_CDPMP);
+  }
+  assert.equal(codigos.size, 42);
+});
+
+test("busca por código DIVIPOLA aunque pg lo devuelva como texto", () => {
+  const cali = { MPIO_CDPMP: "76001", MPIO_CNMBR: "CALI" };
+  assert.equal(buscarMunicipio(cali, [{ id_municipio: 76001, nombre_municipio: "Otro" }]).id_municipio, 76001);
+  assert.equal(buscarMunicipio(cali, [{ id_municipio: "76001", nombre_municipio: "Otro" }]).id_municipio, "76001");
+});
+
+test("con ids propios busca por nombre oficial o alternativo", () => {
+  const municipios = [
+    { id_municipio: 1, nombre_municipio: "Santiago de Cali" },
+    { id_municipio: 2, nombre_municipio: "Buga" },
+    { id_municipio: 3, nombre_municipio: "Palmira" }
+  ];
+  const porCodigo = Object.fromEntries(
+    cargarLimites().features.map(f => [f.properties.MPIO_CDPMP, f.properties])
+  );
+
+  assert.equal(buscarMunicipio(porCodigo["76001"], municipios).id_municipio, 1);
+  assert.equal(buscarMunicipio(porCodigo["76111"], municipios).id_municipio, 2);
+  assert.equal(buscarMunicipio(porCodigo["76520"], municipios).id_municipio, 3);
+  assert.equal(buscarMunicipio(porCodigo["76109"], municipios), undefined);
+});
@@ -0,0 +1,67 @@
+/* ==========================================================================
+   AIRSENSE - PRUEBAS DE LOS METADATOS (metadatos.js)
+   ========================================================================== */
+
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const db = require("../basedatos");
+const metadatos = require("../metadatos");
+
+/**
+ * Simula la BD: años con mediciones y fecha de la última importación
+ */
+function simularBD(estado) {
+  const consultas = [];
+  mock.method(db, "query", async (sql) => {
+    consultas.push(sql);
+    if (sql.includes("to_regclass")) return { rows: [{ existe: estado.importacion !== null }] };
+    if (sql.includes("MAX(fecha)")) return { rows: [{ fecha: estado.importacion }] };
+    if (sql.includes("FROM importaciones")) return { rows: [{ fecha: estado.importacion, fuente: "CVC" }] };
+    if (sql.includes("DISTINCT anio")) return { rows: estado.anios.map(anio => ({ anio })) };
+    if (sql.includes("COUNT(*)")) return { rows: [{ total: 3, con_datos: 2 }] };
+    return { rows: [] };
+  });
+  return consultas;
+}
+
+test("una importación nueva invalida la caché antes de que venza", async () => {
+  mock.timers.enable({ apis: ["Date"], now: Date.now() });
+  try {
+    const estado = { anios: [2011, 2023], importacion: new Date("2024-01-01T00:00:00Z") };
+    const consultas = simularBD(estado);
+
+    assert.equal((await metadatos.obtenerMetadatos()).anios.hasta, 2023);
+
+    // Dentro de VERIFICACION_MS no se consulta la BD
+    estado.anios = [2011, 2023, 2024];
+    estado.importacion = new Date("2024-06-01T00:00:00Z");
+    const antes = consultas.length;
+    assert.equal((await metadatos.obtenerMetadatos()).anios.hasta, 2023);
+    assert.equal(consultas.length, antes);
+
+    // Después se ve la importación y se recarga sin esperar VIGENCIA_MS
+    mock.timers.tick(metadatos.VERIFICACION_MS);
+    assert.equal((await metadatos.obtenerMetadatos()).anios.hasta, 2024);
+    assert.equal(await metadatos.validarAnio(2024), null);
+
+    // Sin importaciones nuevas la verificación no recarga nada
+    mock.timers.tick(metadatos.VERIFICACION_MS);
+    const verificacion = consultas.length;
+    await metadatos.obtenerMetadatos();
+    assert.ok(consultas.slice(verificacion).every(sql => !sql.includes("DISTINCT anio")));
+  } finally {
+    mock.timers.reset();
+    mock.restoreAll();
+  }
+});
+
+test("sin mediciones validarAnio dice que no hay datos en vez de un rango vacío", async () => {
+  metadatos.invalidarMetadatos();
+  simularBD({ anios: [], importacion: null });
+  try {
+    assert.match(await metadatos.validarAnio(2024), /No hay datos cargados/);
+  } finally {
+    mock.restoreAll();
+    metadatos.invalidarMetadatos();
+  }
+});
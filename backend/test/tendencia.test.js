@@ -0,0 +1,65 @@
+/* ==========================================================================
+   AIRSENSE - PRUEBAS DEL ANÁLISIS DE TENDENCIAS (tendencia.js)
+   ========================================================================== */
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { mannKendall, pendienteSen, analizarTendencia, MIN_ANIOS } = require("../tendencia");
+
+test("Mann-Kendall de una serie estrictamente creciente", () => {
+  const mk = mannKendall([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  assert.equal(mk.s, 45);
+  assert.equal(mk.varianza_s, 125);
+  assert.ok(Math.abs(mk.z - 44 / Math.sqrt(125)) < 1e-12);
+  assert.ok(Math.abs(mk.p_valor - 8.303e-5) < 1e-7);
+  assert.equal(mk.tau, 1);
+});
+
+test("Mann-Kendall corrige la varianza por empates", () => {
+  const mk = mannKendall([1, 2, 2, 3]);
+  assert.equal(mk.s, 5);
+  assert.ok(Math.abs(mk.varianza_s - 138 / 18) < 1e-12);
+  assert.ok(Math.abs(mk.z - 1.44463) < 1e-5);
+  assert.ok(Math.abs(mk.p_valor - 0.14856) < 1e-5);
+});
+
+test("Mann-Kendall de una serie constante no tiene tendencia", () => {
+  const mk = mannKendall([5, 5, 5, 5, 5]);
+  assert.equal(mk.s, 0);
+  assert.equal(mk.z, 0);
+  assert.ok(Math.abs(mk.p_valor - 1) < 1e-6);
+});
+
+test("la pendiente de Sen admite años faltantes y resiste valores atípicos", () => {
+  assert.equal(pendienteSen([2011, 2012, 2014, 2015], [10, 12, 16, 18]), 2);
+  assert.equal(pendienteSen([2011, 2012, 2013, 2014, 2015], [10, 12, 100, 16, 18]), 2);
+  assert.equal(pendienteSen([2011, 2013], [20, 10]), -5);
+});
+
+test("analizarTendencia ordena por año, descarta vacíos y concluye", () => {
+  const puntos = [2015, 2011, 2013, 2012, 2014, 2016, 2017, 2018]
+    .map(anio => ({ anio, valor: 40 - 2 * (anio - 2011) }));
+  puntos.push({ anio: 2019, valor: null }, { anio: 2020, valor: NaN });
+
+  const resultado = analizarTendencia(puntos, { simbolo: "PM10", unidades: "µg/m³" });
+  assert.equal(resultado.n, 8);
+  assert.deepEqual(resultado.periodo, { desde: 2011, hasta: 2018 });
+  assert.equal(resultado.pendiente_por_anio, -2);
+  assert.equal(resultado.cambio_en_periodo, -14);
+  assert.equal(resultado.direccion, "decreciente");
+  assert.equal(resultado.significativa, true);
+  assert.match(resultado.veredicto, /PM10 disminuye .* 2,00 µg\/m³ por año/);
+});
+
+test("analizarTendencia sin significancia o con pocos años", () => {
+  const ruido = analizarTendencia([10, 12, 9, 11, 10, 12].map((valor, i) => ({ anio: 2011 + i, valor })));
+  assert.equal(ruido.direccion, "sin_tendencia");
+  assert.equal(ruido.significativa, false);
+
+  const corta = analizarTendencia([{ anio: 2011, valor: 1 }, { anio: 2012, valor: 2 }], { simbolo: "O3" });
+  assert.equal(corta.n, 2);
+  assert.ok(corta.n < MIN_ANIOS);
+  assert.equal(corta.direccion, "datos_insuficientes");
+  assert.equal(corta.mann_kendall, null);
+  assert.match(corta.veredicto, /al menos 4 años .* O3 \(hay 2\)/);
+});
@@ -0,0 +1,25 @@
+/* ==========================================================================
+   AIRSENSE - COMPARACIÓN DE TEXTOS
+   ==========================================================================
+ * Claves para comparar nombres escritos de distintas formas en los archivos
+ * de las autoridades ambientales, el GeoJSON de límites y la BD
+ * ("Santiago de Cali" / "SANTIAGO DE CALI", "PM2.5" / "pm 2.5").
+ */
+
+/**
+ * Clave para comparar nombres (municipios, contaminantes, unidades):
+ * sin tildes, en mayúsculas y solo con letras y dígitos
+ * @param {string} nombre
+ * @returns {string}
+ */
+function claveNombre(nombre) {
+  return String(nombre || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+module.exports = {
+  claveNombre
+};
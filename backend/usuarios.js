@@ -0,0 +1,225 @@
+/* ==========================================================================
+   AIRSENSE - CUENTAS DE USUARIO (ACCESO A DATOS)
+   ==========================================================================
+ * Tablas de usuarios y de tokens de un solo uso (verificación de correo y
+ * restablecimiento de contraseña). Las tablas se crean la primera vez que
+ * se usan, igual que la tabla importaciones.
+ *
+ * De los tokens de un solo uso solo se guarda su SHA-256: quien lea la BD
+ * no puede usarlos.
+ */
+
+const db = require("./basedatos");
+
+const ROLES = ["usuario", "moderador", "admin"];
+const TIPOS_TOKEN = ["verificacion", "restablecimiento"];
+
+// Columnas que se pueden devolver al frontend (sin el hash de la contraseña)
+const COLUMNAS_PUBLICAS = "id_usuario, correo, nombre, rol, correo_verificado, creado_en";
+
+let tablasListas = null;
+
+/**
+ * Crea las tablas si no existen (una sola vez por proceso)
+ */
+function prepararTablas() {
+  if (!tablasListas) {
+    tablasListas = db.query(`
+      CREATE TABLE IF NOT EXISTS usuarios (
+        id_usuario SERIAL PRIMARY KEY,
+        correo VARCHAR(254) NOT NULL UNIQUE,
+        nombre VARCHAR(80) NOT NULL,
+        contrasena_hash TEXT NOT NULL,
+        rol VARCHAR(20) NOT NULL DEFAULT 'usuario'
+          CHECK (rol IN (${ROLES.map(r => `'${r}'`).join(", ")})),
+        correo_verificado BOOLEAN NOT NULL DEFAULT false,
+        version_sesion INTEGER NOT NULL DEFAULT 0,
+        creado_en TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS tokens_usuario (
+        id_token SERIAL PRIMARY KEY,
+        id_usuario INTEGER NOT NULL REFERENCES usuarios (id_usuario) ON DELETE CASCADE,
+        tipo VARCHAR(20) NOT NULL
+          CHECK (tipo IN (${TIPOS_TOKEN.map(t => `'${t}'`).join(", ")})),
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        expira_en TIMESTAMPTZ NOT NULL,
+        usado_en TIMESTAMPTZ
+      );
+    `).catch(error => {
+      tablasListas = null; // se reintenta en la próxima consulta
+      throw error;
+    });
+  }
+  return tablasListas;
+}
+
+// ==========================================================================
+// USUARIOS
+// ==========================================================================
+
+/**
+ * Crea un usuario
+ * @param {{correo: string, nombre: string, contrasenaHash: string, rol?: string}} datos
+ * @returns {Promise<Object|null>} null si el correo ya está registrado
+ */
+async function crearUsuario({ correo, nombre, contrasenaHash, rol = "usuario" }) {
+  await prepararTablas();
+  const resultado = await db.query(
+    `INSERT INTO usuarios (correo, nombre, contrasena_hash, rol)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (correo) DO NOTHING
+     RETURNING ${COLUMNAS_PUBLICAS}`,
+    [correo, nombre, contrasenaHash, rol]
+  );
+  return resultado.rows[0] || null;
+}
+
+/**
+ * Busca un usuario por correo, con el hash de su contraseña (solo para el login)
+ * @param {string} correo - Ya normalizado (minúsculas, sin espacios).
+ * @returns {Promise<Object|null>}
+ */
+async function getUsuarioPorCorreo(correo) {
+  await prepararTablas();
+  const resultado = await db.query(
+    `SELECT ${COLUMNAS_PUBLICAS}, contrasena_hash, version_sesion
+     FROM usuarios WHERE correo = $1`,
+    [correo]
+  );
+  return resultado.rows[0] || null;
+}
+
+/**
+ * Busca un usuario por id
+ * @param {number} idUsuario
+ * @returns {Promise<Object|null>} Columnas públicas más version_sesion
+ */
+async function getUsuarioPorId(idUsuario) {
+  await prepararTablas();
+  const resultado = await db.query(
+    `SELECT ${COLUMNAS_PUBLICAS}, version_sesion FROM usuarios WHERE id_usuario = $1`,
+    [idUsuario]
+  );
+  return resultado.rows[0] || null;
+}
+
+/**
+ * Marca el correo del usuario como verificado
+ * @param {number} idUsuario
+ */
+async function marcarCorreoVerificado(idUsuario) {
+  const resultado = await db.query(
+    `UPDATE usuarios SET correo_verificado = true
+     WHERE id_usuario = $1
+     RETURNING ${COLUMNAS_PUBLICAS}`,
+    [idUsuario]
+  );
+  return resultado.rows[0] || null;
+}
+
+/**
+ * Cambia la contraseña y cierra las sesiones abiertas (sube version_sesion)
+ * @param {number} idUsuario
+ * @param {string} contrasenaHash
+ */
+async function actualizarContrasena(idUsuario, contrasenaHash) {
+  const resultado = await db.query(
+    `UPDATE usuarios
+     SET contrasena_hash = $2, version_sesion = version_sesion + 1
+     WHERE id_usuario = $1
+     RETURNING ${COLUMNAS_PUBLICAS}, version_sesion`,
+    [idUsuario, contrasenaHash]
+  );
+  return resultado.rows[0] || null;
+}
+
+/**
+ * Busca usuarios por correo o nombre (administración de roles)
+ * @param {string} [texto] - Vacío = los más recientes
+ * @param {number} [limite=20]
+ */
+async function buscarUsuarios(texto = "", limite = 20) {
+  await prepararTablas();
+  const resultado = await db.query(
+    `SELECT ${COLUMNAS_PUBLICAS} FROM usuarios
+     WHERE $1 = '' OR correo ILIKE '%' || $1 || '%' OR nombre ILIKE '%' || $1 || '%'
+     ORDER BY creado_en DESC
+     LIMIT $2`,
+    [texto, limite]
+  );
+  return resultado.rows;
+}
+
+/**
+ * Cambia el rol de un usuario
+ * @param {number} idUsuario
+ * @param {string} rol - Uno de ROLES
+ * @returns {Promise<Object|null>} null si el usuario no existe
+ */
+async function cambiarRol(idUsuario, rol) {
+  await prepararTablas();
+  const resultado = await db.query(
+    `UPDATE usuarios SET rol = $2
+     WHERE id_usuario = $1
+     RETURNING ${COLUMNAS_PUBLICAS}`,
+    [idUsuario, rol]
+  );
+  return resultado.rows[0] || null;
+}
+
+// ==========================================================================
+// TOKENS DE UN SOLO USO
+// ==========================================================================
+
+/**
+ * Guarda un token nuevo e invalida los anteriores del mismo tipo
+ * @param {number} idUsuario
+ * @param {"verificacion"|"restablecimiento"} tipo
+ * @param {string} tokenHash - SHA-256 en hexadecimal.
+ * @param {Date} expiraEn
+ */
+async function guardarToken(idUsuario, tipo, tokenHash, expiraEn) {
+  await prepararTablas();
+  await db.query(
+    `UPDATE tokens_usuario SET usado_en = NOW()
+     WHERE id_usuario = $1 AND tipo = $2 AND usado_en IS NULL`,
+    [idUsuario, tipo]
+  );
+  await db.query(
+    `INSERT INTO tokens_usuario (id_usuario, tipo, token_hash, expira_en)
+     VALUES ($1, $2, $3, $4)`,
+    [idUsuario, tipo, tokenHash, expiraEn]
+  );
+}
+
+/**
+ * Marca un token como usado si existe, es del tipo indicado y no ha vencido
+ * @param {string} tokenHash
+ * @param {"verificacion"|"restablecimiento"} tipo
+ * @returns {Promise<number|null>} id_usuario dueño del token, o null
+ */
+async function consumirToken(tokenHash, tipo) {
+  await prepararTablas();
+  const resultado = await db.query(
+    `UPDATE tokens_usuario SET usado_en = NOW()
+     WHERE token_hash = $1 AND tipo = $2 AND usado_en IS NULL AND expira_en > NOW()
+     RETURNING id_usuario`,
+    [tokenHash, tipo]
+  );
+  return resultado.rows.length ? resultado.rows[0].id_usuario : null;
+}
+
+module.exports = {
+  ROLES,
+  prepararTablas,
+  crearUsuario,
+  getUsuarioPorCorreo,
+  getUsuarioPorId,
+  marcarCorreoVerificado,
+  actualizarContrasena,
+  buscarUsuarios,
+  cambiarRol,
+  guardarToken,
+  consumirToken
+};
@@ -1,34 +1,402 @@
-// public/apiClient.js
+/* ==========================================================================
+   AIRSENSE - CLIENTE DE LA API
+   ==========================================================================
+   Único punto de acceso del frontend al backend:
+   - URL base configurable (mismo origen por defecto).
+   - Tiempo límite por petición y reintentos con espera exponencial
+     para errores de red, 429 y 5xx (solo en peticiones GET).
+   - Cancelación: una petición nueva con la misma "clave" aborta la
+     anterior (p. ej. al cambiar un <select> mientras se cargaba).
+   - Funciones con nombre para cada endpoint (api.getMunicipios(), ...).
+   - Sesión: si hay un token guardado se envía como "Authorization: Bearer".
+
+   La URL base se toma, en este orden, de:
+     1. window.AIRSENSE_CONFIG.apiBaseUrl (definido antes de cargar este archivo)
+     2. <meta name="airsense-api-url" content="https://...">
+     3. http://localhost:3000 si la página se abre como archivo (file://)
+     4. "" -> mismo origen (el backend sirve la carpeta public)
+   ========================================================================== */
+
+// ==========================================================================
+// CONFIGURACIÓN
+// ==========================================================================
 
 /**
- * Cliente genérico para hacer peticiones fetch a la API.
- * Maneja el 'try-catch', la validación 'response.ok' y el parseo de JSON.
- *
- * @param {string} url - La URL del endpoint de la API (ej. "/api/municipios")
- * @param {object} [options] - Opciones de fetch (method, headers, body, etc.)
- * @returns {Promise<any>} - Los datos de la respuesta en JSON.
- * @throws {Error} - Lanza un error estandarizado si la petición falla.
+ * Determina la URL base de la API (sin "/" final).
+ * @returns {string}
+ */
+function resolverUrlBaseApi() {
+  const desdeVentana = window.AIRSENSE_CONFIG && window.AIRSENSE_CONFIG.apiBaseUrl;
+  const meta = document.querySelector('meta[name="airsense-api-url"]');
+  const desdeMeta = meta && meta.content.trim();
+
+  let base = desdeVentana || desdeMeta || "";
+  if (!base && window.location.protocol === "file:") {
+    base = "http://localhost:3000";
+  }
+  return base.replace(/\/+$/, "");
+}
+
+const API_CONFIG = {
+  baseUrl: resolverUrlBaseApi(),
+  timeoutMs: 15000,   // tiempo límite de cada intento
+  reintentos: 2,      // intentos adicionales tras el primero
+  esperaBaseMs: 400,  // 400 ms, 800 ms, ... (+ variación aleatoria)
+};
+
+/**
+ * Cambia la configuración en tiempo de ejecución (p. ej. desde la consola).
+ * @param {Partial<typeof API_CONFIG>} cambios
+ */
+function configurarApi(cambios) {
+  Object.assign(API_CONFIG, cambios);
+  if (cambios.baseUrl !== undefined) {
+    API_CONFIG.baseUrl = String(cambios.baseUrl).replace(/\/+$/, "");
+  }
+}
+
+// ==========================================================================
+// SESIÓN DEL USUARIO
+// ==========================================================================
+
+const CLAVE_TOKEN_SESION = "tokenSesion";
+
+/** Token de la sesión iniciada (null si no hay sesión) */
+function obtenerTokenSesion() {
+  return localStorage.getItem(CLAVE_TOKEN_SESION);
+}
+
+/**
+ * Guarda o borra (token vacío) el token de la sesión.
+ * @param {string|null} token
+ */
+function guardarTokenSesion(token) {
+  if (token) localStorage.setItem(CLAVE_TOKEN_SESION, token);
+  else localStorage.removeItem(CLAVE_TOKEN_SESION);
+}
+
+// ==========================================================================
+// ERRORES
+// ==========================================================================
+
+/**
+ * Error de una petición a la API.
+ * - status: código HTTP (0 si no hubo respuesta: red, tiempo límite o cancelación).
+ * - datos: cuerpo JSON de la respuesta de error, si lo hay.
+ * - cancelada: true si la abortó el usuario o una petición más reciente.
+ */
+class ErrorApi extends Error {
+  constructor(mensaje, { status = 0, datos = null, url = "", cancelada = false, tiempoAgotado = false } = {}) {
+    super(mensaje);
+    this.name = "ErrorApi";
+    this.status = status;
+    this.datos = datos;
+    this.url = url;
+    this.cancelada = cancelada;
+    this.tiempoAgotado = tiempoAgotado;
+  }
+}
+
+/**
+ * Indica si un error corresponde a una petición cancelada (no hay que avisar al usuario).
+ * @param {Error} error
+ * @returns {boolean}
  */
-async function apiClient(url, options = {}) {
+function esCancelacion(error) {
+  return Boolean(error) && error.cancelada === true;
+}
+
+// ==========================================================================
+// UTILIDADES
+// ==========================================================================
+
+// Controladores de las peticiones en curso, por clave
+const peticionesEnCurso = new Map();
+
+/**
+ * Construye la URL completa de un endpoint.
+ * Los parámetros vacíos (undefined, null, "") se omiten.
+ * @param {string} ruta - Ruta del endpoint (ej. "/api/municipios").
+ * @param {Object} [params] - Parámetros de consulta.
+ * @returns {string}
+ */
+function urlApi(ruta, params = {}) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([clave, valor]) => {
+    if (valor !== undefined && valor !== null && valor !== "") {
+      query.set(clave, valor);
+    }
+  });
+
+  const texto = query.toString();
+  return `${API_CONFIG.baseUrl}${ruta}${texto ? `?${texto}` : ""}`;
+}
+
+/**
+ * Espera un tiempo, interrumpible con una señal de cancelación.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+function esperar(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const temporizador = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener("abort", () => {
+        clearTimeout(temporizador);
+        reject(new DOMException("Cancelada", "AbortError"));
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Indica si vale la pena repetir una respuesta fallida.
+ * @param {number} status
+ */
+function esReintentable(status) {
+  return status === 0 || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Lee el cuerpo de una respuesta como JSON o como texto según su Content-Type.
+ * @param {Response} response
+ */
+async function leerCuerpo(response) {
+  const tipo = response.headers.get("Content-Type") || "";
+  if (tipo.includes("json")) {
+    return response.json().catch(() => null);
+  }
+  return response.text();
+}
+
+/**
+ * Realiza un solo intento con tiempo límite.
+ * @param {string} url
+ * @param {Object} opcionesFetch
+ * @param {AbortSignal} senalExterna - Cancelación por el usuario o por una petición más reciente.
+ * @param {number} timeoutMs
+ * @param {Object<number, string>} mensajes - Mensajes propios por código HTTP.
+ */
+async function intentarPeticion(url, opcionesFetch, senalExterna, timeoutMs, mensajes) {
+  const controlador = new AbortController();
+  let tiempoAgotado = false;
+
+  const temporizador = setTimeout(() => {
+    tiempoAgotado = true;
+    controlador.abort();
+  }, timeoutMs);
+  const alCancelar = () => controlador.abort();
+  senalExterna.addEventListener("abort", alCancelar, { once: true });
+
   try {
-    const response = await fetch(url, options);
+    const response = await fetch(url, { ...opcionesFetch, signal: controlador.signal });
+    const cuerpo = await leerCuerpo(response);
 
     if (!response.ok) {
-      // Intenta leer el error JSON que envía el backend (ej. { error: "..." })
-      const errorData = await response.json().catch(() => ({})); 
-      
-      // Crea un mensaje de error útil
-      const errorMsg = errorData.error || errorData.mensaje || `Error ${response.status}: ${response.statusText}`;
-      throw new Error(errorMsg);
+      // El backend responde { error: "..." } (400) o { mensaje: "..." } (404)
+      const mensaje = mensajes[response.status] ||
+        (cuerpo && (cuerpo.error || cuerpo.mensaje)) ||
+        `Error ${response.status}: ${response.statusText}`;
+      throw new ErrorApi(mensaje, { status: response.status, datos: cuerpo, url });
     }
 
-    // Si todo ok, devuelve el JSON
-    return await response.json();
+    return cuerpo;
+  } catch (error) {
+    if (error instanceof ErrorApi) throw error;
+
+    if (error.name === "AbortError") {
+      throw tiempoAgotado
+        ? new ErrorApi("El servidor tardó demasiado en responder", { url, tiempoAgotado: true })
+        : new ErrorApi("Petición cancelada", { url, cancelada: true });
+    }
+
+    // TypeError de fetch: sin conexión, CORS, DNS...
+    throw new ErrorApi("No se pudo conectar con el servidor", { url });
+  } finally {
+    clearTimeout(temporizador);
+    senalExterna.removeEventListener("abort", alCancelar);
+  }
+}
+
+// ==========================================================================
+// CLIENTE
+// ==========================================================================
 
+/**
+ * Cliente genérico para hacer peticiones a la API.
+ *
+ * @param {string} ruta - Ruta del endpoint (ej. "/api/municipios") o URL absoluta.
+ * @param {Object} [opciones] - Opciones de fetch (method, headers, body...) más:
+ * @param {Object} [opciones.params] - Parámetros de consulta.
+ * @param {string} [opciones.clave] - Si ya hay una petición con esta clave en curso, se cancela.
+ * @param {AbortSignal} [opciones.signal] - Señal de cancelación propia.
+ * @param {number} [opciones.timeoutMs] - Tiempo límite de cada intento.
+ * @param {number} [opciones.reintentos] - Reintentos (solo GET).
+ * @param {Object<number, string>} [opciones.mensajes] - Mensaje de error propio por código HTTP
+ *        (ej. { 404: "No hay datos para este municipio" }); si no, se usa el del backend.
+ * @returns {Promise<any>} - El cuerpo de la respuesta (JSON o texto).
+ * @throws {ErrorApi} - Con status, datos y las marcas cancelada / tiempoAgotado.
+ */
+async function apiClient(ruta, opciones = {}) {
+  const {
+    params,
+    clave,
+    signal,
+    timeoutMs = API_CONFIG.timeoutMs,
+    reintentos = API_CONFIG.reintentos,
+    mensajes = {},
+    ...opcionesFetch
+  } = opciones;
+
+  const url = /^https?:\/\//.test(ruta) ? ruta : urlApi(ruta, params);
+  const token = obtenerTokenSesion();
+  if (token) {
+    opcionesFetch.headers = { Authorization: `Bearer ${token}`, ...opcionesFetch.headers };
+  }
+  const metodo = (opcionesFetch.method || "GET").toUpperCase();
+  const maxIntentos = metodo === "GET" ? reintentos + 1 : 1;
+
+  // Cancelar la petición anterior con la misma clave
+  const controlador = new AbortController();
+  if (clave) {
+    if (peticionesEnCurso.has(clave)) peticionesEnCurso.get(clave).abort();
+    peticionesEnCurso.set(clave, controlador);
+  }
+  if (signal) {
+    if (signal.aborted) controlador.abort();
+    signal.addEventListener("abort", () => controlador.abort(), { once: true });
+  }
+
+  try {
+    for (let intento = 1; ; intento++) {
+      try {
+        return await intentarPeticion(url, opcionesFetch, controlador.signal, timeoutMs, mensajes);
+      } catch (error) {
+        if (error.cancelada || intento >= maxIntentos || !esReintentable(error.status)) {
+          throw error;
+        }
+
+        const espera = API_CONFIG.esperaBaseMs * 2 ** (intento - 1) + Math.random() * 100;
+        console.warn(`⏳ Reintentando [${url}] en ${Math.round(espera)} ms (${error.message})`);
+        try {
+          await esperar(espera, controlador.signal);
+        } catch {
+          throw new ErrorApi("Petición cancelada", { url, cancelada: true });
+        }
+      }
+    }
   } catch (error) {
-    console.error(`❌ Error en cliente API [${url}]:`, error.message);
+    if (!error.cancelada) {
+      console.error(`❌ Error en cliente API [${url}]:`, error.message);
+    }
     // Vuelve a lanzar el error para que la función que lo llamó
     // pueda manejarlo y mostrar un mensaje al usuario.
     throw error;
+  } finally {
+    if (clave && peticionesEnCurso.get(clave) === controlador) {
+      peticionesEnCurso.delete(clave);
+    }
+  }
+}
+
+/**
+ * Envía un cuerpo JSON (POST, PUT, PATCH, DELETE).
+ * @param {string} ruta
+ * @param {string} metodo
+ * @param {Object} [cuerpo]
+ * @param {Object} [opciones] - Opciones de apiClient.
+ */
+function enviarJson(ruta, metodo, cuerpo, opciones = {}) {
+  return apiClient(ruta, {
+    ...opciones,
+    method: metodo,
+    headers: { "Content-Type": "application/json", ...opciones.headers },
+    body: cuerpo === undefined ? undefined : JSON.stringify(cuerpo),
+  });
+}
+
+/**
+ * Cancela la petición en curso con una clave (si la hay).
+ * @param {string} clave
+ */
+function cancelarPeticion(clave) {
+  if (peticionesEnCurso.has(clave)) {
+    peticionesEnCurso.get(clave).abort();
+    peticionesEnCurso.delete(clave);
   }
-}
\ No newline at end of file
+}
+
+// ==========================================================================
+// FUNCIONES POR ENDPOINT
+// ==========================================================================
+// Todas aceptan como último argumento las opciones de apiClient
+// (clave, signal, timeoutMs...).
+
+const api = {
+  // --- Municipios ---
+  getMunicipios: (op) => apiClient("/api/municipios", op),
+  getResumenMunicipio: (idMunicipio, params, op) =>
+    apiClient(`/api/municipios/${idMunicipio}/resumen`, { ...op, params }),
+  getLimitesMunicipios: (params, op) => apiClient("/api/geo/municipios/limites", { ...op, params }),
+  getAnios: (idMunicipio, op) => apiClient(`/api/anios/${idMunicipio}`, op),
+
+  // --- Estaciones ---
+  getEstacionesPorMunicipio: (idMunicipio, op) => apiClient(`/api/estaciones/${idMunicipio}`, op),
+  getEstacionesPorAnio: (idMunicipio, anio, params, op) =>
+    apiClient(`/api/estaciones/${idMunicipio}/${anio}`, { ...op, params }),
+  getUbicacionesEstacion: (idEstacion, op) => apiClient(`/api/estaciones/${idEstacion}/ubicaciones`, op),
+  getReporteEstacion: (idEstacion, anio, params, op) =>
+    apiClient(`/api/estaciones/${idEstacion}/${anio}/completo`, { ...op, params }),
+  getEstacionesCercanas: (params, op) => apiClient("/api/estaciones/cercanas", { ...op, params }),
+
+  // --- Mediciones ---
+  getContaminantes: (idEstacion, anio, op) => apiClient(`/api/contaminantes/${idEstacion}/${anio}`, op),
+  getDatos: (params, op) => apiClient("/api/datos", { ...op, params }),
+  getSerie: (params, op) => apiClient("/api/series", { ...op, params }),
+  getTendencia: (params, op) => apiClient("/api/tendencia", { ...op, params }),
+
+  // --- Análisis ---
+  getInterpolacion: (params, op) => apiClient("/api/interpolacion", { ...op, params }),
+  getRanking: (params, op) => apiClient("/api/ranking", { ...op, params }),
+  getCobertura: (params, op) => apiClient("/api/cobertura", { ...op, params }),
+  getLineaTiempo: (params, op) => apiClient("/api/linea-tiempo", { ...op, params }),
+  getComparacion: (params, op) => apiClient("/api/comparar", { ...op, params }),
+
+  // --- Referencia ---
+  getMeta: (op) => apiClient("/api/meta", op),
+  getNormas: (op) => apiClient("/api/normas", op),
+  getDiccionario: (op) => apiClient("/api/diccionario", op),
+
+  // --- Cuenta de usuario ---
+  registrarUsuario: (datos, op) => enviarJson("/api/auth/registro", "POST", datos, op),
+  iniciarSesion: (datos, op) => enviarJson("/api/auth/login", "POST", datos, op),
+  getUsuarioActual: (op) => apiClient("/api/auth/yo", op),
+  verificarCorreo: (token, op) => enviarJson("/api/auth/verificar", "POST", { token }, op),
+  reenviarVerificacion: (op) => enviarJson("/api/auth/verificacion/reenviar", "POST", {}, op),
+  solicitarRestablecimiento: (correo, op) =>
+    enviarJson("/api/auth/contrasena/olvido", "POST", { correo }, op),
+  restablecerContrasena: (token, contrasena, op) =>
+    enviarJson("/api/auth/contrasena/restablecer", "POST", { token, contrasena }, op),
+
+  // --- Comentarios y moderación ---
+  getComentarios: (idEstacion, params, op) =>
+    apiClient(`/api/estaciones/${idEstacion}/comentarios`, { ...op, params }),
+  publicarComentario: (idEstacion, datos, op) =>
+    enviarJson(`/api/estaciones/${idEstacion}/comentarios`, "POST", datos, op),
+  eliminarComentario: (idComentario, op) =>
+    enviarJson(`/api/comentarios/${idComentario}`, "DELETE", undefined, op),
+  getColaModeracion: (params, op) => apiClient("/api/moderacion/comentarios", { ...op, params }),
+  moderarComentario: (idComentario, datos, op) =>
+    enviarJson(`/api/moderacion/comentarios/${idComentario}`, "PATCH", datos, op),
+  buscarUsuarios: (params, op) => apiClient("/api/usuarios", { ...op, params }),
+  cambiarRolUsuario: (idUsuario, rol, op) => enviarJson(`/api/usuarios/${idUsuario}/rol`, "PATCH", { rol }, op),
+
+  // --- Administración del diccionario (admin) ---
+  getDiccionarioAdmin: (op) => apiClient("/api/admin/diccionario", op),
+  crearContaminante: (datos, op) => enviarJson("/api/admin/diccionario", "POST", datos, op),
+  editarContaminante: (idContaminante, cambios, op) =>
+    enviarJson(`/api/admin/diccionario/${idContaminante}`, "PATCH", cambios, op),
+  reordenarDiccionario: (ids, op) => enviarJson("/api/admin/diccionario/orden", "PUT", { ids }, op),
+  getHistorialContaminante: (idContaminante, op) =>
+    apiClient(`/api/admin/diccionario/${idContaminante}/historial`, op),
+};
@@ -0,0 +1,360 @@
+/* ==========================================================================
+   AIRSENSE - COMENTARIOS DE LAS ESTACIONES Y MODERACIÓN
+   ==========================================================================
+   - Hilo de observaciones al final del panel de información
+     (mostrarInformacionContaminante llama a cargarHiloComentarios).
+   - Vista "Moderación" del diálogo de cuenta para moderadores y admins:
+     cola de comentarios y, para admins, asignación de roles.
+
+   Los comentarios son texto de los usuarios: siempre se insertan
+   escapados (escaparHtml, de utilidades.js) o con textContent.
+   ========================================================================== */
+
+// ==========================================================================
+// ESTADO GLOBAL DEL MÓDULO
+// ==========================================================================
+
+// Estación, año y contaminante del hilo que se está mostrando
+let contextoComentarios = null;
+
+const ESTADOS_COMENTARIO = {
+  pendiente: "⏳ En revisión: solo tú lo ves",
+  rechazado: "🚫 No fue publicado",
+};
+
+// ==========================================================================
+// UTILIDADES
+// ==========================================================================
+
+/**
+ * Fecha corta en español (ej. "3 mar 2025")
+ * @param {string} fechaIso
+ */
+function formatearFechaComentario(fechaIso) {
+  return new Date(fechaIso).toLocaleDateString("es-CO", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+}
+
+/**
+ * Etiquetas del alcance de un comentario (año, contaminante o general)
+ * @param {{anio: number|null, contaminante: string|null}} comentario
+ */
+function crearEtiquetasAlcance({ anio, contaminante }) {
+  const etiquetas = [];
+  if (anio) etiquetas.push(`📅 ${anio}`);
+  if (contaminante) etiquetas.push(`🧪 ${escaparHtml(contaminante)}`);
+  if (etiquetas.length === 0) etiquetas.push("📍 Toda la estación");
+
+  return etiquetas.map((t) => `<span class="comentario__etiqueta">${t}</span>`).join("");
+}
+
+// El servidor solo acepta los roles con el correo verificado
+function puedeModerarComentarios() {
+  return Boolean(usuarioActual) && usuarioActual.correo_verificado && ["moderador", "admin"].includes(usuarioActual.rol);
+}
+
+function esAdminVerificado() {
+  return Boolean(usuarioActual) && usuarioActual.correo_verificado && usuarioActual.rol === "admin";
+}
+
+// ==========================================================================
+// HILO DE COMENTARIOS (PANEL DE INFORMACIÓN)
+// ==========================================================================
+
+/**
+ * Carga y muestra los comentarios que aplican a la selección actual
+ * @param {{idEstacion: number, anio: number, contaminante: string}} contexto
+ */
+async function cargarHiloComentarios(contexto) {
+  contextoComentarios = contexto;
+  const contenedor = document.getElementById("hiloComentarios");
+  if (!contenedor) return;
+
+  contenedor.innerHTML = `
+    <h3 class="comentarios__titulo">💬 Observaciones de la comunidad</h3>
+    <p class="comentarios__vacio">Cargando comentarios...</p>
+  `;
+
+  try {
+    const { comentarios } = await api.getComentarios(
+      contexto.idEstacion,
+      { anio: contexto.anio, contaminante: contexto.contaminante },
+      { clave: "comentarios" }
+    );
+    renderizarHiloComentarios(contenedor, comentarios);
+  } catch (error) {
+    if (esCancelacion(error)) return;
+    contenedor.querySelector(".comentarios__vacio").textContent = "No se pudieron cargar los comentarios.";
+  }
+}
+
+/**
+ * Dibuja la lista de comentarios y, debajo, el formulario o la invitación a ingresar
+ * @param {HTMLElement} contenedor
+ * @param {Array<Object>} comentarios
+ */
+function renderizarHiloComentarios(contenedor, comentarios) {
+  const items = comentarios.map((c) => {
+    const propio = usuarioActual && c.autor.id_usuario === usuarioActual.id_usuario;
+    const puedeBorrar = propio || puedeModerarComentarios();
+    const aviso = ESTADOS_COMENTARIO[c.estado]
+      ? `<p class="comentario__estado comentario__estado--${c.estado}">
+           ${ESTADOS_COMENTARIO[c.estado]}${c.motivo_moderacion ? `: ${escaparHtml(c.motivo_moderacion)}` : ""}
+         </p>`
+      : "";
+
+    return `
+      <li class="comentario ${c.estado !== "aprobado" ? "comentario--no-publicado" : ""}">
+        <div class="comentario__cabecera">
+          <strong>${escaparHtml(c.autor.nombre)}</strong>
+          <span class="comentario__fecha">${formatearFechaComentario(c.creado_en)}</span>
+        </div>
+        <div class="comentario__etiquetas">${crearEtiquetasAlcance(c)}</div>
+        <p class="comentario__texto">${escaparHtml(c.texto)}</p>
+        ${aviso}
+        ${puedeBorrar
+          ? `<button type="button" class="comentario__borrar" data-id="${c.id_comentario}">Borrar</button>`
+          : ""}
+      </li>
+    `;
+  });
+
+  contenedor.innerHTML = `
+    <h3 class="comentarios__titulo">💬 Observaciones de la comunidad</h3>
+    ${items.length
+      ? `<ul class="comentarios__lista">${items.join("")}</ul>`
+      : `<p class="comentarios__vacio">Aún no hay observaciones para esta estación. ¿Sabes algo que ayude a interpretar estos datos?</p>`}
+    ${crearFormularioComentario()}
+  `;
+
+  contenedor.querySelectorAll(".comentario__borrar").forEach((boton) => {
+    boton.addEventListener("click", () => borrarComentario(Number(boton.dataset.id)));
+  });
+
+  const form = contenedor.querySelector(".comentarios__form");
+  if (form) form.addEventListener("submit", publicarComentario);
+
+  const btnIngresar = contenedor.querySelector(".comentarios__ingresar");
+  if (btnIngresar) btnIngresar.addEventListener("click", () => abrirDialogoCuenta());
+}
+
+/**
+ * HTML del formulario, o del aviso si no hay sesión o falta verificar el correo
+ */
+function crearFormularioComentario() {
+  if (!usuarioActual) {
+    return `
+      <p class="comentarios__aviso">
+        <button type="button" class="comentarios__ingresar">Inicia sesión</button> para dejar una observación.
+      </p>
+    `;
+  }
+
+  if (!usuarioActual.correo_verificado) {
+    return `
+      <p class="comentarios__aviso">
+        Verifica tu correo para comentar.
+        <button type="button" class="comentarios__ingresar">Ver mi cuenta</button>
+      </p>
+    `;
+  }
+
+  const { anio, contaminante } = contextoComentarios;
+  return `
+    <form class="comentarios__form">
+      <textarea name="texto" rows="3" minlength="3" maxlength="1000" required
+        placeholder="Ej.: en ${anio} abrieron una fábrica cerca de la estación"></textarea>
+      <div class="comentarios__alcance">
+        <label><input type="checkbox" name="solo_anio" checked /> Solo sobre ${anio}</label>
+        <label><input type="checkbox" name="solo_contaminante" /> Solo sobre ${escaparHtml(contaminante)}</label>
+      </div>
+      <button type="submit" class="comentarios__publicar">Publicar</button>
+      <p class="comentarios__nota" hidden></p>
+    </form>
+  `;
+}
+
+async function publicarComentario(e) {
+  e.preventDefault();
+  const form = e.target;
+  const boton = form.querySelector('button[type="submit"]');
+  const nota = form.querySelector(".comentarios__nota");
+  const contexto = contextoComentarios;
+
+  boton.disabled = true;
+  try {
+    const comentario = await api.publicarComentario(contexto.idEstacion, {
+      texto: form.texto.value,
+      anio: form.solo_anio.checked ? contexto.anio : null,
+      contaminante: form.solo_contaminante.checked ? contexto.contaminante : null,
+    });
+    await cargarHiloComentarios(contexto);
+
+    if (comentario.estado === "pendiente") {
+      const notaNueva = document.querySelector("#hiloComentarios .comentarios__nota");
+      if (notaNueva) {
+        notaNueva.hidden = false;
+        notaNueva.textContent = "¡Gracias! Tu comentario se publicará cuando lo revise un moderador.";
+      }
+    }
+  } catch (error) {
+    nota.hidden = false;
+    nota.textContent = error.message;
+    nota.classList.add("comentarios__nota--error");
+    boton.disabled = false;
+  }
+}
+
+/**
+ * @param {number} idComentario
+ */
+async function borrarComentario(idComentario) {
+  if (!confirm("¿Borrar este comentario?")) return;
+
+  try {
+    await api.eliminarComentario(idComentario);
+    if (contextoComentarios) cargarHiloComentarios(contextoComentarios);
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+// ==========================================================================
+// MODERACIÓN (DIÁLOGO DE CUENTA)
+// ==========================================================================
+
+const listaModeracion = document.getElementById("listaModeracion");
+const selectEstadoModeracion = document.getElementById("selectEstadoModeracion");
+
+async function cargarColaModeracion() {
+  listaModeracion.innerHTML = `<li class="moderacion__vacio">Cargando...</li>`;
+
+  try {
+    const { comentarios } = await api.getColaModeracion(
+      { estado: selectEstadoModeracion.value },
+      { clave: "colaModeracion" }
+    );
+
+    if (comentarios.length === 0) {
+      listaModeracion.innerHTML = `<li class="moderacion__vacio">No hay comentarios en este estado.</li>`;
+      return;
+    }
+
+    listaModeracion.innerHTML = comentarios.map((c) => `
+      <li class="moderacion__item" data-id="${c.id_comentario}">
+        <div class="comentario__cabecera">
+          <strong>${escaparHtml(c.nombre_estacion)}</strong>
+          <span class="comentario__fecha">${formatearFechaComentario(c.creado_en)}</span>
+        </div>
+        <div class="comentario__etiquetas">${crearEtiquetasAlcance(c)}</div>
+        <p class="comentario__texto">${escaparHtml(c.texto)}</p>
+        <p class="moderacion__autor">${escaparHtml(c.autor.nombre)} · ${escaparHtml(c.autor.correo)}</p>
+        ${c.motivo_moderacion ? `<p class="moderacion__autor">Motivo: ${escaparHtml(c.motivo_moderacion)}</p>` : ""}
+        <div class="moderacion__acciones">
+          <input type="text" class="moderacion__motivo" maxlength="300" placeholder="Motivo (opcional)" />
+          ${c.estado !== "aprobado" ? `<button type="button" data-estado="aprobado">✅ Aprobar</button>` : ""}
+          ${c.estado !== "rechazado" ? `<button type="button" data-estado="rechazado">🚫 Rechazar</button>` : ""}
+        </div>
+      </li>
+    `).join("");
+  } catch (error) {
+    if (esCancelacion(error)) return;
+    listaModeracion.innerHTML = "";
+    mostrarMensajeCuenta(error.message, "error");
+  }
+}
+
+listaModeracion.addEventListener("click", async (e) => {
+  const boton = e.target.closest("button[data-estado]");
+  if (!boton) return;
+
+  const item = boton.closest(".moderacion__item");
+  item.querySelectorAll("button").forEach((b) => { b.disabled = true; });
+
+  try {
+    await api.moderarComentario(Number(item.dataset.id), {
+      estado: boton.dataset.estado,
+      motivo: item.querySelector(".moderacion__motivo").value,
+    });
+    item.remove();
+    if (!listaModeracion.children.length) cargarColaModeracion();
+    // El hilo abierto en el panel puede incluir este comentario
+    if (contextoComentarios && document.getElementById("hiloComentarios")) {
+      cargarHiloComentarios(contextoComentarios);
+    }
+  } catch (error) {
+    mostrarMensajeCuenta(error.message, "error");
+    item.querySelectorAll("button").forEach((b) => { b.disabled = false; });
+  }
+});
+
+selectEstadoModeracion.addEventListener("change", cargarColaModeracion);
+
+// ==========================================================================
+// ROLES (SOLO ADMIN)
+// ==========================================================================
+
+const listaUsuariosRol = document.getElementById("listaUsuariosRol");
+
+/**
+ * @param {string} buscar - Correo o nombre
+ */
+async function buscarUsuariosRol(buscar) {
+  try {
+    const { usuarios, roles } = await api.buscarUsuarios({ buscar }, { clave: "usuariosRol" });
+
+    listaUsuariosRol.innerHTML = usuarios.length
+      ? usuarios.map((u) => `
+          <li class="moderacion__usuario">
+            <span>${escaparHtml(u.nombre)}<br><small>${escaparHtml(u.correo)}</small></span>
+            <select data-id="${u.id_usuario}" class="descarga__formato"
+              ${u.id_usuario === usuarioActual.id_usuario ? "disabled title=\"No puedes cambiar tu propio rol\"" : ""}>
+              ${roles.map((r) => `<option value="${r}" ${r === u.rol ? "selected" : ""}>${NOMBRES_ROL[r] || r}</option>`).join("")}
+            </select>
+          </li>
+        `).join("")
+      : `<li class="moderacion__vacio">Sin resultados.</li>`;
+  } catch (error) {
+    if (esCancelacion(error)) return;
+    mostrarMensajeCuenta(error.message, "error");
+  }
+}
+
+document.getElementById("formBuscarUsuarios").addEventListener("submit", (e) => {
+  e.preventDefault();
+  buscarUsuariosRol(e.target.buscar.value.trim());
+});
+
+listaUsuariosRol.addEventListener("change", async (e) => {
+  const select = e.target.closest("select[data-id]");
+  if (!select) return;
+
+  try {
+    const usuario = await api.cambiarRolUsuario(Number(select.dataset.id), select.value);
+    mostrarMensajeCuenta(`${usuario.nombre} ahora es ${NOMBRES_ROL[usuario.rol].toLowerCase()}.`);
+  } catch (error) {
+    mostrarMensajeCuenta(error.message, "error");
+  }
+});
+
+// ==========================================================================
+// SESIÓN
+// ==========================================================================
+
+document.getElementById("btnAbrirModeracion").addEventListener("click", () => {
+  document.getElementById("adminRoles").hidden = !esAdminVerificado();
+  cargarColaModeracion();
+});
+
+// Al entrar o salir se muestran u ocultan las opciones según el rol,
+// y el hilo abierto se vuelve a pedir (incluye los comentarios propios pendientes)
+window.addEventListener("sesionCambiada", () => {
+  document.getElementById("btnAbrirModeracion").hidden = !puedeModerarComentarios();
+
+  if (contextoComentarios && document.getElementById("hiloComentarios")) {
+    cargarHiloComentarios(contextoComentarios);
+  }
+});
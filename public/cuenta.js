@@ -0,0 +1,263 @@
+/* ==========================================================================
+   AIRSENSE - CUENTA DE USUARIO
+   ==========================================================================
+   Diálogo de ingreso, registro y recuperación de contraseña, y estado de
+   la sesión. El token se guarda con guardarTokenSesion() (apiClient.js),
+   que lo agrega a todas las peticiones.
+
+   Los enlaces de los correos vuelven a esta página con ?verificar=<token>
+   o ?restablecer=<token>; aquí se procesan y se limpian de la URL.
+
+   Otros módulos pueden escuchar el evento "sesionCambiada" en window
+   (detail = usuario o null) y leer el usuario actual en usuarioActual.
+   ========================================================================== */
+
+// ==========================================================================
+// REFERENCIAS DEL DOM
+// ==========================================================================
+
+const dialogoCuenta = document.getElementById("dialogoCuenta");
+const btnCuenta = document.getElementById("btnCuenta");
+const tituloCuenta = document.getElementById("tituloCuenta");
+const mensajeCuenta = document.getElementById("mensajeCuenta");
+
+// ==========================================================================
+// ESTADO GLOBAL DEL MÓDULO
+// ==========================================================================
+
+let usuarioActual = null;           // Usuario con sesión iniciada (null si no hay)
+let tokenRestablecimiento = null;   // Token recibido en ?restablecer=
+
+const TITULOS_CUENTA = {
+  login: "Ingresar",
+  registro: "Crear cuenta",
+  olvido: "Recuperar contraseña",
+  restablecer: "Nueva contraseña",
+  perfil: "Mi cuenta",
+  moderacion: "Moderación",
+  diccionario: "Diccionario de contaminantes",
+  diccionarioFicha: "Ficha del contaminante",
+  diccionarioHistorial: "Historial de cambios",
+};
+
+// Vistas que necesitan un diálogo más ancho
+const VISTAS_AMPLIAS = ["moderacion", "diccionario", "diccionarioFicha", "diccionarioHistorial"];
+
+const NOMBRES_ROL = {
+  usuario: "Usuario",
+  moderador: "Moderador",
+  admin: "Administrador",
+};
+
+// ==========================================================================
+// NAVEGACIÓN DEL DIÁLOGO
+// ==========================================================================
+
+/**
+ * Muestra una de las vistas del diálogo
+ * @param {string} vista - Una de las claves de TITULOS_CUENTA
+ */
+function mostrarVistaCuenta(vista) {
+  dialogoCuenta.querySelectorAll(".cuenta__vista").forEach((el) => {
+    el.hidden = el.dataset.vista !== vista;
+  });
+  tituloCuenta.textContent = TITULOS_CUENTA[vista];
+  dialogoCuenta.classList.toggle("cuenta--amplia", VISTAS_AMPLIAS.includes(vista));
+  mostrarMensajeCuenta("");
+
+  const primerCampo = dialogoCuenta.querySelector(`[data-vista="${vista}"] input`);
+  if (primerCampo) primerCampo.focus();
+}
+
+/**
+ * Muestra un mensaje en el diálogo (texto vacío = ocultarlo)
+ * @param {string} texto
+ * @param {'ok'|'error'} [tipo='ok']
+ */
+function mostrarMensajeCuenta(texto, tipo = "ok") {
+  mensajeCuenta.hidden = !texto;
+  mensajeCuenta.textContent = texto;
+  mensajeCuenta.className = `cuenta__mensaje cuenta__mensaje--${tipo}`;
+}
+
+function abrirDialogoCuenta(vista) {
+  if (!dialogoCuenta.open) dialogoCuenta.showModal();
+  mostrarVistaCuenta(vista || (usuarioActual ? "perfil" : "login"));
+}
+
+// ==========================================================================
+// SESIÓN
+// ==========================================================================
+
+/**
+ * Cambia el usuario actual, actualiza el botón del encabezado y avisa al resto de la página
+ * @param {Object|null} usuario
+ * @param {string|null} [token] - Si se indica, se guarda (o se borra con null)
+ */
+function establecerSesion(usuario, token) {
+  if (token !== undefined) guardarTokenSesion(token);
+  usuarioActual = usuario;
+
+  document.getElementById("textoBtnCuenta").textContent = usuario ? usuario.nombre : "Ingresar";
+  btnCuenta.classList.toggle("btn-cuenta--activa", Boolean(usuario));
+
+  if (usuario) {
+    document.getElementById("perfilNombre").textContent = usuario.nombre;
+    document.getElementById("perfilCorreo").textContent = usuario.correo;
+    document.getElementById("perfilRol").textContent = NOMBRES_ROL[usuario.rol] || usuario.rol;
+    document.getElementById("avisoVerificacion").hidden = usuario.correo_verificado;
+  }
+
+  window.dispatchEvent(new CustomEvent("sesionCambiada", { detail: usuario }));
+}
+
+// Recupera la sesión guardada al abrir la página
+async function restaurarSesion() {
+  if (!obtenerTokenSesion()) return;
+
+  try {
+    establecerSesion(await api.getUsuarioActual({ reintentos: 0 }));
+  } catch (error) {
+    // 401: el token venció o se cerró la sesión desde otro lado
+    if (error.status === 401) establecerSesion(null, null);
+  }
+}
+
+// ==========================================================================
+// FORMULARIOS
+// ==========================================================================
+
+/**
+ * Ejecuta el envío de un formulario deshabilitando su botón mientras tanto
+ * @param {HTMLFormElement} form
+ * @param {function(Object): Promise<void>} accion - Recibe los campos del formulario
+ * @returns {Promise<boolean>} true si la acción terminó sin error
+ */
+async function enviarFormularioCuenta(form, accion) {
+  const boton = form.querySelector('button[type="submit"]');
+  boton.disabled = true;
+  mostrarMensajeCuenta("");
+
+  try {
+    await accion(Object.fromEntries(new FormData(form)));
+    return true;
+  } catch (error) {
+    mostrarMensajeCuenta(error.message, "error");
+    return false;
+  } finally {
+    boton.disabled = false;
+  }
+}
+
+const ACCIONES_CUENTA = {
+  login: async ({ correo, contrasena }) => {
+    const { token, usuario } = await api.iniciarSesion({ correo, contrasena });
+    establecerSesion(usuario, token);
+    dialogoCuenta.close();
+  },
+
+  // El servidor responde igual si el correo ya tenía cuenta: no abre sesión
+  registro: async ({ nombre, correo, contrasena }) => {
+    const { mensaje } = await api.registrarUsuario({ nombre, correo, contrasena });
+    mostrarVistaCuenta("login");
+    dialogoCuenta.querySelector('[data-vista="login"] [name="correo"]').value = correo;
+    mostrarMensajeCuenta(`${mensaje}. Si no llega, inicia sesión y usa "Reenviar enlace".`);
+  },
+
+  olvido: async ({ correo }) => {
+    const { mensaje } = await api.solicitarRestablecimiento(correo);
+    mostrarMensajeCuenta(mensaje);
+  },
+
+  restablecer: async ({ contrasena }) => {
+    const { token, usuario, mensaje } = await api.restablecerContrasena(tokenRestablecimiento, contrasena);
+    tokenRestablecimiento = null;
+    establecerSesion(usuario, token);
+    mostrarVistaCuenta("perfil");
+    mostrarMensajeCuenta(mensaje);
+  },
+};
+
+dialogoCuenta.querySelectorAll("form.cuenta__vista").forEach((form) => {
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    enviarFormularioCuenta(form, ACCIONES_CUENTA[form.dataset.vista]).then((ok) => {
+      // Si falló se conservan los datos para corregirlos
+      if (ok && form.dataset.vista !== "olvido") form.reset();
+    });
+  });
+});
+
+// Enlaces entre vistas ("Crear una cuenta", "Olvidé mi contraseña"...)
+dialogoCuenta.querySelectorAll("[data-ir]").forEach((boton) => {
+  boton.addEventListener("click", () => mostrarVistaCuenta(boton.dataset.ir));
+});
+
+document.getElementById("btnReenviarVerificacion").addEventListener("click", async (e) => {
+  e.target.disabled = true;
+  try {
+    const { mensaje } = await api.reenviarVerificacion();
+    mostrarMensajeCuenta(mensaje);
+  } catch (error) {
+    mostrarMensajeCuenta(error.message, "error");
+  } finally {
+    e.target.disabled = false;
+  }
+});
+
+document.getElementById("btnCerrarSesion").addEventListener("click", () => {
+  establecerSesion(null, null);
+  dialogoCuenta.close();
+});
+
+btnCuenta.addEventListener("click", () => abrirDialogoCuenta());
+document.getElementById("btnCerrarCuenta").addEventListener("click", () => dialogoCuenta.close());
+
+// Cerrar al hacer clic fuera del contenido (sobre el fondo del diálogo)
+dialogoCuenta.addEventListener("click", (e) => {
+  if (e.target === dialogoCuenta) dialogoCuenta.close();
+});
+
+// ==========================================================================
+// ENLACES DE LOS CORREOS
+// ==========================================================================
+
+// Procesa ?verificar= y ?restablecer= y los quita de la URL
+async function procesarEnlaceCorreo() {
+  const url = new URL(window.location.href);
+  const verificar = url.searchParams.get("verificar");
+  const restablecer = url.searchParams.get("restablecer");
+  if (!verificar && !restablecer) return;
+
+  url.searchParams.delete("verificar");
+  url.searchParams.delete("restablecer");
+  history.replaceState(null, "", url.pathname + url.search + url.hash);
+
+  if (restablecer) {
+    tokenRestablecimiento = restablecer;
+    abrirDialogoCuenta("restablecer");
+    return;
+  }
+
+  try {
+    const { usuario } = await api.verificarCorreo(verificar);
+    // Si la sesión abierta es de esta misma cuenta, se actualiza su estado
+    if (usuarioActual && usuarioActual.id_usuario === usuario.id_usuario) {
+      establecerSesion(usuario);
+    }
+    abrirDialogoCuenta(usuarioActual ? "perfil" : "login");
+    mostrarMensajeCuenta("¡Correo verificado! Ya puedes participar con tu cuenta.");
+  } catch (error) {
+    abrirDialogoCuenta();
+    mostrarMensajeCuenta(error.message, "error");
+  }
+}
+
+// ==========================================================================
+// INICIALIZACIÓN
+// ==========================================================================
+
+document.addEventListener("DOMContentLoaded", async () => {
+  await restaurarSesion();
+  procesarEnlaceCorreo();
+});
@@ -3,6 +3,12 @@
    ==========================================================================
    Gestiona la carga, renderizado y navegación del diccionario de
    contaminantes atmosféricos en un panel lateral interactivo.
+
+   Se vuelve a cargar cuando se dispara el evento "diccionarioActualizado"
+   en window (lo hace diccionarioAdmin.js al guardar un cambio).
+
+   Las fichas las editan los administradores: sus textos siempre se insertan
+   escapados (escaparHtml, de utilidades.js).
    ========================================================================== */
 
 // ==========================================================================
@@ -20,38 +26,7 @@ const btnVolver = document.getElementById("btnVolver");
 // ==========================================================================
 
 let contaminantes = [];  // Almacena los datos cargados desde el backend
-
-/**
- * Cliente genérico para hacer peticiones fetch a la API.
- * Maneja el 'try-catch', la validación 'response.ok' y el parseo de JSON.
- *
- * @param {string} url - La URL del endpoint de la API (ej. "/api/municipios")
- * @param {object} [options] - Opciones de fetch (method, headers, body, etc.)
- * @returns {Promise<any>} - Los datos de la respuesta en JSON.
-*/
-async function apiClient(url, options = {}) {
-  try {
-    const response = await fetch(url, options);
-
-    if (!response.ok) {
-      // Intenta leer el error JSON que envía el backend (ej. { error: "..." })
-      const errorData = await response.json().catch(() => ({})); 
-      
-      // Crea un mensaje de error útil
-      const errorMsg = errorData.error || errorData.mensaje || `Error ${response.status}: ${response.statusText}`;
-      throw new Error(errorMsg);
-    }
-
-    // Si todo ok, devuelve el JSON
-    return await response.json();
-
-  } catch (error) {
-    console.error(`❌ Error en cliente API [${url}]:`, error.message);
-    // Vuelve a lanzar el error para que la función que lo llamó (ej. cargarDiccionario)
-    // pueda manejarlo y mostrar un mensaje al usuario.
-    throw error;
-  }
-}
+let idDetalleAbierto = null;  // Contaminante mostrado en la vista de detalle
 
 // ==========================================================================
 // FUNCIONES DE NAVEGACIÓN
@@ -88,10 +63,10 @@ function renderizarLista() {
     li.style.borderLeftWidth = "4px";
     
     li.innerHTML = `
-      <span class="diccionario__item-simbolo" style="color: ${cont.color_hex}">
-        ${cont.simbolo}
+      <span class="diccionario__item-simbolo" style="color: ${escaparHtml(cont.color_hex)}">
+        ${escaparHtml(cont.simbolo)}
       </span>
-      <span class="diccionario__item-nombre">${cont.nombre}</span>
+      <span class="diccionario__item-nombre">${escaparHtml(cont.nombre)}</span>
       <span class="diccionario__item-icono">→</span>
     `;
     
@@ -108,22 +83,23 @@ function renderizarLista() {
   Muestra la información completa de un contaminante
 */
 function mostrarDetalle(contaminante) {
+  idDetalleAbierto = contaminante.id;
   contenidoDetalle.innerHTML = `
-    <h3>${contaminante.simbolo} — ${contaminante.nombre}</h3>
+    <h3>${escaparHtml(contaminante.simbolo)} — ${escaparHtml(contaminante.nombre)}</h3>
     
     <div class="diccionario__seccion">
       <h4>¿Qué es?</h4>
-      <p>${contaminante.que_es}</p>
+      <p>${escaparHtml(contaminante.que_es)}</p>
     </div>
     
     <div class="diccionario__seccion">
       <h4>Causas</h4>
-      <p>${contaminante.causas}</p>
+      <p>${escaparHtml(contaminante.causas)}</p>
     </div>
     
     <div class="diccionario__seccion">
       <h4>Consecuencias</h4>
-      <p>${contaminante.consecuencias}</p>
+      <p>${escaparHtml(contaminante.consecuencias)}</p>
     </div>
   `;
   
@@ -141,9 +117,10 @@ function mostrarDetalle(contaminante) {
 
 async function cargarDiccionario() {
   try {
-    contaminantes = await apiClient("/api/diccionario");
+    contaminantes = await api.getDiccionario(); // apiClient.js
     // Si todo sale bien, renderiza la lista
     renderizarLista();
+    actualizarDetalleAbierto();
 
   } catch (error) {
     console.error("❌ Error al cargar diccionario:", error);
@@ -155,12 +132,26 @@ async function cargarDiccionario() {
   }
 }
 
+/*
+  Tras una recarga, vuelve a dibujar el detalle abierto con los datos nuevos
+  (o regresa a la lista si el contaminante se desactivó)
+*/
+function actualizarDetalleAbierto() {
+  if (!vistaDetalle.classList.contains("diccionario__vista--activa")) return;
+
+  const contaminante = contaminantes.find((c) => c.id === idDetalleAbierto);
+  if (contaminante) mostrarDetalle(contaminante);
+  else cambiarVista("lista");
+}
+
 // ==========================================================================
 // EVENT LISTENERS
 // ==========================================================================
 
 btnVolver.addEventListener("click", () => cambiarVista("lista"));
 
+window.addEventListener("diccionarioActualizado", cargarDiccionario);
+
 // ==========================================================================
 // INICIALIZACIÓN
 // ==========================================================================
@@ -0,0 +1,254 @@
+/* ==========================================================================
+   AIRSENSE - ADMINISTRACIÓN DEL DICCIONARIO DE CONTAMINANTES
+   ==========================================================================
+   Vistas "diccionario", "diccionarioFicha" y "diccionarioHistorial" del
+   diálogo de cuenta (solo admin): lista con orden y estado, formulario
+   para crear o editar una ficha e historial de cambios.
+
+   Después de cada cambio se dispara "diccionarioActualizado" en window
+   para que el panel público (diccionario.js) se recargue.
+   ========================================================================== */
+
+// ==========================================================================
+// REFERENCIAS DEL DOM
+// ==========================================================================
+
+const listaDiccionarioAdmin = document.getElementById("listaDiccionarioAdmin");
+const formContaminante = document.getElementById("formContaminante");
+const muestraColorContaminante = document.getElementById("muestraColorContaminante");
+const listaHistorialContaminante = document.getElementById("listaHistorialContaminante");
+
+// ==========================================================================
+// ESTADO GLOBAL DEL MÓDULO
+// ==========================================================================
+
+let fichasDiccionario = [];     // Todas las fichas, en el orden de visualización
+let idFichaEditada = null;      // null = el formulario crea una ficha nueva
+
+const CAMPOS_FICHA = ["simbolo", "nombre", "color_hex", "que_es", "causas", "consecuencias"];
+
+const NOMBRES_CAMPO = {
+  simbolo: "Símbolo",
+  nombre: "Nombre",
+  color_hex: "Color",
+  que_es: "¿Qué es?",
+  causas: "Causas",
+  consecuencias: "Consecuencias",
+  activo: "Visible",
+  orden_visualizacion: "Posición",
+};
+
+const NOMBRES_ACCION = {
+  creacion: "Creó la ficha",
+  edicion: "Editó",
+  orden: "Cambió el orden",
+};
+
+// Avisa al panel público que debe recargar el diccionario
+function notificarCambioDiccionario() {
+  window.dispatchEvent(new CustomEvent("diccionarioActualizado"));
+}
+
+// ==========================================================================
+// LISTA
+// ==========================================================================
+
+async function cargarDiccionarioAdmin() {
+  listaDiccionarioAdmin.innerHTML = `<li class="moderacion__vacio">Cargando...</li>`;
+
+  try {
+    const { contaminantes } = await api.getDiccionarioAdmin({ clave: "diccionarioAdmin" });
+    fichasDiccionario = contaminantes;
+    renderizarDiccionarioAdmin();
+  } catch (error) {
+    if (esCancelacion(error)) return;
+    listaDiccionarioAdmin.innerHTML = "";
+    mostrarMensajeCuenta(error.message, "error");
+  }
+}
+
+function renderizarDiccionarioAdmin() {
+  if (fichasDiccionario.length === 0) {
+    listaDiccionarioAdmin.innerHTML = `<li class="moderacion__vacio">El diccionario está vacío.</li>`;
+    return;
+  }
+
+  const ultimo = fichasDiccionario.length - 1;
+  listaDiccionarioAdmin.innerHTML = fichasDiccionario.map((c, i) => `
+    <li class="admin-diccionario__item ${c.activo ? "" : "admin-diccionario__item--inactivo"}" data-id="${c.id}">
+      <span class="admin-diccionario__muestra" style="background: ${escaparHtml(c.color_hex)}"></span>
+      <span class="admin-diccionario__nombre">
+        <strong>${escaparHtml(c.simbolo)}</strong> ${escaparHtml(c.nombre)}
+        ${c.activo ? "" : `<small>(inactivo)</small>`}
+      </span>
+      <span class="admin-diccionario__acciones">
+        <button type="button" data-accion="subir" title="Subir" ${i === 0 ? "disabled" : ""}>▲</button>
+        <button type="button" data-accion="bajar" title="Bajar" ${i === ultimo ? "disabled" : ""}>▼</button>
+        <button type="button" data-accion="editar">Editar</button>
+        <button type="button" data-accion="activo">${c.activo ? "Desactivar" : "Activar"}</button>
+        <button type="button" data-accion="historial">Historial</button>
+      </span>
+    </li>
+  `).join("");
+}
+
+/**
+ * Mueve una ficha una posición arriba o abajo y guarda el nuevo orden
+ * @param {number} indice
+ * @param {-1|1} direccion
+ */
+async function moverFicha(indice, direccion) {
+  const ids = fichasDiccionario.map((c) => c.id);
+  [ids[indice], ids[indice + direccion]] = [ids[indice + direccion], ids[indice]];
+
+  const { contaminantes } = await api.reordenarDiccionario(ids);
+  fichasDiccionario = contaminantes;
+  renderizarDiccionarioAdmin();
+  notificarCambioDiccionario();
+}
+
+/**
+ * @param {Object} ficha
+ */
+async function alternarActivo(ficha) {
+  if (ficha.activo && !confirm(`¿Ocultar ${ficha.simbolo} del panel público?`)) return;
+
+  const actualizada = await api.editarContaminante(ficha.id, { activo: !ficha.activo });
+  fichasDiccionario = fichasDiccionario.map((c) => (c.id === actualizada.id ? actualizada : c));
+  renderizarDiccionarioAdmin();
+  notificarCambioDiccionario();
+}
+
+listaDiccionarioAdmin.addEventListener("click", async (e) => {
+  const boton = e.target.closest("button[data-accion]");
+  if (!boton) return;
+
+  const id = Number(boton.closest("[data-id]").dataset.id);
+  const indice = fichasDiccionario.findIndex((c) => c.id === id);
+  const ficha = fichasDiccionario[indice];
+
+  mostrarMensajeCuenta("");
+  listaDiccionarioAdmin.querySelectorAll("button").forEach((b) => { b.disabled = true; });
+
+  try {
+    switch (boton.dataset.accion) {
+      case "subir": await moverFicha(indice, -1); break;
+      case "bajar": await moverFicha(indice, 1); break;
+      case "activo": await alternarActivo(ficha); break;
+      case "editar": abrirFichaContaminante(ficha); break;
+      case "historial": await abrirHistorialContaminante(ficha); break;
+    }
+  } catch (error) {
+    mostrarMensajeCuenta(error.message, "error");
+  } finally {
+    renderizarDiccionarioAdmin();
+  }
+});
+
+// ==========================================================================
+// FORMULARIO (CREAR / EDITAR)
+// ==========================================================================
+
+/**
+ * Abre el formulario vacío o con los datos de una ficha
+ * @param {Object|null} ficha
+ */
+function abrirFichaContaminante(ficha) {
+  idFichaEditada = ficha ? ficha.id : null;
+  formContaminante.reset();
+
+  if (ficha) {
+    CAMPOS_FICHA.forEach((campo) => { formContaminante[campo].value = ficha[campo] || ""; });
+    formContaminante.activo.checked = ficha.activo;
+  }
+  actualizarMuestraColor();
+
+  mostrarVistaCuenta("diccionarioFicha");
+  tituloCuenta.textContent = ficha ? `Editar ${ficha.simbolo}` : "Nuevo contaminante";
+}
+
+function actualizarMuestraColor() {
+  const color = formContaminante.color_hex.value.trim();
+  const valido = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color);
+  muestraColorContaminante.style.background = valido ? color : "transparent";
+}
+
+formContaminante.color_hex.addEventListener("input", actualizarMuestraColor);
+
+formContaminante.addEventListener("submit", (e) => {
+  e.preventDefault();
+
+  enviarFormularioCuenta(formContaminante, async (campos) => {
+    const datos = Object.fromEntries(CAMPOS_FICHA.map((campo) => [campo, campos[campo]]));
+    datos.activo = formContaminante.activo.checked;
+
+    const ficha = idFichaEditada
+      ? await api.editarContaminante(idFichaEditada, datos)
+      : await api.crearContaminante(datos);
+
+    notificarCambioDiccionario();
+    await cargarDiccionarioAdmin();
+    mostrarVistaCuenta("diccionario");
+    mostrarMensajeCuenta(`${ficha.simbolo} guardado.`);
+  });
+});
+
+document.getElementById("btnNuevoContaminante").addEventListener("click", () => abrirFichaContaminante(null));
+
+// ==========================================================================
+// HISTORIAL
+// ==========================================================================
+
+/**
+ * Texto corto de un valor del historial (los textos largos se recortan)
+ * @param {*} valor
+ */
+function resumirValor(valor) {
+  if (valor === null || valor === undefined) return "—";
+  if (typeof valor === "boolean") return valor ? "sí" : "no";
+  const texto = String(valor);
+  return texto.length > 80 ? `${texto.slice(0, 80)}…` : texto;
+}
+
+/**
+ * @param {Object} ficha
+ */
+async function abrirHistorialContaminante(ficha) {
+  const { historial } = await api.getHistorialContaminante(ficha.id);
+
+  document.getElementById("tituloHistorialContaminante").textContent = `${ficha.simbolo} — ${ficha.nombre}`;
+  listaHistorialContaminante.innerHTML = historial.length
+    ? historial.map((h) => `
+        <li class="moderacion__item">
+          <div class="comentario__cabecera">
+            <strong>${NOMBRES_ACCION[h.accion] || h.accion}</strong>
+            <span class="comentario__fecha">${new Date(h.creado_en).toLocaleString("es-CO")}</span>
+          </div>
+          <p class="moderacion__autor">${escaparHtml(h.nombre_usuario || "Usuario eliminado")}</p>
+          <ul class="admin-diccionario__cambios">
+            ${Object.entries(h.cambios).map(([campo, { antes, despues }]) => `
+              <li>
+                <strong>${NOMBRES_CAMPO[campo] || campo}:</strong>
+                ${h.accion === "creacion" ? "" : `<del>${escaparHtml(resumirValor(antes))}</del> →`}
+                ${escaparHtml(resumirValor(despues))}
+              </li>
+            `).join("")}
+          </ul>
+        </li>
+      `).join("")
+    : `<li class="moderacion__vacio">Sin cambios registrados (la ficha es anterior al historial).</li>`;
+
+  mostrarVistaCuenta("diccionarioHistorial");
+}
+
+// ==========================================================================
+// SESIÓN
+// ==========================================================================
+
+document.getElementById("btnAbrirDiccionarioAdmin").addEventListener("click", cargarDiccionarioAdmin);
+
+window.addEventListener("sesionCambiada", () => {
+  // El servidor solo acepta el rol admin con el correo verificado
+  const esAdmin = Boolean(usuarioActual) && usuarioActual.correo_verificado && usuarioActual.rol === "admin";
+  document.getElementById("btnAbrirDiccionarioAdmin").hidden = !esAdmin;
+});
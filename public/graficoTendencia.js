@@ -0,0 +1,172 @@
+/* ==========================================================================
+   AIRSENSE - GRÁFICO DE TENDENCIA HISTÓRICA
+   ==========================================================================
+   Dibuja en SVG la serie anual de un contaminante (promedio, percentil 98
+   y máximo) sobre las franjas de los límites de referencia. Cada punto del
+   promedio se colorea con la clasificación de su año y es clickable.
+   ========================================================================== */
+
+// Dimensiones internas del SVG (se escala al ancho del panel con viewBox)
+const GRAFICO_ANCHO = 340;
+const GRAFICO_ALTO = 210;
+const GRAFICO_MARGEN = { arriba: 12, derecha: 12, abajo: 26, izquierda: 44 };
+
+// Series que se dibujan como líneas
+const SERIES_GRAFICO = [
+  { campo: "promedio", nombre: "Promedio", color: "#2a5d67", trazo: "" },
+  { campo: "percentil_98", nombre: "Percentil 98", color: "#ff8800", trazo: "6 4" },
+  { campo: "maximo", nombre: "Máximo", color: "#ff4444", trazo: "2 3" },
+];
+
+/**
+ * Convierte una lista de puntos [x, y] en el atributo "points" de una polyline.
+ * @param {Array<Array<number>>} puntos
+ * @returns {string}
+ */
+function puntosAPolyline(puntos) {
+  return puntos.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(" ");
+}
+
+/**
+ * Renderiza el gráfico de tendencia dentro de un contenedor.
+ * @param {HTMLElement} contenedor - Elemento donde se inserta el gráfico.
+ * @param {Object} datosSerie - Respuesta de /api/series.
+ * @param {Object} [opciones]
+ * @param {number} [opciones.anioActual] - Año resaltado (el seleccionado en los filtros).
+ * @param {function(number):void} [opciones.onSeleccionarAnio] - Callback al hacer clic en un punto.
+ */
+function dibujarGraficoTendencia(contenedor, datosSerie, opciones = {}) {
+  const { anioActual = null, onSeleccionarAnio = null } = opciones;
+  const serie = datosSerie.serie || [];
+  const unidades = datosSerie.contaminante.unidades;
+
+  if (serie.length === 0) {
+    contenedor.innerHTML = `<p class="grafico-tendencia__vacio">No hay serie histórica disponible.</p>`;
+    return;
+  }
+
+  // 1. Límites de referencia (iguales para todos los años de la serie)
+  const conLimites = serie.find((p) => p.clasificacion && p.clasificacion.limites);
+  const limites = conLimites ? conLimites.clasificacion.limites : null;
+
+  // 2. Escalas
+  const anios = serie.map((p) => p.anio);
+  const anioMin = Math.min(...anios);
+  const anioMax = Math.max(...anios);
+
+  const valores = [];
+  serie.forEach((p) => {
+    SERIES_GRAFICO.forEach((s) => {
+      if (Number.isFinite(p[s.campo])) valores.push(p[s.campo]);
+    });
+  });
+  if (limites) valores.push(limites.regular * 1.15);
+  const valorMax = Math.max(...valores, 1);
+
+  const anchoUtil = GRAFICO_ANCHO - GRAFICO_MARGEN.izquierda - GRAFICO_MARGEN.derecha;
+  const altoUtil = GRAFICO_ALTO - GRAFICO_MARGEN.arriba - GRAFICO_MARGEN.abajo;
+
+  const escalaX = (anio) =>
+    anioMax === anioMin
+      ? GRAFICO_MARGEN.izquierda + anchoUtil / 2
+      : GRAFICO_MARGEN.izquierda + ((anio - anioMin) / (anioMax - anioMin)) * anchoUtil;
+  const escalaY = (valor) =>
+    GRAFICO_MARGEN.arriba + altoUtil - (Math.min(valor, valorMax) / valorMax) * altoUtil;
+
+  // 3. Franjas de los límites (Buena / Regular / Mala)
+  let franjas = "";
+  if (limites) {
+    const yBase = escalaY(0);
+    const yBuena = escalaY(limites.buena);
+    const yRegular = escalaY(limites.regular);
+    const yTope = escalaY(valorMax);
+    franjas = `
+      <rect class="grafico-tendencia__franja" x="${GRAFICO_MARGEN.izquierda}" y="${yBuena}" width="${anchoUtil}" height="${yBase - yBuena}" fill="#00E400" />
+      <rect class="grafico-tendencia__franja" x="${GRAFICO_MARGEN.izquierda}" y="${yRegular}" width="${anchoUtil}" height="${yBuena - yRegular}" fill="#FFFF00" />
+      <rect class="grafico-tendencia__franja" x="${GRAFICO_MARGEN.izquierda}" y="${yTope}" width="${anchoUtil}" height="${yRegular - yTope}" fill="#FF0000" />
+    `;
+  }
+
+  // 4. Ejes y marcas
+  let ejes = `
+    <line class="grafico-tendencia__eje" x1="${GRAFICO_MARGEN.izquierda}" y1="${escalaY(0)}" x2="${GRAFICO_ANCHO - GRAFICO_MARGEN.derecha}" y2="${escalaY(0)}" />
+    <line class="grafico-tendencia__eje" x1="${GRAFICO_MARGEN.izquierda}" y1="${GRAFICO_MARGEN.arriba}" x2="${GRAFICO_MARGEN.izquierda}" y2="${escalaY(0)}" />
+  `;
+
+  for (let i = 0; i <= 4; i++) {
+    const valor = (valorMax / 4) * i;
+    const y = escalaY(valor);
+    ejes += `<text class="grafico-tendencia__etiqueta" x="${GRAFICO_MARGEN.izquierda - 6}" y="${y + 3}" text-anchor="end">${valor.toFixed(valor < 10 ? 1 : 0)}</text>`;
+  }
+
+  // Con muchos años se usan dos dígitos ('19) para que no se encimen
+  const etiquetaCorta = anioMax - anioMin > 7;
+  for (let anio = anioMin; anio <= anioMax; anio++) {
+    const texto = etiquetaCorta ? `'${String(anio).slice(-2)}` : anio;
+    ejes += `<text class="grafico-tendencia__etiqueta" x="${escalaX(anio)}" y="${GRAFICO_ALTO - 8}" text-anchor="middle">${texto}</text>`;
+  }
+
+  // 5. Líneas de cada serie
+  const lineas = SERIES_GRAFICO.map((s) => {
+    const puntos = serie
+      .filter((p) => Number.isFinite(p[s.campo]))
+      .map((p) => [escalaX(p.anio), escalaY(p[s.campo])]);
+    return `<polyline class="grafico-tendencia__linea" points="${puntosAPolyline(puntos)}" stroke="${s.color}" stroke-dasharray="${s.trazo}" />`;
+  }).join("");
+
+  // 6. Puntos del promedio coloreados por la clasificación del año
+  //    (los años que no cumplen la regla del 75 % se dibujan atenuados)
+  const puntos = serie
+    .filter((p) => Number.isFinite(p.promedio))
+    .map((p) => {
+      const esActual = String(p.anio) === String(anioActual);
+      const bajaCalidad = p.calidad && p.calidad.estado !== "valido";
+      return `
+        <circle
+          class="grafico-tendencia__punto${esActual ? " grafico-tendencia__punto--actual" : ""}${bajaCalidad ? " grafico-tendencia__punto--baja-calidad" : ""}"
+          data-anio="${p.anio}"
+          cx="${escalaX(p.anio)}" cy="${escalaY(p.promedio)}" r="${esActual ? 6 : 4.5}"
+          fill="${p.clasificacion.color}"
+        >
+          <title>${p.anio} · Promedio ${p.promedio.toFixed(2)} ${unidades} · ${p.clasificacion.nivel}${bajaCalidad ? ` · ⚠️ ${p.calidad.etiqueta}` : ""}</title>
+        </circle>
+      `;
+    })
+    .join("");
+
+  // 7. Leyenda
+  const leyenda = SERIES_GRAFICO.map(
+    (s) => `
+      <span class="grafico-tendencia__leyenda-item">
+        <svg width="22" height="8"><line x1="0" y1="4" x2="22" y2="4" stroke="${s.color}" stroke-width="2" stroke-dasharray="${s.trazo}" /></svg>
+        ${s.nombre}
+      </span>
+    `
+  ).join("");
+
+  contenedor.innerHTML = `
+    <svg class="grafico-tendencia__svg" viewBox="0 0 ${GRAFICO_ANCHO} ${GRAFICO_ALTO}" role="img"
+         aria-label="Tendencia anual de ${datosSerie.contaminante.simbolo}">
+      ${franjas}
+      ${ejes}
+      ${lineas}
+      ${puntos}
+    </svg>
+    <div class="grafico-tendencia__leyenda">${leyenda}</div>
+    <p class="grafico-tendencia__nota">
+      ${unidades} · Franjas: ${limites ? `límites ${limites.fuente} (${limites.tiempo_horas}h)` : "sin límites de referencia"}.
+      Haz clic en un punto para ver ese año.
+      ${serie.some((p) => p.calidad && p.calidad.estado !== "valido") ? "Los puntos atenuados no cumplen la regla del 75 % de representatividad." : ""}
+      ${datosSerie.anios_ocultos > 0 ? `${datosSerie.anios_ocultos} año(s) ocultos por baja calidad.` : ""}
+    </p>
+  `;
+
+  // 8. Interactividad: clic en un punto -> cambiar de año
+  if (onSeleccionarAnio) {
+    contenedor.querySelectorAll(".grafico-tendencia__punto").forEach((circulo) => {
+      circulo.addEventListener("click", () => {
+        onSeleccionarAnio(parseInt(circulo.dataset.anio));
+      });
+    });
+  }
+}
@@ -27,6 +27,8 @@ const selectMunicipio = document.getElementById("selectMunicipio");
 const selectAnio = document.getElementById("selectAnio");
 const selectEstacion = document.getElementById("selectEstacion");
 const selectContaminante = document.getElementById("selectContaminante");
+const selectNorma = document.getElementById("selectNorma");
+const chkSoloValidos = document.getElementById("chkSoloValidos");
 
 const statusMsg = document.createElement("span");
 statusMsg.id = "status";
@@ -42,8 +44,17 @@ document.getElementById("estadoMapa").appendChild(statusMsg);
 
 let infoBoxControl = null;
 let marcadoresEstaciones = {};
+let coloresGeneralesEstaciones = {}; // id_estacion -> color de su peor contaminante en el año elegido
 let estacionSeleccionada = null;
 let capaMunicipios = L.layerGroup().addTo(map);
+let capaTrayecto = L.layerGroup().addTo(map); // Reubicaciones de la estación seleccionada
+let capaBusqueda = L.layerGroup().addTo(map); // Punto de búsqueda y líneas a las estaciones cercanas
+let modoBusquedaClic = false; // Si está activo, un clic en el mapa busca estaciones cercanas
+let capaInterpolacion = null; // L.imageOverlay con la malla IDW
+let interpolacionActiva = false; // Si está activa, se recalcula al cambiar año, contaminante o norma
+let capaRanking = L.layerGroup().addTo(map); // Estación elegida desde la tabla de ranking
+let capaLineaTiempo = L.layerGroup(); // Marcadores de la animación año a año (todas las estaciones)
+let seleccionPendiente = null; // { idEstacion, idExposicion } a conservar al cambiar de año desde el gráfico
 
 // ==========================================================================
 // FUNCIONES DE RETROALIMENTACIÓN VISUAL
@@ -80,12 +91,10 @@ async function cargarMunicipios() {
   try {
     mostrarEstado("Cargando municipios...");
 
-    const response = await fetch("http://localhost:3000/api/municipios");
-    if (!response.ok) throw new Error("No se pudieron obtener los municipios");
-
-    const municipios = await response.json();
+    const municipios = await api.getMunicipios();
     llenarSelectMunicipios(municipios);
     mostrarMunicipiosEnMapa(municipios);
+    cargarLimitesMunicipios(); // Reemplaza los puntos por polígonos si el servidor los tiene
 
     ocultarEstado(800);
   } catch (error) {
@@ -137,6 +146,89 @@ function mostrarMunicipiosEnMapa(municipios) {
   });
 }
 
+/**
+ * Dibuja los límites reales de los municipios, coloreados por la media del
+ * contaminante y año seleccionados (si los hay). Si el servidor no tiene los
+ * polígonos se conservan los puntos de mostrarMunicipiosEnMapa.
+ */
+async function cargarLimitesMunicipios() {
+  try {
+    const contaminante = contaminanteSeleccionado();
+    const params = { norma: selectNorma.value };
+    if (contaminante && selectAnio.value) {
+      params.contaminante = contaminante.simbolo;
+      params.exposicion_horas = contaminante.tiempoHoras;
+      params.anio = selectAnio.value;
+    }
+
+    let coleccion;
+    try {
+      // Si el servidor no puede leer el archivo de límites responde 503: no vale la pena reintentar
+      coleccion = await api.getLimitesMunicipios(params, { clave: "limites", reintentos: 0 });
+    } catch (error) {
+      if (!esCancelacion(error)) {
+        console.warn("⚠️ Límites municipales no disponibles, se muestran como puntos");
+      }
+      return;
+    }
+
+    capaMunicipios.clearLayers();
+
+    L.geoJSON(coleccion, {
+      // La licencia de amCharts Geodata exige citar la fuente de los polígonos
+      attribution: 'Límites: <a href="https://www.amcharts.com/" target="_blank" rel="noopener">amCharts</a>',
+      style: (feature) => estiloMunicipio(feature.properties),
+      onEachFeature: (feature, capa) => {
+        const p = feature.properties;
+        const valor =
+          p.valor === null
+            ? "Sin datos del contaminante"
+            : `${contaminante.simbolo} ${selectAnio.value}: ${p.valor.toFixed(2)} ${p.unidades} · ${p.clasificacion}<br>` +
+              `<small>Media de ${p.total_estaciones} estación(es)</small>`;
+
+        capa.bindTooltip(`<b>${p.nombre_municipio}</b><br>${contaminante && selectAnio.value ? valor : "Haz clic para seleccionar"}`, {
+          sticky: true,
+          opacity: 0.95,
+        });
+
+        capa.on("mouseover", () => capa.setStyle({ weight: 3 }));
+        capa.on("mouseout", () => capa.setStyle({ weight: 1 }));
+
+        if (p.id_municipio !== null) {
+          capa.on("click", () => {
+            // En modo búsqueda el clic lo atiende el mapa
+            if (modoBusquedaClic) return;
+            window.seleccionarMunicipioDesdeMarkador(p.id_municipio);
+          });
+        }
+      },
+    }).addTo(capaMunicipios);
+  } catch (error) {
+    console.error("❌ Error al cargar límites municipales:", error);
+  }
+}
+
+/**
+ * Estilo de un polígono municipal según su clasificación.
+ * @param {Object} propiedades - properties del Feature.
+ */
+function estiloMunicipio(propiedades) {
+  const seleccionado = String(propiedades.id_municipio) === selectMunicipio.value;
+  return {
+    color: "#2a5d67",
+    weight: 1,
+    dashArray: seleccionado ? "" : "3 3",
+    fillColor: propiedades.color || "#a8d0da",
+    fillOpacity: propiedades.color ? 0.45 : 0.15,
+    className: "mapa__limite-municipio",
+  };
+}
+
+// Los colores del coroplético siguen el contaminante, el año, la norma y el municipio elegido
+[selectMunicipio, selectAnio, selectContaminante, selectNorma].forEach((select) => {
+  select.addEventListener("change", cargarLimitesMunicipios);
+});
+
 // ==========================================================================
 // LIMPIEZA DE MARCADORES Y ESTADO
 // ==========================================================================
@@ -147,7 +239,11 @@ function limpiarEstacionesDelMapa() {
     map.removeLayer(marker);
   });
   marcadoresEstaciones = {};
+  coloresGeneralesEstaciones = {};
   estacionSeleccionada = null;
+  capaTrayecto.clearLayers();
+  capaBusqueda.clearLayers();
+  capaRanking.clearLayers();
 
   console.log("🧹 Marcadores de estaciones limpiados");
 }
@@ -160,11 +256,23 @@ function limpiarInfoBox() {
   }
 }
 
+// Claves de apiClient de las peticiones que dependen de cada nivel de filtro
+const PETICIONES_POR_NIVEL = {
+  1: ["anios"],
+  2: ["estaciones"],
+  3: ["contaminantes", "reporte", "trayecto", "datos", "serie", "tendencia"],
+};
+
 /**
  * Resetea los <select> dependientes a su estado inicial.
  * @param {number} nivel - Nivel de reseteo (1: Año, 2: Estación, 3: Contaminante).
  */
 function resetearFiltrosDependientes(nivel) {
+  // Las respuestas pendientes de la selección anterior ya no sirven
+  Object.entries(PETICIONES_POR_NIVEL)
+    .filter(([nivelPeticion]) => nivel <= nivelPeticion)
+    .forEach(([, claves]) => claves.forEach(cancelarPeticion));
+
   if (nivel <= 1) {
     selectAnio.innerHTML =
       '<option value="">-- Primero selecciona municipio --</option>';
@@ -187,9 +295,9 @@ function resetearFiltrosDependientes(nivel) {
   if (nivel <= 3) {
     limpiarPanelInformacion();
 
-    // Resetea el color de todos los marcadores a gris
+    // Devuelve cada marcador a su color general (gris si no hay año elegido)
     Object.entries(marcadoresEstaciones).forEach(([id, marker]) => {
-      marker.setIcon(crearIconoColor("#9E9E9E", false));
+      marker.setIcon(crearIconoColor(colorGeneralEstacion(id), false));
     });
   }
 }
@@ -205,12 +313,10 @@ function resetearFiltrosDependientes(nivel) {
 async function cargarAniosPorMunicipio(idMunicipio) {
   try {
     mostrarEstado("Cargando años disponibles...");
-    const response = await fetch(`http://localhost:3000/api/anios/${idMunicipio}`);
-    if (!response.ok) {
-      if (response.status === 404) {throw new Error("No hay datos para este municipio");}
-      throw new Error("Error al obtener años");
-    }
-    const data = await response.json();
+    const data = await api.getAnios(idMunicipio, {
+      clave: "anios",
+      mensajes: { 404: "No hay datos para este municipio" },
+    });
     selectAnio.innerHTML = '<option value="">-- Selecciona año --</option>';
     data.anios_disponibles.forEach((anio) => {
       const option = document.createElement("option");
@@ -226,6 +332,7 @@ async function cargarAniosPorMunicipio(idMunicipio) {
     );
     ocultarEstado(2500);
   } catch (error) {
+    if (esCancelacion(error)) return;
     console.error("❌ Error al cargar años:", error);
     mostrarEstado(`❌ ${error.message}`);
     ocultarEstado(3000);
@@ -244,12 +351,7 @@ async function cargarEstacionesPorMunicipio(idMunicipio) {
   try {
     mostrarEstado("Cargando estaciones...");
     
-    const response = await fetch(`http://localhost:3000/api/estaciones/${idMunicipio}`);
-    if (!response.ok) {
-      throw new Error("Error al obtener estaciones");
-    }
-    
-    const estaciones = await response.json();
+    const estaciones = await api.getEstacionesPorMunicipio(idMunicipio, { clave: "estaciones" });
     
     // Llama a la función que las dibuja
     mostrarEstacionesEnMapa(estaciones, null, false); 
@@ -258,6 +360,7 @@ async function cargarEstacionesPorMunicipio(idMunicipio) {
     ocultarEstado(2500);
 
   } catch (error) {
+    if (esCancelacion(error)) return;
     console.error("❌ Error al cargar estaciones:", error);
     mostrarEstado("❌ No se pudieron cargar las estaciones.");
   }
@@ -295,12 +398,15 @@ function mostrarEstacionesEnMapa(
     if (est.latitud && est.longitud) {
       const esSeleccionada = estacionSeleccionada === est.id_estacion;
 
-      const colorPorDefecto = "#9E9E9E"; //Gris
+      // Con año elegido: color de la peor clasificación entre sus contaminantes
+      if (est.clasificacion_general) {
+        coloresGeneralesEstaciones[est.id_estacion] = est.clasificacion_general.color;
+      }
 
       const marker = L.marker(
         [parseFloat(est.latitud), parseFloat(est.longitud)],
         {
-          icon: crearIconoColor(colorPorDefecto, esSeleccionada),
+          icon: crearIconoColor(colorGeneralEstacion(est.id_estacion), esSeleccionada),
         }
       ).addTo(map);
 
@@ -335,7 +441,8 @@ function mostrarEstacionesEnMapa(
   actualizarInfoBox(estaciones, anio);
 
   // 5. SELECCIÓN AUTOMÁTICA SI SOLO HAY 1 ESTACIÓN
-  if (conInteractividad && estaciones.length === 1) {
+  // (no aplica si se está restaurando una selección desde el gráfico)
+  if (conInteractividad && estaciones.length === 1 && !seleccionPendiente) {
     console.log("🎯 Solo 1 estación, seleccionando automáticamente...");
     setTimeout(() => {
       window.sincronizarEstacionConSelector(estaciones[0].id_estacion);
@@ -347,6 +454,35 @@ function mostrarEstacionesEnMapa(
 // FUNCIONES AUXILIARES PARA POPUPS
 // ==========================================================================
 
+/**
+ * Color general de una estación (peor contaminante del año) o gris si no se conoce.
+ * @param {number|string} idEstacion
+ * @returns {string}
+ */
+function colorGeneralEstacion(idEstacion) {
+  return coloresGeneralesEstaciones[idEstacion] || "#9E9E9E";
+}
+
+/**
+ * Bloque del popup con el estado general y el contaminante dominante.
+ * @param {Object} est - Estación de /api/estaciones/:id_municipio/:anio.
+ * @returns {string} HTML (vacío si la estación no trae clasificación).
+ */
+function crearBloqueDominante(est) {
+  if (!est.clasificacion_general || !est.contaminante_dominante) return "";
+
+  const dom = est.contaminante_dominante;
+  const valor = dom.promedio === null ? "sin dato" : `${dom.promedio.toFixed(2)} ${dom.unidades}`;
+
+  return `
+    <div style="padding: 8px 12px; background: ${est.clasificacion_general.color}; color: #000; font-size: 0.95em;"
+         title="Peor clasificación entre los ${est.total_contaminantes} contaminantes medidos">
+      <strong>Estado general: ${est.clasificacion_general.nivel}</strong><br>
+      Contaminante dominante: <b>${dom.simbolo}</b> (${dom.tiempo_horas}h) · ${valor}
+    </div>
+  `;
+}
+
 // Crea el HTML para el popup de un marcador de estación
 function crearPopupInteractivo(est, anio) {
   return `
@@ -361,6 +497,8 @@ function crearPopupInteractivo(est, anio) {
           </span>
         ` : ''}
       </div>
+
+      ${crearBloqueDominante(est)}
             
       <div style="padding: 10px 12px; font-size: 1.1em; color: #555; line-height: 1.6; background: #f9fafb;">
         <div style="margin-bottom: 5px;">
@@ -452,10 +590,11 @@ function resaltarEstacionEnMapa(idEstacion) {
  * Crea un icono de Leaflet (pin) con un color dinámico.
  * @param {string} color - Color hexadecimal (ej. "#FF0000").
  * @param {boolean} [resaltado=false] - Si debe ser más grande.
+ * @param {boolean} [rayado=false] - Si lleva rayas diagonales (dato de baja calidad).
  * @returns {L.Icon} Un objeto de icono de Leaflet.
  */
-function crearIconoColor(color, resaltado = false) {
-  console.log(`🎨 Creando ícono. Color: ${color}, Resaltado: ${resaltado}`);
+function crearIconoColor(color, resaltado = false, rayado = false) {
+  console.log(`🎨 Creando ícono. Color: ${color}, Resaltado: ${resaltado}, Rayado: ${rayado}`);
 
   // 1. Validar el color
   if (!color || typeof color !== "string" || color.trim() === "") {
@@ -474,10 +613,21 @@ function crearIconoColor(color, resaltado = false) {
   const anchor = [ancho / 2, alto];
 
   // 4. Crear el string SVG (IMPORTANTE: sin width= ni height=)
+  const formaPin = "M12.5 0C5.6 0 0 5.6 0 12.5c0 8.4 12.5 28.5 12.5 28.5S25 20.9 25 12.5C25 5.6 19.4 0 12.5 0z";
+  const rayas = rayado
+    ? `
+      <defs>
+        <pattern id="rayas" patternUnits="userSpaceOnUse" width="5" height="5" patternTransform="rotate(45)">
+          <rect width="2" height="5" fill="#000" opacity="0.35"/>
+        </pattern>
+      </defs>
+      <path fill="url(#rayas)" d="${formaPin}"/>`
+    : "";
   const svgIcon = `
     <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 25 41">
       <path fill="${color}" stroke="#fff" stroke-width="2" 
-            d="M12.5 0C5.6 0 0 5.6 0 12.5c0 8.4 12.5 28.5 12.5 28.5S25 20.9 25 12.5C25 5.6 19.4 0 12.5 0z"/>
+            d="${formaPin}"/>
+      ${rayas}
       <circle cx="12.5" cy="12.5" r="6" fill="#fff" opacity="0.9"/>
     </svg>
   `;
@@ -538,6 +688,9 @@ window.seleccionarMunicipioDesdeMarkador = async function (idMunicipio) {
 
   // 4. Cargar estaciones del municipio
   await cargarEstacionesPorMunicipio(idMunicipio);
+
+  // 5. Disponibilidad de datos del municipio
+  cargarCobertura(idMunicipio);
 };
 
 // ==========================================================================
@@ -569,17 +722,10 @@ async function cargarContaminantesPorEstacion(idEstacion, anio) {
   try {
     mostrarEstado("Cargando contaminantes disponibles...");
 
-    const responseContaminantes = await fetch(`http://localhost:3000/api/contaminantes/${idEstacion}/${anio}`
-    );
-
-    if (!responseContaminantes.ok) {
-      if (responseContaminantes.status === 404) {
-        throw new Error("No hay contaminantes medidos en este período");
-      }
-      throw new Error("Error al obtener contaminantes");
-    }
-
-    const dataContaminantes = await responseContaminantes.json();
+    const dataContaminantes = await api.getContaminantes(idEstacion, anio, {
+      clave: "contaminantes",
+      mensajes: { 404: "No hay contaminantes medidos en este período" },
+    });
 
     selectContaminante.innerHTML =
       '<option value="">-- Selecciona contaminante --</option>';
@@ -601,7 +747,18 @@ async function cargarContaminantesPorEstacion(idEstacion, anio) {
       `${dataContaminantes.total_contaminantes} contaminantes disponibles.`
     );
     ocultarEstado(2500);
+
+    // Si venimos de un clic en el gráfico, volver a mostrar el mismo contaminante
+    if (seleccionPendiente) {
+      const { idExposicion } = seleccionPendiente;
+      seleccionPendiente = null;
+      if (existeOpcion(selectContaminante, idExposicion)) {
+        selectContaminante.value = idExposicion;
+        selectContaminante.dispatchEvent(new Event("change", { bubbles: true }));
+      }
+    }
   } catch (error) {
+    if (esCancelacion(error)) return;
     console.error("❌ Error al cargar contaminantes:", error);
     mostrarEstado(`❌ ${error.message}`);
     selectContaminante.disabled = true;
@@ -656,16 +813,10 @@ selectAnio.addEventListener("change", async (e) => {
   try {
     mostrarEstado(`Cargando estaciones operativas en ${anio}...`);
 
-    const response = await fetch(`http://localhost:3000/api/estaciones/${idMunicipio}/${anio}`);
-
-    if (!response.ok) {
-      if (response.status === 404) {
-        throw new Error(`No hay estaciones con datos para el año ${anio}`);
-      }
-      throw new Error("Error al obtener estaciones");
-    }
-
-    const data = await response.json();
+    const data = await api.getEstacionesPorAnio(idMunicipio, anio, { norma: selectNorma.value }, {
+      clave: "estaciones",
+      mensajes: { 404: `No hay estaciones con datos para el año ${anio}` },
+    });
 
     // Mostrar en el mapa (CON interactividad y selección automática si solo hay 1)
     mostrarEstacionesEnMapa(data.estaciones, anio, true);
@@ -684,8 +835,19 @@ selectAnio.addEventListener("change", async (e) => {
     selectEstacion.disabled = false;
     mostrarEstado(`${data.total_estaciones} estaciones operativas en ${anio}.`);
     ocultarEstado(2500);
+
+    // Si venimos de un clic en el gráfico, conservar la estación (si operó ese año)
+    if (seleccionPendiente) {
+      if (existeOpcion(selectEstacion, seleccionPendiente.idEstacion)) {
+        window.sincronizarEstacionConSelector(parseInt(seleccionPendiente.idEstacion));
+      } else {
+        seleccionPendiente = null;
+      }
+    }
   } catch (error) {
+    if (esCancelacion(error)) return;
     console.error("❌ Error al cargar estaciones por año:", error);
+    seleccionPendiente = null;
     mostrarEstado(`❌ ${error.message}`);
     ocultarEstado(3000);
   }
@@ -704,21 +866,93 @@ selectEstacion.addEventListener("change", async (e) => {
   resetearFiltrosDependientes(3);
   estacionSeleccionada = parseInt(idEstacion);
 
+  capaTrayecto.clearLayers();
+
   if (!idEstacion) {
     estacionSeleccionada = null;
     estacionSeleccionada = idEstacion ? parseInt(idEstacion) : null;
-    // SOLO restaurar tamaños, NO remover marcadores
-    Object.values(marcadoresEstaciones).forEach((marker) => {
-      marker.setIcon(crearIconoColor("#9E9E9E", false)); // Gris por defecto
+    // SOLO restaurar tamaños y colores generales, NO remover marcadores
+    Object.entries(marcadoresEstaciones).forEach(([id, marker]) => {
+      marker.setIcon(crearIconoColor(colorGeneralEstacion(id), false));
     });
     return;
   }
 
-  // Resalta el marcador y carga los contaminantes
+  // Resalta el marcador, muestra el boletín de la estación y carga los contaminantes
   resaltarEstacionEnMapa(estacionSeleccionada);
+  cargarTrayectoEstacion(idEstacion);
+  cargarReporteEstacion(idEstacion, anio);
   await cargarContaminantesPorEstacion(idEstacion, anio);
 });
 
+// ==========================================================================
+// TRAYECTO DE REUBICACIONES DE UNA ESTACIÓN
+// ==========================================================================
+
+/**
+ * Consulta el historial de ubicaciones de la estación y, si se ha movido,
+ * dibuja su trayecto en el mapa.
+ * @param {string} idEstacion - ID de la estación seleccionada.
+ */
+async function cargarTrayectoEstacion(idEstacion) {
+  try {
+    const historial = await api.getUbicacionesEstacion(idEstacion, { clave: "trayecto" });
+
+    // El usuario pudo cambiar de estación mientras llegaba la respuesta
+    if (String(selectEstacion.value) !== String(idEstacion)) return;
+
+    if (historial.se_ha_movido) {
+      dibujarTrayectoEstacion(historial);
+    }
+  } catch (error) {
+    if (esCancelacion(error)) return;
+    console.error("❌ Error al cargar trayecto de la estación:", error);
+  }
+}
+
+/**
+ * Dibuja una línea discontinua entre las ubicaciones de la estación,
+ * con una etiqueta de años en cada punto.
+ * @param {Object} historial - Respuesta de /api/estaciones/:id/ubicaciones.
+ */
+function dibujarTrayectoEstacion(historial) {
+  capaTrayecto.clearLayers();
+
+  const puntos = historial.trayecto.map((p) => [p.latitud, p.longitud]);
+
+  const linea = L.polyline(puntos, {
+    color: "#2a5d67",
+    weight: 3,
+    opacity: 0.8,
+    dashArray: "6 8",
+  }).addTo(capaTrayecto);
+
+  historial.trayecto.forEach((p) => {
+    const periodo = p.anio_inicio === p.anio_fin ? `${p.anio_inicio}` : `${p.anio_inicio}–${p.anio_fin}`;
+    const distancia = p.distancia_km_desde_anterior !== null
+      ? `<br><small>${p.distancia_km_desde_anterior.toFixed(2)} km desde la ubicación anterior</small>`
+      : "";
+
+    L.circleMarker([p.latitud, p.longitud], {
+      radius: 5,
+      className: "mapa__trayecto-punto",
+    })
+      .bindTooltip(periodo, {
+        permanent: true,
+        direction: "right",
+        offset: [6, 0],
+        className: "mapa__trayecto-etiqueta",
+      })
+      .bindPopup(`<b>${historial.estacion.nombre}</b><br>Ubicación ${periodo}${distancia}`)
+      .addTo(capaTrayecto);
+  });
+
+  map.fitBounds(linea.getBounds(), { padding: [40, 40], maxZoom: 15 });
+
+  mostrarEstado(`📍 Esta estación fue reubicada ${historial.total_reubicaciones} ${historial.total_reubicaciones === 1 ? "vez" : "veces"}`);
+  ocultarEstado(3000);
+}
+
 // ==========================================================================
 // EVENT LISTENER: CONTAMINANTE 
 // ==========================================================================
@@ -726,7 +960,12 @@ selectEstacion.addEventListener("change", async (e) => {
 selectContaminante.addEventListener("change", async (e) => {
   const idExposicion = e.target.value;
   if (!idExposicion) {
-    limpiarPanelInformacion(); // Limpia el panel si deselecciona
+    // Al deseleccionar se vuelve al boletín de la estación (o a las instrucciones)
+    if (selectEstacion.value && selectAnio.value) {
+      cargarReporteEstacion(selectEstacion.value, selectAnio.value);
+    } else {
+      limpiarPanelInformacion();
+    }
     return;
   }
   const idEstacion = selectEstacion.value;
@@ -746,19 +985,11 @@ async function cargarDatosHistoricos(idEstacion, anio, idExposicion) {
   try {
     mostrarEstado("📊 Cargando datos del contaminante...");
 
-    const response = await fetch(
-      `http://localhost:3000/api/datos?estacion=${idEstacion}&anio=${anio}&exposicion=${idExposicion}`
+    const datos = await api.getDatos(
+      { estacion: idEstacion, anio: anio, exposicion: idExposicion, norma: selectNorma.value },
+      { clave: "datos", mensajes: { 404: "No hay datos disponibles para esta combinación" } }
     );
 
-    if (!response.ok) {
-      if (response.status === 404) {
-        throw new Error("No hay datos disponibles para esta combinación");
-      }
-      throw new Error("Error al obtener datos históricos");
-    }
-
-    const datos = await response.json();
-
     console.log("📊 Datos recibidos:", datos);
 
     // Renderizar en el panel de información
@@ -766,7 +997,11 @@ async function cargarDatosHistoricos(idEstacion, anio, idExposicion) {
 
     mostrarEstado("✅ Datos cargados correctamente");
     ocultarEstado(2000);
+
+    // La serie completa se carga aparte para no retrasar el panel
+    cargarSerieHistorica(idEstacion, idExposicion, anio);
   } catch (error) {
+    if (esCancelacion(error)) return;
     console.error("❌ Error al cargar datos históricos:", error);
     mostrarEstado(`❌ ${error.message}`);
     ocultarEstado(3000);
@@ -776,6 +1011,126 @@ async function cargarDatosHistoricos(idEstacion, anio, idExposicion) {
   }
 }
 
+// ==========================================================================
+// CARGAR Y MOSTRAR SERIE HISTÓRICA (GRÁFICO DE TENDENCIA)
+// ==========================================================================
+
+/**
+ * Obtiene la serie anual del contaminante y la dibuja en el panel.
+ * @param {string} idEstacion - ID de la estación.
+ * @param {string} idExposicion - ID del tiempo de exposición.
+ * @param {string} anio - Año seleccionado (se resalta en el gráfico).
+ */
+async function cargarSerieHistorica(idEstacion, idExposicion, anio) {
+  // El análisis estadístico usa la misma serie; se pide en paralelo
+  cargarAnalisisTendencia(idEstacion, idExposicion);
+
+  try {
+    const datosSerie = await api.getSerie(
+      {
+        estacion: idEstacion,
+        exposicion: idExposicion,
+        norma: selectNorma.value,
+        solo_validos: chkSoloValidos.checked,
+      },
+      { clave: "serie" }
+    );
+
+    // El usuario pudo cambiar de selección mientras llegaba la respuesta
+    const contenedor = document.getElementById("graficoTendencia");
+    if (!contenedor || selectContaminante.value !== String(idExposicion)) return;
+
+    dibujarGraficoTendencia(contenedor, datosSerie, {
+      anioActual: anio,
+      onSeleccionarAnio: seleccionarAnioDesdeGrafico,
+    });
+  } catch (error) {
+    if (esCancelacion(error)) return;
+    console.error("❌ Error al cargar serie histórica:", error);
+    const contenedor = document.getElementById("graficoTendencia");
+    if (contenedor) {
+      contenedor.innerHTML = `<p class="grafico-tendencia__vacio">⚠️ ${error.message}</p>`;
+    }
+  }
+}
+
+// Flecha, color y texto corto de cada dirección de la tendencia
+const FLECHAS_TENDENCIA = {
+  creciente: { simbolo: "↑", clase: "sube", texto: "En aumento" },
+  decreciente: { simbolo: "↓", clase: "baja", texto: "En descenso" },
+  sin_tendencia: { simbolo: "→", clase: "estable", texto: "Sin tendencia significativa" },
+  datos_insuficientes: { simbolo: "–", clase: "sin-datos", texto: "Datos insuficientes" },
+};
+
+/**
+ * Consulta la prueba de Mann-Kendall y la pendiente de Sen y muestra
+ * una flecha junto al título de la tendencia (el detalle va en el tooltip).
+ * @param {string} idEstacion - ID de la estación.
+ * @param {string} idExposicion - ID del tiempo de exposición.
+ */
+async function cargarAnalisisTendencia(idEstacion, idExposicion) {
+  try {
+    const analisis = await api.getTendencia(
+      { estacion: idEstacion, exposicion: idExposicion, solo_validos: chkSoloValidos.checked },
+      { clave: "tendencia" }
+    );
+
+    const flecha = document.getElementById("flechaTendencia");
+    if (!flecha || selectContaminante.value !== String(idExposicion)) return;
+
+    const estilo = FLECHAS_TENDENCIA[analisis.direccion];
+    const detalle = analisis.pendiente_por_anio !== null
+      ? `\nPendiente de Sen: ${analisis.pendiente_por_anio.toFixed(2)} ${analisis.unidades_pendiente}` +
+        ` · p = ${analisis.p_valor.toFixed(3)} · ${analisis.n} años (${analisis.periodo.desde}–${analisis.periodo.hasta})`
+      : "";
+
+    flecha.className = `flecha-tendencia flecha-tendencia--${estilo.clase}`;
+    flecha.textContent = `${estilo.simbolo} ${estilo.texto}`;
+    flecha.title = `${analisis.veredicto}${detalle}`;
+  } catch (error) {
+    if (esCancelacion(error)) return;
+    console.error("❌ Error al calcular la tendencia:", error);
+    const flecha = document.getElementById("flechaTendencia");
+    if (flecha) {
+      flecha.className = "flecha-tendencia flecha-tendencia--sin-datos";
+      flecha.textContent = "";
+      flecha.title = error.message;
+    }
+  }
+}
+
+/**
+ * Cambia el año del filtro conservando la estación y el contaminante actuales.
+ * @param {number} anio - Año del punto clickeado en el gráfico.
+ */
+function seleccionarAnioDesdeGrafico(anio) {
+  if (String(anio) === selectAnio.value) return;
+
+  if (!existeOpcion(selectAnio, anio)) {
+    mostrarEstado(`⚠️ El año ${anio} no está disponible en este municipio`);
+    ocultarEstado(2500);
+    return;
+  }
+
+  seleccionPendiente = {
+    idEstacion: selectEstacion.value,
+    idExposicion: selectContaminante.value,
+  };
+
+  selectAnio.value = anio;
+  selectAnio.dispatchEvent(new Event("change", { bubbles: true }));
+}
+
+/**
+ * Indica si un <select> tiene una opción con el valor dado.
+ * @param {HTMLSelectElement} select
+ * @param {string|number} valor
+ * @returns {boolean}
+ */
+function existeOpcion(select, valor) {
+  return Array.from(select.options).some((o) => o.value === String(valor));
+}
+
 // ==========================================================================
 // RENDERIZAR INFORMACIÓN DEL CONTAMINANTE
 // ==========================================================================
@@ -787,7 +1142,8 @@ function mostrarInformacionContaminante(datos) {
     if (estacionSeleccionada && marcadoresEstaciones[estacionSeleccionada]) {
       const colorDeClasificacion = datos.clasificacion.color;
       const marcador = marcadoresEstaciones[estacionSeleccionada];
-      marcador.setIcon(crearIconoColor(colorDeClasificacion, true));
+      const bajaCalidad = datos.calidad_datos.bandera.estado !== "valido";
+      marcador.setIcon(crearIconoColor(colorDeClasificacion, true, bajaCalidad));
       
     }
   } catch (error) {
@@ -804,6 +1160,10 @@ function mostrarInformacionContaminante(datos) {
   // Construir HTML con la estructura de 3 niveles que diseñamos antes
   const html = `
     <div class="informacion-contaminante">
+
+      <button type="button" id="btnVolverReporte" class="btn-volver-reporte">
+        📋 Ver todos los contaminantes de la estación
+      </button>
       
       <!-- NIVEL 1: Hero Card -->
       <div class="info-hero" style="background-color: ${
@@ -815,6 +1175,8 @@ function mostrarInformacionContaminante(datos) {
         <p style="margin: 0; font-size: 1.2em; font-weight: 600; color: #000;">
           ${datos.contaminante.tiempo_exposicion.texto}
         </p>
+        ${crearInsigniaICA(datos.ica)}
+        ${crearInsigniaCalidad(datos.calidad_datos.bandera)}
       </div>
 
       <!-- NIVEL 2: Estadísticas Clave -->
@@ -827,7 +1189,7 @@ function mostrarInformacionContaminante(datos) {
           <div class="stat-item" style="background: white; padding: 12px; border-radius: 6px;">
             <p style="margin: 0; font-size: 0.85em; color: #666;">Promedio</p>
             <p style="margin: 5px 0 0 0; font-size: 1.4em; font-weight: bold; color: #2a5d67;">
-              ${datos.estadisticas.promedio.toFixed(2)}
+              ${formatearNumero(datos.estadisticas.promedio)}
             </p>
             <p style="margin: 0; font-size: 0.75em; color: #888;">${
               datos.contaminante.unidades
@@ -837,7 +1199,7 @@ function mostrarInformacionContaminante(datos) {
           <div class="stat-item" style="background: white; padding: 12px; border-radius: 6px;">
             <p style="margin: 0; font-size: 0.85em; color: #666;">Máximo</p>
             <p style="margin: 5px 0 0 0; font-size: 1.4em; font-weight: bold; color: #ff4444;">
-              ${datos.estadisticas.maximo.toFixed(2)}
+              ${formatearNumero(datos.estadisticas.maximo)}
             </p>
             <p style="margin: 0; font-size: 0.75em; color: #888;">${
               datos.contaminante.unidades
@@ -847,7 +1209,7 @@ function mostrarInformacionContaminante(datos) {
           <div class="stat-item" style="background: white; padding: 12px; border-radius: 6px;">
             <p style="margin: 0; font-size: 0.85em; color: #666;">Mínimo</p>
             <p style="margin: 5px 0 0 0; font-size: 1.4em; font-weight: bold; color: #414141ff;">
-              ${datos.estadisticas.minimo.toFixed(2)}
+              ${formatearNumero(datos.estadisticas.minimo)}
             </p>
             <p style="margin: 0; font-size: 0.75em; color: #888;">${
               datos.contaminante.unidades
@@ -864,18 +1226,18 @@ function mostrarInformacionContaminante(datos) {
         </div>
         
         ${
-          datos.clasificacion.limites_oms
+          datos.clasificacion.limites
             ? `
               <div style="margin-top: 18px; padding: 12px; background: #eef9f3; border-radius: 6px; border-left: 4px solid #28a745;">
                 <p style="margin: 0 0 6px 0; font-size: 0.95em; color: #155724; font-weight: bold;">
-                  🌍 Límites según OMS (${datos.clasificacion.limites_oms.tiempo_horas}h)
+                  🌍 Límites según ${datos.clasificacion.limites.fuente} (${datos.clasificacion.limites.tiempo_horas}h)
                 </p>
                 <p style="margin: 0; font-size: 0.85em; color: #155724;">
-                  Buena ≤ <strong>${datos.clasificacion.limites_oms.buena}</strong> ${datos.contaminante.unidades}<br>
-                  Regular ≤ <strong>${datos.clasificacion.limites_oms.regular}</strong> ${datos.contaminante.unidades}
+                  Buena ≤ <strong>${datos.clasificacion.limites.buena}</strong> ${datos.contaminante.unidades}<br>
+                  Regular ≤ <strong>${datos.clasificacion.limites.regular}</strong> ${datos.contaminante.unidades}
                 </p>
                 <p style="margin: 6px 0 0 0; font-size: 0.75em; color: #666; font-style: italic;">
-                  Fuente: ${datos.clasificacion.limites_oms.fuente}
+                  Fuente: ${datos.clasificacion.limites.fuente}
                 </p>
               </div>
             `
@@ -890,27 +1252,30 @@ function mostrarInformacionContaminante(datos) {
         </div>
       </div>
 
+      <!-- NIVEL 2.5: Tendencia histórica (se llena con cargarSerieHistorica) -->
+      <div class="info-tendencia">
+        <h3 class="info-tendencia__titulo">
+          📈 Tendencia histórica
+          <span id="flechaTendencia" class="flecha-tendencia flecha-tendencia--cargando">…</span>
+        </h3>
+        <div id="graficoTendencia" class="grafico-tendencia">
+          <p class="grafico-tendencia__vacio">Cargando serie histórica...</p>
+        </div>
+      </div>
+
       <!-- NIVEL 3: Detalles Técnicos (Colapsable) -->
       <details class="info-detalles" style="margin-bottom: 20px;">
         <summary style="cursor: pointer; padding: 12px; background: #e9ecef; border-radius: 6px; font-weight: 600; color: #2a5d67;">
           🔍 Ver detalles técnicos
         </summary>
         <div style="padding: 15px; background: #f8f9fa; border-radius: 0 0 6px 6px;">
-          <p style="margin: 8px 0;"><strong>Mediana:</strong> ${datos.estadisticas.mediana.toFixed(
-            2
-          )} ${datos.contaminante.unidades}</p>
-          <p style="margin: 8px 0;"><strong>Percentil 98:</strong> ${datos.estadisticas.percentil_98.toFixed(
-            2
-          )} ${datos.contaminante.unidades}</p>
+          <p style="margin: 8px 0;"><strong>Mediana:</strong> ${formatearNumero(datos.estadisticas.mediana)} ${datos.contaminante.unidades}</p>
+          <p style="margin: 8px 0;"><strong>Percentil 98:</strong> ${formatearNumero(datos.estadisticas.percentil_98)} ${datos.contaminante.unidades}</p>
           <p style="margin: 8px 0;"><strong>Excedencias del límite actual:</strong> ${
             datos.excedencias.excedencias_limite_actual
           }</p>
-          <p style="margin: 8px 0;"><strong>% de excedencias:</strong> ${datos.excedencias.porcentaje_excedencias.toFixed(
-            2
-          )}%</p>
-          <p style="margin: 8px 0;"><strong>Representatividad temporal:</strong> ${datos.calidad_datos.representatividad_temporal.toFixed(
-            1
-          )}%</p>
+          <p style="margin: 8px 0;"><strong>% de excedencias:</strong> ${formatearNumero(datos.excedencias.porcentaje_excedencias)}%</p>
+          <p style="margin: 8px 0;"><strong>Representatividad temporal:</strong> ${formatearNumero(datos.calidad_datos.representatividad_temporal, 1)}%</p>
         </div>
       </details>
 
@@ -923,20 +1288,195 @@ function mostrarInformacionContaminante(datos) {
           ${datos.clasificacion.descripcion}
         </p>
         <p style="margin: 8px 0 0 0; font-size: 0.85em; color: #666; font-style: italic; border-top: 1px solid #e0e0e0; padding-top: 8px;">
-          ℹ️ Clasificación basada en las <strong>Guías de Calidad del Aire de la OMS 2021</strong>, 
-          más estrictas que la normativa colombiana vigente (Resolución 2254 de 2017).
+          ℹ️ Clasificación basada en: <strong>${datos.norma.nombre}</strong>. 
+          ${datos.norma.descripcion}
         </p>
       </div>
+
+      <!-- NIVEL 4: Observaciones de los usuarios (se llena con cargarHiloComentarios) -->
+      <section id="hiloComentarios" class="comentarios"></section>
     </div>
   `;
 
   panel.innerHTML = html;
+
+  cargarHiloComentarios({
+    idEstacion: datos.estacion.id,
+    anio: datos.anio,
+    contaminante: datos.contaminante.simbolo,
+  });
+
+  document.getElementById("btnVolverReporte").addEventListener("click", () => {
+    selectContaminante.value = "";
+    selectContaminante.dispatchEvent(new Event("change", { bubbles: true }));
+  });
+}
+
+// ==========================================================================
+// BOLETÍN DE LA ESTACIÓN (TODOS LOS CONTAMINANTES DEL AÑO)
+// ==========================================================================
+
+/**
+ * Obtiene en una sola petición todos los contaminantes de la estación en el año
+ * y los muestra en el panel como un boletín.
+ * @param {string} idEstacion - ID de la estación.
+ * @param {string} anio - Año seleccionado.
+ */
+async function cargarReporteEstacion(idEstacion, anio) {
+  try {
+    const reporte = await api.getReporteEstacion(idEstacion, anio, { norma: selectNorma.value }, {
+      clave: "reporte",
+      mensajes: { 404: "No hay contaminantes medidos en este período" },
+    });
+
+    // Si mientras tanto se eligió un contaminante (o cambió la estación), no se pisa el panel
+    if (selectEstacion.value !== String(idEstacion) || selectContaminante.value) return;
+
+    mostrarReporteEstacion(reporte);
+  } catch (error) {
+    if (esCancelacion(error)) return;
+    console.error("❌ Error al cargar el boletín de la estación:", error);
+    if (selectEstacion.value === String(idEstacion) && !selectContaminante.value) {
+      mostrarErrorEnPanel(error.message);
+    }
+  }
+}
+
+/**
+ * Dibuja el boletín: clasificación general y una fila por contaminante/exposición.
+ * Al hacer clic en una fila se abre el detalle de ese contaminante.
+ * @param {Object} reporte - Respuesta de /api/estaciones/:id/:anio/completo.
+ */
+function mostrarReporteEstacion(reporte) {
+  const panel = document.getElementById("informacionContaminantes");
+  if (!panel) return;
+
+  const general = reporte.clasificacion_general;
+
+  const filas = reporte.contaminantes
+    .map((c) => {
+      const bajaCalidad = c.calidad_datos.bandera.estado !== "valido";
+      return `
+        <li class="reporte-estacion__fila" data-exposicion="${c.contaminante.tiempo_exposicion.id}"
+            title="${c.clasificacion.descripcion}">
+          <span class="reporte-estacion__color" style="background: ${c.clasificacion.color};"></span>
+          <span class="reporte-estacion__contaminante">
+            <b>${c.contaminante.simbolo}</b>
+            <small>${c.contaminante.tiempo_exposicion.texto}</small>
+          </span>
+          <span class="reporte-estacion__valor">
+            ${formatearNumero(c.estadisticas.promedio)}
+            <small>${c.contaminante.unidades}</small>
+          </span>
+          <span class="reporte-estacion__nivel" style="background: ${c.clasificacion.color};">
+            ${c.clasificacion.nivel}
+          </span>
+          <span class="reporte-estacion__calidad" title="${c.calidad_datos.bandera.etiqueta}">
+            ${bajaCalidad ? "⚠️" : ""}
+          </span>
+        </li>
+      `;
+    })
+    .join("");
+
+  panel.innerHTML = `
+    <div class="informacion-contaminante reporte-estacion">
+      <div class="info-hero" style="background-color: ${general ? general.color : "#9E9E9E"}; padding: 20px; border-radius: 8px; margin-bottom: 20px;">
+        <h2 style="margin: 0 0 6px 0; color: #000; font-size: 1.5em;">📋 ${reporte.estacion.nombre}</h2>
+        <p style="margin: 0; color: #000;">
+          ${reporte.estacion.municipio} · ${reporte.anio} · ${reporte.total_contaminantes} contaminante(s)
+        </p>
+        ${general
+          ? `<p style="margin: 10px 0 0 0; font-weight: 600; color: #000;">
+               Calidad general: ${general.nivel} (dominante: ${reporte.contaminante_dominante})
+             </p>`
+          : ""}
+      </div>
+
+      <ul class="reporte-estacion__lista">${filas}</ul>
+
+      <p class="reporte-estacion__nota">
+        Promedio anual clasificado con ${reporte.norma.nombre}. ⚠️ = baja representatividad.
+        Haz clic en un contaminante para ver su detalle.
+      </p>
+    </div>
+  `;
+
+  panel.querySelectorAll(".reporte-estacion__fila").forEach((fila) => {
+    fila.addEventListener("click", () => {
+      if (!existeOpcion(selectContaminante, fila.dataset.exposicion)) return;
+      selectContaminante.value = fila.dataset.exposicion;
+      selectContaminante.dispatchEvent(new Event("change", { bubbles: true }));
+    });
+  });
 }
 
 // ==========================================================================
 // FUNCIONES AUXILIARES PARA PANEL DE INFORMACIÓN
 // ==========================================================================
 
+/**
+ * Crea la insignia con el valor y la categoría del ICA para la tarjeta principal.
+ * @param {Object} ica - Objeto "ica" de la respuesta de /api/datos.
+ * @returns {string} HTML de la insignia (vacío si no hay ICA).
+ */
+function crearInsigniaICA(ica) {
+  if (!ica) return "";
+
+  if (ica.valor === null) {
+    return `
+      <p class="info-hero__ica info-hero__ica--sin-datos" title="${ica.descripcion || ""}">
+        ICA: ${ica.categoria}
+      </p>
+    `;
+  }
+
+  // Colores oscuros del ICA (púrpura, marrón) necesitan texto claro
+  const textoClaro = ["#8F3F97", "#7E0023"].includes(ica.color);
+  const nota = ica.descripcion
+    || (ica.aproximado
+      ? `Calculado con los puntos de corte de ${ica.tiempo_referencia_horas}h (aproximado)`
+      : `Puntos de corte de ${ica.tiempo_referencia_horas}h`);
+
+  return `
+    <p class="info-hero__ica" title="${ica.fuente} · ${nota}">
+      <span class="info-hero__ica-valor" style="background: ${ica.color}; color: ${textoClaro ? "#fff" : "#000"};">
+        ICA ${ica.valor}${ica.aproximado ? "*" : ""}
+      </span>
+      <span class="info-hero__ica-categoria">${ica.categoria}</span>
+    </p>
+  `;
+}
+
+/**
+ * Genera la insignia de calidad del dato (regla del 75 % de representatividad).
+ * @param {Object} bandera - calidad_datos.bandera de /api/datos.
+ * @returns {string} HTML de la insignia.
+ */
+function crearInsigniaCalidad(bandera) {
+  if (!bandera) return "";
+
+  const rep = bandera.representatividad_temporal === null
+    ? "sin dato"
+    : `${bandera.representatividad_temporal.toFixed(1)}%`;
+
+  return `
+    <p class="info-hero__calidad info-hero__calidad--${bandera.estado}" title="${bandera.descripcion} · ${bandera.fuente}">
+      ${bandera.estado === "valido" ? "✅" : "⚠️"} Datos: ${bandera.etiqueta} (${rep})
+    </p>
+  `;
+}
+
+/**
+ * Formatea una estadística que puede faltar (las filas importadas solo
+ * traen las columnas obligatorias: mediana, máximo, etc. pueden ser null).
+ * @param {number|null} valor
+ * @param {number} [decimales=2]
+ */
+function formatearNumero(valor, decimales = 2) {
+  return Number.isFinite(valor) ? valor.toFixed(decimales) : "—";
+}
+
 function formatearFecha(fechaISO) {
   if (!fechaISO) return "No disponible";
 
@@ -962,8 +1502,8 @@ function limpiarPanelInformacion() {
       <h2 style="margin-bottom: 15px; color: #2c3e50; font-size: 24px;">
         Cómo usar la aplicación 🌍
       </h2>
-      <p style="color: #5a6c7d; margin-bottom: 30px; font-size: 14px; line-height: 1.6; max-width: 320px; margin-left: auto; margin-right: auto;">
-        Explora 13 años de datos históricos (2011-2023) de calidad del aire en el Valle del Cauca
+      <p id="textoPeriodoDatos" style="color: #5a6c7d; margin-bottom: 30px; font-size: 14px; line-height: 1.6; max-width: 320px; margin-left: auto; margin-right: auto;">
+        ${textoPeriodoDatos()}
       </p>
       
       <div style="display: inline-block; text-align: left; width: 100%; max-width: 340px;">
@@ -1014,37 +1554,1334 @@ function mostrarErrorEnPanel(mensaje) {
 }
 
 // ==========================================================================
-// BOTÓN LIMPIAR FILTROS
+// BÚSQUEDA DE ESTACIONES CERCANAS
 // ==========================================================================
 
-const btnLimpiarFiltros = document.getElementById('btnLimpiarFiltros');
+/**
+ * Busca las estaciones más cercanas a un punto y las muestra en el mapa,
+ * resaltando la más cercana.
+ * @param {number} lat - Latitud del punto.
+ * @param {number} lon - Longitud del punto.
+ */
+async function buscarEstacionesCercanas(lat, lon) {
+  try {
+    mostrarEstado("🔎 Buscando estaciones cercanas...");
 
-// Verofica si hay filtros activos
-function hayFiltrosActivos() {
-  return selectMunicipio.value !== '' || 
-         selectAnio.value !== '' || 
-         selectEstacion.value !== '' || 
-         selectContaminante.value !== '';
+    const anio = selectAnio.value;
+    const data = await api.getEstacionesCercanas({ lat, lon, limite: 5, anio }, { clave: "cercanas" });
+
+    if (data.estaciones.length === 0) {
+      throw new Error("No se encontraron estaciones cerca de este punto");
+    }
+
+    // Las estaciones encontradas reemplazan a las del municipio en el mapa
+    mostrarEstacionesEnMapa(data.estaciones, anio || null, false);
+    dibujarPuntoBusqueda(lat, lon, data.estaciones);
+
+    const cercana = data.estaciones[0];
+    resaltarEstacionEnMapa(cercana.id_estacion);
+
+    mostrarEstado(`📍 Más cercana: ${cercana.nombre_estacion} (${cercana.distancia_km.toFixed(2)} km)`);
+    ocultarEstado(4000);
+  } catch (error) {
+    if (esCancelacion(error)) return;
+    console.error("❌ Error al buscar estaciones cercanas:", error);
+    mostrarEstado(`❌ ${error.message}`);
+    ocultarEstado(3000);
+  }
 }
 
-// Habilita o desabilita el boton de limpia
-function actualizarBotonLimpiar() {
-  if (hayFiltrosActivos()) {
-    btnLimpiarFiltros.disabled = false;
+/**
+ * Dibuja el punto de búsqueda y una línea discontinua hacia cada estación encontrada.
+ * @param {number} lat
+ * @param {number} lon
+ * @param {Array<Object>} estaciones - Resultado de /api/estaciones/cercanas.
+ */
+function dibujarPuntoBusqueda(lat, lon, estaciones) {
+  capaBusqueda.clearLayers();
+
+  estaciones.forEach((est, i) => {
+    L.polyline([[lat, lon], [parseFloat(est.latitud), parseFloat(est.longitud)]], {
+      color: i === 0 ? "#2a5d67" : "#888",
+      weight: i === 0 ? 3 : 1.5,
+      dashArray: "4 6",
+    })
+      .bindTooltip(`${est.nombre_estacion}: ${est.distancia_km.toFixed(2)} km`, { sticky: true })
+      .addTo(capaBusqueda);
+  });
+
+  L.circleMarker([lat, lon], {
+    radius: 8,
+    className: "mapa__punto-busqueda",
+  })
+    .bindTooltip("Punto de búsqueda", { direction: "top" })
+    .addTo(capaBusqueda);
+}
+
+/**
+ * Activa o desactiva el modo "clic para buscar".
+ * @param {boolean} activo
+ */
+function setModoBusquedaClic(activo) {
+  modoBusquedaClic = activo;
+  map.getContainer().classList.toggle("mapa--modo-busqueda", activo);
+  const boton = document.getElementById("btnBusquedaClic");
+  if (boton) boton.classList.toggle("mapa__control-boton--activo", activo);
+
+  if (activo) {
+    mostrarEstado("🖱️ Haz clic en el mapa para buscar las estaciones más cercanas");
   } else {
-    btnLimpiarFiltros.disabled = true;
+    ocultarEstado(0);
   }
 }
 
-// Evento del botón limpiar
-btnLimpiarFiltros.addEventListener('click', () => {
-  if (!hayFiltrosActivos()) return;
+// Control de Leaflet con los botones de búsqueda por cercanía
+const ControlBusquedaCercana = L.Control.extend({
+  options: { position: "topleft" },
+
+  onAdd: function () {
+    const div = L.DomUtil.create("div", "leaflet-bar mapa__control-busqueda");
+    div.innerHTML = `
+      <button id="btnMiUbicacion" class="mapa__control-boton" type="button" title="Usar mi ubicación">📍 Usar mi ubicación</button>
+      <button id="btnBusquedaClic" class="mapa__control-boton" type="button" title="Buscar haciendo clic en el mapa">🖱️ Buscar con clic</button>
+    `;
+    // Evitar que los clics en el control lleguen al mapa
+    L.DomEvent.disableClickPropagation(div);
+
+    div.querySelector("#btnMiUbicacion").addEventListener("click", () => {
+      if (!navigator.geolocation) {
+        mostrarEstado("❌ Tu navegador no permite obtener la ubicación");
+        ocultarEstado(3000);
+        return;
+      }
+      mostrarEstado("📡 Obteniendo tu ubicación...");
+      navigator.geolocation.getCurrentPosition(
+        (pos) => buscarEstacionesCercanas(pos.coords.latitude, pos.coords.longitude),
+        () => {
+          mostrarEstado("❌ No se pudo obtener tu ubicación (permiso denegado o no disponible)");
+          ocultarEstado(3000);
+        },
+        { enableHighAccuracy: true, timeout: 10000 }
+      );
+    });
 
-  console.log("🗑️ Limpiando filtros...");
+    div.querySelector("#btnBusquedaClic").addEventListener("click", () => {
+      setModoBusquedaClic(!modoBusquedaClic);
+    });
 
-  // 1. Resetear todos los selectores
-  selectMunicipio.value = '';
-  selectAnio.value = '';
+    return div;
+  },
+});
+
+new ControlBusquedaCercana().addTo(map);
+
+map.on("click", (e) => {
+  if (!modoBusquedaClic) return;
+  setModoBusquedaClic(false);
+  buscarEstacionesCercanas(e.latlng.lat, e.latlng.lng);
+});
+
+// ==========================================================================
+// CAPA DE INTERPOLACIÓN (MAPA DE CALOR IDW)
+// ==========================================================================
+
+// Colores de la rampa: Buena -> Regular -> Mala
+const RAMPA_INTERPOLACION = [
+  [0, 228, 0],   // #00E400
+  [255, 255, 0], // #FFFF00
+  [255, 0, 0],   // #FF0000
+];
+
+/**
+ * Devuelve el símbolo y tiempo de exposición del contaminante seleccionado.
+ * @returns {{simbolo: string, tiempoHoras: string}|null}
+ */
+function contaminanteSeleccionado() {
+  const opcion = selectContaminante.options[selectContaminante.selectedIndex];
+  if (!opcion || !opcion.value) return null;
+  return { simbolo: opcion.dataset.simbolo, tiempoHoras: opcion.dataset.tiempoHoras };
+}
+
+/**
+ * Define los tres puntos de la rampa de color. Con límites de la norma se usan
+ * 0 / buena / regular para que el color coincida con la clasificación; si no,
+ * el mínimo, el punto medio y el máximo de la malla.
+ * @param {Object} datos - Respuesta de /api/interpolacion.
+ * @returns {Array<number>} [valorVerde, valorAmarillo, valorRojo]
+ */
+function escalaInterpolacion(datos) {
+  if (datos.limites) return [0, datos.limites.buena, datos.limites.regular];
+  const { minimo, maximo } = datos.malla;
+  return [minimo, (minimo + maximo) / 2, maximo];
+}
+
+/**
+ * Calcula el color RGB de un valor dentro de la rampa.
+ * @param {number} valor
+ * @param {Array<number>} escala - Ver escalaInterpolacion.
+ * @returns {Array<number>} [r, g, b]
+ */
+function colorInterpolado(valor, escala) {
+  const tramo = valor <= escala[1] ? 0 : 1;
+  const desde = escala[tramo];
+  const hasta = escala[tramo + 1];
+  const t = hasta === desde ? 1 : Math.min(Math.max((valor - desde) / (hasta - desde), 0), 1);
+
+  return RAMPA_INTERPOLACION[tramo].map((c, i) =>
+    Math.round(c + (RAMPA_INTERPOLACION[tramo + 1][i] - c) * t)
+  );
+}
+
+/**
+ * Pinta la malla en un canvas (un píxel por celda) y la devuelve como imagen.
+ * Las celdas sin estimación quedan transparentes.
+ * @param {Object} datos - Respuesta de /api/interpolacion.
+ * @returns {string} Data URL PNG.
+ */
+function mallaAImagen(datos) {
+  const { filas, columnas, valores } = datos.malla;
+  const escala = escalaInterpolacion(datos);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = columnas;
+  canvas.height = filas;
+  const ctx = canvas.getContext("2d");
+  const imagen = ctx.createImageData(columnas, filas);
+
+  for (let f = 0; f < filas; f++) {
+    for (let c = 0; c < columnas; c++) {
+      const valor = valores[f][c];
+      if (valor === null) continue;
+      const [r, g, b] = colorInterpolado(valor, escala);
+      const i = (f * columnas + c) * 4;
+      imagen.data[i] = r;
+      imagen.data[i + 1] = g;
+      imagen.data[i + 2] = b;
+      imagen.data[i + 3] = 255;
+    }
+  }
+
+  ctx.putImageData(imagen, 0, 0);
+  return canvas.toDataURL("image/png");
+}
+
+/** Quita la capa interpolada del mapa y oculta su leyenda. */
+function quitarCapaInterpolacion() {
+  if (capaInterpolacion) {
+    map.removeLayer(capaInterpolacion);
+    capaInterpolacion = null;
+  }
+  actualizarLeyendaInterpolacion(null);
+}
+
+/**
+ * Carga y dibuja la interpolación del contaminante y año seleccionados.
+ * Si falta alguno de los dos se quita la capa y se avisa al usuario.
+ */
+async function cargarCapaInterpolacion() {
+  const contaminante = contaminanteSeleccionado();
+  const anio = selectAnio.value;
+
+  if (!contaminante || !anio) {
+    quitarCapaInterpolacion();
+    mostrarEstado("🌡️ Selecciona un año y un contaminante para ver el mapa de calor");
+    ocultarEstado(3000);
+    return;
+  }
+
+  try {
+    mostrarEstado("🌡️ Calculando mapa de calor...");
+
+    const datos = await api.getInterpolacion(
+      {
+        contaminante: contaminante.simbolo,
+        exposicion_horas: contaminante.tiempoHoras,
+        anio: anio,
+        norma: selectNorma.value,
+      },
+      {
+        clave: "interpolacion",
+        mensajes: { 404: `Ninguna estación midió ${contaminante.simbolo} en ${anio}` },
+      }
+    );
+
+    // El usuario pudo desactivar la capa mientras se calculaba
+    if (!interpolacionActiva) return;
+
+    const { sur, oeste, norte, este } = datos.malla;
+    const limites = [[sur, oeste], [norte, este]];
+
+    if (capaInterpolacion) map.removeLayer(capaInterpolacion);
+    capaInterpolacion = L.imageOverlay(mallaAImagen(datos), limites, {
+      opacity: 0.6,
+      className: "mapa__capa-interpolacion",
+    }).addTo(map);
+
+    actualizarLeyendaInterpolacion(datos);
+
+    mostrarEstado(`🌡️ Mapa de calor con ${datos.estaciones_usadas.length} estaciones`);
+    ocultarEstado(2500);
+  } catch (error) {
+    if (esCancelacion(error)) return;
+    console.error("❌ Error al cargar la interpolación:", error);
+    quitarCapaInterpolacion();
+    mostrarEstado(`❌ ${error.message}`);
+    ocultarEstado(3000);
+  }
+}
+
+/**
+ * Activa o desactiva la capa interpolada.
+ * @param {boolean} activa
+ */
+function setInterpolacionActiva(activa) {
+  interpolacionActiva = activa;
+  const boton = document.getElementById("btnInterpolacion");
+  if (boton) boton.classList.toggle("mapa__control-boton--activo", activa);
+
+  if (activa) {
+    cargarCapaInterpolacion();
+  } else {
+    quitarCapaInterpolacion();
+  }
+}
+
+/**
+ * Rellena (o oculta, si datos es null) la leyenda de la capa interpolada.
+ * @param {Object|null} datos - Respuesta de /api/interpolacion.
+ */
+function actualizarLeyendaInterpolacion(datos) {
+  const leyenda = document.getElementById("leyendaInterpolacion");
+  if (!leyenda) return;
+
+  if (!datos) {
+    leyenda.hidden = true;
+    leyenda.innerHTML = "";
+    return;
+  }
+
+  const escala = escalaInterpolacion(datos);
+  const decimales = escala[2] < 10 ? 1 : 0;
+  const fuente = datos.limites ? `Cortes: ${datos.limites.fuente}` : "Escala: mínimo a máximo de la malla";
+
+  leyenda.innerHTML = `
+    <div class="leyenda-interpolacion__titulo">🌡️ ${datos.contaminante} (${datos.tiempo_horas}h) · ${datos.anio}</div>
+    <div class="leyenda-interpolacion__barra"></div>
+    <div class="leyenda-interpolacion__escala">
+      <span>${escala[0].toFixed(decimales)}</span>
+      <span>${escala[1].toFixed(decimales)}</span>
+      <span>${escala[2].toFixed(decimales)}+</span>
+    </div>
+    <div class="leyenda-interpolacion__nota">${datos.unidades} · ${fuente}</div>
+    <div class="leyenda-interpolacion__aviso" title="${datos.aviso}">
+      ⚠️ Valores interpolados (IDW), no medidos
+    </div>
+  `;
+  leyenda.hidden = false;
+}
+
+// Control de Leaflet con el botón de la capa y su leyenda
+const ControlInterpolacion = L.Control.extend({
+  options: { position: "topleft" },
+
+  onAdd: function () {
+    const div = L.DomUtil.create("div", "leaflet-bar mapa__control-busqueda");
+    div.innerHTML = `
+      <button id="btnInterpolacion" class="mapa__control-boton" type="button"
+              title="Mapa de calor interpolado entre estaciones">🌡️ Mapa de calor</button>
+    `;
+    L.DomEvent.disableClickPropagation(div);
+
+    div.querySelector("#btnInterpolacion").addEventListener("click", () => {
+      setInterpolacionActiva(!interpolacionActiva);
+    });
+
+    return div;
+  },
+});
+
+const ControlLeyendaInterpolacion = L.Control.extend({
+  options: { position: "bottomleft" },
+
+  onAdd: function () {
+    const div = L.DomUtil.create("div", "leyenda-interpolacion");
+    div.id = "leyendaInterpolacion";
+    div.hidden = true;
+    L.DomEvent.disableClickPropagation(div);
+    return div;
+  },
+});
+
+new ControlInterpolacion().addTo(map);
+new ControlLeyendaInterpolacion().addTo(map);
+
+// La capa sigue la selección de año, contaminante y norma
+[selectAnio, selectContaminante, selectNorma].forEach((select) => {
+  select.addEventListener("change", () => {
+    if (interpolacionActiva) cargarCapaInterpolacion();
+  });
+});
+
+// ==========================================================================
+// LÍNEA DE TIEMPO (SLIDER DE AÑOS CON REPRODUCCIÓN)
+// ==========================================================================
+
+// Contaminantes que se pueden animar: "símbolo|horas" -> texto
+const CONTAMINANTES_LINEA_TIEMPO = [
+  { valor: "PM2.5|24", texto: "PM2.5 - 24 horas" },
+  { valor: "PM10|24", texto: "PM10 - 24 horas" },
+  { valor: "O3|8", texto: "O3 - 8 horas" },
+  { valor: "NO2|1", texto: "NO2 - 1 hora" },
+  { valor: "SO2|24", texto: "SO2 - 24 horas" },
+  { valor: "CO|8", texto: "CO - 8 horas" },
+];
+
+const PASO_LINEA_TIEMPO_MS = 1200; // Tiempo que se muestra cada año al reproducir
+
+// Estado de la animación
+let lineaTiempo = {
+  activa: false,
+  datos: null, // Respuesta de /api/linea-tiempo
+  indice: 0, // Posición en datos.anios
+  intervalo: null, // setInterval de la reproducción
+  marcadores: {}, // id_estacion -> L.marker
+  iconos: {}, // color -> L.icon (se reutilizan entre años)
+};
+
+/**
+ * Devuelve el icono de un color (rayado si el dato es de baja calidad), creándolo una sola vez.
+ * @param {string} color
+ * @param {string} calidad - Estado de la bandera de calidad ("valido", ...).
+ */
+function iconoLineaTiempo(color, calidad) {
+  const clave = `${color}|${calidad}`;
+  if (!lineaTiempo.iconos[clave]) {
+    lineaTiempo.iconos[clave] = crearIconoColor(color, false, calidad !== "valido");
+  }
+  return lineaTiempo.iconos[clave];
+}
+
+/**
+ * Muestra en el mapa las estaciones de un año de la línea de tiempo: mueve y
+ * recolorea las que siguen, agrega las que empiezan a operar y quita las que
+ * ya no midieron el contaminante.
+ * @param {number} indice - Posición del año en datos.anios.
+ */
+function mostrarAnioLineaTiempo(indice) {
+  const datos = lineaTiempo.datos;
+  if (!datos) return;
+
+  lineaTiempo.indice = indice;
+  const anio = datos.anios[indice];
+  const visibles = datos.por_anio[anio];
+  const idsVisibles = new Set(visibles.map((v) => v.id_estacion));
+
+  let retiradas = 0;
+  Object.keys(lineaTiempo.marcadores).forEach((id) => {
+    if (!idsVisibles.has(parseInt(id))) {
+      capaLineaTiempo.removeLayer(lineaTiempo.marcadores[id]);
+      delete lineaTiempo.marcadores[id];
+      retiradas++;
+    }
+  });
+
+  let nuevas = 0;
+  const conteo = {};
+  visibles.forEach((v) => {
+    const est = datos.estaciones.find((e) => e.id_estacion === v.id_estacion);
+    const aviso = v.calidad !== "valido" ? "<br>⚠️ Baja representatividad" : "";
+    const texto = `${est.nombre_estacion} (${est.nombre_municipio})<br>${anio}: ${v.promedio.toFixed(2)} ${datos.unidades} · ${v.clasificacion.nivel}${aviso}`;
+    const icono = iconoLineaTiempo(v.clasificacion.color, v.calidad);
+
+    let marcador = lineaTiempo.marcadores[v.id_estacion];
+    if (marcador) {
+      marcador.setLatLng([v.latitud, v.longitud]);
+      marcador.setIcon(icono);
+      marcador.setTooltipContent(texto);
+    } else {
+      marcador = L.marker([v.latitud, v.longitud], { icon: icono })
+        .bindTooltip(texto, { direction: "top", offset: [0, -30] })
+        .addTo(capaLineaTiempo);
+      lineaTiempo.marcadores[v.id_estacion] = marcador;
+      nuevas++;
+    }
+
+    conteo[v.clasificacion.nivel] = (conteo[v.clasificacion.nivel] || 0) + 1;
+  });
+
+  // Controles
+  document.getElementById("sliderAnio").value = indice;
+  document.getElementById("etiquetaAnioLineaTiempo").textContent = anio;
+
+  const niveles = Object.entries(conteo)
+    .map(([nivel, n]) => `${nivel}: ${n}`)
+    .join(" · ");
+  const cambios = indice === 0 ? "" : ` · +${nuevas} / −${retiradas}`;
+  document.getElementById("resumenLineaTiempo").textContent =
+    `${visibles.length} estaciones${cambios} · ${niveles}`;
+}
+
+/** Detiene la reproducción (si está en curso). */
+function pausarLineaTiempo() {
+  clearInterval(lineaTiempo.intervalo);
+  lineaTiempo.intervalo = null;
+  document.getElementById("btnReproducir").textContent = "▶";
+}
+
+/** Avanza un año cada PASO_LINEA_TIEMPO_MS hasta llegar al último. */
+function reproducirLineaTiempo() {
+  const ultimo = lineaTiempo.datos.anios.length - 1;
+
+  // Si ya está al final, vuelve a empezar
+  if (lineaTiempo.indice >= ultimo) mostrarAnioLineaTiempo(0);
+
+  document.getElementById("btnReproducir").textContent = "⏸";
+  lineaTiempo.intervalo = setInterval(() => {
+    if (lineaTiempo.indice >= ultimo) {
+      pausarLineaTiempo();
+      return;
+    }
+    mostrarAnioLineaTiempo(lineaTiempo.indice + 1);
+  }, PASO_LINEA_TIEMPO_MS);
+}
+
+/** Pide todas las clasificaciones del contaminante elegido y prepara el slider. */
+async function cargarLineaTiempo() {
+  const [simbolo, horas] = document.getElementById("selectContaminanteLineaTiempo").value.split("|");
+
+  try {
+    pausarLineaTiempo();
+    mostrarEstado(`⏱️ Cargando ${simbolo} en todos los años...`);
+
+    const datos = await api.getLineaTiempo(
+      { contaminante: simbolo, exposicion_horas: horas, norma: selectNorma.value },
+      { clave: "lineaTiempo", mensajes: { 404: `No hay mediciones de ${simbolo}` } }
+    );
+    if (!lineaTiempo.activa) return;
+
+    // Empezar desde el año de los filtros si tiene datos
+    lineaTiempo.datos = datos;
+    capaLineaTiempo.clearLayers();
+    lineaTiempo.marcadores = {};
+
+    const slider = document.getElementById("sliderAnio");
+    slider.min = 0;
+    slider.max = datos.anios.length - 1;
+
+    const desde = datos.anios.indexOf(parseInt(selectAnio.value));
+    mostrarAnioLineaTiempo(desde === -1 ? 0 : desde);
+
+    mostrarEstado(`⏱️ ${simbolo}: ${datos.anios[0]}–${datos.anios[datos.anios.length - 1]}`);
+    ocultarEstado(2500);
+  } catch (error) {
+    if (esCancelacion(error)) return;
+    console.error("❌ Error al cargar la línea de tiempo:", error);
+    mostrarEstado(`❌ ${error.message}`);
+    ocultarEstado(3000);
+  }
+}
+
+/**
+ * Activa o desactiva el modo línea de tiempo. Mientras está activo, los
+ * marcadores del municipio se reemplazan por los de todo el departamento.
+ * @param {boolean} activa
+ * @param {boolean} [restaurarFiltros=true] - Al desactivar, volver a dibujar las estaciones de los filtros.
+ */
+function setLineaTiempoActiva(activa, restaurarFiltros = true) {
+  if (lineaTiempo.activa === activa) return;
+  lineaTiempo.activa = activa;
+
+  document.getElementById("btnLineaTiempo").classList.toggle("mapa__control-boton--activo", activa);
+  document.getElementById("reproductorLineaTiempo").hidden = !activa;
+  document.getElementById("resumenLineaTiempo").textContent = "";
+
+  if (activa) {
+    limpiarEstacionesDelMapa();
+    limpiarInfoBox();
+    capaLineaTiempo.addTo(map);
+    map.setView([4, -76.55], 8.5);
+    cargarLineaTiempo();
+    return;
+  }
+
+  pausarLineaTiempo();
+  capaLineaTiempo.clearLayers();
+  map.removeLayer(capaLineaTiempo);
+  lineaTiempo.marcadores = {};
+  lineaTiempo.datos = null;
+
+  // Volver a mostrar las estaciones de los filtros
+  if (!restaurarFiltros) return;
+  if (selectAnio.value) {
+    selectAnio.dispatchEvent(new Event("change", { bubbles: true }));
+  } else if (selectMunicipio.value) {
+    cargarEstacionesPorMunicipio(selectMunicipio.value);
+  }
+}
+
+// Control de Leaflet con el slider de años
+const ControlLineaTiempo = L.Control.extend({
+  options: { position: "bottomleft" },
+
+  onAdd: function () {
+    const div = L.DomUtil.create("div", "leaflet-bar linea-tiempo");
+    div.innerHTML = `
+      <div class="linea-tiempo__fila">
+        <button id="btnLineaTiempo" class="mapa__control-boton" type="button"
+                title="Ver la evolución de todas las estaciones año a año">⏱️ Línea de tiempo</button>
+        <select id="selectContaminanteLineaTiempo" class="linea-tiempo__contaminante" title="Contaminante a animar">
+          ${CONTAMINANTES_LINEA_TIEMPO.map((c) => `<option value="${c.valor}">${c.texto}</option>`).join("")}
+        </select>
+      </div>
+      <div id="reproductorLineaTiempo" class="linea-tiempo__fila" hidden>
+        <button id="btnReproducir" class="linea-tiempo__reproducir" type="button" title="Reproducir / pausar">▶</button>
+        <input id="sliderAnio" class="linea-tiempo__slider" type="range" min="0" max="0" step="1" value="0" />
+        <span id="etiquetaAnioLineaTiempo" class="linea-tiempo__anio">—</span>
+      </div>
+      <div id="resumenLineaTiempo" class="linea-tiempo__resumen"></div>
+    `;
+    // Evitar que arrastrar el slider mueva el mapa
+    L.DomEvent.disableClickPropagation(div);
+    L.DomEvent.disableScrollPropagation(div);
+
+    div.querySelector("#btnLineaTiempo").addEventListener("click", () => {
+      setLineaTiempoActiva(!lineaTiempo.activa);
+    });
+
+    div.querySelector("#selectContaminanteLineaTiempo").addEventListener("change", () => {
+      if (lineaTiempo.activa) cargarLineaTiempo();
+    });
+
+    div.querySelector("#btnReproducir").addEventListener("click", () => {
+      if (!lineaTiempo.datos) return;
+      if (lineaTiempo.intervalo) {
+        pausarLineaTiempo();
+      } else {
+        reproducirLineaTiempo();
+      }
+    });
+
+    div.querySelector("#sliderAnio").addEventListener("input", (e) => {
+      pausarLineaTiempo();
+      mostrarAnioLineaTiempo(parseInt(e.target.value));
+    });
+
+    return div;
+  },
+});
+
+new ControlLineaTiempo().addTo(map);
+
+// La norma cambia los colores de la animación
+selectNorma.addEventListener("change", () => {
+  if (lineaTiempo.activa) cargarLineaTiempo();
+});
+
+// Elegir otro municipio o año en los filtros sale de la animación
+[selectMunicipio, selectAnio].forEach((select) => {
+  select.addEventListener("change", () => setLineaTiempoActiva(false, false));
+});
+
+// ==========================================================================
+// MATRIZ DE COBERTURA DE DATOS
+// ==========================================================================
+
+const matrizCobertura = document.getElementById("matrizCobertura");
+const coberturaResumen = document.getElementById("coberturaResumen");
+
+/**
+ * Color de una celda según su representatividad temporal (0% rojo -> 100% verde).
+ * @param {number} representatividad - Porcentaje 0-100.
+ */
+function colorCobertura(representatividad) {
+  const r = Math.min(Math.max(representatividad, 0), 100);
+  return `hsl(${Math.round(r * 1.2)}, 70%, ${r >= 90 ? 40 : 55}%)`;
+}
+
+/**
+ * Carga la matriz estación × año × contaminante del municipio seleccionado.
+ * @param {string} idMunicipio
+ */
+async function cargarCobertura(idMunicipio) {
+  if (!idMunicipio) {
+    matrizCobertura.innerHTML = "";
+    coberturaResumen.innerHTML =
+      "Selecciona un <b>municipio</b> para ver qué combinaciones de estación, año y contaminante tienen datos. " +
+      "Haz clic en una celda para cargarla en los filtros.";
+    return;
+  }
+
+  try {
+    const cobertura = await api.getCobertura({ municipio: idMunicipio }, {
+      clave: "cobertura",
+      mensajes: { 404: "Este municipio no tiene mediciones" },
+    });
+
+    dibujarCobertura(cobertura);
+  } catch (error) {
+    if (esCancelacion(error)) return;
+    console.error("❌ Error al cargar cobertura:", error);
+    matrizCobertura.innerHTML = "";
+    coberturaResumen.textContent = `❌ ${error.message}`;
+  }
+}
+
+/**
+ * Dibuja la matriz: una fila por estación y contaminante, una columna por año.
+ * @param {Object} datos - Respuesta de /api/cobertura.
+ */
+function dibujarCobertura(datos) {
+  // Índice rápido: "estacion|anio|exposicion" -> representatividad
+  const indice = {};
+  datos.celdas.forEach((c) => {
+    indice[`${c.id_estacion}|${c.anio}|${c.id_exposicion}`] = c.representatividad_temporal;
+  });
+
+  const encabezado = datos.anios.map((anio) => `<th>${anio}</th>`).join("");
+
+  const cuerpo = datos.estaciones
+    .map((est) => {
+      // Solo los contaminantes que la estación midió alguna vez
+      const medidos = datos.contaminantes.filter((c) =>
+        datos.anios.some((anio) => indice[`${est.id_estacion}|${anio}|${c.id_exposicion}`] !== undefined)
+      );
+
+      const filas = medidos
+        .map((c) => {
+          const celdas = datos.anios
+            .map((anio) => {
+              const rep = indice[`${est.id_estacion}|${anio}|${c.id_exposicion}`];
+              if (rep === undefined) {
+                return `<td class="cobertura__celda cobertura__celda--vacia"></td>`;
+              }
+              const texto = Number.isFinite(rep) ? Math.round(rep) : "?";
+              return `
+                <td class="cobertura__celda"
+                    style="background: ${Number.isFinite(rep) ? colorCobertura(rep) : "#bbb"};"
+                    data-id-municipio="${est.id_municipio}" data-id-estacion="${est.id_estacion}"
+                    data-anio="${anio}" data-id-exposicion="${c.id_exposicion}"
+                    title="${est.nombre_estacion} · ${c.simbolo} ${c.tiempo_horas}h · ${anio}: ${texto}% de representatividad">
+                  ${texto}
+                </td>`;
+            })
+            .join("");
+          return `<tr><th class="cobertura__contaminante">${c.simbolo} <small>${c.tiempo_horas}h</small></th>${celdas}</tr>`;
+        })
+        .join("");
+
+      return `
+        <tr class="cobertura__estacion"><th colspan="${datos.anios.length + 1}">🏭 ${est.nombre_estacion}</th></tr>
+        ${filas}`;
+    })
+    .join("");
+
+  coberturaResumen.innerHTML = `
+    <b>${datos.municipio ? datos.municipio.nombre : "Valle del Cauca"}</b>:
+    ${datos.estaciones.length} estaciones · ${datos.total_celdas} combinaciones con datos.
+    Haz clic en una celda para cargarla en los filtros.
+  `;
+  matrizCobertura.innerHTML = `
+    <table class="cobertura__tabla">
+      <thead><tr><th></th>${encabezado}</tr></thead>
+      <tbody>${cuerpo}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * Fija municipio, año, estación y contaminante a partir de una celda.
+ * Reutiliza seleccionPendiente para que la cascada de filtros elija la
+ * estación y el contaminante cuando terminen de cargar.
+ */
+async function seleccionarDesdeCobertura(idMunicipio, idEstacion, anio, idExposicion) {
+  if (selectMunicipio.value !== String(idMunicipio)) {
+    selectMunicipio.value = idMunicipio;
+    resetearFiltrosDependientes(1);
+    await cargarAniosPorMunicipio(idMunicipio);
+  }
+
+  if (!existeOpcion(selectAnio, anio)) {
+    mostrarEstado(`⚠️ El año ${anio} no está disponible en este municipio`);
+    ocultarEstado(2500);
+    return;
+  }
+
+  seleccionPendiente = { idEstacion, idExposicion };
+  selectAnio.value = anio;
+  selectAnio.dispatchEvent(new Event("change", { bubbles: true }));
+  document.getElementById("map").scrollIntoView({ behavior: "smooth", block: "center" });
+}
+
+matrizCobertura.addEventListener("click", (e) => {
+  const celda = e.target.closest("td[data-anio]");
+  if (!celda) return;
+  const { idMunicipio, idEstacion, anio, idExposicion } = celda.dataset;
+  seleccionarDesdeCobertura(idMunicipio, idEstacion, anio, idExposicion);
+});
+
+selectMunicipio.addEventListener("change", () => cargarCobertura(selectMunicipio.value));
+
+// ==========================================================================
+// MODO COMPARACIÓN (A = selección actual, B = otra estación u otro año)
+// ==========================================================================
+
+const selectModoComparacion = document.getElementById("selectModoComparacion");
+const selectComparacionB = document.getElementById("selectComparacionB");
+const btnComparar = document.getElementById("btnComparar");
+const resultadoComparacion = document.getElementById("resultadoComparacion");
+
+// Métricas que se comparan (mismas claves que "diferencias" en /api/comparar)
+const METRICAS_COMPARACION = [
+  { clave: "promedio", nombre: "Promedio", unidades: true },
+  { clave: "percentil_98", nombre: "Percentil 98", unidades: true },
+  { clave: "dias_excendecias", nombre: "Días de excedencia", unidades: false },
+];
+
+/** Indica si los filtros tienen estación, año y contaminante (el lado A). */
+function hayLadoA() {
+  return Boolean(selectEstacion.value && selectAnio.value && selectContaminante.value);
+}
+
+/**
+ * Llena el selector de B según el modo: estaciones que midieron el mismo
+ * contaminante ese año, o años con datos de la misma estación.
+ */
+async function cargarOpcionesComparacion() {
+  const placeholder = (texto) => `<option value="">-- ${texto} --</option>`;
+
+  if (!hayLadoA()) {
+    selectComparacionB.innerHTML = placeholder("Primero selecciona estación, año y contaminante");
+    selectComparacionB.disabled = true;
+    return;
+  }
+
+  try {
+    selectComparacionB.disabled = true;
+    selectComparacionB.innerHTML = placeholder("Cargando...");
+
+    const idEstacionA = parseInt(selectEstacion.value);
+    let opciones = [];
+
+    if (selectModoComparacion.value === "estaciones") {
+      const contaminante = contaminanteSeleccionado();
+      const datos = await api.getRanking(
+        {
+          contaminante: contaminante.simbolo,
+          exposicion_horas: contaminante.tiempoHoras,
+          anio: selectAnio.value,
+        },
+        { clave: "opcionesComparacion" }
+      );
+      opciones = datos.ranking
+        .filter((est) => est.id_estacion !== idEstacionA)
+        .sort((x, y) => x.nombre_estacion.localeCompare(y.nombre_estacion, "es"))
+        .map((est) => ({
+          valor: est.id_estacion,
+          texto: `${est.nombre_estacion} (${est.nombre_municipio})`,
+        }));
+    } else {
+      const datos = await api.getSerie(
+        { estacion: idEstacionA, exposicion: selectContaminante.value },
+        { clave: "opcionesComparacion" }
+      );
+      opciones = datos.serie
+        .filter((p) => String(p.anio) !== selectAnio.value)
+        .map((p) => ({ valor: p.anio, texto: p.anio }));
+    }
+
+    if (opciones.length === 0) {
+      selectComparacionB.innerHTML = placeholder("No hay con qué comparar");
+      return;
+    }
+
+    selectComparacionB.innerHTML =
+      placeholder("Selecciona B") +
+      opciones.map((o) => `<option value="${o.valor}">${o.texto}</option>`).join("");
+    selectComparacionB.disabled = false;
+  } catch (error) {
+    if (esCancelacion(error)) return;
+    console.error("❌ Error al cargar opciones de comparación:", error);
+    selectComparacionB.innerHTML = placeholder(error.message);
+  }
+}
+
+/** Pide /api/comparar con A (filtros) y B (selector) y muestra el resultado. */
+async function compararSeleccion() {
+  if (!hayLadoA() || !selectComparacionB.value) {
+    mostrarEstado("⚖️ Selecciona A en los filtros y B en el comparador");
+    ocultarEstado(3000);
+    return;
+  }
+
+  try {
+    mostrarEstado("⚖️ Comparando...");
+
+    const params = {
+      exposicion: selectContaminante.value,
+      estacion_a: selectEstacion.value,
+      anio_a: selectAnio.value,
+      norma: selectNorma.value,
+    };
+    params[selectModoComparacion.value === "estaciones" ? "estacion_b" : "anio_b"] = selectComparacionB.value;
+
+    const comparacion = await api.getComparacion(params, {
+      clave: "comparacion",
+      mensajes: { 404: "Uno de los dos lados no tiene datos" },
+    });
+
+    dibujarComparacion(comparacion);
+    ocultarEstado(0);
+  } catch (error) {
+    if (esCancelacion(error)) return;
+    console.error("❌ Error al comparar:", error);
+    mostrarEstado(`❌ ${error.message}`);
+    ocultarEstado(3000);
+  }
+}
+
+/**
+ * HTML de la tarjeta de un lado de la comparación.
+ * @param {string} letra - "A" o "B".
+ * @param {Object} datos - Respuesta de /api/datos para ese lado.
+ */
+function htmlLadoComparacion(letra, datos) {
+  const unidades = datos.contaminante.unidades;
+  return `
+    <div class="comparacion__panel" style="border-top-color: ${datos.clasificacion.color};">
+      <div class="comparacion__letra">${letra}</div>
+      <h3 class="comparacion__estacion">${datos.estacion.nombre}</h3>
+      <p class="comparacion__detalle">${datos.estacion.municipio} · ${datos.anio}</p>
+      <span class="comparacion__nivel" style="background: ${datos.clasificacion.color};">${datos.clasificacion.nivel}</span>
+      <dl class="comparacion__valores">
+        <dt>Promedio</dt><dd>${formatearNumero(datos.estadisticas.promedio)} ${unidades}</dd>
+        <dt>Percentil 98</dt><dd>${formatearNumero(datos.estadisticas.percentil_98)} ${unidades}</dd>
+        <dt>Días de excedencia</dt><dd>${datos.excedencias.dias_excendecias ?? "—"}</dd>
+      </dl>
+    </div>
+  `;
+}
+
+/**
+ * Renderiza los dos paneles y la tabla de diferencias.
+ * @param {Object} datos - Respuesta de /api/comparar.
+ */
+function dibujarComparacion(datos) {
+  const unidades = datos.contaminante.unidades;
+
+  const filas = METRICAS_COMPARACION.map((m) => {
+    const d = datos.diferencias[m.clave];
+    const sufijo = m.unidades ? ` ${unidades}` : "";
+
+    // Para un contaminante, subir es empeorar
+    let clase = "";
+    if (d.diferencia > 0) clase = "comparacion__delta--peor";
+    if (d.diferencia < 0) clase = "comparacion__delta--mejor";
+
+    const diferencia = d.diferencia === null ? "—" : `${d.diferencia > 0 ? "+" : ""}${d.diferencia}${sufijo}`;
+    const cambio = d.cambio_porcentual === null ? "—" : `${d.cambio_porcentual > 0 ? "+" : ""}${d.cambio_porcentual}%`;
+
+    return `
+      <tr>
+        <th>${m.nombre}</th>
+        <td>${d.a ?? "—"}</td>
+        <td>${d.b ?? "—"}</td>
+        <td class="${clase}">${diferencia}</td>
+        <td class="${clase}">${cambio}</td>
+      </tr>
+    `;
+  }).join("");
+
+  resultadoComparacion.innerHTML = `
+    <div class="comparacion__paneles">
+      ${htmlLadoComparacion("A", datos.a)}
+      ${htmlLadoComparacion("B", datos.b)}
+    </div>
+    <table class="comparacion__diferencias">
+      <thead>
+        <tr><th>${datos.contaminante.simbolo} (${datos.contaminante.tiempo_exposicion.texto})</th><th>A</th><th>B</th><th>Diferencia (B − A)</th><th>Cambio</th></tr>
+      </thead>
+      <tbody>${filas}</tbody>
+    </table>
+    <p class="comparacion__nota">Clasificación: ${datos.norma.fuente}. El cambio porcentual se calcula respecto a A.</p>
+  `;
+}
+
+selectModoComparacion.addEventListener("change", cargarOpcionesComparacion);
+btnComparar.addEventListener("click", compararSeleccion);
+
+// El lado A cambia con los filtros: se recalculan las opciones de B y se borra el resultado
+[selectEstacion, selectAnio, selectContaminante].forEach((select) => {
+  select.addEventListener("change", () => {
+    resultadoComparacion.innerHTML = "";
+    cargarOpcionesComparacion();
+  });
+});
+
+// ==========================================================================
+// RANKING DE ESTACIONES
+// ==========================================================================
+
+const btnRanking = document.getElementById("btnRanking");
+const selectMetricaRanking = document.getElementById("selectMetricaRanking");
+const tablaRanking = document.getElementById("tablaRanking");
+const cuerpoRanking = document.getElementById("cuerpoRanking");
+const rankingResumen = document.getElementById("rankingResumen");
+
+// Última respuesta de /api/ranking y orden aplicado en la tabla
+let estadoRanking = { datos: null, campo: "posicion", ascendente: true };
+
+// Orden de los niveles para ordenar la columna "Calidad" (de mejor a peor)
+const ORDEN_CLASIFICACION = ["Buena", "Regular", "Mala", "Sin datos"];
+
+/**
+ * Consulta el ranking del contaminante y año seleccionados en los filtros.
+ */
+async function cargarRanking() {
+  const contaminante = contaminanteSeleccionado();
+  const anio = selectAnio.value;
+
+  if (!contaminante || !anio) {
+    mostrarEstado("🏆 Selecciona un año y un contaminante para ver el ranking");
+    ocultarEstado(3000);
+    return;
+  }
+
+  try {
+    mostrarEstado("🏆 Calculando ranking...");
+
+    const datos = await api.getRanking(
+      {
+        contaminante: contaminante.simbolo,
+        exposicion_horas: contaminante.tiempoHoras,
+        anio: anio,
+        metrica: selectMetricaRanking.value,
+        norma: selectNorma.value,
+        solo_validos: chkSoloValidos.checked,
+      },
+      {
+        clave: "ranking",
+        mensajes: { 404: `Ninguna estación midió ${contaminante.simbolo} en ${anio}` },
+      }
+    );
+
+    estadoRanking = { datos: datos, campo: "posicion", ascendente: true };
+    dibujarTablaRanking();
+
+    ocultarEstado(0);
+  } catch (error) {
+    if (esCancelacion(error)) return;
+    console.error("❌ Error al cargar el ranking:", error);
+    mostrarEstado(`❌ ${error.message}`);
+    ocultarEstado(3000);
+  }
+}
+
+/**
+ * Valor de una fila usado para ordenar por una columna.
+ * @param {Object} fila - Elemento de "ranking".
+ * @param {string} campo - data-campo de la columna.
+ */
+function valorOrdenRanking(fila, campo) {
+  if (campo === "clasificacion") return ORDEN_CLASIFICACION.indexOf(fila.clasificacion.nivel);
+  return fila[campo];
+}
+
+/**
+ * Compara dos filas según el orden activo. Los valores vacíos van al final.
+ */
+function compararFilasRanking(a, b) {
+  const { campo, ascendente } = estadoRanking;
+  const va = valorOrdenRanking(a, campo);
+  const vb = valorOrdenRanking(b, campo);
+
+  const vacioA = va === null || va === undefined || Number.isNaN(va);
+  const vacioB = vb === null || vb === undefined || Number.isNaN(vb);
+  if (vacioA && vacioB) return 0;
+  if (vacioA) return 1;
+  if (vacioB) return -1;
+
+  const resultado = typeof va === "string" ? va.localeCompare(vb, "es") : va - vb;
+  return ascendente ? resultado : -resultado;
+}
+
+/**
+ * Formatea un número de la tabla (vacío si no hay dato).
+ * @param {number} valor
+ */
+function formatearValorRanking(valor) {
+  return valor === null || valor === undefined || Number.isNaN(valor) ? "—" : valor.toFixed(2);
+}
+
+/** Renderiza la tabla con el orden actual. */
+function dibujarTablaRanking() {
+  const datos = estadoRanking.datos;
+  if (!datos) return;
+
+  const metrica = selectMetricaRanking.options[selectMetricaRanking.selectedIndex].textContent;
+  rankingResumen.innerHTML = `
+    <b>${datos.contaminante}</b> (${datos.tiempo_horas}h) · ${datos.anio} ·
+    ${datos.total_estaciones} estaciones ordenadas por <b>${metrica.toLowerCase()}</b>
+    (${datos.unidades}) · Clasificación: ${datos.norma.fuente}. Haz clic en una fila para ir a la estación.
+    ${datos.estaciones_ocultas > 0 ? `<br>🧹 ${datos.estaciones_ocultas} estación(es) ocultas por baja calidad de datos.` : ""}
+  `;
+
+  const filas = datos.ranking.slice().sort(compararFilasRanking);
+
+  cuerpoRanking.innerHTML = filas
+    .map((fila) => `
+      <tr class="ranking__fila" data-id-estacion="${fila.id_estacion}">
+        <td class="ranking__posicion">${fila.posicion}</td>
+        <td>
+          ${fila.nombre_estacion}
+          ${fila.calidad.estado !== "valido"
+            ? `<span class="ranking__calidad" title="${fila.calidad.etiqueta}: ${fila.calidad.descripcion}">⚠️</span>`
+            : ""}
+        </td>
+        <td>${fila.nombre_municipio}</td>
+        <td class="ranking__numero">${formatearValorRanking(fila.promedio)}</td>
+        <td class="ranking__numero">${formatearValorRanking(fila.percentil_98)}</td>
+        <td class="ranking__numero">${formatearValorRanking(fila.maximo)}</td>
+        <td class="ranking__numero">${fila.dias_excendecias ?? "—"}</td>
+        <td>
+          <span class="ranking__nivel" style="background: ${fila.clasificacion.color};">${fila.clasificacion.nivel}</span>
+        </td>
+      </tr>
+    `)
+    .join("");
+
+  // Indicador de la columna ordenada
+  tablaRanking.querySelectorAll("th").forEach((th) => {
+    const activa = th.dataset.campo === estadoRanking.campo;
+    th.classList.toggle("ranking__columna--activa", activa);
+    th.dataset.flecha = activa ? (estadoRanking.ascendente ? "▲" : "▼") : "";
+  });
+
+  tablaRanking.hidden = false;
+}
+
+/**
+ * Centra el mapa en una estación del ranking y la marca con el color de su clasificación.
+ * @param {Object} fila - Elemento de "ranking".
+ */
+function volarAEstacionDelRanking(fila) {
+  if (fila.latitud === null || fila.longitud === null) {
+    mostrarEstado(`⚠️ ${fila.nombre_estacion} no tiene ubicación registrada para ese año`);
+    ocultarEstado(3000);
+    return;
+  }
+
+  capaRanking.clearLayers();
+
+  const datos = estadoRanking.datos;
+  L.marker([fila.latitud, fila.longitud], {
+    icon: crearIconoColor(fila.clasificacion.color, true, fila.calidad.estado !== "valido"),
+    zIndexOffset: 1000,
+  })
+    .bindPopup(`
+      <strong>#${fila.posicion} · ${fila.nombre_estacion}</strong><br>
+      ${fila.nombre_municipio}<br>
+      ${datos.contaminante} ${datos.anio}: ${formatearValorRanking(fila.promedio)} ${datos.unidades} (promedio)<br>
+      Calidad: <b>${fila.clasificacion.nivel}</b>
+    `)
+    .addTo(capaRanking)
+    .openPopup();
+
+  map.flyTo([fila.latitud, fila.longitud], 14);
+  document.getElementById("map").scrollIntoView({ behavior: "smooth", block: "center" });
+}
+
+btnRanking.addEventListener("click", cargarRanking);
+
+// Cambiar la métrica vuelve a pedir el ranking (cambia la posición de cada estación)
+selectMetricaRanking.addEventListener("change", () => {
+  if (estadoRanking.datos) cargarRanking();
+});
+
+// Ordenar por columna al hacer clic en el encabezado
+tablaRanking.querySelector("thead").addEventListener("click", (e) => {
+  const th = e.target.closest("th");
+  if (!th) return;
+
+  const campo = th.dataset.campo;
+  estadoRanking.ascendente = estadoRanking.campo === campo ? !estadoRanking.ascendente : true;
+  estadoRanking.campo = campo;
+  dibujarTablaRanking();
+});
+
+cuerpoRanking.addEventListener("click", (e) => {
+  const tr = e.target.closest("tr");
+  if (!tr || !estadoRanking.datos) return;
+
+  const fila = estadoRanking.datos.ranking.find(
+    (f) => f.id_estacion === parseInt(tr.dataset.idEstacion)
+  );
+  if (fila) volarAEstacionDelRanking(fila);
+});
+
+// Un ranking ya abierto sigue la selección de año, contaminante y norma
+[selectAnio, selectContaminante, selectNorma].forEach((select) => {
+  select.addEventListener("change", () => {
+    if (estadoRanking.datos && contaminanteSeleccionado() && selectAnio.value) cargarRanking();
+  });
+});
+
+// ==========================================================================
+// METADATOS DEL CONJUNTO DE DATOS
+// ==========================================================================
+
+// Rango de años, contaminantes y estaciones según /api/meta (null hasta que responda)
+let metadatosDatos = null;
+
+// Texto de bienvenida con el periodo que realmente hay en la BD
+function textoPeriodoDatos() {
+  if (!metadatosDatos || metadatosDatos.anios.desde === null) {
+    return "Explora los datos históricos de calidad del aire en el Valle del Cauca";
+  }
+  const { desde, hasta } = metadatosDatos.anios;
+  return `Explora ${hasta - desde + 1} años de datos históricos (${desde}-${hasta}) de calidad del aire en el Valle del Cauca`;
+}
+
+async function cargarMetadatos() {
+  try {
+    metadatosDatos = await api.getMeta();
+    const texto = document.getElementById("textoPeriodoDatos");
+    if (texto) texto.textContent = textoPeriodoDatos();
+  } catch (error) {
+    // Se conserva el texto genérico del HTML
+    console.error("❌ Error al cargar metadatos:", error);
+  }
+}
+
+// ==========================================================================
+// SELECTOR DE NORMA DE CALIDAD DEL AIRE
+// ==========================================================================
+
+// Carga las normas disponibles y restaura la última elegida por el usuario
+async function cargarNormas() {
+  try {
+    const listaNormas = await api.getNormas();
+    const normaGuardada = localStorage.getItem("normaCalidadAire");
+
+    selectNorma.innerHTML = "";
+    listaNormas.forEach((n) => {
+      const option = document.createElement("option");
+      option.value = n.id;
+      option.textContent = n.nombre;
+      option.dataset.fuente = n.fuente;
+      option.title = n.descripcion;
+      option.selected = normaGuardada ? n.id === normaGuardada : n.por_defecto;
+      selectNorma.appendChild(option);
+    });
+
+    actualizarTituloLeyenda();
+  } catch (error) {
+    // Se conserva la opción por defecto del HTML (OMS 2021)
+    console.error("❌ Error al cargar normas:", error);
+  }
+}
+
+// Muestra en la leyenda la norma con la que se está clasificando
+function actualizarTituloLeyenda() {
+  const opcion = selectNorma.options[selectNorma.selectedIndex];
+  const fuente = opcion && opcion.dataset.fuente ? opcion.dataset.fuente : "OMS 2021";
+  document.getElementById("tituloLeyenda").textContent = `📊 Calidad del Aire (${fuente})`;
+}
+
+selectNorma.addEventListener("change", async () => {
+  localStorage.setItem("normaCalidadAire", selectNorma.value);
+  actualizarTituloLeyenda();
+
+  // Reclasificar el estado general de las estaciones y la selección actual con la nueva norma
+  if (selectAnio.value && !lineaTiempo.activa) {
+    await actualizarEstadoGeneralEstaciones(selectMunicipio.value, selectAnio.value);
+  }
+  if (selectContaminante.value) {
+    await cargarDatosHistoricos(selectEstacion.value, selectAnio.value, selectContaminante.value);
+  } else if (selectEstacion.value) {
+    cargarReporteEstacion(selectEstacion.value, selectAnio.value);
+  }
+});
+
+/**
+ * Vuelve a pedir las estaciones del año para recolorear los marcadores y sus popups
+ * sin redibujar el mapa ni perder la selección.
+ * @param {string} idMunicipio
+ * @param {string} anio
+ */
+async function actualizarEstadoGeneralEstaciones(idMunicipio, anio) {
+  try {
+    const data = await api.getEstacionesPorAnio(idMunicipio, anio, { norma: selectNorma.value }, {
+      clave: "reclasificarEstaciones",
+    });
+
+    data.estaciones.forEach((est) => {
+      const marker = marcadoresEstaciones[est.id_estacion];
+      if (!marker) return;
+
+      if (est.clasificacion_general) {
+        coloresGeneralesEstaciones[est.id_estacion] = est.clasificacion_general.color;
+      }
+      marker.setPopupContent(crearPopupInteractivo(est, anio));
+
+      // La estación seleccionada conserva el color de su contaminante elegido
+      const esSeleccionada = estacionSeleccionada === est.id_estacion;
+      if (!(esSeleccionada && selectContaminante.value)) {
+        marker.setIcon(crearIconoColor(colorGeneralEstacion(est.id_estacion), esSeleccionada));
+      }
+    });
+  } catch (error) {
+    if (esCancelacion(error)) return;
+    console.error("❌ Error al reclasificar estaciones:", error);
+  }
+}
+
+// ==========================================================================
+// OCULTAR DATOS DE BAJA CALIDAD
+// ==========================================================================
+
+chkSoloValidos.checked = localStorage.getItem("soloDatosValidos") === "true";
+
+chkSoloValidos.addEventListener("change", () => {
+  localStorage.setItem("soloDatosValidos", chkSoloValidos.checked);
+
+  if (estadoRanking.datos) cargarRanking();
+  if (selectContaminante.value) {
+    cargarSerieHistorica(selectEstacion.value, selectContaminante.value, selectAnio.value);
+  }
+});
+
+// ==========================================================================
+// BOTÓN LIMPIAR FILTROS
+// ==========================================================================
+
+const btnLimpiarFiltros = document.getElementById('btnLimpiarFiltros');
+
+// Verofica si hay filtros activos
+function hayFiltrosActivos() {
+  return selectMunicipio.value !== '' || 
+         selectAnio.value !== '' || 
+         selectEstacion.value !== '' || 
+         selectContaminante.value !== '';
+}
+
+// Habilita o desabilita el boton de limpia
+function actualizarBotonLimpiar() {
+  if (hayFiltrosActivos()) {
+    btnLimpiarFiltros.disabled = false;
+  } else {
+    btnLimpiarFiltros.disabled = true;
+  }
+}
+
+// Evento del botón limpiar
+btnLimpiarFiltros.addEventListener('click', () => {
+  if (!hayFiltrosActivos()) return;
+
+  console.log("🗑️ Limpiando filtros...");
+
+  // 1. Resetear todos los selectores
+  selectMunicipio.value = '';
+  selectAnio.value = '';
   selectAnio.disabled = true;
   selectEstacion.value = '';
   selectEstacion.disabled = true;
@@ -1054,6 +2891,11 @@ btnLimpiarFiltros.addEventListener('click', () => {
   // 2. Limpiar mapa
   limpiarEstacionesDelMapa();
   limpiarInfoBox();
+  setInterpolacionActiva(false);
+  setLineaTiempoActiva(false, false);
+  resultadoComparacion.innerHTML = '';
+  cargarOpcionesComparacion();
+  cargarCobertura('');
 
   // 3. Volver a la vista general
   map.setView([4, -76.55], 8.5);
@@ -1075,6 +2917,53 @@ selectAnio.addEventListener('change', actualizarBotonLimpiar);
 selectEstacion.addEventListener('change', actualizarBotonLimpiar);
 selectContaminante.addEventListener('change', actualizarBotonLimpiar);
 
+// ==========================================================================
+// BOTÓN DESCARGAR (EXPORTACIÓN DE LA SELECCIÓN ACTUAL)
+// ==========================================================================
+
+const btnDescargar = document.getElementById("btnDescargar");
+const selectFormatoDescarga = document.getElementById("selectFormatoDescarga");
+
+/**
+ * Construye la URL de descarga según el nivel de detalle de la selección:
+ * contaminante > estación > año > lista de municipios.
+ * @param {string} formato - csv | xlsx | json
+ * @returns {string}
+ */
+function construirUrlDescarga(formato) {
+  if (selectContaminante.value) {
+    return urlApi("/api/datos", {
+      estacion: selectEstacion.value,
+      anio: selectAnio.value,
+      exposicion: selectContaminante.value,
+      norma: selectNorma.value,
+      formato: formato,
+    });
+  }
+  if (selectEstacion.value) {
+    return urlApi(`/api/contaminantes/${selectEstacion.value}/${selectAnio.value}`, { formato });
+  }
+  if (selectAnio.value) {
+    return urlApi(`/api/estaciones/${selectMunicipio.value}/${selectAnio.value}`, { formato });
+  }
+  return urlApi("/api/municipios", { formato });
+}
+
+btnDescargar.addEventListener("click", () => {
+  const url = construirUrlDescarga(selectFormatoDescarga.value);
+
+  // El backend envía Content-Disposition con el nombre del archivo
+  const enlace = document.createElement("a");
+  enlace.href = url;
+  enlace.download = "";
+  document.body.appendChild(enlace);
+  enlace.click();
+  enlace.remove();
+
+  mostrarEstado("⬇️ Descargando selección actual...");
+  ocultarEstado(2000);
+});
+
 // ==========================================================================
 // MODO OSCURO (CON CAMBIO DE MAPA)
 // ==========================================================================
@@ -1146,6 +3035,8 @@ btnModoOscuro.addEventListener('click', () => {
 /** Función principal que inicia el visor */
 function inicializarVisor() {
   cargarMunicipios();
+  cargarNormas();
+  cargarMetadatos();
   actualizarBotonLimpiar(); // Estado inicial del botón
 }
 
@@ -0,0 +1,20 @@
+/* ==========================================================================
+   AIRSENSE - UTILIDADES COMPARTIDAS DEL FRONTEND
+   ==========================================================================
+   Funciones globales que usan varios módulos. index.html carga este archivo
+   antes que todos ellos (justo después de apiClient.js).
+   ========================================================================== */
+
+/**
+ * Escapa un texto para insertarlo en HTML (contenido o atributos entre comillas).
+ * Todo texto que venga del servidor y se inserte con innerHTML debe pasar por aquí.
+ * @param {string} texto
+ */
+function escaparHtml(texto) {
+  return String(texto ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}